@@ -0,0 +1,133 @@
+// Minimal stand-in for Supabase's PostgREST API, enough to exercise the dashboard's Supabase data source.
+//
+//   node scripts/supabase-standin.mjs [seed.json] [port]
+//
+// seed.json uses the JSON archive layout ({ "Location": [...], "JournalEntry": [...] }).
+// Point the dashboard at it with VITE_DATA_SOURCE=supabase and VITE_SUPABASE_URL=http://localhost:54321.
+import { createServer } from "node:http";
+import { readFileSync } from "node:fs";
+import { randomUUID } from "node:crypto";
+
+const TABLES = {
+    locations: "Location",
+    biological_data: "BiologicalData",
+    environmental_data: "EnvironmentalData",
+    journal_entries: "JournalEntry"
+};
+
+const [seedPath, portArg] = process.argv.slice(2);
+const seed = seedPath ? JSON.parse(readFileSync(seedPath, "utf8")) : {};
+const port = Number(portArg) || 54321;
+
+const tables = {};
+Object.entries(TABLES).forEach(([table, entityName]) => {
+    tables[table] = (seed[entityName] || []).map(record => ({ ...record }));
+});
+// Dataset snapshots saved from the dashboard; `select` is ignored, so listing them returns their records too
+tables.snapshots = [];
+
+const compare = (a, b) => {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return 1;
+    if (b === null || b === undefined) return -1;
+    return a < b ? -1 : 1;
+};
+
+const applyOrder = (rows, order) => {
+    if (!order) return rows;
+    const [field, direction = "asc"] = order.split(".");
+    return [...rows].sort((a, b) => {
+        const result = compare(a[field], b[field]);
+        return direction === "desc" && a[field] != null && b[field] != null ? -result : result;
+    });
+};
+
+// Only the `id=eq.<value>` filter is supported, which is all the adapter sends
+const idFilter = (params) => {
+    const value = params.get("id");
+    return value && value.startsWith("eq.") ? value.slice(3) : null;
+};
+
+const readBody = (request) => new Promise((resolve, reject) => {
+    let body = "";
+    request.on("data", chunk => {
+        body += chunk;
+    });
+    request.on("end", () => {
+        try {
+            resolve(body ? JSON.parse(body) : null);
+        } catch (error) {
+            reject(error);
+        }
+    });
+    request.on("error", reject);
+});
+
+const send = (response, status, payload) => {
+    response.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Headers": "apikey, authorization, content-type, prefer",
+        "Access-Control-Allow-Methods": "GET, POST, PATCH, DELETE, OPTIONS"
+    });
+    response.end(payload === undefined ? undefined : JSON.stringify(payload));
+};
+
+const server = createServer(async (request, response) => {
+    const url = new URL(request.url, `http://localhost:${port}`);
+    const match = url.pathname.match(/^\/rest\/v1\/([a-z_]+)$/);
+
+    if (request.method === "OPTIONS") {
+        send(response, 204);
+        return;
+    }
+    if (!match || !tables[match[1]]) {
+        send(response, 404, { message: `Unknown table ${url.pathname}` });
+        return;
+    }
+
+    const rows = tables[match[1]];
+    const id = idFilter(url.searchParams);
+
+    try {
+        if (request.method === "GET") {
+            const filtered = id ? rows.filter(row => String(row.id) === id) : rows;
+            send(response, 200, applyOrder(filtered, url.searchParams.get("order")));
+        } else if (request.method === "POST") {
+            const body = await readBody(request);
+            const now = new Date().toISOString();
+            const created = (Array.isArray(body) ? body : [body]).map(record => ({
+                ...record,
+                id: record.id || randomUUID(),
+                created_date: now,
+                updated_date: now
+            }));
+            rows.push(...created);
+            send(response, 201, created);
+        } else if (request.method === "PATCH") {
+            const body = await readBody(request);
+            const updated = [];
+            rows.forEach((row, index) => {
+                if (String(row.id) !== id) return;
+                rows[index] = { ...row, ...body, id: row.id, updated_date: new Date().toISOString() };
+                updated.push(rows[index]);
+            });
+            send(response, 200, updated);
+        } else if (request.method === "DELETE") {
+            if (!id) {
+                send(response, 400, { message: "DELETE requires an id=eq. filter" });
+                return;
+            }
+            tables[match[1]] = rows.filter(row => String(row.id) !== id);
+            send(response, 204);
+        } else {
+            send(response, 405, { message: `Method ${request.method} not allowed` });
+        }
+    } catch (error) {
+        send(response, 400, { message: error.message });
+    }
+});
+
+server.listen(port, () => {
+    console.log(`Supabase stand-in listening on http://localhost:${port}/rest/v1`);
+});
@@ -1,7 +1,14 @@
 import React from "react";
 import { Link, useLocation } from "react-router-dom";
 import { createPageUrl } from "@/utils";
-import { Map, BarChart3, Heart, BookOpen, Brain, Database, Compass } from "lucide-react";
+import { Map, BarChart3, Heart, BookOpen, Brain, Database, Upload, GitCompare, Compass } from "lucide-react";
+import { DataStoreProvider } from "@/data/store";
+import { DateRangeProvider } from "@/data/dateRange";
+import { configurationError } from "@/data/entities";
+import SyncStatus from "@/components/sync/SyncStatus";
+import StaleDataBanner from "@/components/sync/StaleDataBanner";
+import ConfigurationError from "@/components/sync/ConfigurationError";
+import DateRangePicker from "@/components/filters/DateRangePicker";
 import {
     Sidebar,
     SidebarContent,
@@ -11,6 +18,7 @@ import {
     SidebarMenuButton,
     SidebarMenuItem,
     SidebarHeader,
+    SidebarFooter,
     SidebarProvider,
     SidebarTrigger,
 } from "@/components/ui/sidebar";
@@ -52,14 +60,30 @@ const navigationItems = [
         icon: Database,
         description: "Export & docs"
     },
+    {
+        title: "Import",
+        url: createPageUrl("Import"),
+        icon: Upload,
+        description: "CSV & JSON files"
+    },
+    {
+        title: "Snapshots",
+        url: createPageUrl("Snapshots"),
+        icon: GitCompare,
+        description: "Versions & diffs"
+    },
 ];
 
 export default function Layout({ children, currentPageName }) {
     const location = useLocation();
 
+    if (configurationError) return <ConfigurationError error={configurationError} />;
+
     return (
-        <SidebarProvider>
-            <style>{`
+        <DataStoreProvider>
+            <DateRangeProvider>
+                <SidebarProvider>
+                    <style>{`
         :root {
           --forest-deep: #1a2e1a;
           --sage-soft: #9caf88;
@@ -95,65 +119,76 @@ export default function Layout({ children, currentPageName }) {
           background: linear-gradient(135deg, var(--forest-deep), #2a4a2a);
           color: white;
         }
-      `}</style>
+              `}</style>
 
-            <div className="min-h-screen flex w-full">
-                <Sidebar className="border-r border-stone/30 bg-white/90 backdrop-blur-md">
-                    <SidebarHeader className="border-b border-stone/30 p-6">
-                        <div className="flex items-center gap-3">
-                            <div className="w-10 h-10 bg-gradient-to-br from-forest-deep to-sage-soft rounded-xl flex items-center justify-center">
-                                <Compass className="w-6 h-6 text-white" />
-                            </div>
-                            <div>
-                                <h2 className="font-bold text-forest-deep text-lg tracking-tight">Living Data</h2>
-                                <p className="text-xs text-sage-soft font-medium">Experience Dashboard</p>
-                            </div>
-                        </div>
-                    </SidebarHeader>
+                    <div className="min-h-screen flex w-full">
+                        <Sidebar className="border-r border-stone/30 bg-white/90 backdrop-blur-md">
+                            <SidebarHeader className="border-b border-stone/30 p-6">
+                                <div className="flex items-center gap-3">
+                                    <div className="w-10 h-10 bg-gradient-to-br from-forest-deep to-sage-soft rounded-xl flex items-center justify-center">
+                                        <Compass className="w-6 h-6 text-white" />
+                                    </div>
+                                    <div>
+                                        <h2 className="font-bold text-forest-deep text-lg tracking-tight">Living Data</h2>
+                                        <p className="text-xs text-sage-soft font-medium">Experience Dashboard</p>
+                                    </div>
+                                </div>
+                            </SidebarHeader>
+
+                            <SidebarContent className="p-3">
+                                <SidebarGroup>
+                                    <SidebarGroupContent>
+                                        <SidebarMenu className="space-y-2">
+                                            {navigationItems.map((item) => (
+                                                <SidebarMenuItem key={item.title}>
+                                                    <SidebarMenuButton
+                                                        asChild
+                                                        className={`nav-item rounded-xl p-4 ${
+                                                            location.pathname === item.url ? 'active' : ''
+                                                        }`}
+                                                    >
+                                                        <Link to={item.url} className="flex items-center gap-4">
+                                                            <div className="w-8 h-8 flex items-center justify-center">
+                                                                <item.icon className="w-5 h-5" />
+                                                            </div>
+                                                            <div className="flex-1 min-w-0">
+                                                                <div className="font-semibold text-sm">{item.title}</div>
+                                                                <div className="text-xs opacity-70 truncate">{item.description}</div>
+                                                            </div>
+                                                        </Link>
+                                                    </SidebarMenuButton>
+                                                </SidebarMenuItem>
+                                            ))}
+                                        </SidebarMenu>
+                                    </SidebarGroupContent>
+                                </SidebarGroup>
+                            </SidebarContent>
 
-                    <SidebarContent className="p-3">
-                        <SidebarGroup>
-                            <SidebarGroupContent>
-                                <SidebarMenu className="space-y-2">
-                                    {navigationItems.map((item) => (
-                                        <SidebarMenuItem key={item.title}>
-                                            <SidebarMenuButton
-                                                asChild
-                                                className={`nav-item rounded-xl p-4 ${
-                                                    location.pathname === item.url ? 'active' : ''
-                                                }`}
-                                            >
-                                                <Link to={item.url} className="flex items-center gap-4">
-                                                    <div className="w-8 h-8 flex items-center justify-center">
-                                                        <item.icon className="w-5 h-5" />
-                                                    </div>
-                                                    <div className="flex-1 min-w-0">
-                                                        <div className="font-semibold text-sm">{item.title}</div>
-                                                        <div className="text-xs opacity-70 truncate">{item.description}</div>
-                                                    </div>
-                                                </Link>
-                                            </SidebarMenuButton>
-                                        </SidebarMenuItem>
-                                    ))}
-                                </SidebarMenu>
-                            </SidebarGroupContent>
-                        </SidebarGroup>
-                    </SidebarContent>
-                </Sidebar>
+                            <SidebarFooter className="border-t border-stone/30 p-4">
+                                <SyncStatus />
+                            </SidebarFooter>
+                        </Sidebar>
 
-                <main className="flex-1 flex flex-col overflow-hidden">
-                    <header className="bg-white/80 backdrop-blur-md border-b border-stone/30 px-6 py-4 md:hidden">
-                        <div className="flex items-center gap-4">
-                            <SidebarTrigger className="hover:bg-sage-soft/20 p-2 rounded-lg transition-colors" />
-                            <h1 className="text-xl font-bold text-forest-deep">Living Data</h1>
-                        </div>
-                    </header>
+                        <main className="flex-1 flex flex-col overflow-hidden">
+                            <header className="bg-white/80 backdrop-blur-md border-b border-stone/30 px-6 py-4">
+                                <div className="flex flex-wrap items-center gap-4">
+                                    <SidebarTrigger className="hover:bg-sage-soft/20 p-2 rounded-lg transition-colors md:hidden" />
+                                    <h1 className="text-xl font-bold text-forest-deep md:hidden">Living Data</h1>
+                                    <div className="md:ml-auto">
+                                        <DateRangePicker />
+                                    </div>
+                                </div>
+                            </header>
 
-                    <div className="flex-1 overflow-auto">
-                        {children}
+                            <StaleDataBanner />
+
+                            <div className="flex-1 overflow-auto">
+                                {children}
+                            </div>
+                        </main>
                     </div>
-                </main>
-            </div>
-        </SidebarProvider>
+                </SidebarProvider>
+            </DateRangeProvider>
+        </DataStoreProvider>
     );
 }
\ No newline at end of file
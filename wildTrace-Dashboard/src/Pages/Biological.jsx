@@ -1,49 +1,53 @@
-import React, { useState, useEffect } from "react";
-import { BiologicalData, Location } from "@/entities/all";
+import React, { useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { useEntities, useLocationLookup } from "@/data/store";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, AreaChart, Area, ScatterChart, Scatter, Cell } from 'recharts';
-import { Heart, Activity, Thermometer, Moon, Wind, TrendingUp, AlertTriangle } from "lucide-react";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, AreaChart, Area, ScatterChart, Scatter, Cell, ReferenceLine, ReferenceArea } from 'recharts';
+import { Heart, Activity, Thermometer, Moon, Wind, AlertTriangle, Calendar } from "lucide-react";
 import { format } from "date-fns";
+import { toDayKey, dayKeyToDate, isNumber } from "@/lib/stats";
+import CorrelationMatrix from "@/components/biological/CorrelationMatrix";
+import AcclimatizationChart from "@/components/biological/AcclimatizationChart";
+import RhythmPanel from "@/components/biological/RhythmPanel";
+import ResampleControls from "@/components/charts/ResampleControls";
+import { bucketTimestamp, axisTickFormatter, formatBucketLabel } from "@/lib/resample";
+import { summarize, formatStat, dayCoverage, coverageWindow, buildChartSeries, interpolatedKey } from "@/lib/missingData";
+import { useDateRange } from "@/data/dateRange";
+import CoverageIndicator from "@/components/charts/CoverageIndicator";
+import NarrativeCards from "@/components/insights/NarrativeCards";
+
+const TIMELINE_METRICS = {
+    heart_rate: { key: "heart_rate_resting", color: "#c65d07" },
+    sleep: { key: "sleep_quality_score", color: "#d4af37" },
+    stress: { key: "stress_level", color: "#1e3a5f" },
+    hrv: { key: "heart_rate_variability", color: "#9caf88" }
+};
 
 export default function Biological() {
-    const [biologicalData, setBiologicalData] = useState([]);
-    const [locations, setLocations] = useState([]);
-    const [selectedLocation, setSelectedLocation] = useState("all");
+    const { records, isLoading } = useEntities(["BiologicalData", "EnvironmentalData", "JournalEntry", "Location"], { withinDateRange: true });
+    const { getLocationName } = useLocationLookup();
+    const { range } = useDateRange();
+    const biologicalData = records.BiologicalData;
+    const environmentalData = records.EnvironmentalData;
+    const journalEntries = records.JournalEntry;
+    const locations = records.Location;
+    const [searchParams] = useSearchParams();
+    const [selectedLocation, setSelectedLocation] = useState(searchParams.get("location") || "all");
     const [selectedMetric, setSelectedMetric] = useState("heart_rate");
-    const [isLoading, setIsLoading] = useState(true);
-
-    useEffect(() => {
-        loadData();
-    }, []);
-
-    const loadData = async () => {
-        setIsLoading(true);
-        try {
-            const [bioData, locationsData] = await Promise.all([
-                BiologicalData.list('date'),
-                Location.list('arrival_date')
-            ]);
-
-            setBiologicalData(bioData);
-            setLocations(locationsData);
-        } catch (error) {
-            console.error("Error loading biological data:", error);
-        }
-        setIsLoading(false);
-    };
+    const [resampling, setResampling] = useState({ granularity: "day", aggregate: "mean", interpolate: false });
 
     const getFilteredData = () => {
         if (selectedLocation === "all") return biologicalData;
         return biologicalData.filter(data => data.location_id === selectedLocation);
     };
 
-    const getLocationName = (locationId) => {
-        const location = locations.find(loc => loc.id === locationId);
-        return location ? location.name : "Unknown Location";
+    const filterByLocation = (rows) => {
+        if (selectedLocation === "all") return rows;
+        return rows.filter(row => row.location_id === selectedLocation);
     };
 
     const prepareTimeSeriesData = () => {
@@ -55,8 +59,18 @@ export default function Biological() {
         }));
     };
 
+    // Readings of the day linked from the Insights page (?date=yyyy-MM-dd)
+    const focusDate = searchParams.get("date");
+
+    const getFocusReadings = () => {
+        if (!focusDate) return [];
+        return getFilteredData().filter(data => toDayKey(data.date) === focusDate);
+    };
+
     const getHarmonyZones = () => {
-        const filteredData = getFilteredData();
+        // Only readings with all three inputs can be placed on the chart
+        const filteredData = getFilteredData().filter(data =>
+            isNumber(data.heart_rate_variability) && isNumber(data.sleep_quality_score) && isNumber(data.stress_level));
         return filteredData.map(data => ({
             location: getLocationName(data.location_id),
             date: format(new Date(data.date), 'MMM d'),
@@ -76,28 +90,18 @@ export default function Biological() {
         return (hrvScore + sleepScore + stressScore) / 3;
     };
 
+    // Missing values are left out rather than counted as 0; coverage shows how much of the window has data
     const getBiometricStats = () => {
         const filteredData = getFilteredData();
-        if (filteredData.length === 0) return {};
+        const statsWindow = coverageWindow(filteredData, range);
+        const describe = (key) => ({ ...summarize(filteredData, key), coverage: dayCoverage(filteredData, key, statsWindow) });
 
         return {
-            heartRate: {
-                avg: filteredData.reduce((sum, d) => sum + (d.heart_rate_resting || 0), 0) / filteredData.length,
-                range: [
-                    Math.min(...filteredData.map(d => d.heart_rate_resting || 0)),
-                    Math.max(...filteredData.map(d => d.heart_rate_resting || 0))
-                ]
-            },
-            hrv: {
-                avg: filteredData.reduce((sum, d) => sum + (d.heart_rate_variability || 0), 0) / filteredData.length
-            },
-            sleep: {
-                avg: filteredData.reduce((sum, d) => sum + (d.sleep_quality_score || 0), 0) / filteredData.length,
-                avgDuration: filteredData.reduce((sum, d) => sum + (d.sleep_duration || 0), 0) / filteredData.length
-            },
-            stress: {
-                avg: filteredData.reduce((sum, d) => sum + (d.stress_level || 0), 0) / filteredData.length
-            }
+            heartRate: describe("heart_rate_resting"),
+            hrv: describe("heart_rate_variability"),
+            sleep: describe("sleep_quality_score"),
+            sleepDuration: describe("sleep_duration"),
+            stress: describe("stress_level")
         };
     };
 
@@ -126,7 +130,10 @@ export default function Biological() {
 
     const stats = getBiometricStats();
     const timeSeriesData = prepareTimeSeriesData();
+    const timelineMetric = TIMELINE_METRICS[selectedMetric];
+    const timeline = buildChartSeries(getFilteredData(), resampling, timelineMetric.key);
     const harmonyData = getHarmonyZones();
+    const focusReadings = getFocusReadings();
 
     return (
         <div className="p-4 md:p-8 space-y-8 bg-gradient-to-br from-cream via-white to-stone/10 min-h-screen">
@@ -174,10 +181,11 @@ export default function Biological() {
                     </CardHeader>
                     <CardContent>
                         <div className="space-y-2">
-                            <p className="text-2xl font-bold text-forest-deep">{stats.heartRate?.avg.toFixed(0)} BPM</p>
+                            <p className="text-2xl font-bold text-forest-deep">{formatStat(stats.heartRate.mean)} BPM</p>
                             <div className="text-xs text-sage-soft">
-                                <span>Range: {stats.heartRate?.range[0]}-{stats.heartRate?.range[1]} BPM</span>
+                                <span>Range: {formatStat(stats.heartRate.min)}-{formatStat(stats.heartRate.max)} BPM</span>
                             </div>
+                            <CoverageIndicator coverage={stats.heartRate.coverage} />
                         </div>
                     </CardContent>
                 </Card>
@@ -191,8 +199,9 @@ export default function Biological() {
                     </CardHeader>
                     <CardContent>
                         <div className="space-y-2">
-                            <p className="text-2xl font-bold text-forest-deep">{stats.hrv?.avg.toFixed(0)}</p>
+                            <p className="text-2xl font-bold text-forest-deep">{formatStat(stats.hrv.mean)}</p>
                             <div className="text-xs text-sage-soft">Higher = better recovery</div>
+                            <CoverageIndicator coverage={stats.hrv.coverage} />
                         </div>
                     </CardContent>
                 </Card>
@@ -206,8 +215,9 @@ export default function Biological() {
                     </CardHeader>
                     <CardContent>
                         <div className="space-y-2">
-                            <p className="text-2xl font-bold text-forest-deep">{stats.sleep?.avg.toFixed(1)}/10</p>
-                            <div className="text-xs text-sage-soft">{stats.sleep?.avgDuration.toFixed(1)} hours avg</div>
+                            <p className="text-2xl font-bold text-forest-deep">{formatStat(stats.sleep.mean, 1)}/10</p>
+                            <div className="text-xs text-sage-soft">{formatStat(stats.sleepDuration.mean, 1)} hours avg</div>
+                            <CoverageIndicator coverage={stats.sleep.coverage} />
                         </div>
                     </CardContent>
                 </Card>
@@ -221,18 +231,65 @@ export default function Biological() {
                     </CardHeader>
                     <CardContent>
                         <div className="space-y-2">
-                            <p className="text-2xl font-bold text-forest-deep">{stats.stress?.avg.toFixed(1)}/10</p>
+                            <p className="text-2xl font-bold text-forest-deep">{formatStat(stats.stress.mean, 1)}/10</p>
                             <div className="text-xs text-sage-soft">Lower is better</div>
+                            <CoverageIndicator coverage={stats.stress.coverage} />
                         </div>
                     </CardContent>
                 </Card>
             </div>
 
+            {/* Focused Day */}
+            {focusDate && (
+                <Card className="luxury-card border-terracotta/40">
+                    <CardHeader>
+                        <CardTitle className="text-forest-deep flex items-center gap-2">
+                            <Calendar className="w-4 h-4 text-terracotta" />
+                            {format(dayKeyToDate(focusDate), 'MMM d, yyyy')}
+                        </CardTitle>
+                    </CardHeader>
+                    <CardContent>
+                        {focusReadings.length > 0 ? (
+                            <div className="space-y-3">
+                                {focusReadings.map(reading => (
+                                    <div key={reading.id} className="grid grid-cols-2 md:grid-cols-5 gap-4 text-sm p-3 bg-stone/10 rounded-lg">
+                                        <div>
+                                            <p className="text-sage-soft/80">Location</p>
+                                            <p className="font-semibold text-forest-deep">{getLocationName(reading.location_id)}</p>
+                                        </div>
+                                        <div>
+                                            <p className="text-sage-soft/80">Resting HR</p>
+                                            <p className="font-semibold text-forest-deep">{reading.heart_rate_resting ?? '-'} BPM</p>
+                                        </div>
+                                        <div>
+                                            <p className="text-sage-soft/80">HRV</p>
+                                            <p className="font-semibold text-forest-deep">{reading.heart_rate_variability ?? '-'}</p>
+                                        </div>
+                                        <div>
+                                            <p className="text-sage-soft/80">Body Temp</p>
+                                            <p className="font-semibold text-forest-deep">{reading.body_temperature ?? '-'}°C</p>
+                                        </div>
+                                        <div>
+                                            <p className="text-sage-soft/80">Respiratory Rate</p>
+                                            <p className="font-semibold text-forest-deep">{reading.respiratory_rate ?? '-'}/min</p>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        ) : (
+                            <p className="text-sage-soft">No biometric readings on this day for the selected location</p>
+                        )}
+                    </CardContent>
+                </Card>
+            )}
+
             {/* Visualizations */}
             <Tabs defaultValue="timeline" className="space-y-6">
                 <TabsList className="bg-white/80 border border-sage-soft/30">
                     <TabsTrigger value="timeline">Body Timeline</TabsTrigger>
                     <TabsTrigger value="harmony">Harmony Zones</TabsTrigger>
+                    <TabsTrigger value="acclimatization">Acclimatization</TabsTrigger>
+                    <TabsTrigger value="rhythms">Daily Rhythms</TabsTrigger>
                     <TabsTrigger value="correlations">Environment vs Body</TabsTrigger>
                 </TabsList>
 
@@ -274,34 +331,56 @@ export default function Biological() {
                                     HRV
                                 </Button>
                             </div>
+                            <ResampleControls value={resampling} onChange={setResampling} />
                         </CardHeader>
                         <CardContent>
                             <ResponsiveContainer width="100%" height={400}>
-                                <AreaChart data={timeSeriesData}>
+                                <AreaChart data={timeline.rows}>
                                     <CartesianGrid strokeDasharray="3 3" stroke="#9caf88" opacity={0.3} />
-                                    <XAxis dataKey="date" stroke="#9caf88" fontSize={12} />
+                                    <XAxis
+                                        dataKey="timestamp"
+                                        type="number"
+                                        scale="time"
+                                        domain={['dataMin', 'dataMax']}
+                                        tickFormatter={axisTickFormatter(timeline.rows, resampling.granularity)}
+                                        stroke="#9caf88"
+                                        fontSize={12}
+                                    />
                                     <YAxis stroke="#9caf88" fontSize={12} />
                                     <Tooltip
+                                        labelFormatter={(timestamp) => formatBucketLabel(timestamp, resampling.granularity, true)}
                                         contentStyle={{
                                             backgroundColor: 'rgba(255, 255, 255, 0.95)',
                                             border: '1px solid #9caf88',
                                             borderRadius: '8px'
                                         }}
                                     />
+                                    {timeline.bands.map(band => (
+                                        <ReferenceArea key={band.x1} x1={band.x1} x2={band.x2} fill="#e8e2d4" fillOpacity={0.5} />
+                                    ))}
+                                    {focusDate && (
+                                        <ReferenceLine x={bucketTimestamp(focusDate, resampling.granularity)} stroke="#c65d07" strokeDasharray="4 4" />
+                                    )}
                                     <Area
                                         type="monotone"
-                                        dataKey={selectedMetric === "heart_rate" ? "heart_rate_resting" :
-                                            selectedMetric === "sleep" ? "sleep_quality_score" :
-                                                selectedMetric === "stress" ? "stress_level" : "heart_rate_variability"}
-                                        stroke={selectedMetric === "heart_rate" ? "#c65d07" :
-                                            selectedMetric === "sleep" ? "#d4af37" :
-                                                selectedMetric === "stress" ? "#1e3a5f" : "#9caf88"}
-                                        fill={selectedMetric === "heart_rate" ? "#c65d07" :
-                                            selectedMetric === "sleep" ? "#d4af37" :
-                                                selectedMetric === "stress" ? "#1e3a5f" : "#9caf88"}
+                                        dataKey={timelineMetric.key}
+                                        stroke={timelineMetric.color}
+                                        fill={timelineMetric.color}
                                         fillOpacity={0.3}
                                         strokeWidth={3}
+                                        connectNulls={false}
                                     />
+                                    {resampling.interpolate && (
+                                        <Area
+                                            type="monotone"
+                                            dataKey={interpolatedKey(timelineMetric.key)}
+                                            name="Interpolated"
+                                            stroke={timelineMetric.color}
+                                            strokeDasharray="6 4"
+                                            fill="none"
+                                            strokeWidth={2}
+                                        />
+                                    )}
                                 </AreaChart>
                             </ResponsiveContainer>
                         </CardContent>
@@ -363,7 +442,27 @@ export default function Biological() {
                     </Card>
                 </TabsContent>
 
-                <TabsContent value="correlations">
+                <TabsContent value="acclimatization">
+                    <AcclimatizationChart
+                        locations={selectedLocation === "all" ? locations : locations.filter(loc => loc.id === selectedLocation)}
+                        biologicalData={biologicalData}
+                    />
+                </TabsContent>
+
+                <TabsContent value="rhythms">
+                    <RhythmPanel
+                        biologicalData={getFilteredData()}
+                        locations={locations}
+                    />
+                </TabsContent>
+
+                <TabsContent value="correlations" className="space-y-6">
+                    <CorrelationMatrix
+                        biologicalData={getFilteredData()}
+                        environmentalData={filterByLocation(environmentalData)}
+                        journalEntries={filterByLocation(journalEntries)}
+                    />
+
                     <div className="grid md:grid-cols-2 gap-6">
                         <Card className="luxury-card">
                             <CardHeader>
@@ -417,76 +516,12 @@ export default function Biological() {
             </Tabs>
 
             {/* Insights Summary */}
-            <div className="grid md:grid-cols-3 gap-6">
-                <Card className="luxury-card">
-                    <CardHeader>
-                        <CardTitle className="text-forest-deep flex items-center gap-2">
-                            <TrendingUp className="w-4 h-4 text-sage-soft" />
-                            Best Recovery
-                        </CardTitle>
-                    </CardHeader>
-                    <CardContent>
-                        {(() => {
-                            const bestHRV = Math.max(...harmonyData.map(d => d.hrv));
-                            const bestLocation = harmonyData.find(d => d.hrv === bestHRV);
-                            return bestLocation ? (
-                                <div>
-                                    <p className="font-semibold text-forest-deep">{bestLocation.location}</p>
-                                    <p className="text-sm text-sage-soft mt-1">
-                                        HRV: {bestLocation.hrv} • Sleep: {bestLocation.sleep_quality}/10
-                                    </p>
-                                </div>
-                            ) : <p className="text-sage-soft">No data available</p>;
-                        })()}
-                    </CardContent>
-                </Card>
-
-                <Card className="luxury-card">
-                    <CardHeader>
-                        <CardTitle className="text-forest-deep flex items-center gap-2">
-                            <Moon className="w-4 h-4 text-gold-accent" />
-                            Best Sleep
-                        </CardTitle>
-                    </CardHeader>
-                    <CardContent>
-                        {(() => {
-                            const bestSleep = Math.max(...harmonyData.map(d => d.sleep_quality));
-                            const bestLocation = harmonyData.find(d => d.sleep_quality === bestSleep);
-                            return bestLocation ? (
-                                <div>
-                                    <p className="font-semibold text-forest-deep">{bestLocation.location}</p>
-                                    <p className="text-sm text-sage-soft mt-1">
-                                        Quality: {bestLocation.sleep_quality}/10 • Stress: {bestLocation.stress_level}/10
-                                    </p>
-                                </div>
-                            ) : <p className="text-sage-soft">No data available</p>;
-                        })()}
-                    </CardContent>
-                </Card>
-
-                <Card className="luxury-card">
-                    <CardHeader>
-                        <CardTitle className="text-forest-deep flex items-center gap-2">
-                            <Heart className="w-4 h-4 text-terracotta" />
-                            Calmest Environment
-                        </CardTitle>
-                    </CardHeader>
-                    <CardContent>
-                        {(() => {
-                            const lowestStress = Math.min(...harmonyData.map(d => d.stress_level));
-                            const calmestLocation = harmonyData.find(d => d.stress_level === lowestStress);
-                            return calmestLocation ? (
-                                <div>
-                                    <p className="font-semibold text-forest-deep">{calmestLocation.location}</p>
-                                    <p className="text-sm text-sage-soft mt-1">
-                                        Stress: {calmestLocation.stress_level}/10 • Harmony: {calmestLocation.harmony_score.toFixed(0)}%
-                                    </p>
-                                </div>
-                            ) : <p className="text-sage-soft">No data available</p>;
-                        })()}
-                    </CardContent>
-                </Card>
-            </div>
+            <NarrativeCards
+                biologicalData={getFilteredData()}
+                environmentalData={filterByLocation(environmentalData)}
+                journalEntries={filterByLocation(journalEntries)}
+                limit={3}
+            />
         </div>
     );
 }
\ No newline at end of file
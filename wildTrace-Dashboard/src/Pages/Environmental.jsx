@@ -1,51 +1,43 @@
-import React, { useState, useEffect } from "react";
-import { EnvironmentalData, Location } from "@/entities/all";
+import React, { useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { useEntities, useLocationLookup } from "@/data/store";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, BarChart, Bar, RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar } from 'recharts';
-import { Thermometer, Droplets, Sun, Wind, Activity } from "lucide-react";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, BarChart, Bar, RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar, ReferenceLine, ReferenceArea } from 'recharts';
+import { Thermometer, Droplets, Sun, Wind, Activity, Calendar } from "lucide-react";
 import { format } from "date-fns";
+import { toDayKey, dayKeyToDate, mean } from "@/lib/stats";
+import { bucketTimestamp, axisTickFormatter, formatBucketLabel } from "@/lib/resample";
+import { summarize, formatStat, dayCoverage, coverageWindow, buildChartSeries, interpolatedKey } from "@/lib/missingData";
+import { useDateRange } from "@/data/dateRange";
+import CoverageIndicator from "@/components/charts/CoverageIndicator";
+import ResampleControls from "@/components/charts/ResampleControls";
+
+const TIMESERIES_METRICS = {
+    temperature: { key: "temperature_avg", color: "#c65d07" },
+    humidity: { key: "humidity", color: "#1e3a5f" },
+    light: { key: "light_exposure", color: "#d4af37" }
+};
 
 export default function Environmental() {
-    const [environmentalData, setEnvironmentalData] = useState([]);
-    const [locations, setLocations] = useState([]);
-    const [selectedLocation, setSelectedLocation] = useState("all");
+    const { records, isLoading } = useEntities(["EnvironmentalData", "Location"], { withinDateRange: true });
+    const { getLocationName } = useLocationLookup();
+    const { range } = useDateRange();
+    const environmentalData = records.EnvironmentalData;
+    const locations = records.Location;
+    const [searchParams] = useSearchParams();
+    const [selectedLocation, setSelectedLocation] = useState(searchParams.get("location") || "all");
     const [selectedMetric, setSelectedMetric] = useState("temperature");
-    const [isLoading, setIsLoading] = useState(true);
-
-    useEffect(() => {
-        loadData();
-    }, []);
-
-    const loadData = async () => {
-        setIsLoading(true);
-        try {
-            const [envData, locationsData] = await Promise.all([
-                EnvironmentalData.list('date'),
-                Location.list('arrival_date')
-            ]);
-
-            setEnvironmentalData(envData);
-            setLocations(locationsData);
-        } catch (error) {
-            console.error("Error loading environmental data:", error);
-        }
-        setIsLoading(false);
-    };
+    const [resampling, setResampling] = useState({ granularity: "day", aggregate: "mean", interpolate: false });
 
     const getFilteredData = () => {
         if (selectedLocation === "all") return environmentalData;
         return environmentalData.filter(data => data.location_id === selectedLocation);
     };
 
-    const getLocationName = (locationId) => {
-        const location = locations.find(loc => loc.id === locationId);
-        return location ? location.name : "Unknown Location";
-    };
-
     const prepareTimeSeriesData = () => {
         const filteredData = getFilteredData();
         return filteredData.map(data => ({
@@ -55,6 +47,14 @@ export default function Environmental() {
         }));
     };
 
+    // Readings of the day linked from the Insights page (?date=yyyy-MM-dd)
+    const focusDate = searchParams.get("date");
+
+    const getFocusReadings = () => {
+        if (!focusDate) return [];
+        return getFilteredData().filter(data => toDayKey(data.date) === focusDate);
+    };
+
     const prepareRadarData = () => {
         const filteredData = getFilteredData();
         if (filteredData.length === 0) return [];
@@ -73,24 +73,27 @@ export default function Environmental() {
                 };
             }
 
-            locationGroups[locationName].temperature.push(data.temperature_avg || 0);
-            locationGroups[locationName].humidity.push(data.humidity || 0);
-            locationGroups[locationName].light.push(data.light_exposure || 0);
-            locationGroups[locationName].airQuality.push(data.air_quality_index || 0);
-            locationGroups[locationName].noise.push(data.noise_level || 0);
+            locationGroups[locationName].temperature.push(data.temperature_avg);
+            locationGroups[locationName].humidity.push(data.humidity);
+            locationGroups[locationName].light.push(data.light_exposure);
+            locationGroups[locationName].airQuality.push(data.air_quality_index);
+            locationGroups[locationName].noise.push(data.noise_level);
         });
 
-        // Calculate averages and normalize (0-100 scale)
+        // Calculate averages and normalize (0-100 scale); a metric with no readings stays null
         return Object.entries(locationGroups).map(([location, metrics]) => {
-            const avg = (arr) => arr.reduce((sum, val) => sum + val, 0) / arr.length;
+            const normalize = (arr, max) => {
+                const avg = mean(arr);
+                return avg === null ? null : Math.min(100, (avg / max) * 100);
+            };
 
             return {
                 location,
-                Temperature: Math.min(100, (avg(metrics.temperature) / 40) * 100), // Normalize to 40°C max
-                Humidity: avg(metrics.humidity),
-                Light: Math.min(100, (avg(metrics.light) / 10000) * 100), // Normalize to 10k lux max
-                'Air Quality': Math.min(100, (avg(metrics.airQuality) / 200) * 100), // Normalize to 200 AQI max
-                Noise: Math.min(100, (avg(metrics.noise) / 100) * 100) // Normalize to 100dB max
+                Temperature: normalize(metrics.temperature, 40), // Normalize to 40°C max
+                Humidity: mean(metrics.humidity),
+                Light: normalize(metrics.light, 10000), // Normalize to 10k lux max
+                'Air Quality': normalize(metrics.airQuality, 200), // Normalize to 200 AQI max
+                Noise: normalize(metrics.noise, 100) // Normalize to 100dB max
             };
         });
     };
@@ -106,25 +109,19 @@ export default function Environmental() {
         return icons[metric] || Activity;
     };
 
+    // Missing values are left out rather than counted as 0; coverage shows how much of the window has data
     const getMetricStats = () => {
         const filteredData = getFilteredData();
-        if (filteredData.length === 0) return {};
+        const statsWindow = coverageWindow(filteredData, range);
+        const describe = (key) => ({ ...summarize(filteredData, key), coverage: dayCoverage(filteredData, key, statsWindow) });
 
         return {
-            temperature: {
-                avg: filteredData.reduce((sum, d) => sum + (d.temperature_avg || 0), 0) / filteredData.length,
-                min: Math.min(...filteredData.map(d => d.temperature_min || 0)),
-                max: Math.max(...filteredData.map(d => d.temperature_max || 0))
-            },
-            humidity: {
-                avg: filteredData.reduce((sum, d) => sum + (d.humidity || 0), 0) / filteredData.length
-            },
-            light: {
-                avg: filteredData.reduce((sum, d) => sum + (d.light_exposure || 0), 0) / filteredData.length
-            },
-            airQuality: {
-                avg: filteredData.reduce((sum, d) => sum + (d.air_quality_index || 0), 0) / filteredData.length
-            }
+            temperature: describe("temperature_avg"),
+            temperatureMin: describe("temperature_min"),
+            temperatureMax: describe("temperature_max"),
+            humidity: describe("humidity"),
+            light: describe("light_exposure"),
+            airQuality: describe("air_quality_index")
         };
     };
 
@@ -147,7 +144,10 @@ export default function Environmental() {
 
     const stats = getMetricStats();
     const timeSeriesData = prepareTimeSeriesData();
+    const seriesMetric = TIMESERIES_METRICS[selectedMetric];
+    const series = buildChartSeries(getFilteredData(), resampling, seriesMetric.key);
     const radarData = prepareRadarData();
+    const focusReadings = getFocusReadings();
 
     return (
         <div className="p-4 md:p-8 space-y-8 bg-gradient-to-br from-cream via-white to-stone/10 min-h-screen">
@@ -195,10 +195,11 @@ export default function Environmental() {
                     </CardHeader>
                     <CardContent>
                         <div className="space-y-2">
-                            <p className="text-2xl font-bold text-forest-deep">{stats.temperature?.avg.toFixed(1)}°C</p>
+                            <p className="text-2xl font-bold text-forest-deep">{formatStat(stats.temperature.mean, 1)}°C</p>
                             <div className="text-xs text-sage-soft">
-                                <span>Range: {stats.temperature?.min.toFixed(1)}° - {stats.temperature?.max.toFixed(1)}°</span>
+                                <span>Range: {formatStat(stats.temperatureMin.min, 1)}° - {formatStat(stats.temperatureMax.max, 1)}°</span>
                             </div>
+                            <CoverageIndicator coverage={stats.temperature.coverage} />
                         </div>
                     </CardContent>
                 </Card>
@@ -212,8 +213,9 @@ export default function Environmental() {
                     </CardHeader>
                     <CardContent>
                         <div className="space-y-2">
-                            <p className="text-2xl font-bold text-forest-deep">{stats.humidity?.avg.toFixed(0)}%</p>
+                            <p className="text-2xl font-bold text-forest-deep">{formatStat(stats.humidity.mean)}%</p>
                             <div className="text-xs text-sage-soft">Average relative humidity</div>
+                            <CoverageIndicator coverage={stats.humidity.coverage} />
                         </div>
                     </CardContent>
                 </Card>
@@ -227,8 +229,9 @@ export default function Environmental() {
                     </CardHeader>
                     <CardContent>
                         <div className="space-y-2">
-                            <p className="text-2xl font-bold text-forest-deep">{stats.light?.avg.toFixed(0)}</p>
+                            <p className="text-2xl font-bold text-forest-deep">{formatStat(stats.light.mean)}</p>
                             <div className="text-xs text-sage-soft">Lux average</div>
+                            <CoverageIndicator coverage={stats.light.coverage} />
                         </div>
                     </CardContent>
                 </Card>
@@ -242,13 +245,62 @@ export default function Environmental() {
                     </CardHeader>
                     <CardContent>
                         <div className="space-y-2">
-                            <p className="text-2xl font-bold text-forest-deep">{stats.airQuality?.avg.toFixed(0)}</p>
+                            <p className="text-2xl font-bold text-forest-deep">{formatStat(stats.airQuality.mean)}</p>
                             <div className="text-xs text-sage-soft">AQI average</div>
+                            <CoverageIndicator coverage={stats.airQuality.coverage} />
                         </div>
                     </CardContent>
                 </Card>
             </div>
 
+            {/* Focused Day */}
+            {focusDate && (
+                <Card className="luxury-card border-terracotta/40">
+                    <CardHeader>
+                        <CardTitle className="text-forest-deep flex items-center gap-2">
+                            <Calendar className="w-4 h-4 text-terracotta" />
+                            {format(dayKeyToDate(focusDate), 'MMM d, yyyy')}
+                        </CardTitle>
+                    </CardHeader>
+                    <CardContent>
+                        {focusReadings.length > 0 ? (
+                            <div className="space-y-3">
+                                {focusReadings.map(reading => (
+                                    <div key={reading.id} className="grid grid-cols-2 md:grid-cols-6 gap-4 text-sm p-3 bg-stone/10 rounded-lg">
+                                        <div>
+                                            <p className="text-sage-soft/80">Location</p>
+                                            <p className="font-semibold text-forest-deep">{getLocationName(reading.location_id)}</p>
+                                        </div>
+                                        <div>
+                                            <p className="text-sage-soft/80">Temperature</p>
+                                            <p className="font-semibold text-forest-deep">{reading.temperature_avg ?? '-'}°C</p>
+                                        </div>
+                                        <div>
+                                            <p className="text-sage-soft/80">Humidity</p>
+                                            <p className="font-semibold text-forest-deep">{reading.humidity ?? '-'}%</p>
+                                        </div>
+                                        <div>
+                                            <p className="text-sage-soft/80">Light</p>
+                                            <p className="font-semibold text-forest-deep">{reading.light_exposure ?? '-'} lux</p>
+                                        </div>
+                                        <div>
+                                            <p className="text-sage-soft/80">Air Quality</p>
+                                            <p className="font-semibold text-forest-deep">{reading.air_quality_index ?? '-'} AQI</p>
+                                        </div>
+                                        <div>
+                                            <p className="text-sage-soft/80">Noise</p>
+                                            <p className="font-semibold text-forest-deep">{reading.noise_level ?? '-'} dB</p>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        ) : (
+                            <p className="text-sage-soft">No environmental readings on this day for the selected location</p>
+                        )}
+                    </CardContent>
+                </Card>
+            )}
+
             {/* Visualizations */}
             <Tabs defaultValue="timeseries" className="space-y-6">
                 <TabsList className="bg-white/80 border border-sage-soft/30">
@@ -287,29 +339,56 @@ export default function Environmental() {
                                     Light
                                 </Button>
                             </div>
+                            <ResampleControls value={resampling} onChange={setResampling} />
                         </CardHeader>
                         <CardContent>
                             <ResponsiveContainer width="100%" height={400}>
-                                <LineChart data={timeSeriesData}>
+                                <LineChart data={series.rows}>
                                     <CartesianGrid strokeDasharray="3 3" stroke="#9caf88" opacity={0.3} />
-                                    <XAxis dataKey="date" stroke="#9caf88" fontSize={12} />
+                                    <XAxis
+                                        dataKey="timestamp"
+                                        type="number"
+                                        scale="time"
+                                        domain={['dataMin', 'dataMax']}
+                                        tickFormatter={axisTickFormatter(series.rows, resampling.granularity)}
+                                        stroke="#9caf88"
+                                        fontSize={12}
+                                    />
                                     <YAxis stroke="#9caf88" fontSize={12} />
                                     <Tooltip
+                                        labelFormatter={(timestamp) => formatBucketLabel(timestamp, resampling.granularity)}
                                         contentStyle={{
                                             backgroundColor: 'rgba(255, 255, 255, 0.95)',
                                             border: '1px solid #9caf88',
                                             borderRadius: '8px'
                                         }}
                                     />
+                                    {series.bands.map(band => (
+                                        <ReferenceArea key={band.x1} x1={band.x1} x2={band.x2} fill="#e8e2d4" fillOpacity={0.5} />
+                                    ))}
+                                    {focusDate && (
+                                        <ReferenceLine x={bucketTimestamp(focusDate, resampling.granularity)} stroke="#c65d07" strokeDasharray="4 4" />
+                                    )}
                                     <Line
                                         type="monotone"
-                                        dataKey={selectedMetric === "temperature" ? "temperature_avg" :
-                                            selectedMetric === "humidity" ? "humidity" : "light_exposure"}
-                                        stroke={selectedMetric === "temperature" ? "#c65d07" :
-                                            selectedMetric === "humidity" ? "#1e3a5f" : "#d4af37"}
+                                        dataKey={seriesMetric.key}
+                                        stroke={seriesMetric.color}
                                         strokeWidth={3}
                                         dot={{ fill: "#1a2e1a", strokeWidth: 2, r: 4 }}
+                                        connectNulls={false}
                                     />
+                                    {resampling.interpolate && (
+                                        <Line
+                                            type="monotone"
+                                            dataKey={interpolatedKey(seriesMetric.key)}
+                                            name="Interpolated"
+                                            stroke={seriesMetric.color}
+                                            strokeWidth={2}
+                                            strokeDasharray="6 4"
+                                            dot={false}
+                                            connectNulls={false}
+                                        />
+                                    )}
                                 </LineChart>
                             </ResponsiveContainer>
                         </CardContent>
@@ -0,0 +1,397 @@
+import React, { useMemo, useState } from "react";
+import { dataSource } from "@/data/entities";
+import { useDataStore, useEntities, useSyncStatus, withoutPending } from "@/data/store";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Upload, FileText, ArrowLeft, ArrowRight, CheckCircle2, Archive } from "lucide-react";
+import { ENTITY_NAMES } from "@/lib/schemas";
+import {
+    assignLocationsByDate,
+    buildImportPreview,
+    guessEntity,
+    importArchive,
+    parseImportFile,
+    suggestMapping,
+    unmappedRequiredFields
+} from "@/lib/importer";
+import { parseDeviceFile } from "@/lib/deviceImport";
+import { readZip } from "@/lib/zip";
+import { archiveFromBundle } from "@/lib/archiveBundle";
+import ColumnMapping from "@/components/import/ColumnMapping";
+import ImportPreview from "@/components/import/ImportPreview";
+import DeviceSummary from "@/components/import/DeviceSummary";
+
+const ENTITY_LABELS = {
+    Location: "Locations",
+    BiologicalData: "Biological data",
+    EnvironmentalData: "Environmental data",
+    JournalEntry: "Journal entries"
+};
+
+const STEPS = [
+    { value: "upload", label: "Choose file" },
+    { value: "map", label: "Map columns" },
+    { value: "preview", label: "Preview" },
+    { value: "done", label: "Import" }
+];
+
+export default function Import() {
+    const { records } = useEntities(ENTITY_NAMES);
+    // Imported records can only refer to locations the source already has
+    const locations = useMemo(() => withoutPending(records.Location), [records.Location]);
+    const { createRecords } = useDataStore();
+    const { isOnline } = useSyncStatus();
+    const [step, setStep] = useState("upload");
+    const [file, setFile] = useState(null);
+    const [entityName, setEntityName] = useState("Location");
+    const [parsed, setParsed] = useState(null);
+    const [mapping, setMapping] = useState({});
+    const [parseError, setParseError] = useState(null);
+    const [locationOverrides, setLocationOverrides] = useState({});
+    const [skipDuplicates, setSkipDuplicates] = useState(true);
+    const [progress, setProgress] = useState(null);
+    const [result, setResult] = useState(null);
+
+    // Re-reading the file per entity lets a multi-entity JSON archive switch between its sections
+    const prepare = (nextFile, nextEntityName) => {
+        try {
+            const nextParsed = parseImportFile(nextFile.name, nextFile.text, nextEntityName);
+            setParsed(nextParsed);
+            setMapping(suggestMapping(nextEntityName, nextParsed.headers));
+            setParseError(null);
+        } catch (error) {
+            setParsed(null);
+            setParseError(`Could not read ${nextFile.name}: ${error.message}`);
+        }
+        setEntityName(nextEntityName);
+        setLocationOverrides({});
+    };
+
+    // Device exports arrive already shaped as records, so their columns map onto themselves.
+    // Biometric days are placed at whichever location the traveller was staying at.
+    const prepareDevice = (device) => {
+        const isBiological = device.entityName === "BiologicalData";
+        const rows = isBiological ? assignLocationsByDate(device.records, locations) : device.records;
+        const headers = [...new Set([...(isBiological ? ["location_id"] : []), ...rows.flatMap(row => Object.keys(row))])];
+        setParsed({ format: device.format, headers, rows, entityNames: [device.entityName], device });
+        setMapping(Object.fromEntries(headers.map(header => [header, header])));
+        setEntityName(device.entityName);
+        setParseError(null);
+        setLocationOverrides({});
+    };
+
+    // An export bundle is read for its archive.json, which then imports like any JSON archive
+    const readSelectedFile = async (selected) => {
+        if (!/\.zip$/i.test(selected.name)) return { name: selected.name, text: await selected.text() };
+        const archive = archiveFromBundle(await readZip(await selected.arrayBuffer()));
+        return { name: selected.name, text: JSON.stringify(archive) };
+    };
+
+    const handleFileChange = async (event) => {
+        const selected = event.target.files?.[0];
+        if (!selected) return;
+
+        try {
+            const nextFile = await readSelectedFile(selected);
+            setFile(nextFile);
+            const device = parseDeviceFile(nextFile.name, nextFile.text);
+            if (device) {
+                prepareDevice(device);
+                return;
+            }
+            const firstPass = parseImportFile(nextFile.name, nextFile.text);
+            prepare(nextFile, firstPass.entityNames?.[0] || guessEntity(nextFile.name, firstPass.headers));
+        } catch (error) {
+            setParsed(null);
+            setParseError(`Could not read ${selected.name}: ${error.message}`);
+        }
+    };
+
+    const preview = useMemo(() => {
+        if (step !== "preview" || !parsed) return null;
+        return buildImportPreview({
+            entityName,
+            rows: parsed.rows,
+            mapping,
+            locations,
+            existingRecords: records[entityName],
+            locationOverrides
+        });
+    }, [step, parsed, entityName, mapping, locations, records, locationOverrides]);
+
+    const toImport = preview
+        ? preview.rows.filter(row => row.status === "ready" || (row.status === "duplicate" && !skipDuplicates))
+        : [];
+
+    const handleImport = async () => {
+        setStep("done");
+        setProgress({ done: 0, total: toImport.length });
+        const outcome = await createRecords(entityName, toImport.map(row => row.record), {
+            onProgress: (done) => setProgress({ done, total: toImport.length })
+        });
+        setResult([{
+            entityName,
+            created: outcome.created.filter(record => !record.pending_sync).length,
+            queued: outcome.created.filter(record => record.pending_sync).length,
+            failed: outcome.failed,
+            duplicates: skipDuplicates ? preview.summary.duplicates : 0,
+            invalid: preview.summary.invalid
+        }]);
+        setProgress(null);
+    };
+
+    // Every entity of an archive at once, with location ids carried across
+    const handleImportArchive = async () => {
+        setStep("done");
+        const outcome = await importArchive(JSON.parse(file.text), {
+            locations,
+            existingRecords: records,
+            createRecords,
+            skipDuplicates,
+            onProgress: setProgress
+        });
+        setResult(outcome);
+        setProgress(null);
+    };
+
+    const reset = () => {
+        setStep("upload");
+        setFile(null);
+        setParsed(null);
+        setMapping({});
+        setParseError(null);
+        setLocationOverrides({});
+        setResult(null);
+    };
+
+    const missingFields = parsed ? unmappedRequiredFields(entityName, mapping) : [];
+    const isArchive = parsed?.entityNames?.length > 1;
+    const unplacedDays = parsed?.device?.entityName === "BiologicalData" ? parsed.rows.filter(row => !row.location_id).length : 0;
+
+    return (
+        <div className="p-4 md:p-8 space-y-8 bg-gradient-to-br from-cream via-white to-stone/10 min-h-screen">
+            {/* Header */}
+            <div className="space-y-4">
+                <div className="flex items-center gap-3">
+                    <div className="w-10 h-10 bg-gradient-to-br from-stone to-sage-soft rounded-xl flex items-center justify-center">
+                        <Upload className="w-5 h-5 text-white" />
+                    </div>
+                    <div>
+                        <h1 className="text-3xl font-bold text-forest-deep tracking-tight">Import Data</h1>
+                        <p className="text-sage-soft font-medium">Bring in CSV or JSON files, GPS tracks and wearable exports</p>
+                    </div>
+                </div>
+
+                <div className="flex flex-wrap gap-2">
+                    {STEPS.map((item, index) => (
+                        <span
+                            key={item.value}
+                            className={`px-3 py-1 rounded-full text-sm ${
+                                item.value === step ? "bg-forest-deep text-white" : "bg-stone/20 text-sage-soft"
+                            }`}
+                        >
+                            {index + 1}. {item.label}
+                        </span>
+                    ))}
+                </div>
+            </div>
+
+            {dataSource.readOnly && (
+                <p className="text-terracotta">{dataSource.label} is read-only, so nothing can be imported into it.</p>
+            )}
+
+            {step === "upload" && (
+                <Card className="luxury-card">
+                    <CardHeader>
+                        <CardTitle className="text-forest-deep flex items-center gap-2">
+                            <FileText className="w-5 h-5" />
+                            Choose a file
+                        </CardTitle>
+                        <p className="text-sm text-sage-soft">
+                            CSV or JSON for any entity, a GPX track for locations, or an Apple Health export.xml,
+                            Fitbit or Garmin JSON export for biometrics, or an export bundle from Data Archive.
+                            Import locations before the data that refers to them.
+                        </p>
+                    </CardHeader>
+                    <CardContent className="space-y-6">
+                        <Input type="file" accept=".csv,.json,.gpx,.xml,.zip,text/csv,application/json" onChange={handleFileChange} className="bg-white/80 border-sage-soft/30" />
+                        {parseError && <p className="text-sm text-terracotta">{parseError}</p>}
+
+                        {parsed?.device && <DeviceSummary device={parsed.device} unplaced={unplacedDays} />}
+
+                        {parsed && !parsed.device && (
+                            <div className="flex flex-wrap items-center gap-3">
+                                <span className="text-forest-deep">
+                                    {parsed.rows.length} rows in <span className="font-medium">{file.name}</span>, importing as
+                                </span>
+                                <Select value={entityName} onValueChange={(value) => prepare(file, value)}>
+                                    <SelectTrigger className="w-56 bg-white/80 border-sage-soft/30">
+                                        <SelectValue />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        {(parsed.entityNames || ENTITY_NAMES).map(name => (
+                                            <SelectItem key={name} value={name}>{ENTITY_LABELS[name]}</SelectItem>
+                                        ))}
+                                    </SelectContent>
+                                </Select>
+                            </div>
+                        )}
+
+                        {isArchive && (
+                            <div className="p-4 bg-stone/10 rounded-lg space-y-3">
+                                <p className="text-forest-deep">
+                                    This archive holds {parsed.entityNames.map(name => ENTITY_LABELS[name].toLowerCase()).join(", ")}.
+                                    Import them all at once to keep every record linked to its location, or pick one above to review it first.
+                                </p>
+                                <div className="flex flex-wrap items-center gap-3">
+                                    <Button
+                                        onClick={handleImportArchive}
+                                        disabled={dataSource.readOnly || !isOnline}
+                                        title={!isOnline ? "Connect to import a whole archive" : undefined}
+                                        className="bg-forest-deep hover:bg-forest-deep/90"
+                                    >
+                                        <Archive className="w-4 h-4 mr-2" />
+                                        Import whole archive
+                                    </Button>
+                                    <Button variant="outline" onClick={() => setSkipDuplicates(!skipDuplicates)}>
+                                        {skipDuplicates ? "Skipping duplicates" : "Importing duplicates"}
+                                    </Button>
+                                </div>
+                            </div>
+                        )}
+
+                        <div className="flex justify-end">
+                            <Button
+                                onClick={() => setStep("map")}
+                                disabled={!parsed || parsed.rows.length === 0}
+                                className="bg-forest-deep hover:bg-forest-deep/90"
+                            >
+                                Map columns
+                                <ArrowRight className="w-4 h-4 ml-2" />
+                            </Button>
+                        </div>
+                    </CardContent>
+                </Card>
+            )}
+
+            {step === "map" && parsed && (
+                <Card className="luxury-card">
+                    <CardHeader>
+                        <CardTitle className="text-forest-deep">Map columns to {ENTITY_LABELS[entityName].toLowerCase()}</CardTitle>
+                    </CardHeader>
+                    <CardContent className="space-y-6">
+                        <ColumnMapping
+                            entityName={entityName}
+                            headers={parsed.headers}
+                            rows={parsed.rows}
+                            mapping={mapping}
+                            onChange={setMapping}
+                        />
+                        <div className="flex justify-between">
+                            <Button variant="outline" onClick={() => setStep("upload")}>
+                                <ArrowLeft className="w-4 h-4 mr-2" />
+                                Back
+                            </Button>
+                            <Button
+                                onClick={() => setStep("preview")}
+                                disabled={missingFields.length > 0}
+                                className="bg-forest-deep hover:bg-forest-deep/90"
+                            >
+                                Preview
+                                <ArrowRight className="w-4 h-4 ml-2" />
+                            </Button>
+                        </div>
+                    </CardContent>
+                </Card>
+            )}
+
+            {step === "preview" && preview && (
+                <Card className="luxury-card">
+                    <CardHeader>
+                        <CardTitle className="text-forest-deep">Preview</CardTitle>
+                        <p className="text-sm text-sage-soft">
+                            Rows are checked against the {entityName} schema. Duplicates share a location and date with an existing record or an earlier row.
+                        </p>
+                    </CardHeader>
+                    <CardContent className="space-y-6">
+                        <ImportPreview
+                            entityName={entityName}
+                            preview={preview}
+                            mapping={mapping}
+                            locations={locations}
+                            locationOverrides={locationOverrides}
+                            onLocationOverride={(reference, locationId) => setLocationOverrides({ ...locationOverrides, [reference]: locationId })}
+                            skipDuplicates={skipDuplicates}
+                            onSkipDuplicatesChange={setSkipDuplicates}
+                        />
+                        <div className="flex justify-between">
+                            <Button variant="outline" onClick={() => setStep("map")}>
+                                <ArrowLeft className="w-4 h-4 mr-2" />
+                                Back
+                            </Button>
+                            <Button
+                                onClick={handleImport}
+                                disabled={toImport.length === 0 || dataSource.readOnly}
+                                title={dataSource.readOnly ? `${dataSource.label} is read-only` : undefined}
+                                className="bg-forest-deep hover:bg-forest-deep/90"
+                            >
+                                <Upload className="w-4 h-4 mr-2" />
+                                Import {toImport.length} {toImport.length === 1 ? "record" : "records"}
+                            </Button>
+                        </div>
+                    </CardContent>
+                </Card>
+            )}
+
+            {step === "done" && (
+                <Card className="luxury-card">
+                    <CardContent className="p-8 space-y-4 text-center">
+                        {progress ? (
+                            <>
+                                <div className="w-8 h-8 mx-auto border-2 border-forest-deep border-t-transparent rounded-full animate-spin" />
+                                <p className="text-forest-deep">
+                                    Importing {progress.entityName && `${ENTITY_LABELS[progress.entityName].toLowerCase()}: `}
+                                    {progress.done} of {progress.total}…
+                                </p>
+                            </>
+                        ) : result && (
+                            <>
+                                <CheckCircle2 className="w-10 h-10 mx-auto text-sage-soft" />
+                                {result.map(entity => (
+                                    <div key={entity.entityName} className="space-y-1">
+                                        <p className="text-xl font-semibold text-forest-deep">
+                                            Imported {entity.created} {ENTITY_LABELS[entity.entityName].toLowerCase()}
+                                        </p>
+                                        {entity.queued > 0 && (
+                                            <p className="text-sage-soft">{entity.queued} saved offline and waiting to sync</p>
+                                        )}
+                                        {(entity.duplicates > 0 || entity.invalid > 0) && (
+                                            <p className="text-sage-soft">
+                                                Skipped {entity.duplicates} duplicates and {entity.invalid} invalid rows
+                                            </p>
+                                        )}
+                                        {entity.failed.length > 0 && (
+                                            <div className="space-y-1 text-terracotta">
+                                                <p>{entity.failed.length} could not be saved</p>
+                                                <ul className="text-sm">
+                                                    {[...new Set(entity.failed.map(({ error }) => error.message))].slice(0, 5).map(message => (
+                                                        <li key={message}>{message}</li>
+                                                    ))}
+                                                </ul>
+                                            </div>
+                                        )}
+                                    </div>
+                                ))}
+                                <Button onClick={reset} className="bg-forest-deep hover:bg-forest-deep/90">
+                                    Import another file
+                                </Button>
+                            </>
+                        )}
+                    </CardContent>
+                </Card>
+            )}
+        </div>
+    );
+}
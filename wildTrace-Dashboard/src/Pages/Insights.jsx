@@ -0,0 +1,111 @@
+import React from "react";
+import { useEntities, useLocationLookup } from "@/data/store";
+import { Badge } from "@/components/ui/badge";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { Brain } from "lucide-react";
+import AnomalyPanel from "@/components/insights/AnomalyPanel";
+import ClusterPanel from "@/components/insights/ClusterPanel";
+import ForecastPanel from "@/components/insights/ForecastPanel";
+import NarrativeCards from "@/components/insights/NarrativeCards";
+import EmotionSignatureHeatmap from "@/components/insights/EmotionSignatureHeatmap";
+
+export default function Insights() {
+    const { records, isLoading } = useEntities(["BiologicalData", "EnvironmentalData", "JournalEntry", "Location"]);
+    const { getLocationName } = useLocationLookup();
+    const biologicalData = records.BiologicalData;
+    const environmentalData = records.EnvironmentalData;
+    const journalEntries = records.JournalEntry;
+
+    if (isLoading) {
+        return (
+            <div className="p-8 space-y-6">
+                <div className="space-y-4">
+                    <div className="h-8 w-64 bg-stone/20 rounded animate-pulse"></div>
+                    <div className="h-4 w-96 bg-stone/20 rounded animate-pulse"></div>
+                </div>
+                <div className="h-96 bg-stone/20 rounded-xl animate-pulse"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="p-4 md:p-8 space-y-8 bg-gradient-to-br from-cream via-white to-stone/10 min-h-screen">
+            {/* Header */}
+            <div className="space-y-4">
+                <div className="flex items-center gap-3">
+                    <div className="w-10 h-10 bg-gradient-to-br from-navy-deep to-sage-soft rounded-xl flex items-center justify-center">
+                        <Brain className="w-5 h-5 text-white" />
+                    </div>
+                    <div>
+                        <h1 className="text-3xl font-bold text-forest-deep tracking-tight">Insights</h1>
+                        <p className="text-sage-soft font-medium">Patterns hidden in your body, surroundings and moods</p>
+                    </div>
+                </div>
+
+                <div className="flex gap-4">
+                    <Badge variant="outline" className="bg-white/80 border-sage-soft/30">
+                        {biologicalData.length} bio readings
+                    </Badge>
+                    <Badge variant="outline" className="bg-white/80 border-sage-soft/30">
+                        {environmentalData.length} env readings
+                    </Badge>
+                    <Badge variant="outline" className="bg-white/80 border-sage-soft/30">
+                        {journalEntries.length} journal entries
+                    </Badge>
+                </div>
+            </div>
+
+            <Tabs defaultValue="findings" className="space-y-6">
+                <TabsList className="bg-white/80 border border-sage-soft/30">
+                    <TabsTrigger value="findings">Findings</TabsTrigger>
+                    <TabsTrigger value="anomalies">Anomalies</TabsTrigger>
+                    <TabsTrigger value="states">Experience States</TabsTrigger>
+                    <TabsTrigger value="forecasts">Forecasts</TabsTrigger>
+                    <TabsTrigger value="emotions">Emotion Signatures</TabsTrigger>
+                </TabsList>
+
+                <TabsContent value="findings">
+                    <NarrativeCards
+                        biologicalData={biologicalData}
+                        environmentalData={environmentalData}
+                        journalEntries={journalEntries}
+                        className="grid md:grid-cols-2 lg:grid-cols-3 gap-6"
+                    />
+                </TabsContent>
+
+                <TabsContent value="anomalies">
+                    <AnomalyPanel
+                        biologicalData={biologicalData}
+                        environmentalData={environmentalData}
+                        getLocationName={getLocationName}
+                    />
+                </TabsContent>
+
+                <TabsContent value="states">
+                    <ClusterPanel
+                        biologicalData={biologicalData}
+                        environmentalData={environmentalData}
+                        journalEntries={journalEntries}
+                        getLocationName={getLocationName}
+                    />
+                </TabsContent>
+
+                <TabsContent value="forecasts">
+                    <ForecastPanel
+                        biologicalData={biologicalData}
+                        environmentalData={environmentalData}
+                        journalEntries={journalEntries}
+                    />
+                </TabsContent>
+
+                <TabsContent value="emotions">
+                    <EmotionSignatureHeatmap
+                        biologicalData={biologicalData}
+                        environmentalData={environmentalData}
+                        journalEntries={journalEntries}
+                    />
+                </TabsContent>
+            </Tabs>
+        </div>
+    );
+}
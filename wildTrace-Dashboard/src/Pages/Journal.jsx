@@ -1,5 +1,6 @@
-import React, { useState, useEffect } from "react";
-import { JournalEntry, Location } from "@/entities/all";
+import React, { useState, useMemo, useEffect } from "react";
+import { dataSource } from "@/data/entities";
+import { useAuditLog, useDataStore, useEntities, useLocationLookup, withoutPending } from "@/data/store";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
@@ -7,12 +8,19 @@ import { Input } from "@/components/ui/input";
 import { Textarea } from "@/components/ui/textarea";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
-import { BookOpen, Heart, Star, MapPin, Calendar, Plus, Search, Filter, Image as ImageIcon, Mic } from "lucide-react";
-import { format } from "date-fns";
+import { BookOpen, Heart, Star, MapPin, Calendar, Plus, Search, Filter, Image as ImageIcon, Mic, Pencil, Trash2, Undo2 } from "lucide-react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { summarize, formatStat } from "@/lib/missingData";
+import { toDayKey, formatDay } from "@/lib/stats";
 import { motion, AnimatePresence } from "framer-motion";
 
 const EMOTIONS = ["calm", "joy", "excitement", "fear", "anxiety", "fatigue", "wonder", "peace", "stress", "curiosity", "melancholy", "euphoria"];
 
+const MOOD_SCORES = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+// How long a deleted entry can be brought back from the banner; after that, from the audit log
+const UNDO_SECONDS = 10;
+
 const EMOTION_COLORS = {
     calm: "bg-sage-soft/20 text-sage-soft border-sage-soft/30",
     joy: "bg-gold-accent/20 text-gold-accent border-gold-accent/30",
@@ -29,38 +37,29 @@ const EMOTION_COLORS = {
 };
 
 export default function Journal() {
-    const [journalEntries, setJournalEntries] = useState([]);
-    const [locations, setLocations] = useState([]);
+    const { records, isLoading } = useEntities(["JournalEntry", "Location"], { withinDateRange: true });
+    const { getLocationName } = useLocationLookup();
+    const { updateRecord, deleteRecord } = useDataStore();
+    const { revertAuditEntry } = useAuditLog();
+    const locations = records.Location;
+    // Newest entries first; the store keeps them in ascending date order
+    const journalEntries = useMemo(() => [...records.JournalEntry].reverse(), [records.JournalEntry]);
     const [selectedLocation, setSelectedLocation] = useState("all");
     const [selectedEmotion, setSelectedEmotion] = useState("all");
     const [searchQuery, setSearchQuery] = useState("");
     const [showNewEntry, setShowNewEntry] = useState(false);
-    const [isLoading, setIsLoading] = useState(true);
+    const [editingEntry, setEditingEntry] = useState(null);
+    // Ids of entries with a quick action or delete in flight
+    const [busyIds, setBusyIds] = useState(() => new Set());
+    const [actionError, setActionError] = useState(null);
+    // { title, auditId } of the last deleted entry, while it can still be undone
+    const [undo, setUndo] = useState(null);
 
     useEffect(() => {
-        loadData();
-    }, []);
-
-    const loadData = async () => {
-        setIsLoading(true);
-        try {
-            const [entriesData, locationsData] = await Promise.all([
-                JournalEntry.list('-date'),
-                Location.list('arrival_date')
-            ]);
-
-            setJournalEntries(entriesData);
-            setLocations(locationsData);
-        } catch (error) {
-            console.error("Error loading journal data:", error);
-        }
-        setIsLoading(false);
-    };
-
-    const getLocationName = (locationId) => {
-        const location = locations.find(loc => loc.id === locationId);
-        return location ? location.name : "Unknown Location";
-    };
+        if (!undo) return undefined;
+        const timer = setTimeout(() => setUndo(null), UNDO_SECONDS * 1000);
+        return () => clearTimeout(timer);
+    }, [undo]);
 
     const getFilteredEntries = () => {
         let filtered = journalEntries;
@@ -83,11 +82,10 @@ export default function Journal() {
         return filtered;
     };
 
-    const getHighlightMoments = () => {
-        return journalEntries.filter(entry => entry.highlight_moment);
-    };
+    // Derived from the store's records, so they follow every edit, star and delete once the store refreshes
+    const highlightMoments = useMemo(() => journalEntries.filter(entry => entry.highlight_moment), [journalEntries]);
 
-    const getEmotionStats = () => {
+    const emotionStats = useMemo(() => {
         const emotionCounts = {};
         journalEntries.forEach(entry => {
             entry.emotions?.forEach(emotion => {
@@ -98,16 +96,56 @@ export default function Journal() {
         return Object.entries(emotionCounts)
             .sort(([,a], [,b]) => b - a)
             .slice(0, 6);
+    }, [journalEntries]);
+
+    // Oldest first, as the chart reads left to right
+    const moodTrend = useMemo(() => records.JournalEntry
+        .filter(entry => entry.mood_score && toDayKey(entry.date))
+        .map(entry => ({
+            date: formatDay(entry.date, 'MMM d'),
+            mood: entry.mood_score,
+            location: getLocationName(entry.location_id)
+        })), [records.JournalEntry, getLocationName]);
+
+    const canChange = (entry) => !dataSource.readOnly && !entry.pending_sync;
+
+    const runAction = async (entry, action) => {
+        setBusyIds(current => new Set(current).add(entry.id));
+        setActionError(null);
+        try {
+            await action();
+        } catch (error) {
+            console.error("Error changing journal entry:", error);
+            setActionError(error.message || "The entry could not be changed");
+        }
+        setBusyIds(current => {
+            const next = new Set(current);
+            next.delete(entry.id);
+            return next;
+        });
     };
 
-    const getMoodTrend = () => {
-        return journalEntries
-            .filter(entry => entry.mood_score)
-            .map(entry => ({
-                date: format(new Date(entry.date), 'MMM d'),
-                mood: entry.mood_score,
-                location: getLocationName(entry.location_id)
-            }));
+    const toggleHighlight = (entry) =>
+        runAction(entry, () => updateRecord("JournalEntry", entry.id, { highlight_moment: !entry.highlight_moment }));
+
+    const changeMood = (entry, moodScore) =>
+        runAction(entry, () => updateRecord("JournalEntry", entry.id, { mood_score: moodScore }));
+
+    const removeEntry = (entry) => runAction(entry, async () => {
+        const [deleted] = await deleteRecord("JournalEntry", entry.id);
+        setUndo({ title: entry.title, auditId: deleted.audit_id });
+    });
+
+    // The entry comes back through the audit log, with a new id
+    const undoDelete = async () => {
+        const { auditId } = undo;
+        setUndo(null);
+        try {
+            await revertAuditEntry(auditId);
+        } catch (error) {
+            console.error("Error restoring journal entry:", error);
+            setActionError(error.message || "The entry could not be restored");
+        }
     };
 
     if (isLoading) {
@@ -127,8 +165,6 @@ export default function Journal() {
     }
 
     const filteredEntries = getFilteredEntries();
-    const highlightMoments = getHighlightMoments();
-    const emotionStats = getEmotionStats();
 
     return (
         <div className="p-4 md:p-8 space-y-8 bg-gradient-to-br from-cream via-white to-stone/10 min-h-screen">
@@ -186,7 +222,11 @@ export default function Journal() {
 
                     <Dialog open={showNewEntry} onOpenChange={setShowNewEntry}>
                         <DialogTrigger asChild>
-                            <Button className="bg-forest-deep hover:bg-forest-deep/90">
+                            <Button
+                                className="bg-forest-deep hover:bg-forest-deep/90"
+                                disabled={dataSource.readOnly}
+                                title={dataSource.readOnly ? `${dataSource.label} is read-only` : undefined}
+                            >
                                 <Plus className="w-4 h-4 mr-2" />
                                 New Entry
                             </Button>
@@ -195,9 +235,7 @@ export default function Journal() {
                             <DialogHeader>
                                 <DialogTitle>Create New Journal Entry</DialogTitle>
                             </DialogHeader>
-                            <NewEntryForm
-                                locations={locations}
-                                onSave={loadData}
+                            <JournalEntryForm
                                 onClose={() => setShowNewEntry(false)}
                             />
                         </DialogContent>
@@ -213,6 +251,8 @@ export default function Journal() {
                         {highlightMoments.length} highlights
                     </Badge>
                 </div>
+
+                {actionError && <p className="text-sm text-terracotta">{actionError}</p>}
             </div>
 
             {/* Emotion Overview */}
@@ -246,9 +286,27 @@ export default function Journal() {
                     <CardContent>
                         <div className="space-y-2">
                             <p className="text-2xl font-bold text-forest-deep">
-                                {(journalEntries.reduce((sum, entry) => sum + (entry.mood_score || 0), 0) / journalEntries.length).toFixed(1)}/10
+                                {formatStat(summarize(journalEntries, "mood_score").mean, 1)}/10
                             </p>
                             <div className="text-xs text-sage-soft">Across all locations</div>
+                            {moodTrend.length > 1 && (
+                                <ResponsiveContainer width="100%" height={80}>
+                                    <LineChart data={moodTrend}>
+                                        <XAxis dataKey="date" hide />
+                                        <YAxis domain={[1, 10]} hide />
+                                        <Tooltip
+                                            formatter={(value) => [`${value}/10`, "Mood"]}
+                                            labelFormatter={(label, payload) => (payload?.[0] ? `${label} · ${payload[0].payload.location}` : label)}
+                                            contentStyle={{
+                                                backgroundColor: 'rgba(255, 255, 255, 0.95)',
+                                                border: '1px solid #9caf88',
+                                                borderRadius: '8px'
+                                            }}
+                                        />
+                                        <Line type="monotone" dataKey="mood" stroke="#c65d07" strokeWidth={2} dot={false} />
+                                    </LineChart>
+                                </ResponsiveContainer>
+                            )}
                         </div>
                     </CardContent>
                 </Card>
@@ -312,10 +370,15 @@ export default function Journal() {
                                         <div className="flex items-start justify-between">
                                             <div className="space-y-2">
                                                 <div className="flex items-center gap-3">
-                                                    {entry.highlight_moment && (
+                                                    {entry.highlight_moment && !canChange(entry) && (
                                                         <Star className="w-4 h-4 text-gold-accent fill-gold-accent" />
                                                     )}
                                                     <h3 className="text-xl font-bold text-forest-deep">{entry.title}</h3>
+                                                    {entry.pending_sync && (
+                                                        <Badge variant="outline" className="bg-gold-accent/10 text-gold-accent border-gold-accent/30 text-xs">
+                                                            Waiting to sync
+                                                        </Badge>
+                                                    )}
                                                 </div>
                                                 <div className="flex items-center gap-4 text-sm text-sage-soft">
                                                     <div className="flex items-center gap-1">
@@ -324,9 +387,9 @@ export default function Journal() {
                                                     </div>
                                                     <div className="flex items-center gap-1">
                                                         <Calendar className="w-3 h-3" />
-                                                        {format(new Date(entry.date), 'MMM d, yyyy')}
+                                                        {formatDay(entry.date, 'MMM d, yyyy') ?? entry.date}
                                                     </div>
-                                                    {entry.mood_score && (
+                                                    {entry.mood_score && !canChange(entry) && (
                                                         <div className="flex items-center gap-1">
                                                             <Heart className="w-3 h-3" />
                                                             {entry.mood_score}/10
@@ -334,6 +397,55 @@ export default function Journal() {
                                                     )}
                                                 </div>
                                             </div>
+
+                                            {canChange(entry) && (
+                                                <div className="flex items-center gap-1">
+                                                    <Button
+                                                        variant="ghost"
+                                                        size="icon"
+                                                        onClick={() => toggleHighlight(entry)}
+                                                        disabled={busyIds.has(entry.id)}
+                                                        title={entry.highlight_moment ? "Remove from highlights" : "Mark as highlight moment"}
+                                                    >
+                                                        <Star className={`w-4 h-4 ${entry.highlight_moment ? "text-gold-accent fill-gold-accent" : "text-sage-soft"}`} />
+                                                    </Button>
+                                                    <Select
+                                                        value={entry.mood_score ? String(entry.mood_score) : undefined}
+                                                        onValueChange={(value) => changeMood(entry, Number(value))}
+                                                        disabled={busyIds.has(entry.id)}
+                                                    >
+                                                        <SelectTrigger className="w-24 h-8 bg-white/80 border-sage-soft/30" title="Mood score">
+                                                            <Heart className="w-3 h-3 mr-1 text-terracotta" />
+                                                            <SelectValue placeholder="Mood" />
+                                                        </SelectTrigger>
+                                                        <SelectContent>
+                                                            {MOOD_SCORES.map(score => (
+                                                                <SelectItem key={score} value={String(score)}>{score}/10</SelectItem>
+                                                            ))}
+                                                        </SelectContent>
+                                                    </Select>
+                                                    <Button
+                                                        variant="ghost"
+                                                        size="icon"
+                                                        onClick={() => setEditingEntry(entry)}
+                                                        disabled={busyIds.has(entry.id)}
+                                                        className="text-sage-soft hover:text-forest-deep"
+                                                        title="Edit entry"
+                                                    >
+                                                        <Pencil className="w-4 h-4" />
+                                                    </Button>
+                                                    <Button
+                                                        variant="ghost"
+                                                        size="icon"
+                                                        onClick={() => removeEntry(entry)}
+                                                        disabled={busyIds.has(entry.id)}
+                                                        className="text-sage-soft hover:text-terracotta"
+                                                        title="Delete entry"
+                                                    >
+                                                        <Trash2 className="w-4 h-4" />
+                                                    </Button>
+                                                </div>
+                                            )}
                                         </div>
                                     </CardHeader>
                                     <CardContent className="space-y-4">
@@ -396,12 +508,46 @@ export default function Journal() {
                     </Card>
                 )}
             </div>
+
+            <Dialog open={Boolean(editingEntry)} onOpenChange={(open) => !open && setEditingEntry(null)}>
+                <DialogContent className="max-w-2xl">
+                    <DialogHeader>
+                        <DialogTitle>Edit Journal Entry</DialogTitle>
+                    </DialogHeader>
+                    {editingEntry && (
+                        <JournalEntryForm
+                            key={editingEntry.id}
+                            entry={editingEntry}
+                            onClose={() => setEditingEntry(null)}
+                        />
+                    )}
+                </DialogContent>
+            </Dialog>
+
+            {undo && (
+                <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 px-4 py-3 rounded-lg bg-forest-deep text-white shadow-xl">
+                    <span className="text-sm">Deleted “{undo.title}”</span>
+                    <Button size="sm" variant="outline" onClick={undoDelete} className="bg-transparent text-white border-white/40 hover:bg-white/10">
+                        <Undo2 className="w-4 h-4 mr-1" />
+                        Undo
+                    </Button>
+                </div>
+            )}
         </div>
     );
 }
 
-function NewEntryForm({ locations, onSave, onClose }) {
-    const [formData, setFormData] = useState({
+const toFormData = (entry) => (entry
+    ? {
+        location_id: entry.location_id || "",
+        date: toDayKey(entry.date) || "",
+        title: entry.title || "",
+        content: entry.content || "",
+        emotions: entry.emotions || [],
+        mood_score: entry.mood_score ?? 5,
+        highlight_moment: Boolean(entry.highlight_moment)
+    }
+    : {
         location_id: "",
         date: new Date().toISOString().split('T')[0],
         title: "",
@@ -411,15 +557,37 @@ function NewEntryForm({ locations, onSave, onClose }) {
         highlight_moment: false
     });
 
+// Creates an entry, or edits the one passed in
+function JournalEntryForm({ entry, onClose }) {
+    const { createRecord, updateRecord } = useDataStore();
+    // Every location can be picked, not only those inside the selected date range, but not one still
+    // queued offline: its id goes away once the outbox syncs
+    const allLocations = useEntities(["Location"]).records.Location;
+    const locations = useMemo(() => withoutPending(allLocations), [allLocations]);
+    const [initial] = useState(() => toFormData(entry));
+    const [formData, setFormData] = useState(initial);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+
     const handleSubmit = async (e) => {
         e.preventDefault();
+        setIsSaving(true);
+        setError(null);
         try {
-            await JournalEntry.create(formData);
-            onSave();
+            if (entry) {
+                // Only the fields that were changed, so the audit log shows exactly the edit
+                const changes = Object.fromEntries(Object.entries(formData)
+                    .filter(([field, value]) => JSON.stringify(value) !== JSON.stringify(initial[field])));
+                if (Object.keys(changes).length > 0) await updateRecord("JournalEntry", entry.id, changes);
+            } else {
+                await createRecord("JournalEntry", formData);
+            }
             onClose();
-        } catch (error) {
-            console.error("Error creating journal entry:", error);
+        } catch (saveError) {
+            console.error("Error saving journal entry:", saveError);
+            setError(saveError.message || "The entry could not be saved");
         }
+        setIsSaving(false);
     };
 
     const toggleEmotion = (emotion) => {
@@ -534,12 +702,14 @@ function NewEntryForm({ locations, onSave, onClose }) {
                 </div>
             </div>
 
+            {error && <p className="text-sm text-terracotta">{error}</p>}
+
             <div className="flex justify-end gap-3 pt-4">
                 <Button type="button" variant="outline" onClick={onClose}>
                     Cancel
                 </Button>
-                <Button type="submit" className="bg-forest-deep hover:bg-forest-deep/90">
-                    Save Entry
+                <Button type="submit" disabled={isSaving} className="bg-forest-deep hover:bg-forest-deep/90">
+                    {isSaving ? "Saving..." : entry ? "Save Changes" : "Save Entry"}
                 </Button>
             </div>
         </form>
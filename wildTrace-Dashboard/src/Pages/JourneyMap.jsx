@@ -1,11 +1,14 @@
-import React, { useState, useEffect } from "react";
+import React, { useState } from "react";
 import { MapContainer, TileLayer, Marker, Popup, Polyline } from 'react-leaflet';
-import { Location, EnvironmentalData, JournalEntry } from "@/entities/all";
+import { useEntities } from "@/data/store";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
-import { MapPin, Calendar, Thermometer, Image as ImageIcon } from "lucide-react";
+import { MapPin, Calendar, Thermometer, Image as ImageIcon, Download } from "lucide-react";
 import { format } from "date-fns";
+import { summarize, formatStat } from "@/lib/missingData";
+import { JOURNEY_FORMATS, buildJourneyExport, journeyStops } from "@/lib/journeyExport";
+import { downloadFile } from "@/lib/download";
 import 'leaflet/dist/leaflet.css';
 
 // Fix for default markers in react-leaflet
@@ -18,33 +21,11 @@ L.Icon.Default.mergeOptions({
 });
 
 export default function JourneyMap() {
-    const [locations, setLocations] = useState([]);
-    const [environmentalData, setEnvironmentalData] = useState([]);
-    const [journalEntries, setJournalEntries] = useState([]);
+    const { records, isLoading } = useEntities(["Location", "EnvironmentalData", "JournalEntry"], { withinDateRange: true });
+    const locations = records.Location;
+    const environmentalData = records.EnvironmentalData;
+    const journalEntries = records.JournalEntry;
     const [selectedLocation, setSelectedLocation] = useState(null);
-    const [isLoading, setIsLoading] = useState(true);
-
-    useEffect(() => {
-        loadData();
-    }, []);
-
-    const loadData = async () => {
-        setIsLoading(true);
-        try {
-            const [locationsData, envData, journalData] = await Promise.all([
-                Location.list('arrival_date'),
-                EnvironmentalData.list(),
-                JournalEntry.list()
-            ]);
-
-            setLocations(locationsData);
-            setEnvironmentalData(envData);
-            setJournalEntries(journalData);
-        } catch (error) {
-            console.error("Error loading data:", error);
-        }
-        setIsLoading(false);
-    };
 
     const getLocationEnvironmentalData = (locationId) => {
         return environmentalData.filter(data => data.location_id === locationId);
@@ -55,9 +36,17 @@ export default function JourneyMap() {
     };
 
     const createJourneyPath = () => {
-        return locations
-            .sort((a, b) => new Date(a.arrival_date) - new Date(b.arrival_date))
-            .map(location => [location.latitude, location.longitude]);
+        return journeyStops(locations).map(location => [location.latitude, location.longitude]);
+    };
+
+    // Exports what the map shows: the locations and readings within the selected date range
+    const exportJourney = (formatId) => {
+        const { content, fileName, type } = buildJourneyExport(
+            formatId,
+            { locations, environmental: environmentalData, journal: journalEntries },
+            `wildtrace-journey-${format(new Date(), 'yyyy-MM-dd')}`
+        );
+        downloadFile(content, fileName, type);
     };
 
     const getMapCenter = () => {
@@ -93,7 +82,7 @@ export default function JourneyMap() {
                     </div>
                 </div>
 
-                <div className="flex gap-4">
+                <div className="flex flex-wrap items-center gap-4">
                     <Badge variant="outline" className="bg-white/80 border-sage-soft/30">
                         <MapPin className="w-3 h-3 mr-1" />
                         {locations.length} locations
@@ -106,6 +95,21 @@ export default function JourneyMap() {
                         <ImageIcon className="w-3 h-3 mr-1" />
                         {journalEntries.length} journal entries
                     </Badge>
+                    <div className="flex gap-2">
+                        {JOURNEY_FORMATS.map(journeyFormat => (
+                            <Button
+                                key={journeyFormat.value}
+                                size="sm"
+                                variant="outline"
+                                onClick={() => exportJourney(journeyFormat.value)}
+                                disabled={locations.length === 0}
+                                className="bg-white/80 border-sage-soft/30"
+                            >
+                                <Download className="w-3 h-3 mr-1" />
+                                {journeyFormat.label}
+                            </Button>
+                        ))}
+                    </div>
                 </div>
             </div>
 
@@ -239,18 +243,18 @@ export default function JourneyMap() {
                                     <CardContent>
                                         {(() => {
                                             const envData = getLocationEnvironmentalData(selectedLocation.id);
-                                            const avgTemp = envData.reduce((sum, d) => sum + (d.temperature_avg || 0), 0) / envData.length;
-                                            const avgHumidity = envData.reduce((sum, d) => sum + (d.humidity || 0), 0) / envData.length;
+                                            const avgTemp = summarize(envData, "temperature_avg").mean;
+                                            const avgHumidity = summarize(envData, "humidity").mean;
 
                                             return (
                                                 <div className="grid grid-cols-2 gap-4 text-sm">
                                                     <div>
                                                         <p className="text-sage-soft/80">Avg Temperature</p>
-                                                        <p className="font-semibold text-forest-deep">{avgTemp.toFixed(1)}°C</p>
+                                                        <p className="font-semibold text-forest-deep">{formatStat(avgTemp, 1)}°C</p>
                                                     </div>
                                                     <div>
                                                         <p className="text-sage-soft/80">Avg Humidity</p>
-                                                        <p className="font-semibold text-forest-deep">{avgHumidity.toFixed(0)}%</p>
+                                                        <p className="font-semibold text-forest-deep">{formatStat(avgHumidity)}%</p>
                                                     </div>
                                                 </div>
                                             );
@@ -0,0 +1,330 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { dataSource } from "@/data/entities";
+import { useDataStore, useEntities, useSyncStatus } from "@/data/store";
+import { SNAPSHOT_STORES, getSnapshotStore } from "@/data/snapshots";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { GitCompare, Camera, History, Trash2, Undo2 } from "lucide-react";
+import { format } from "date-fns";
+import { ENTITY_NAMES } from "@/lib/schemas";
+import { compareHeadlineStats, createSnapshot, diffSnapshots, snapshotRecords, summarizeSnapshot } from "@/lib/snapshots";
+import SnapshotDiff from "@/components/snapshots/SnapshotDiff";
+import RestoreSnapshotDialog from "@/components/snapshots/RestoreSnapshotDialog";
+
+const ENTITY_LABELS = {
+    Location: "locations",
+    BiologicalData: "biological",
+    EnvironmentalData: "environmental",
+    JournalEntry: "journal"
+};
+
+// The live records, offered next to the saved snapshots wherever one can be picked
+const CURRENT = "current";
+
+const snapshotKey = (storeId, id) => `${storeId}:${id}`;
+
+const countRecords = (recordsByEntity) =>
+    Object.fromEntries(ENTITY_NAMES.map(entityName => [entityName, recordsByEntity[entityName].length]));
+
+const formatCounts = (counts) => ENTITY_NAMES.map(entityName => `${counts?.[entityName] ?? 0} ${ENTITY_LABELS[entityName]}`).join(" · ");
+
+function VersionSelect({ value, onChange, snapshots }) {
+    return (
+        <Select value={value} onValueChange={onChange}>
+            <SelectTrigger className="w-72 bg-white/80 border-sage-soft/30">
+                <SelectValue placeholder="Choose a version" />
+            </SelectTrigger>
+            <SelectContent>
+                <SelectItem value={CURRENT}>Current data</SelectItem>
+                {snapshots.map(snapshot => (
+                    <SelectItem key={snapshot.key} value={snapshot.key}>
+                        {snapshot.name} ({format(new Date(snapshot.created_at), 'MMM d, yyyy HH:mm')})
+                    </SelectItem>
+                ))}
+            </SelectContent>
+        </Select>
+    );
+}
+
+export default function Snapshots() {
+    const { records, isLoading } = useEntities(ENTITY_NAMES);
+    const { restoreSnapshot } = useDataStore();
+    const { isOnline } = useSyncStatus();
+    const [snapshots, setSnapshots] = useState([]);
+    const [listErrors, setListErrors] = useState([]);
+    const [name, setName] = useState("");
+    const [note, setNote] = useState("");
+    const [storeId, setStoreId] = useState(SNAPSHOT_STORES[0].id);
+    const [isSaving, setIsSaving] = useState(false);
+    const [saveError, setSaveError] = useState(null);
+    // Whole snapshots by key, fetched when they are first compared or restored
+    const [loaded, setLoaded] = useState({});
+    const [loadError, setLoadError] = useState(null);
+    const requests = useRef({});
+    const [baseKey, setBaseKey] = useState(null);
+    const [targetKey, setTargetKey] = useState(CURRENT);
+    const [restoringKey, setRestoringKey] = useState(null);
+    const [deletingKey, setDeletingKey] = useState(null);
+
+    const currentRecords = useMemo(() => snapshotRecords(records), [records]);
+    const canRestore = !dataSource.readOnly && isOnline;
+
+    useEffect(() => {
+        Promise.all(SNAPSHOT_STORES.map(store => store.list()
+            .then(list => ({ list: list.map(summary => ({ ...summary, storeId: store.id, key: snapshotKey(store.id, summary.id) })) }))
+            .catch(error => {
+                console.error(`Could not list snapshots in ${store.label}:`, error);
+                return { list: [], error: `${store.label}: ${error.message}` };
+            })))
+            .then(results => {
+                const all = results.flatMap(result => result.list).sort((a, b) => b.created_at.localeCompare(a.created_at));
+                setSnapshots(all);
+                setListErrors(results.filter(result => result.error).map(result => result.error));
+                if (all.length > 0) setBaseKey(current => current || all[0].key);
+            });
+    }, []);
+
+    const loadSnapshot = useCallback((key) => {
+        if (key === CURRENT || requests.current[key]) return requests.current[key];
+        const summary = snapshots.find(snapshot => snapshot.key === key);
+        if (!summary) return null;
+        requests.current[key] = getSnapshotStore(summary.storeId).get(summary.id)
+            .then(snapshot => {
+                if (!snapshot) throw new Error(`Snapshot "${summary.name}" no longer exists`);
+                setLoaded(current => ({ ...current, [key]: snapshot }));
+                return snapshot;
+            })
+            .catch(error => {
+                console.error("Could not load snapshot:", error);
+                delete requests.current[key];
+                setLoadError(error.message);
+                return null;
+            });
+        return requests.current[key];
+    }, [snapshots]);
+
+    useEffect(() => {
+        [baseKey, targetKey].forEach(key => key && loadSnapshot(key));
+    }, [baseKey, targetKey, loadSnapshot]);
+
+    const versionRecords = (key) => (key === CURRENT ? currentRecords : loaded[key]?.records);
+    const baseRecords = baseKey ? versionRecords(baseKey) : null;
+    const targetRecords = targetKey ? versionRecords(targetKey) : null;
+    const ready = !isLoading && baseRecords && targetRecords;
+
+    const diff = useMemo(() => (ready ? diffSnapshots(baseRecords, targetRecords) : null), [ready, baseRecords, targetRecords]);
+    const stats = useMemo(() => (ready ? compareHeadlineStats(baseRecords, targetRecords) : null), [ready, baseRecords, targetRecords]);
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        setSaveError(null);
+        try {
+            const store = getSnapshotStore(storeId);
+            const snapshot = createSnapshot(name, records, { note: note.trim(), sourceType: dataSource.type });
+            const saved = (await store.save(snapshot)) || snapshot;
+            const key = snapshotKey(store.id, saved.id);
+            requests.current[key] = Promise.resolve(saved);
+            setLoaded(current => ({ ...current, [key]: saved }));
+            setSnapshots(current => [{ ...summarizeSnapshot(saved), storeId: store.id, key }, ...current]);
+            setBaseKey(current => current || key);
+            setName("");
+            setNote("");
+        } catch (error) {
+            console.error("Error saving snapshot:", error);
+            setSaveError(error.message || "The snapshot could not be saved");
+        }
+        setIsSaving(false);
+    };
+
+    const handleDelete = async (snapshot) => {
+        try {
+            await getSnapshotStore(snapshot.storeId).remove(snapshot.id);
+            setSnapshots(current => current.filter(other => other.key !== snapshot.key));
+            if (baseKey === snapshot.key) setBaseKey(null);
+            if (targetKey === snapshot.key) setTargetKey(CURRENT);
+        } catch (error) {
+            console.error("Error deleting snapshot:", error);
+            setLoadError(error.message);
+        }
+        setDeletingKey(null);
+    };
+
+    const handleRestore = async (snapshot) => {
+        setLoadError(null);
+        if (await loadSnapshot(snapshot.key)) setRestoringKey(snapshot.key);
+    };
+
+    const restoring = restoringKey ? loaded[restoringKey] : null;
+    const restoreDiff = useMemo(
+        () => (restoring ? diffSnapshots(currentRecords, restoring.records) : null),
+        [restoring, currentRecords]
+    );
+
+    return (
+        <div className="p-4 md:p-8 space-y-8 bg-gradient-to-br from-cream via-white to-stone/10 min-h-screen">
+            {/* Header */}
+            <div className="flex items-center gap-3">
+                <div className="w-10 h-10 bg-gradient-to-br from-stone to-sage-soft rounded-xl flex items-center justify-center">
+                    <GitCompare className="w-5 h-5 text-white" />
+                </div>
+                <div>
+                    <h1 className="text-3xl font-bold text-forest-deep tracking-tight">Snapshots</h1>
+                    <p className="text-sage-soft font-medium">Save versions of the dataset, see what changed between them and go back</p>
+                </div>
+            </div>
+
+            {/* Save */}
+            <Card className="luxury-card">
+                <CardHeader>
+                    <CardTitle className="text-forest-deep flex items-center gap-2">
+                        <Camera className="w-5 h-5" />
+                        Save a snapshot
+                    </CardTitle>
+                    <p className="text-sm text-sage-soft">
+                        {isLoading ? "Loading the current data…" : `Copies every record: ${formatCounts(countRecords(currentRecords))}`}
+                    </p>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                    <div className="grid md:grid-cols-3 gap-4">
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-forest-deep">Name</label>
+                            <Input value={name} onChange={(e) => setName(e.target.value)} placeholder="Before the March re-enrichment" className="bg-white/80 border-sage-soft/30" />
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-forest-deep">Note</label>
+                            <Input value={note} onChange={(e) => setNote(e.target.value)} placeholder="Optional" className="bg-white/80 border-sage-soft/30" />
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-forest-deep">Keep it in</label>
+                            <Select value={storeId} onValueChange={setStoreId}>
+                                <SelectTrigger className="bg-white/80 border-sage-soft/30">
+                                    <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    {SNAPSHOT_STORES.map(store => (
+                                        <SelectItem key={store.id} value={store.id}>{store.label}</SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                    </div>
+                    {saveError && <p className="text-sm text-terracotta">{saveError}</p>}
+                    <div className="flex justify-end">
+                        <Button onClick={handleSave} disabled={isLoading || isSaving} className="bg-forest-deep hover:bg-forest-deep/90">
+                            <Camera className="w-4 h-4 mr-2" />
+                            {isSaving ? "Saving..." : "Save snapshot"}
+                        </Button>
+                    </div>
+                </CardContent>
+            </Card>
+
+            {/* Saved snapshots */}
+            <Card className="luxury-card">
+                <CardHeader>
+                    <CardTitle className="text-forest-deep flex items-center gap-2">
+                        <History className="w-5 h-5" />
+                        Saved snapshots
+                    </CardTitle>
+                    {!canRestore && (
+                        <p className="text-sm text-sage-soft">
+                            {dataSource.readOnly ? `${dataSource.label} is read-only, so snapshots can be compared but not restored.` : "Restoring needs a connection."}
+                        </p>
+                    )}
+                </CardHeader>
+                <CardContent className="space-y-3">
+                    {listErrors.map(error => <p key={error} className="text-sm text-terracotta">{error}</p>)}
+                    {loadError && <p className="text-sm text-terracotta">{loadError}</p>}
+                    {snapshots.length === 0 ? (
+                        <p className="text-sage-soft text-center py-4">No snapshots saved yet</p>
+                    ) : (
+                        <ul className="space-y-3">
+                            {snapshots.map(snapshot => (
+                                <li key={snapshot.key} className="p-4 bg-stone/10 rounded-lg flex flex-wrap items-center justify-between gap-3">
+                                    <div className="space-y-1">
+                                        <p className="font-medium text-forest-deep flex flex-wrap items-center gap-2">
+                                            {snapshot.name}
+                                            <Badge variant="outline" className="bg-white/80 border-sage-soft/30 text-xs">
+                                                {getSnapshotStore(snapshot.storeId).label}
+                                            </Badge>
+                                        </p>
+                                        <p className="text-xs text-sage-soft">
+                                            {format(new Date(snapshot.created_at), 'MMM d, yyyy HH:mm')} · {formatCounts(snapshot.counts)}
+                                        </p>
+                                        {snapshot.note && <p className="text-sm text-sage-soft">{snapshot.note}</p>}
+                                    </div>
+                                    <div className="flex flex-wrap gap-2">
+                                        <Button size="sm" variant="outline" onClick={() => { setBaseKey(snapshot.key); setTargetKey(CURRENT); }}>
+                                            <GitCompare className="w-4 h-4 mr-1" />
+                                            Compare with current
+                                        </Button>
+                                        <Button size="sm" variant="outline" onClick={() => handleRestore(snapshot)} disabled={!canRestore || isLoading}>
+                                            <Undo2 className="w-4 h-4 mr-1" />
+                                            Restore
+                                        </Button>
+                                        {deletingKey === snapshot.key ? (
+                                            <>
+                                                <Button size="sm" variant="outline" onClick={() => setDeletingKey(null)}>Keep</Button>
+                                                <Button size="sm" onClick={() => handleDelete(snapshot)} className="bg-terracotta hover:bg-terracotta/90 text-white">
+                                                    Delete snapshot
+                                                </Button>
+                                            </>
+                                        ) : (
+                                            <Button size="sm" variant="ghost" onClick={() => setDeletingKey(snapshot.key)} className="text-sage-soft hover:text-terracotta" title="Delete snapshot">
+                                                <Trash2 className="w-4 h-4" />
+                                            </Button>
+                                        )}
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </CardContent>
+            </Card>
+
+            {/* Compare */}
+            <Card className="luxury-card">
+                <CardHeader>
+                    <CardTitle className="text-forest-deep flex items-center gap-2">
+                        <GitCompare className="w-5 h-5" />
+                        Compare
+                    </CardTitle>
+                    <div className="flex flex-wrap items-center gap-3 pt-2 text-sm text-sage-soft">
+                        <span>From</span>
+                        <VersionSelect value={baseKey || undefined} onChange={setBaseKey} snapshots={snapshots} />
+                        <span>to</span>
+                        <VersionSelect value={targetKey || undefined} onChange={setTargetKey} snapshots={snapshots} />
+                    </div>
+                </CardHeader>
+                <CardContent>
+                    {!baseKey || !targetKey ? (
+                        <p className="text-sage-soft text-center py-4">Save a snapshot, then pick two versions to compare</p>
+                    ) : !ready ? (
+                        <p className="text-sage-soft text-center py-4">Loading…</p>
+                    ) : baseKey === targetKey ? (
+                        <p className="text-sage-soft text-center py-4">Pick two different versions</p>
+                    ) : (
+                        <SnapshotDiff
+                            key={`${baseKey}|${targetKey}`}
+                            diff={diff}
+                            stats={stats}
+                            baseRecords={baseRecords}
+                            targetRecords={targetRecords}
+                        />
+                    )}
+                </CardContent>
+            </Card>
+
+            {restoring && (
+                <RestoreSnapshotDialog
+                    snapshot={restoring}
+                    diff={restoreDiff}
+                    onRestore={(onProgress) => restoreSnapshot(restoring, { onProgress })}
+                    onClose={() => setRestoringKey(null)}
+                />
+            )}
+        </div>
+    );
+}
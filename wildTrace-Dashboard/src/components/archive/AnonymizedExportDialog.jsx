@@ -0,0 +1,190 @@
+import React, { useMemo, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { Download, RefreshCw, ShieldCheck } from "lucide-react";
+import { format } from "date-fns";
+import { ENTITY_NAMES, ENTITY_SCHEMAS } from "@/lib/schemas";
+import { createZip } from "@/lib/zip";
+import { buildArchiveBundle } from "@/lib/archiveBundle";
+import { downloadFile } from "@/lib/download";
+import {
+    ANONYMIZE_DEFAULTS,
+    COORDINATE_MODES,
+    RADIUS_OPTIONS_KM,
+    TEXT_MODES,
+    anonymizeArchive,
+    describeAnonymization,
+    newAnonymizeSeed
+} from "@/lib/anonymize";
+
+const PREVIEW_RECORDS = 5;
+
+const OptionSelect = ({ label, value, options, onChange, disabled }) => (
+    <div className="space-y-1">
+        <p className="text-xs text-sage-soft">{label}</p>
+        <Select value={value} onValueChange={onChange} disabled={disabled}>
+            <SelectTrigger className="bg-white/80 border-sage-soft/30">
+                <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+                {options.map(option => (
+                    <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                ))}
+            </SelectContent>
+        </Select>
+    </div>
+);
+
+const Toggle = ({ on, onClick, children, disabled }) => (
+    <Button size="sm" variant={on ? "default" : "outline"} onClick={onClick} disabled={disabled}>
+        {children}
+    </Button>
+);
+
+// Exports the whole archive with coordinates, names, dates, free text and media links anonymized.
+// The preview shows the records exactly as they go into the ZIP.
+export default function AnonymizedExportDialog({ records }) {
+    const [open, setOpen] = useState(false);
+    const [options, setOptions] = useState(ANONYMIZE_DEFAULTS);
+
+    const setOption = (key, value) => setOptions(current => ({ ...current, [key]: value }));
+
+    // A new secret for every session of the dialog, so two shared exports cannot be lined up
+    const handleOpenChange = (isOpen) => {
+        if (isOpen) setOption("seed", newAnonymizeSeed());
+        setOpen(isOpen);
+    };
+
+    const anonymized = useMemo(() => (open ? anonymizeArchive(records, options) : null), [open, records, options]);
+    const notes = describeAnonymization(options);
+
+    const handleDownload = () => {
+        const exportedAt = new Date();
+        const zip = createZip(buildArchiveBundle(anonymized, exportedAt, notes), exportedAt);
+        downloadFile(zip, `wildtrace-anonymized-${format(exportedAt, 'yyyy-MM-dd')}.zip`, 'application/zip');
+    };
+
+    return (
+        <Dialog open={open} onOpenChange={handleOpenChange}>
+            <DialogTrigger asChild>
+                <Button variant="outline" className="bg-white/80 border-sage-soft/30">
+                    <ShieldCheck className="w-4 h-4 mr-2" />
+                    Anonymized Export…
+                </Button>
+            </DialogTrigger>
+            <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+                <DialogHeader>
+                    <DialogTitle>Anonymized Export</DialogTitle>
+                </DialogHeader>
+
+                {anonymized && (
+                    <div className="space-y-6">
+                        <div className="grid md:grid-cols-2 gap-4">
+                            <OptionSelect
+                                label="Coordinates"
+                                value={options.coordinates}
+                                options={COORDINATE_MODES}
+                                onChange={(value) => setOption("coordinates", value)}
+                            />
+                            <OptionSelect
+                                label={options.coordinates === "grid" ? "Grid spacing" : "Radius"}
+                                value={String(options.radiusKm)}
+                                options={RADIUS_OPTIONS_KM.map(km => ({ value: String(km), label: `${km} km` }))}
+                                onChange={(value) => setOption("radiusKm", Number(value))}
+                                disabled={options.coordinates === "exact"}
+                            />
+                            <OptionSelect
+                                label="Journal titles and text, location notes"
+                                value={options.text}
+                                options={TEXT_MODES}
+                                onChange={(value) => setOption("text", value)}
+                            />
+                            <div className="space-y-1">
+                                <p className="text-xs text-sage-soft">Also</p>
+                                <div className="flex flex-wrap gap-2">
+                                    <Toggle on={options.regionLabels} onClick={() => setOption("regionLabels", !options.regionLabels)}>
+                                        Region labels
+                                    </Toggle>
+                                    <Toggle
+                                        on={options.regionLabels && options.keepCountry}
+                                        onClick={() => setOption("keepCountry", !options.keepCountry)}
+                                        disabled={!options.regionLabels}
+                                    >
+                                        Keep countries
+                                    </Toggle>
+                                    <Toggle on={options.shiftDates} onClick={() => setOption("shiftDates", !options.shiftDates)}>
+                                        Shift dates
+                                    </Toggle>
+                                    <Toggle on={options.stripMedia} onClick={() => setOption("stripMedia", !options.stripMedia)}>
+                                        Remove media links
+                                    </Toggle>
+                                </div>
+                            </div>
+                        </div>
+
+                        <div className="p-4 bg-stone/10 rounded-lg space-y-2">
+                            <div className="flex items-center justify-between gap-2">
+                                <p className="text-sm font-medium text-forest-deep">What changes</p>
+                                <Button
+                                    size="sm"
+                                    variant="ghost"
+                                    onClick={() => setOption("seed", newAnonymizeSeed())}
+                                    disabled={!options.shiftDates && options.coordinates !== "fuzz"}
+                                    className="text-sage-soft"
+                                    title="Draws a new date offset and new random moves"
+                                >
+                                    <RefreshCw className="w-3 h-3 mr-1" />
+                                    New secret
+                                </Button>
+                            </div>
+                            <ul className="text-sm text-sage-soft list-disc pl-5 space-y-1">
+                                {notes.map(note => <li key={note}>{note}</li>)}
+                            </ul>
+                            {options.shiftDates && (
+                                <p className="text-xs text-sage-soft">The offset is not written anywhere in the export.</p>
+                            )}
+                        </div>
+
+                        <div className="space-y-2">
+                            <p className="text-sm font-medium text-forest-deep">Preview of the exported records</p>
+                            <Tabs defaultValue={ENTITY_NAMES[0]}>
+                                <TabsList className="bg-white/80 border border-sage-soft/30">
+                                    {ENTITY_NAMES.map(entityName => (
+                                        <TabsTrigger key={entityName} value={entityName}>
+                                            {ENTITY_SCHEMAS[entityName].name}
+                                            <Badge variant="outline" className="ml-2 text-xs">{anonymized[entityName].length}</Badge>
+                                        </TabsTrigger>
+                                    ))}
+                                </TabsList>
+                                {ENTITY_NAMES.map(entityName => (
+                                    <TabsContent key={entityName} value={entityName}>
+                                        <pre className="p-3 bg-stone/10 rounded-lg text-xs overflow-auto max-h-64">
+                                            {anonymized[entityName].length > 0
+                                                ? JSON.stringify(anonymized[entityName].slice(0, PREVIEW_RECORDS), null, 2)
+                                                : "No records"}
+                                        </pre>
+                                        {anonymized[entityName].length > PREVIEW_RECORDS && (
+                                            <p className="text-xs text-sage-soft mt-1">
+                                                First {PREVIEW_RECORDS} of {anonymized[entityName].length} records
+                                            </p>
+                                        )}
+                                    </TabsContent>
+                                ))}
+                            </Tabs>
+                        </div>
+
+                        <div className="flex justify-end">
+                            <Button onClick={handleDownload} className="bg-forest-deep hover:bg-forest-deep/90">
+                                <Download className="w-4 h-4 mr-2" />
+                                Download Anonymized ZIP
+                            </Button>
+                        </div>
+                    </div>
+                )}
+            </DialogContent>
+        </Dialog>
+    );
+}
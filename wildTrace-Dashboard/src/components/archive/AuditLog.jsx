@@ -0,0 +1,142 @@
+import React, { useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { ArrowRight, History, Undo2 } from "lucide-react";
+import { format } from "date-fns";
+import { useAuditLog, useSyncStatus } from "@/data/store";
+import { dataSource } from "@/data/entities";
+import { ENTITY_SCHEMAS } from "@/lib/schemas";
+import { AUDIT_ACTION_LABELS, formatAuditValue, revertTargets } from "@/lib/audit";
+
+const PAGE_SIZE = 50;
+
+const ACTION_STYLES = {
+    create: "bg-sage-soft/20 text-forest-deep",
+    update: "bg-stone/20 text-forest-deep",
+    delete: "bg-terracotta/15 text-terracotta"
+};
+
+function AuditEntry({ entry, log, canRevert, onRevert }) {
+    const [confirming, setConfirming] = useState(false);
+    const [isReverting, setIsReverting] = useState(false);
+    const [error, setError] = useState(null);
+    const targets = revertTargets(entry, log);
+    // A deleted record has no changes worth listing field by field
+    const changes = entry.action === "delete" ? [] : entry.changes;
+
+    const handleRevert = async () => {
+        setIsReverting(true);
+        setError(null);
+        try {
+            await onRevert(entry.audit_id);
+            setConfirming(false);
+        } catch (revertError) {
+            console.error("Error reverting change:", revertError);
+            setError(revertError.message || "The change could not be reverted");
+        }
+        setIsReverting(false);
+    };
+
+    return (
+        <li className="p-4 bg-stone/10 rounded-lg space-y-2">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                    <Badge className={ACTION_STYLES[entry.action]}>{AUDIT_ACTION_LABELS[entry.action]}</Badge>
+                    <span className="font-medium text-forest-deep">{ENTITY_SCHEMAS[entry.entity_name].name}</span>
+                    <span className="font-mono text-xs text-sage-soft">{entry.record_id}</span>
+                    {entry.revert_of && <Badge variant="outline" className="text-xs">Revert</Badge>}
+                    {entry.reverted_at && (
+                        <Badge variant="outline" className="text-xs">
+                            Reverted {format(new Date(entry.reverted_at), 'MMM d, HH:mm')}
+                        </Badge>
+                    )}
+                </div>
+                <div className="flex items-center gap-2">
+                    {confirming ? (
+                        <>
+                            <Button size="sm" variant="outline" onClick={() => setConfirming(false)} disabled={isReverting}>Cancel</Button>
+                            <Button size="sm" onClick={handleRevert} disabled={isReverting} className="bg-forest-deep hover:bg-forest-deep/90">
+                                {isReverting
+                                    ? "Reverting..."
+                                    : targets.length > 1 ? `Revert ${targets.length} changes` : "Revert"}
+                            </Button>
+                        </>
+                    ) : (
+                        <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => setConfirming(true)}
+                            disabled={!canRevert || targets.length === 0}
+                        >
+                            <Undo2 className="w-4 h-4 mr-1" />
+                            Revert
+                        </Button>
+                    )}
+                </div>
+            </div>
+
+            <p className="text-xs text-sage-soft">
+                {format(new Date(entry.at), 'MMM d, yyyy HH:mm:ss')} · {entry.actor}
+                {entry.batch_id && targets.length > 1 && ` · part of ${targets.length} changes made together`}
+            </p>
+
+            {changes.length > 0 && (
+                <ul className="text-sm space-y-1">
+                    {changes.map(change => (
+                        <li key={change.field} className="flex flex-wrap items-center gap-2 break-all">
+                            <span className="font-medium text-forest-deep">{change.field}:</span>
+                            <span className="text-sage-soft line-through">{formatAuditValue(change.from)}</span>
+                            <ArrowRight className="w-3 h-3 shrink-0 text-sage-soft" />
+                            <span className="text-forest-deep">{formatAuditValue(change.to)}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {error && <p className="text-sm text-terracotta">{error}</p>}
+        </li>
+    );
+}
+
+// Every edit, delete and revert made from this browser, newest first. Reverting an entry undoes the
+// whole batch it was part of, such as a location deleted together with its readings.
+export default function AuditLog() {
+    const { entries, revertAuditEntry } = useAuditLog();
+    const { isOnline } = useSyncStatus();
+    const [shown, setShown] = useState(PAGE_SIZE);
+    const canRevert = isOnline && !dataSource.readOnly;
+
+    return (
+        <Card className="luxury-card">
+            <CardHeader>
+                <CardTitle className="text-forest-deep flex items-center gap-2">
+                    <History className="w-5 h-5" />
+                    Audit Log
+                </CardTitle>
+                <p className="text-sm text-sage-soft">
+                    Who changed what and when, with the old and new values
+                    {!canRevert && (dataSource.readOnly ? " · the data source is read-only" : " · reverting needs a connection")}
+                </p>
+            </CardHeader>
+            <CardContent className="space-y-4">
+                {entries.length === 0 ? (
+                    <p className="text-sage-soft text-center py-4">No records have been edited or deleted yet</p>
+                ) : (
+                    <ul className="space-y-3">
+                        {entries.slice(0, shown).map(entry => (
+                            <AuditEntry key={entry.audit_id} entry={entry} log={entries} canRevert={canRevert} onRevert={revertAuditEntry} />
+                        ))}
+                    </ul>
+                )}
+                {entries.length > shown && (
+                    <div className="text-center">
+                        <Button variant="outline" size="sm" onClick={() => setShown(shown + PAGE_SIZE)}>
+                            Show more ({entries.length - shown} older)
+                        </Button>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
@@ -0,0 +1,239 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { ArrowDown, ArrowUp, ChevronLeft, ChevronRight, Columns, Pencil, Trash2, X } from "lucide-react";
+import {
+    PAGE_SIZES,
+    compileFilter,
+    defaultVisibleColumns,
+    filterGridRows,
+    gridColumns,
+    nextSort,
+    prepareGridRows,
+    sortGridRows
+} from "@/lib/dataGrid";
+
+// Rows have a fixed height so only the ones in view need rendering
+const ROW_HEIGHT = 40;
+const VIEWPORT_HEIGHT = 480;
+const OVERSCAN = 8;
+
+const COLUMN_WIDTHS = { number: 120, date: 130, datetime: 170, boolean: 90, array: 220, text: 200 };
+const WIDE_COLUMNS = new Set(["content", "description"]);
+
+const FILTER_PLACEHOLDERS = {
+    number: ">60 or 50..70",
+    date: "2024-03 or >2024-03-01",
+    datetime: "2024-03 or >2024-03-01",
+    boolean: "yes / no",
+    array: "Contains…",
+    text: "Contains…"
+};
+
+const ACTIONS_WIDTH = 88;
+
+const columnWidth = (column) => (WIDE_COLUMNS.has(column.key) ? 360 : COLUMN_WIDTHS[column.type]);
+
+const formatCount = (count) => count.toLocaleString();
+
+// Every record of one entity in a sortable, filterable grid. A plain <table> rather than the ui Table,
+// whose own scroll wrapper would stop the header from sticking while the rows scroll.
+// With onEdit/onDelete each row gets edit and delete buttons, except records still waiting to sync.
+export default function DataExplorer({ entityName, records, getLocationName, onEdit, onDelete }) {
+    const columns = useMemo(() => gridColumns(entityName), [entityName]);
+    const [visible, setVisible] = useState(() => defaultVisibleColumns(entityName));
+    const [showChooser, setShowChooser] = useState(false);
+    const [filters, setFilters] = useState({});
+    const [sort, setSort] = useState(null);
+    const [pageSize, setPageSize] = useState(PAGE_SIZES[2]);
+    const [page, setPage] = useState(0);
+    const [scrollTop, setScrollTop] = useState(0);
+    const viewportRef = useRef(null);
+
+    const rows = useMemo(() => prepareGridRows(entityName, records, getLocationName), [entityName, records, getLocationName]);
+    const compiledFilters = useMemo(
+        () => Object.fromEntries(Object.entries(filters).map(([key, text]) => [key, compileFilter(text, columns.find(column => column.key === key).type)])),
+        [filters, columns]
+    );
+    const filtered = useMemo(() => filterGridRows(rows, compiledFilters), [rows, compiledFilters]);
+    const sorted = useMemo(() => sortGridRows(filtered, sort), [filtered, sort]);
+
+    const pageCount = Math.max(1, Math.ceil(sorted.length / pageSize));
+    const currentPage = Math.min(page, pageCount - 1);
+    const pageRows = sorted.slice(currentPage * pageSize, (currentPage + 1) * pageSize);
+
+    useEffect(() => {
+        setPage(0);
+    }, [filters, sort, pageSize]);
+
+    useEffect(() => {
+        if (viewportRef.current) viewportRef.current.scrollTop = 0;
+        setScrollTop(0);
+    }, [currentPage, filters, sort, pageSize]);
+
+    const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+    const last = Math.min(pageRows.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+    const shownColumns = columns.filter(column => visible.includes(column.key));
+    const hasActions = Boolean(onEdit || onDelete);
+    const tableWidth = shownColumns.reduce((sum, column) => sum + columnWidth(column), hasActions ? ACTIONS_WIDTH : 0);
+    const activeFilterCount = Object.values(compiledFilters).filter(filter => filter?.test).length;
+
+    const toggleColumn = (key) => {
+        setVisible(current => (current.includes(key) ? current.filter(other => other !== key) : [...current, key]));
+        if (visible.includes(key)) setFilters(current => ({ ...current, [key]: "" }));
+    };
+
+    const startRow = sorted.length === 0 ? 0 : currentPage * pageSize + 1;
+    const endRow = currentPage * pageSize + pageRows.length;
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+                <p className="text-sm text-sage-soft">
+                    {activeFilterCount > 0
+                        ? `${formatCount(sorted.length)} of ${formatCount(rows.length)} records match`
+                        : `${formatCount(rows.length)} records`}
+                    {sorted.length > 0 && ` · showing ${formatCount(startRow)}–${formatCount(endRow)}`}
+                </p>
+                <div className="flex flex-wrap items-center gap-2">
+                    {activeFilterCount > 0 && (
+                        <Button variant="ghost" size="sm" onClick={() => setFilters({})} className="text-sage-soft">
+                            <X className="w-4 h-4 mr-1" />
+                            Clear filters
+                        </Button>
+                    )}
+                    <Button size="sm" variant={showChooser ? "default" : "outline"} onClick={() => setShowChooser(!showChooser)}>
+                        <Columns className="w-4 h-4 mr-1" />
+                        Columns ({shownColumns.length}/{columns.length})
+                    </Button>
+                </div>
+            </div>
+
+            {showChooser && (
+                <div className="flex flex-wrap gap-2 p-3 bg-stone/10 rounded-lg">
+                    {columns.map(column => (
+                        <Button
+                            key={column.key}
+                            size="sm"
+                            variant={visible.includes(column.key) ? "default" : "outline"}
+                            onClick={() => toggleColumn(column.key)}
+                        >
+                            {column.label}
+                        </Button>
+                    ))}
+                </div>
+            )}
+
+            <div
+                ref={viewportRef}
+                onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+                className="overflow-auto rounded-lg border border-stone/20"
+                style={{ height: VIEWPORT_HEIGHT }}
+            >
+                <table className="min-w-full text-sm table-fixed" style={{ width: tableWidth }}>
+                    <colgroup>
+                        {shownColumns.map(column => <col key={column.key} style={{ width: columnWidth(column) }} />)}
+                        {hasActions && <col style={{ width: ACTIONS_WIDTH }} />}
+                    </colgroup>
+                    <thead className="sticky top-0 z-10 bg-white shadow-sm">
+                        <tr className="border-b border-stone/20">
+                            {shownColumns.map(column => (
+                                <th key={column.key} className="h-10 px-3 text-left align-middle font-medium text-sage-soft">
+                                    <button
+                                        type="button"
+                                        onClick={() => setSort(nextSort(sort, column.key))}
+                                        className="flex items-center gap-1 truncate max-w-full hover:text-forest-deep"
+                                        title={`Sort by ${column.label}`}
+                                    >
+                                        <span className="truncate">{column.label}</span>
+                                        {sort?.key === column.key && (sort.direction === "asc"
+                                            ? <ArrowUp className="w-3 h-3 shrink-0" />
+                                            : <ArrowDown className="w-3 h-3 shrink-0" />)}
+                                    </button>
+                                </th>
+                            ))}
+                            {hasActions && <th className="h-10 px-3" aria-label="Actions" />}
+                        </tr>
+                        <tr className="border-b border-stone/20">
+                            {shownColumns.map(column => (
+                                <th key={column.key} className="px-2 py-1 font-normal">
+                                    <Input
+                                        value={filters[column.key] || ""}
+                                        onChange={(e) => setFilters(current => ({ ...current, [column.key]: e.target.value }))}
+                                        placeholder={FILTER_PLACEHOLDERS[column.type]}
+                                        title={compiledFilters[column.key]?.error}
+                                        className={`h-8 text-xs bg-white/80 ${compiledFilters[column.key]?.error ? "border-terracotta" : "border-sage-soft/30"}`}
+                                        aria-label={`Filter ${column.label}`}
+                                    />
+                                </th>
+                            ))}
+                            {hasActions && <th />}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {first > 0 && <tr style={{ height: first * ROW_HEIGHT }} />}
+                        {pageRows.slice(first, last).map(row => (
+                            <tr key={row.record.id} className="border-b border-stone/10 hover:bg-stone/5" style={{ height: ROW_HEIGHT }}>
+                                {shownColumns.map(column => (
+                                    <td key={column.key} className="px-3 truncate whitespace-nowrap" title={row.cells[column.key].display}>
+                                        {row.cells[column.key].display}
+                                    </td>
+                                ))}
+                                {hasActions && (
+                                    <td className="px-2 whitespace-nowrap text-right">
+                                        {!row.record.pending_sync && (
+                                            <>
+                                                {onEdit && (
+                                                    <Button variant="ghost" size="icon" className="h-8 w-8 text-sage-soft hover:text-forest-deep" onClick={() => onEdit(row.record)} title="Edit">
+                                                        <Pencil className="w-4 h-4" />
+                                                    </Button>
+                                                )}
+                                                {onDelete && (
+                                                    <Button variant="ghost" size="icon" className="h-8 w-8 text-sage-soft hover:text-terracotta" onClick={() => onDelete(row.record)} title="Delete">
+                                                        <Trash2 className="w-4 h-4" />
+                                                    </Button>
+                                                )}
+                                            </>
+                                        )}
+                                    </td>
+                                )}
+                            </tr>
+                        ))}
+                        {last < pageRows.length && <tr style={{ height: (pageRows.length - last) * ROW_HEIGHT }} />}
+                    </tbody>
+                </table>
+                {sorted.length === 0 && (
+                    <div className="text-center py-8 text-sage-soft text-sm">
+                        {rows.length === 0 ? "No records yet" : "No records match these filters"}
+                    </div>
+                )}
+            </div>
+
+            <div className="flex flex-wrap items-center justify-between gap-3">
+                <div className="flex items-center gap-2 text-sm text-sage-soft">
+                    <span>Rows per page</span>
+                    <Select value={String(pageSize)} onValueChange={(value) => setPageSize(Number(value))}>
+                        <SelectTrigger className="w-24 h-8 bg-white/80 border-sage-soft/30">
+                            <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                            {PAGE_SIZES.map(size => (
+                                <SelectItem key={size} value={String(size)}>{formatCount(size)}</SelectItem>
+                            ))}
+                        </SelectContent>
+                    </Select>
+                </div>
+                <div className="flex items-center gap-2 text-sm text-sage-soft">
+                    <Button variant="outline" size="sm" onClick={() => setPage(currentPage - 1)} disabled={currentPage === 0}>
+                        <ChevronLeft className="w-4 h-4" />
+                    </Button>
+                    <span>Page {currentPage + 1} of {pageCount}</span>
+                    <Button variant="outline" size="sm" onClick={() => setPage(currentPage + 1)} disabled={currentPage >= pageCount - 1}>
+                        <ChevronRight className="w-4 h-4" />
+                    </Button>
+                </div>
+            </div>
+        </div>
+    );
+}
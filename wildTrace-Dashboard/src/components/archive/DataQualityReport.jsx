@@ -0,0 +1,212 @@
+import React, { useMemo, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { ShieldCheck, AlertTriangle } from "lucide-react";
+import { format } from "date-fns";
+import { buildQualityReport } from "@/lib/validation";
+import { formatDay } from "@/lib/stats";
+import { useLocationLookup } from "@/data/store";
+
+const ENTITY_LABELS = {
+    Location: "Location",
+    BiologicalData: "Biological",
+    EnvironmentalData: "Environmental",
+    JournalEntry: "Journal"
+};
+
+const ISSUE_FILTERS = [
+    { value: "all", label: "All issues" },
+    { value: "missing", label: "Missing required" },
+    { value: "range", label: "Out of range" },
+    { value: "type", label: "Wrong type or format" }
+];
+
+const ROW_LIMIT = 20;
+
+const matchesFilter = (issue, filter) => {
+    if (filter === "all") return true;
+    if (filter === "type") return ["type", "format", "enum"].includes(issue.kind);
+    return issue.kind === filter;
+};
+
+// Invalid dates are exactly what this report surfaces, so they are shown as written instead of throwing.
+// Days are formatted as the calendar day they name; only duplicate readings need the time as well.
+const formatRecordDate = (value, withTime = false) => {
+    if (!value) return "—";
+    if (!withTime) return formatDay(value, 'MMM d, yyyy') ?? String(value);
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value) : format(date, 'MMM d, yyyy HH:mm');
+};
+
+const describeRecord = (entityName, record) =>
+    entityName === "Location" ? record.name || record.id : formatRecordDate(record.date || record.arrival_date);
+
+function SectionTable({ title, count, children, footer }) {
+    return (
+        <div className="space-y-3">
+            <h4 className="font-semibold text-forest-deep flex items-center gap-2">
+                {title}
+                <Badge variant="outline" className="bg-white/80 border-sage-soft/30">{count}</Badge>
+            </h4>
+            <div className="overflow-x-auto">
+                <Table>{children}</Table>
+                {footer}
+            </div>
+        </div>
+    );
+}
+
+const moreRows = (total) => total > ROW_LIMIT && (
+    <div className="text-center py-4 text-sage-soft text-sm">
+        Showing first {ROW_LIMIT} of {total}
+    </div>
+);
+
+export default function DataQualityReport({ records }) {
+    const { locationsById, getLocationName } = useLocationLookup();
+    const [issueFilter, setIssueFilter] = useState("all");
+
+    const report = useMemo(
+        () => buildQualityReport(records, new Set(locationsById.keys())),
+        [records, locationsById]
+    );
+
+    const invalidRows = report.entities.flatMap(entity => entity.invalid
+        .map(result => ({ entityName: entity.entityName, record: result.record, issues: result.issues.filter(issue => matchesFilter(issue, issueFilter)) }))
+        .filter(row => row.issues.length > 0));
+
+    const { summary } = report;
+    const hasIssues = summary.invalidRecords + summary.orphans + summary.duplicates > 0;
+
+    return (
+        <Card className="luxury-card">
+            <CardHeader>
+                <CardTitle className="text-forest-deep flex items-center gap-2">
+                    {hasIssues ? (
+                        <AlertTriangle className="w-5 h-5 text-terracotta" />
+                    ) : (
+                        <ShieldCheck className="w-5 h-5 text-sage-soft" />
+                    )}
+                    Data Quality
+                </CardTitle>
+                <p className="text-sm text-sage-soft">
+                    Records checked against the entity schemas in <code>src/Entities</code>
+                </p>
+            </CardHeader>
+            <CardContent className="space-y-8">
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                    {[
+                        { label: "Valid records", value: `${summary.records - summary.invalidRecords} of ${summary.records}` },
+                        { label: "Missing required fields", value: summary.missing },
+                        { label: "Out-of-range scores", value: summary.outOfRange },
+                        { label: "Orphaned locations", value: summary.orphans },
+                        { label: "Duplicate dates", value: summary.duplicates }
+                    ].map(stat => (
+                        <div key={stat.label} className="p-4 bg-stone/10 rounded-lg">
+                            <div className="text-xl font-bold text-forest-deep">{stat.value}</div>
+                            <div className="text-xs text-sage-soft">{stat.label}</div>
+                        </div>
+                    ))}
+                </div>
+
+                {!hasIssues && (
+                    <p className="text-sage-soft text-center py-4">Every record matches its schema</p>
+                )}
+
+                {summary.invalidRecords > 0 && (
+                    <div className="space-y-3">
+                        <div className="flex flex-wrap gap-2">
+                            {ISSUE_FILTERS.map(filter => (
+                                <Button
+                                    key={filter.value}
+                                    size="sm"
+                                    variant={issueFilter === filter.value ? "default" : "outline"}
+                                    className={issueFilter === filter.value ? "bg-forest-deep hover:bg-forest-deep/90" : ""}
+                                    onClick={() => setIssueFilter(filter.value)}
+                                >
+                                    {filter.label}
+                                </Button>
+                            ))}
+                        </div>
+                        <SectionTable title="Invalid records" count={invalidRows.length} footer={moreRows(invalidRows.length)}>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>Entity</TableHead>
+                                    <TableHead>Record</TableHead>
+                                    <TableHead>Location</TableHead>
+                                    <TableHead>Issues</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {invalidRows.slice(0, ROW_LIMIT).map(row => (
+                                    <TableRow key={`${row.entityName}-${row.record.id}`}>
+                                        <TableCell>{ENTITY_LABELS[row.entityName]}</TableCell>
+                                        <TableCell>{describeRecord(row.entityName, row.record)}</TableCell>
+                                        <TableCell>{row.entityName === "Location" ? "—" : getLocationName(row.record.location_id)}</TableCell>
+                                        <TableCell>
+                                            <ul className="text-sm space-y-1">
+                                                {row.issues.map((issue, idx) => (
+                                                    <li key={idx} className={issue.kind === "range" ? "text-terracotta" : "text-forest-deep"}>
+                                                        {issue.message}
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </SectionTable>
+                    </div>
+                )}
+
+                {report.orphans.length > 0 && (
+                    <SectionTable title="Orphaned location references" count={report.orphans.length} footer={moreRows(report.orphans.length)}>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>Entity</TableHead>
+                                <TableHead>Date</TableHead>
+                                <TableHead>location_id</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {report.orphans.slice(0, ROW_LIMIT).map(({ entityName, record }) => (
+                                <TableRow key={`${entityName}-${record.id}`}>
+                                    <TableCell>{ENTITY_LABELS[entityName]}</TableCell>
+                                    <TableCell>{formatRecordDate(record.date)}</TableCell>
+                                    <TableCell className="font-mono text-xs">{record.location_id}</TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </SectionTable>
+                )}
+
+                {report.duplicates.length > 0 && (
+                    <SectionTable title="Duplicate dates" count={report.duplicates.length} footer={moreRows(report.duplicates.length)}>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>Entity</TableHead>
+                                <TableHead>Location</TableHead>
+                                <TableHead>Date</TableHead>
+                                <TableHead>Records</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {report.duplicates.slice(0, ROW_LIMIT).map(duplicate => (
+                                <TableRow key={`${duplicate.entityName}-${duplicate.location_id}-${duplicate.date}`}>
+                                    <TableCell>{ENTITY_LABELS[duplicate.entityName]}</TableCell>
+                                    <TableCell>{getLocationName(duplicate.location_id)}</TableCell>
+                                    <TableCell>{formatRecordDate(duplicate.date, duplicate.entityName === "BiologicalData")}</TableCell>
+                                    <TableCell className="font-mono text-xs">
+                                        {duplicate.records.map(record => record.id).join(", ")}
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </SectionTable>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
@@ -0,0 +1,88 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { AlertTriangle } from "lucide-react";
+import { ENTITY_SCHEMAS } from "@/lib/schemas";
+import { dependentRecords } from "@/lib/audit";
+
+const DEPENDENT_LABELS = {
+    BiologicalData: ["biometric reading", "biometric readings"],
+    EnvironmentalData: ["environmental reading", "environmental readings"],
+    JournalEntry: ["journal entry", "journal entries"]
+};
+
+const countLabel = (entityName, count) => `${count} ${DEPENDENT_LABELS[entityName][count === 1 ? 0 : 1]}`;
+
+// Confirms a delete. A location that readings or journal entries still point to can be deleted
+// with them, or on its own, which leaves them without a location.
+export default function DeleteRecordDialog({ entityName, record, label, allRecords, onDelete, onClose }) {
+    const [isDeleting, setIsDeleting] = useState(false);
+    const [error, setError] = useState(null);
+    const dependents = entityName === "Location" ? dependentRecords(record.id, allRecords) : [];
+    const dependentCount = dependents.reduce((sum, group) => sum + group.records.length, 0);
+
+    const handleDelete = async (withDependents) => {
+        setIsDeleting(true);
+        setError(null);
+        try {
+            await onDelete({ withDependents });
+            onClose();
+        } catch (deleteError) {
+            console.error("Error deleting record:", deleteError);
+            setError(deleteError.message || "The record could not be deleted");
+        }
+        setIsDeleting(false);
+    };
+
+    return (
+        <Dialog open onOpenChange={(open) => !open && onClose()}>
+            <DialogContent className="max-w-lg">
+                <DialogHeader>
+                    <DialogTitle>Delete {ENTITY_SCHEMAS[entityName].name}?</DialogTitle>
+                </DialogHeader>
+                <div className="space-y-4">
+                    <p className="text-sm text-forest-deep">
+                        <span className="font-medium">{label}</span> will be deleted. It can be restored from the audit log, with a new id.
+                    </p>
+
+                    {dependentCount > 0 && (
+                        <div className="p-3 rounded-lg border border-terracotta/30 bg-terracotta/5 space-y-2">
+                            <p className="text-sm text-terracotta flex items-center gap-2 font-medium">
+                                <AlertTriangle className="w-4 h-4" />
+                                {dependentCount} {dependentCount === 1 ? "record points" : "records point"} to this location
+                            </p>
+                            <ul className="text-sm text-sage-soft list-disc pl-5">
+                                {dependents.map(group => (
+                                    <li key={group.entityName}>{countLabel(group.entityName, group.records.length)}</li>
+                                ))}
+                            </ul>
+                            <p className="text-xs text-sage-soft">
+                                Deleting the location on its own leaves them without a location; the data quality report lists them as orphans.
+                            </p>
+                        </div>
+                    )}
+
+                    {error && <p className="text-sm text-terracotta">{error}</p>}
+
+                    <div className="flex flex-wrap justify-end gap-2">
+                        <Button variant="outline" onClick={onClose} disabled={isDeleting}>Cancel</Button>
+                        {dependentCount > 0 && (
+                            <Button variant="outline" onClick={() => handleDelete(false)} disabled={isDeleting}>
+                                Delete location only
+                            </Button>
+                        )}
+                        <Button
+                            onClick={() => handleDelete(dependentCount > 0)}
+                            disabled={isDeleting}
+                            className="bg-terracotta hover:bg-terracotta/90 text-white"
+                        >
+                            {isDeleting
+                                ? "Deleting..."
+                                : dependentCount > 0 ? `Delete location and ${dependentCount} ${dependentCount === 1 ? "record" : "records"}` : "Delete"}
+                        </Button>
+                    </div>
+                </div>
+            </DialogContent>
+        </Dialog>
+    );
+}
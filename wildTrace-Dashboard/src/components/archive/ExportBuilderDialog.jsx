@@ -0,0 +1,206 @@
+import React, { useMemo, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Download, SlidersHorizontal } from "lucide-react";
+import { format } from "date-fns";
+import { useDateRange } from "@/data/dateRange";
+import { ENTITY_NAMES, ENTITY_SCHEMAS } from "@/lib/schemas";
+import { ARCHIVE_FILES } from "@/lib/archiveBundle";
+import { downloadFile } from "@/lib/download";
+import {
+    DEFAULT_EXPORT_OPTIONS,
+    EXPORT_DATE_FORMATS,
+    EXPORT_DELIMITERS,
+    HEADER_LANGUAGES,
+    buildExportCSV,
+    defaultExportColumns,
+    exportColumns,
+    headerLabel,
+    selectExportRecords
+} from "@/lib/exportBuilder";
+
+const PREVIEW_ROWS = 5;
+
+const OptionSelect = ({ label, value, options, onChange }) => (
+    <div className="space-y-1">
+        <p className="text-xs text-sage-soft">{label}</p>
+        <Select value={value} onValueChange={onChange}>
+            <SelectTrigger className="bg-white/80 border-sage-soft/30">
+                <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+                {options.map(option => (
+                    <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                ))}
+            </SelectContent>
+        </Select>
+    </div>
+);
+
+// Builds a single CSV file from one entity, with the columns, filters and formatting picked here.
+// records holds the whole dataset keyed by entity; the date range starts from the page's range.
+export default function ExportBuilderDialog({ records, getLocationName }) {
+    const { range: pageRange } = useDateRange();
+    const [open, setOpen] = useState(false);
+    const [entityName, setEntityName] = useState(ENTITY_NAMES[0]);
+    const [columns, setColumns] = useState(() => defaultExportColumns(ENTITY_NAMES[0]));
+    const [options, setOptions] = useState(DEFAULT_EXPORT_OPTIONS);
+
+    const setOption = (key, value) => setOptions(current => ({ ...current, [key]: value }));
+
+    const handleOpenChange = (isOpen) => {
+        if (isOpen) setOption("range", pageRange);
+        setOpen(isOpen);
+    };
+
+    const handleEntityChange = (value) => {
+        setEntityName(value);
+        setColumns(defaultExportColumns(value));
+    };
+
+    // Keeps the schema order whatever order the columns were ticked in
+    const toggleColumn = (column) => {
+        const next = columns.includes(column) ? columns.filter(other => other !== column) : [...columns, column];
+        setColumns(exportColumns(entityName).filter(other => next.includes(other)));
+    };
+
+    const locations = records.Location || [];
+    const selected = useMemo(
+        () => selectExportRecords(entityName, records[entityName] || [], options),
+        [entityName, records, options]
+    );
+    const preview = useMemo(
+        () => (columns.length > 0 ? buildExportCSV(entityName, selected.slice(0, PREVIEW_ROWS), columns, { ...options, bom: false }, getLocationName) : ""),
+        [entityName, selected, columns, options, getLocationName]
+    );
+
+    const handleDownload = () => {
+        const csv = buildExportCSV(entityName, selected, columns, options, getLocationName);
+        const extension = options.delimiter === "\t" ? "tsv" : "csv";
+        const type = extension === "tsv" ? "text/tab-separated-values;charset=utf-8" : "text/csv;charset=utf-8";
+        downloadFile(csv, `wildtrace-${ARCHIVE_FILES[entityName]}-${format(new Date(), 'yyyy-MM-dd')}.${extension}`, type);
+    };
+
+    return (
+        <Dialog open={open} onOpenChange={handleOpenChange}>
+            <DialogTrigger asChild>
+                <Button variant="outline" className="bg-white/80 border-sage-soft/30">
+                    <SlidersHorizontal className="w-4 h-4 mr-2" />
+                    Custom Export…
+                </Button>
+            </DialogTrigger>
+            <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+                <DialogHeader>
+                    <DialogTitle>Custom CSV Export</DialogTitle>
+                </DialogHeader>
+
+                <div className="space-y-6">
+                    <div className="grid md:grid-cols-2 gap-4">
+                        <OptionSelect
+                            label="Data"
+                            value={entityName}
+                            options={ENTITY_NAMES.map(name => ({ value: name, label: ENTITY_SCHEMAS[name].name }))}
+                            onChange={handleEntityChange}
+                        />
+                        <OptionSelect
+                            label="Location"
+                            value={options.locationId}
+                            options={[{ value: "all", label: "All locations" }, ...locations.map(location => ({ value: location.id, label: location.name }))]}
+                            onChange={(value) => setOption("locationId", value)}
+                        />
+                        <div className="space-y-1 md:col-span-2">
+                            <p className="text-xs text-sage-soft">Date range</p>
+                            <div className="flex items-center gap-2">
+                                <Input
+                                    type="date"
+                                    value={options.range.from || ""}
+                                    max={options.range.to || undefined}
+                                    onChange={(e) => setOption("range", { ...options.range, from: e.target.value || null })}
+                                    className="w-40 bg-white/80 border-sage-soft/30"
+                                    aria-label="From"
+                                />
+                                <span className="text-sage-soft">–</span>
+                                <Input
+                                    type="date"
+                                    value={options.range.to || ""}
+                                    min={options.range.from || undefined}
+                                    onChange={(e) => setOption("range", { ...options.range, to: e.target.value || null })}
+                                    className="w-40 bg-white/80 border-sage-soft/30"
+                                    aria-label="To"
+                                />
+                            </div>
+                        </div>
+                        <OptionSelect
+                            label="Delimiter"
+                            value={options.delimiter}
+                            options={EXPORT_DELIMITERS}
+                            onChange={(value) => setOption("delimiter", value)}
+                        />
+                        <OptionSelect
+                            label="Date format"
+                            value={options.dateFormat}
+                            options={EXPORT_DATE_FORMATS}
+                            onChange={(value) => setOption("dateFormat", value)}
+                        />
+                        <OptionSelect
+                            label="Header language"
+                            value={options.headerLanguage}
+                            options={HEADER_LANGUAGES}
+                            onChange={(value) => setOption("headerLanguage", value)}
+                        />
+                        <div className="space-y-1">
+                            <p className="text-xs text-sage-soft">Encoding</p>
+                            <Button
+                                size="sm"
+                                variant={options.bom ? "default" : "outline"}
+                                onClick={() => setOption("bom", !options.bom)}
+                                title="Adds a byte order mark so Excel opens the file as UTF-8"
+                            >
+                                UTF-8 BOM for Excel
+                            </Button>
+                        </div>
+                    </div>
+
+                    <div className="space-y-2">
+                        <p className="text-xs text-sage-soft">Columns</p>
+                        <div className="flex flex-wrap gap-2">
+                            {exportColumns(entityName).map(column => (
+                                <Button
+                                    key={column}
+                                    size="sm"
+                                    variant={columns.includes(column) ? "default" : "outline"}
+                                    onClick={() => toggleColumn(column)}
+                                >
+                                    {headerLabel(column, options.headerLanguage)}
+                                </Button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="space-y-2">
+                        <p className="text-xs text-sage-soft">
+                            Preview · {selected.length} {selected.length === 1 ? "row" : "rows"}
+                            {selected.length > PREVIEW_ROWS && `, first ${PREVIEW_ROWS} shown`}
+                        </p>
+                        <pre className="p-3 bg-stone/10 rounded-lg text-xs overflow-x-auto max-h-48 whitespace-pre">
+                            {columns.length > 0 ? preview : "Pick at least one column"}
+                        </pre>
+                    </div>
+
+                    <div className="flex justify-end">
+                        <Button
+                            onClick={handleDownload}
+                            disabled={columns.length === 0 || selected.length === 0}
+                            className="bg-forest-deep hover:bg-forest-deep/90"
+                        >
+                            <Download className="w-4 h-4 mr-2" />
+                            Download CSV
+                        </Button>
+                    </div>
+                </div>
+            </DialogContent>
+        </Dialog>
+    );
+}
@@ -0,0 +1,161 @@
+import React, { useMemo, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { ArrowRight } from "lucide-react";
+import { ENTITY_SCHEMAS } from "@/lib/schemas";
+import { formChanges, formFields, recordToForm, validateChanges } from "@/lib/recordForm";
+import { changedFields, formatAuditValue } from "@/lib/audit";
+
+function FieldInput({ field, input, property, range, value, onChange, locations }) {
+    if (input === "location") {
+        return (
+            <Select value={value} onValueChange={onChange}>
+                <SelectTrigger className="bg-white/80 border-sage-soft/30">
+                    <SelectValue placeholder="Choose a location" />
+                </SelectTrigger>
+                <SelectContent>
+                    {locations.map(location => (
+                        <SelectItem key={location.id} value={location.id}>{location.name}</SelectItem>
+                    ))}
+                </SelectContent>
+            </Select>
+        );
+    }
+    if (input === "boolean") {
+        return (
+            <Button type="button" size="sm" variant={value ? "default" : "outline"} onClick={() => onChange(!value)}>
+                {value ? "Yes" : "No"}
+            </Button>
+        );
+    }
+    if (input === "choices") {
+        // Kept in schema order, so toggling a choice off and on again is not a change
+        const toggle = (choice) => onChange(property.items.enum.filter(other => (other === choice ? !value.includes(choice) : value.includes(other))));
+        return (
+            <div className="flex flex-wrap gap-2">
+                {property.items.enum.map(choice => (
+                    <Button key={choice} type="button" size="sm" variant={value.includes(choice) ? "default" : "outline"} onClick={() => toggle(choice)}>
+                        {choice}
+                    </Button>
+                ))}
+            </div>
+        );
+    }
+    if (input === "longtext") {
+        return <Textarea value={value} onChange={(e) => onChange(e.target.value)} rows={field === "content" ? 6 : 3} />;
+    }
+    const types = { date: "date", datetime: "datetime-local", number: "number" };
+    return (
+        <Input
+            type={types[input] || "text"}
+            step={input === "number" ? "any" : undefined}
+            min={range?.min}
+            max={range?.max}
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            className="bg-white/80 border-sage-soft/30"
+        />
+    );
+}
+
+// Edits one record with an input per schema field, then asks for confirmation showing exactly
+// which fields change. Only touched fields are saved. Mount it per record (key={record.id}).
+export default function RecordEditDialog({ entityName, record, locations, onSave, onClose }) {
+    const fields = useMemo(() => formFields(entityName), [entityName]);
+    const initial = useMemo(() => recordToForm(entityName, record), [entityName, record]);
+    const [values, setValues] = useState(initial);
+    const [confirming, setConfirming] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const changes = formChanges(entityName, initial, values);
+    const diff = changedFields(entityName, record, { ...record, ...changes });
+    const issues = validateChanges(entityName, record, changes);
+    const issuesByField = Object.fromEntries(issues.map(issue => [issue.field, issue.message]));
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        setError(null);
+        try {
+            await onSave(changes);
+            onClose();
+        } catch (saveError) {
+            console.error("Error saving record:", saveError);
+            setError(saveError.message || "The change could not be saved");
+        }
+        setIsSaving(false);
+    };
+
+    return (
+        <Dialog open onOpenChange={(open) => !open && onClose()}>
+            <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+                <DialogHeader>
+                    <DialogTitle>
+                        {confirming ? "Confirm changes" : `Edit ${ENTITY_SCHEMAS[entityName].name}`}
+                    </DialogTitle>
+                </DialogHeader>
+
+                {confirming ? (
+                    <div className="space-y-4">
+                        <ul className="space-y-2">
+                            {diff.map(change => (
+                                <li key={change.field} className="p-3 bg-stone/10 rounded-lg text-sm">
+                                    <p className="font-medium text-forest-deep">{change.field}</p>
+                                    <p className="text-sage-soft flex flex-wrap items-center gap-2 break-all">
+                                        <span className="line-through">{formatAuditValue(change.from)}</span>
+                                        <ArrowRight className="w-3 h-3 shrink-0" />
+                                        <span className="text-forest-deep">{formatAuditValue(change.to)}</span>
+                                    </p>
+                                </li>
+                            ))}
+                        </ul>
+                        <p className="text-xs text-sage-soft">The change is written to the audit log and can be reverted there.</p>
+                        {error && <p className="text-sm text-terracotta">{error}</p>}
+                        <div className="flex justify-end gap-2">
+                            <Button variant="outline" onClick={() => setConfirming(false)} disabled={isSaving}>Back</Button>
+                            <Button onClick={handleSave} disabled={isSaving} className="bg-forest-deep hover:bg-forest-deep/90">
+                                {isSaving ? "Saving..." : "Save changes"}
+                            </Button>
+                        </div>
+                    </div>
+                ) : (
+                    <div className="space-y-4">
+                        {fields.map(({ field, property, input, required, range }) => (
+                            <div key={field} className="space-y-2">
+                                <label className="text-sm font-medium text-forest-deep">
+                                    {field}{required ? " *" : ""}
+                                    {property.description && (
+                                        <span className="ml-2 text-xs font-normal text-sage-soft">{property.description}</span>
+                                    )}
+                                </label>
+                                <FieldInput
+                                    field={field}
+                                    input={input}
+                                    property={property}
+                                    range={range}
+                                    value={values[field]}
+                                    onChange={(value) => setValues(current => ({ ...current, [field]: value }))}
+                                    locations={locations}
+                                />
+                                {issuesByField[field] && <p className="text-xs text-terracotta">{issuesByField[field]}</p>}
+                            </div>
+                        ))}
+                        <div className="flex justify-end gap-2">
+                            <Button variant="outline" onClick={onClose}>Cancel</Button>
+                            <Button
+                                onClick={() => setConfirming(true)}
+                                disabled={diff.length === 0 || issues.length > 0}
+                                className="bg-forest-deep hover:bg-forest-deep/90"
+                            >
+                                Review {diff.length > 0 ? `${diff.length} ${diff.length === 1 ? "change" : "changes"}` : "changes"}
+                            </Button>
+                        </div>
+                    </div>
+                )}
+            </DialogContent>
+        </Dialog>
+    );
+}
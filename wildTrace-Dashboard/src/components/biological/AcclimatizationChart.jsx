@@ -0,0 +1,147 @@
+import React, { useState, useMemo } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, Legend } from 'recharts';
+import { analyzeAcclimatization, ACCLIMATIZATION_METRICS } from "@/lib/acclimatization";
+import { getMetric, LOCATION_COLORS } from "@/lib/metrics";
+
+const MAX_DAYS = 30;
+
+export default function AcclimatizationChart({ locations, biologicalData }) {
+    const [selectedMetric, setSelectedMetric] = useState("heart_rate_resting");
+    const [showDeviation, setShowDeviation] = useState(true);
+
+    const results = useMemo(
+        () => analyzeAcclimatization(locations, biologicalData),
+        [locations, biologicalData]
+    );
+
+    const chartData = useMemo(() => {
+        const rows = Array.from({ length: MAX_DAYS + 1 }, (_, offset) => ({ offset }));
+        results.forEach(({ location, metrics }) => {
+            const { curve, baseline } = metrics[selectedMetric];
+            if (showDeviation && baseline === null) return;
+            curve.filter(point => point.offset <= MAX_DAYS).forEach(point => {
+                rows[point.offset][location.id] = showDeviation ? point.value - baseline : point.value;
+            });
+        });
+        return rows;
+    }, [results, selectedMetric, showDeviation]);
+
+    const metric = getMetric(selectedMetric);
+
+    return (
+        <div className="space-y-6">
+            <Card className="luxury-card">
+                <CardHeader>
+                    <CardTitle className="text-forest-deep">Acclimatization</CardTitle>
+                    <p className="text-sm text-sage-soft">
+                        How your body settled in after each arrival, aligned on days since arrival
+                    </p>
+                    <div className="flex flex-wrap gap-2">
+                        {ACCLIMATIZATION_METRICS.map(key => (
+                            <Button
+                                key={key}
+                                size="sm"
+                                variant={selectedMetric === key ? "default" : "outline"}
+                                onClick={() => setSelectedMetric(key)}
+                                className="text-xs"
+                            >
+                                {getMetric(key).label}
+                            </Button>
+                        ))}
+                        <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => setShowDeviation(!showDeviation)}
+                            className="text-xs"
+                        >
+                            {showDeviation ? 'Show raw values' : 'Show deviation from baseline'}
+                        </Button>
+                    </div>
+                </CardHeader>
+                <CardContent>
+                    <ResponsiveContainer width="100%" height={400}>
+                        <LineChart data={chartData}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="#9caf88" opacity={0.3} />
+                            <XAxis
+                                dataKey="offset"
+                                stroke="#9caf88"
+                                fontSize={12}
+                                label={{ value: 'Days since arrival', position: 'insideBottom', offset: -5, fill: '#9caf88', fontSize: 12 }}
+                            />
+                            <YAxis stroke="#9caf88" fontSize={12} />
+                            <Tooltip
+                                labelFormatter={(offset) => `Day ${offset}`}
+                                contentStyle={{
+                                    backgroundColor: 'rgba(255, 255, 255, 0.95)',
+                                    border: '1px solid #9caf88',
+                                    borderRadius: '8px'
+                                }}
+                            />
+                            <Legend />
+                            {showDeviation && <ReferenceLine y={0} stroke="#1a2e1a" strokeDasharray="4 4" />}
+                            {results.map(({ location }, index) => (
+                                <Line
+                                    key={location.id}
+                                    type="monotone"
+                                    dataKey={location.id}
+                                    name={location.name}
+                                    stroke={LOCATION_COLORS[index % LOCATION_COLORS.length]}
+                                    strokeWidth={2}
+                                    dot={false}
+                                    connectNulls
+                                />
+                            ))}
+                        </LineChart>
+                    </ResponsiveContainer>
+                    <p className="text-xs text-sage-soft mt-2">
+                        {showDeviation
+                            ? `Difference from each location's settled baseline (median from day 7 onwards), in ${metric.unit}`
+                            : `${metric.label} in ${metric.unit}`}
+                    </p>
+                </CardContent>
+            </Card>
+
+            <Card className="luxury-card">
+                <CardHeader>
+                    <CardTitle className="text-forest-deep">Days to Baseline</CardTitle>
+                </CardHeader>
+                <CardContent>
+                    <div className="overflow-x-auto">
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>Location</TableHead>
+                                    {ACCLIMATIZATION_METRICS.map(key => (
+                                        <TableHead key={key}>{getMetric(key).label}</TableHead>
+                                    ))}
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {results.map(({ location, metrics }) => (
+                                    <TableRow key={location.id}>
+                                        <TableCell className="font-medium">{location.name}</TableCell>
+                                        {ACCLIMATIZATION_METRICS.map(key => {
+                                            const { baseline, recoveryDay } = metrics[key];
+                                            return (
+                                                <TableCell key={key}>
+                                                    {baseline === null
+                                                        ? <span className="text-sage-soft">Stay too short</span>
+                                                        : recoveryDay === null
+                                                            ? <span className="text-terracotta">Not settled</span>
+                                                            : `${recoveryDay} days`}
+                                                </TableCell>
+                                            );
+                                        })}
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </div>
+                </CardContent>
+            </Card>
+        </div>
+    );
+}
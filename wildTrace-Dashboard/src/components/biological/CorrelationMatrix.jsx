@@ -0,0 +1,176 @@
+import React, { useState, useMemo } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { Grid3x3 } from "lucide-react";
+import { buildDailyFeatures, collapseToDays } from "@/lib/dailyFeatures";
+import { correlationMatrix, alignDays, lagPairs } from "@/lib/correlation";
+import { BIOLOGICAL_METRICS, ENVIRONMENTAL_METRICS, JOURNAL_METRICS } from "@/lib/metrics";
+
+const VARIABLES = [...ENVIRONMENTAL_METRICS, ...BIOLOGICAL_METRICS, ...JOURNAL_METRICS];
+const VARIABLE_KEYS = VARIABLES.map(metric => metric.key);
+
+const getCellColor = (r) => {
+    if (r === null) return "rgba(232, 226, 212, 0.4)";
+    // Positive correlations in terracotta, negative in navy
+    return r > 0
+        ? `rgba(198, 93, 7, ${Math.abs(r) * 0.85})`
+        : `rgba(30, 58, 95, ${Math.abs(r) * 0.85})`;
+};
+
+export default function CorrelationMatrix({ biologicalData, environmentalData, journalEntries }) {
+    const [method, setMethod] = useState("pearson");
+    const [lag, setLag] = useState("0");
+    const [selectedCell, setSelectedCell] = useState(null);
+
+    const days = useMemo(
+        () => collapseToDays(buildDailyFeatures(biologicalData, environmentalData, journalEntries), VARIABLE_KEYS),
+        [biologicalData, environmentalData, journalEntries]
+    );
+
+    const activeVariables = useMemo(
+        () => VARIABLES.filter(metric => days.some(day => day[metric.key] !== null)),
+        [days]
+    );
+
+    const matrix = useMemo(
+        () => correlationMatrix(days, activeVariables.map(metric => metric.key), { method, lag: parseInt(lag) }),
+        [days, activeVariables, method, lag]
+    );
+
+    const scatterData = useMemo(() => {
+        if (!selectedCell) return [];
+        return lagPairs(alignDays(days, parseInt(lag)), selectedCell.xKey, selectedCell.yKey);
+    }, [days, lag, selectedCell]);
+
+    const getLabel = (key) => activeVariables.find(metric => metric.key === key)?.label || key;
+
+    return (
+        <div className="space-y-6">
+            <Card className="luxury-card">
+                <CardHeader className="space-y-4">
+                    <div>
+                        <CardTitle className="text-forest-deep flex items-center gap-2">
+                            <Grid3x3 className="w-4 h-4 text-navy-deep" />
+                            Correlation Matrix
+                        </CardTitle>
+                        <p className="text-sm text-sage-soft">
+                            Rows are measured {lag === "0" ? 'on the same day as' : `${lag} day${lag === "1" ? '' : 's'} before`} columns. Click a cell to see its scatter.
+                        </p>
+                    </div>
+
+                    <div className="flex flex-wrap gap-4">
+                        <Select value={method} onValueChange={setMethod}>
+                            <SelectTrigger className="w-40 bg-white/80 border-sage-soft/30">
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                <SelectItem value="pearson">Pearson</SelectItem>
+                                <SelectItem value="spearman">Spearman</SelectItem>
+                            </SelectContent>
+                        </Select>
+
+                        <Select value={lag} onValueChange={setLag}>
+                            <SelectTrigger className="w-40 bg-white/80 border-sage-soft/30">
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                {[0, 1, 2, 3, 5, 7].map(value => (
+                                    <SelectItem key={value} value={String(value)}>
+                                        {value === 0 ? 'Same day' : `${value}-day lag`}
+                                    </SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+
+                        <Badge variant="outline" className="bg-white/80 border-sage-soft/30">
+                            {days.length} days
+                        </Badge>
+                    </div>
+                </CardHeader>
+                <CardContent>
+                    <div className="overflow-x-auto">
+                        <table className="text-xs border-separate" style={{ borderSpacing: 2 }}>
+                            <thead>
+                                <tr>
+                                    <th></th>
+                                    {activeVariables.map(metric => (
+                                        <th key={metric.key} className="h-32 align-bottom font-medium text-sage-soft">
+                                            <div className="whitespace-nowrap" style={{ writingMode: 'vertical-rl', transform: 'rotate(180deg)' }}>
+                                                {metric.label}
+                                            </div>
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {matrix.map((row, i) => (
+                                    <tr key={activeVariables[i].key}>
+                                        <th className="pr-2 text-right font-medium text-sage-soft whitespace-nowrap">
+                                            {activeVariables[i].label}
+                                        </th>
+                                        {row.map(cell => {
+                                            const isSelected = selectedCell?.xKey === cell.xKey && selectedCell?.yKey === cell.yKey;
+                                            const isSignificant = cell.p !== null && cell.p < 0.05;
+                                            return (
+                                                <td
+                                                    key={cell.yKey}
+                                                    onClick={() => setSelectedCell(cell)}
+                                                    title={cell.r === null
+                                                        ? `${getLabel(cell.xKey)} → ${getLabel(cell.yKey)}: not enough data`
+                                                        : `${getLabel(cell.xKey)} → ${getLabel(cell.yKey)}: r = ${cell.r.toFixed(2)}, p = ${cell.p.toFixed(3)}, n = ${cell.n}`}
+                                                    className={`w-10 h-10 text-center rounded cursor-pointer transition-all hover:ring-2 hover:ring-forest-deep ${
+                                                        isSelected ? 'ring-2 ring-forest-deep' : ''
+                                                    } ${Math.abs(cell.r || 0) > 0.5 ? 'text-white' : 'text-forest-deep'} ${isSignificant ? 'font-bold' : 'opacity-80'}`}
+                                                    style={{ backgroundColor: getCellColor(cell.r) }}
+                                                >
+                                                    {cell.r === null ? '' : cell.r.toFixed(2)}
+                                                    {isSignificant && '*'}
+                                                </td>
+                                            );
+                                        })}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <p className="text-xs text-sage-soft mt-4">* p &lt; 0.05 (two-sided test of zero correlation)</p>
+                </CardContent>
+            </Card>
+
+            {selectedCell && (
+                <Card className="luxury-card">
+                    <CardHeader>
+                        <CardTitle className="text-forest-deep">
+                            {getLabel(selectedCell.xKey)} vs {getLabel(selectedCell.yKey)}
+                        </CardTitle>
+                        <p className="text-sm text-sage-soft">
+                            {selectedCell.r === null
+                                ? 'Not enough overlapping days'
+                                : `r = ${selectedCell.r.toFixed(2)} • p = ${selectedCell.p.toFixed(3)} • ${selectedCell.n} day pairs`}
+                        </p>
+                    </CardHeader>
+                    <CardContent>
+                        <ResponsiveContainer width="100%" height={300}>
+                            <ScatterChart>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#9caf88" opacity={0.3} />
+                                <XAxis dataKey="x" type="number" name={getLabel(selectedCell.xKey)} stroke="#9caf88" fontSize={12} domain={['auto', 'auto']} />
+                                <YAxis dataKey="y" type="number" name={getLabel(selectedCell.yKey)} stroke="#9caf88" fontSize={12} domain={['auto', 'auto']} />
+                                <Tooltip
+                                    cursor={{ strokeDasharray: '3 3' }}
+                                    contentStyle={{
+                                        backgroundColor: 'rgba(255, 255, 255, 0.95)',
+                                        border: '1px solid #9caf88',
+                                        borderRadius: '8px'
+                                    }}
+                                />
+                                <Scatter data={scatterData} fill="#c65d07" />
+                            </ScatterChart>
+                        </ResponsiveContainer>
+                    </CardContent>
+                </Card>
+            )}
+        </div>
+    );
+}
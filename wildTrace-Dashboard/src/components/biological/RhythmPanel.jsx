@@ -0,0 +1,189 @@
+import React, { useState, useMemo } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import { Clock } from "lucide-react";
+import { hourlyProfile, weekdayProfile, weekdayHourGrid, hasTimeOfDay, RHYTHM_METRICS } from "@/lib/rhythms";
+import { numericValues } from "@/lib/stats";
+import { getMetric, LOCATION_COLORS } from "@/lib/metrics";
+
+export default function RhythmPanel({ biologicalData, locations }) {
+    const [selectedMetric, setSelectedMetric] = useState("heart_rate_resting");
+    const metric = getMetric(selectedMetric);
+
+    const stayLocations = useMemo(
+        () => locations.filter(location => biologicalData.some(record => record.location_id === location.id)),
+        [locations, biologicalData]
+    );
+
+    const grid = useMemo(() => weekdayHourGrid(biologicalData, selectedMetric), [biologicalData, selectedMetric]);
+
+    // Hour-of-day profile per location, shaped for a radar chart
+    const polarData = useMemo(() => {
+        const profiles = stayLocations.map(location => ({
+            location,
+            profile: hourlyProfile(biologicalData.filter(record => record.location_id === location.id), selectedMetric)
+        }));
+        return Array.from({ length: 24 }, (_, hour) => {
+            const row = { hour: `${hour}h` };
+            profiles.forEach(({ location, profile }) => {
+                row[location.id] = profile[hour].value;
+            });
+            return row;
+        });
+    }, [biologicalData, stayLocations, selectedMetric]);
+
+    const weekdayData = useMemo(() => {
+        const profiles = stayLocations.map(location => ({
+            location,
+            profile: weekdayProfile(biologicalData.filter(record => record.location_id === location.id), selectedMetric)
+        }));
+        return profiles.length === 0 ? [] : profiles[0].profile.map((day, index) => {
+            const row = { weekday: day.weekday };
+            profiles.forEach(({ location, profile }) => {
+                row[location.id] = profile[index].value;
+            });
+            return row;
+        });
+    }, [biologicalData, stayLocations, selectedMetric]);
+
+    const gridValues = numericValues(grid.flatMap(row => row.hours.map(cell => cell.value)));
+    const gridMin = Math.min(...gridValues);
+    const gridMax = Math.max(...gridValues);
+    const getIntensity = (value) => (gridMax === gridMin ? 0.5 : (value - gridMin) / (gridMax - gridMin));
+
+    return (
+        <div className="space-y-6">
+            <Card className="luxury-card">
+                <CardHeader>
+                    <CardTitle className="text-forest-deep flex items-center gap-2">
+                        <Clock className="w-4 h-4 text-navy-deep" />
+                        Daily Rhythms
+                    </CardTitle>
+                    <p className="text-sm text-sage-soft">
+                        Hour-of-day and day-of-week patterns, shown in your device's timezone
+                    </p>
+                    <div className="flex flex-wrap gap-2">
+                        {RHYTHM_METRICS.map(key => (
+                            <Button
+                                key={key}
+                                size="sm"
+                                variant={selectedMetric === key ? "default" : "outline"}
+                                onClick={() => setSelectedMetric(key)}
+                                className="text-xs"
+                            >
+                                {getMetric(key).label}
+                            </Button>
+                        ))}
+                    </div>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                    {!hasTimeOfDay(biologicalData) && (
+                        <p className="text-sm text-terracotta">
+                            All readings are stamped at midnight, so hour-of-day patterns can't be shown for this data.
+                        </p>
+                    )}
+                    <div className="overflow-x-auto">
+                        <table className="text-xs border-separate" style={{ borderSpacing: 2 }}>
+                            <thead>
+                                <tr>
+                                    <th></th>
+                                    {Array.from({ length: 24 }, (_, hour) => (
+                                        <th key={hour} className="font-medium text-sage-soft w-6">{hour}</th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {grid.map(row => (
+                                    <tr key={row.weekday}>
+                                        <th className="pr-2 text-right font-medium text-sage-soft">{row.weekday}</th>
+                                        {row.hours.map((cell, hour) => (
+                                            <td
+                                                key={hour}
+                                                className="w-6 h-6 rounded-sm"
+                                                title={cell.value === null
+                                                    ? `${row.weekday} ${hour}:00 • no readings`
+                                                    : `${row.weekday} ${hour}:00 • ${cell.value.toFixed(1)} ${metric.unit} (${cell.count} readings)`}
+                                                style={{
+                                                    backgroundColor: cell.value === null
+                                                        ? 'rgba(232, 226, 212, 0.3)'
+                                                        : `rgba(198, 93, 7, ${0.1 + getIntensity(cell.value) * 0.8})`
+                                                }}
+                                            />
+                                        ))}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    {gridValues.length > 0 && (
+                        <p className="text-xs text-sage-soft">
+                            {metric.label}: {gridMin.toFixed(1)} (light) to {gridMax.toFixed(1)} {metric.unit} (dark)
+                        </p>
+                    )}
+                </CardContent>
+            </Card>
+
+            <div className="grid md:grid-cols-2 gap-6">
+                <Card className="luxury-card">
+                    <CardHeader>
+                        <CardTitle className="text-forest-deep">24-Hour Clock by Location</CardTitle>
+                    </CardHeader>
+                    <CardContent>
+                        <ResponsiveContainer width="100%" height={360}>
+                            <RadarChart data={polarData}>
+                                <PolarGrid stroke="#9caf88" opacity={0.3} />
+                                <PolarAngleAxis dataKey="hour" tick={{ fontSize: 10, fill: '#9caf88' }} />
+                                <PolarRadiusAxis tick={{ fontSize: 10, fill: '#9caf88' }} domain={['auto', 'auto']} />
+                                {stayLocations.map((location, index) => (
+                                    <Radar
+                                        key={location.id}
+                                        name={location.name}
+                                        dataKey={location.id}
+                                        stroke={LOCATION_COLORS[index % LOCATION_COLORS.length]}
+                                        fill={LOCATION_COLORS[index % LOCATION_COLORS.length]}
+                                        fillOpacity={0.1}
+                                        strokeWidth={2}
+                                    />
+                                ))}
+                                <Legend />
+                            </RadarChart>
+                        </ResponsiveContainer>
+                    </CardContent>
+                </Card>
+
+                <Card className="luxury-card">
+                    <CardHeader>
+                        <CardTitle className="text-forest-deep">Weekday Pattern by Location</CardTitle>
+                    </CardHeader>
+                    <CardContent>
+                        <ResponsiveContainer width="100%" height={360}>
+                            <BarChart data={weekdayData}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#9caf88" opacity={0.3} />
+                                <XAxis dataKey="weekday" stroke="#9caf88" fontSize={12} />
+                                <YAxis stroke="#9caf88" fontSize={12} domain={['auto', 'auto']} />
+                                <Tooltip
+                                    contentStyle={{
+                                        backgroundColor: 'rgba(255, 255, 255, 0.95)',
+                                        border: '1px solid #9caf88',
+                                        borderRadius: '8px'
+                                    }}
+                                />
+                                <Legend />
+                                {stayLocations.map((location, index) => (
+                                    <Bar
+                                        key={location.id}
+                                        name={location.name}
+                                        dataKey={location.id}
+                                        fill={LOCATION_COLORS[index % LOCATION_COLORS.length]}
+                                        radius={[4, 4, 0, 0]}
+                                    />
+                                ))}
+                            </BarChart>
+                        </ResponsiveContainer>
+                    </CardContent>
+                </Card>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,21 @@
+import React from "react";
+
+// "212 of 365 days" with a thin bar; coverage comes from dayCoverage in lib/missingData
+export default function CoverageIndicator({ coverage }) {
+    if (!coverage || coverage.total === 0) return null;
+    const percent = Math.round((coverage.covered / coverage.total) * 100);
+
+    return (
+        <div className="space-y-1" title={`${percent}% of days have a value`}>
+            <div className="h-1 w-full bg-stone/30 rounded-full overflow-hidden">
+                <div
+                    className={`h-full rounded-full ${percent >= 80 ? 'bg-sage-soft' : percent >= 50 ? 'bg-gold-accent' : 'bg-terracotta'}`}
+                    style={{ width: `${percent}%` }}
+                />
+            </div>
+            <div className="text-xs text-sage-soft">
+                {coverage.covered} of {coverage.total} days
+            </div>
+        </div>
+    );
+}
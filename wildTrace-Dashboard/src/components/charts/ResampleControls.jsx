@@ -0,0 +1,47 @@
+import React from "react";
+import { Button } from "@/components/ui/button";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { GRANULARITIES, AGGREGATES } from "@/lib/resample";
+
+// value is { granularity, aggregate, interpolate }; the aggregate has no meaning for raw readings
+export default function ResampleControls({ value, onChange }) {
+    return (
+        <div className="flex flex-wrap gap-2">
+            <Select value={value.granularity} onValueChange={(granularity) => onChange({ ...value, granularity })}>
+                <SelectTrigger className="w-36 h-8 text-xs bg-white/80 border-sage-soft/30">
+                    <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                    {GRANULARITIES.map(option => (
+                        <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                    ))}
+                </SelectContent>
+            </Select>
+            <Select
+                value={value.aggregate}
+                onValueChange={(aggregate) => onChange({ ...value, aggregate })}
+                disabled={value.granularity === "raw"}
+            >
+                <SelectTrigger className="w-28 h-8 text-xs bg-white/80 border-sage-soft/30">
+                    <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                    {Object.entries(AGGREGATES).map(([key, option]) => (
+                        <SelectItem key={key} value={key}>{option.label}</SelectItem>
+                    ))}
+                </SelectContent>
+            </Select>
+            <Button
+                size="sm"
+                variant={value.interpolate ? "default" : "outline"}
+                onClick={() => onChange({ ...value, interpolate: !value.interpolate })}
+                className="h-8 text-xs"
+            >
+                Interpolate gaps
+            </Button>
+            {value.interpolate && (
+                <span className="self-center text-xs text-terracotta">Dashed segments are estimates, not readings</span>
+            )}
+        </div>
+    );
+}
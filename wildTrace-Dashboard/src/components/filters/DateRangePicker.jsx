@@ -0,0 +1,98 @@
+import React, { useMemo } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectGroup, SelectItem, SelectLabel, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { CalendarRange, X } from "lucide-react";
+import { useEntities } from "@/data/store";
+import { useDateRange } from "@/data/dateRange";
+import { ALL_TIME, buildDateRangePresets, describeRange, isRangeActive } from "@/lib/dateRange";
+
+export default function DateRangePicker() {
+    const { records } = useEntities(["Location"]);
+    const { range, presetId, setRange } = useDateRange();
+
+    const presets = useMemo(() => buildDateRangePresets(records.Location), [records.Location]);
+    const presetsById = useMemo(() => {
+        const byId = new Map();
+        [presets.recent, ...presets.stays, ...presets.months].filter(Boolean).forEach(preset => byId.set(preset.id, preset));
+        return byId;
+    }, [presets]);
+
+    const selectedLabel = {
+        all: "All time",
+        custom: "Custom range"
+    }[presetId] || presetsById.get(presetId)?.label;
+
+    const handlePresetChange = (value) => {
+        if (value === "all") {
+            setRange(ALL_TIME, "all");
+        } else if (value === "custom") {
+            setRange(range, "custom");
+        } else {
+            setRange(presetsById.get(value).range, value);
+        }
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            <CalendarRange className="w-4 h-4 text-sage-soft" />
+            <Select value={presetId} onValueChange={handlePresetChange}>
+                <SelectTrigger className="w-56 bg-white/80 border-sage-soft/30">
+                    <SelectValue>{selectedLabel}</SelectValue>
+                </SelectTrigger>
+                <SelectContent>
+                    <SelectItem value="all">All time</SelectItem>
+                    {presets.recent && <SelectItem value={presets.recent.id}>{presets.recent.label}</SelectItem>}
+                    <SelectItem value="custom">Custom range…</SelectItem>
+                    {presets.stays.length > 0 && (
+                        <SelectGroup>
+                            <SelectLabel>Location stays</SelectLabel>
+                            {presets.stays.map(preset => (
+                                <SelectItem key={preset.id} value={preset.id}>{preset.label}</SelectItem>
+                            ))}
+                        </SelectGroup>
+                    )}
+                    {presets.months.length > 0 && (
+                        <SelectGroup>
+                            <SelectLabel>Months</SelectLabel>
+                            {presets.months.map(preset => (
+                                <SelectItem key={preset.id} value={preset.id}>{preset.label}</SelectItem>
+                            ))}
+                        </SelectGroup>
+                    )}
+                </SelectContent>
+            </Select>
+
+            {presetId === "custom" ? (
+                <>
+                    <Input
+                        type="date"
+                        value={range.from || ""}
+                        max={range.to || undefined}
+                        onChange={(e) => setRange({ ...range, from: e.target.value || null })}
+                        className="w-40 bg-white/80 border-sage-soft/30"
+                        aria-label="From"
+                    />
+                    <span className="text-sage-soft">–</span>
+                    <Input
+                        type="date"
+                        value={range.to || ""}
+                        min={range.from || undefined}
+                        onChange={(e) => setRange({ ...range, to: e.target.value || null })}
+                        className="w-40 bg-white/80 border-sage-soft/30"
+                        aria-label="To"
+                    />
+                </>
+            ) : (
+                isRangeActive(range) && <span className="text-sm text-sage-soft">{describeRange(range)}</span>
+            )}
+
+            {isRangeActive(range) && (
+                <Button variant="ghost" size="sm" onClick={() => setRange(ALL_TIME, "all")} className="text-sage-soft">
+                    <X className="w-4 h-4 mr-1" />
+                    Clear
+                </Button>
+            )}
+        </div>
+    );
+}
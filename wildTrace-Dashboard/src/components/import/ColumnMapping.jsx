@@ -0,0 +1,91 @@
+import React from "react";
+import { Badge } from "@/components/ui/badge";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { importFields, unmappedRequiredFields } from "@/lib/importer";
+
+// Select items cannot carry an empty value, so ignored columns use this placeholder
+const IGNORE = "__ignore";
+
+const SAMPLE_ROWS = 3;
+
+const sampleValues = (rows, header) => rows
+    .slice(0, SAMPLE_ROWS)
+    .map(row => row[header])
+    .filter(value => value !== undefined && value !== null && value !== "")
+    .map(value => (Array.isArray(value) ? value.join("; ") : String(value)))
+    .join(" · ");
+
+// mapping is { header: field }, with "" for ignored columns. A field can only take one column.
+export default function ColumnMapping({ entityName, headers, rows, mapping, onChange }) {
+    const fields = importFields(entityName);
+    const missing = unmappedRequiredFields(entityName, mapping);
+    const mappedFields = new Set(Object.values(mapping));
+    const unmapped = fields.filter(({ field }) => !mappedFields.has(field));
+
+    const handleChange = (header, value) => {
+        const field = value === IGNORE ? "" : value;
+        const next = Object.fromEntries(Object.entries(mapping).map(([otherHeader, otherField]) =>
+            [otherHeader, field && otherField === field ? "" : otherField]
+        ));
+        onChange({ ...next, [header]: field });
+    };
+
+    return (
+        <div className="space-y-4">
+            {missing.length > 0 && (
+                <p className="text-sm text-terracotta">
+                    Map a column to {missing.join(", ")} to continue
+                    {missing.includes("location_id") && " (a location name column works too)"}
+                </p>
+            )}
+            <div className="overflow-x-auto">
+                <Table>
+                    <TableHeader>
+                        <TableRow>
+                            <TableHead>Column</TableHead>
+                            <TableHead>Sample values</TableHead>
+                            <TableHead>Imports as</TableHead>
+                        </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                        {headers.map(header => (
+                            <TableRow key={header}>
+                                <TableCell className="font-mono text-xs">{header}</TableCell>
+                                <TableCell className="text-sm text-sage-soft max-w-xs truncate">
+                                    {sampleValues(rows, header) || "—"}
+                                </TableCell>
+                                <TableCell>
+                                    <Select value={mapping[header] || IGNORE} onValueChange={(value) => handleChange(header, value)}>
+                                        <SelectTrigger className="w-56 bg-white/80 border-sage-soft/30">
+                                            <SelectValue />
+                                        </SelectTrigger>
+                                        <SelectContent>
+                                            <SelectItem value={IGNORE}>Don't import</SelectItem>
+                                            {fields.map(({ field, description, required }) => (
+                                                <SelectItem key={field} value={field} title={description}>
+                                                    {field}{required ? " *" : ""}
+                                                </SelectItem>
+                                            ))}
+                                        </SelectContent>
+                                    </Select>
+                                </TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            </div>
+            <div className="flex flex-wrap gap-2 text-xs text-sage-soft">
+                <span>Fields marked * are required.</span>
+                {unmapped.length > 0 && (
+                    <span>
+                        Not mapped:{" "}
+                        {unmapped.map(({ field }) => (
+                            <Badge key={field} variant="outline" className="mr-1 bg-white/80 border-sage-soft/30">{field}</Badge>
+                        ))}
+                    </span>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,47 @@
+import React from "react";
+import { Badge } from "@/components/ui/badge";
+import { DEVICE_METRICS } from "@/lib/devices/daily";
+import { formatDay } from "@/lib/stats";
+
+const METRIC_LABELS = {
+    heart_rate_resting: "Resting HR",
+    heart_rate_variability: "HRV",
+    sleep_duration: "Sleep",
+    respiratory_rate: "Respiratory rate"
+};
+
+const formatSummaryDay = (value) => formatDay(value, 'MMM d, yyyy') ?? "—";
+
+// What a device export turned into before it goes through mapping and preview. `unplaced` counts
+// biometric days that fall outside every known location stay.
+export default function DeviceSummary({ device, unplaced = 0 }) {
+    const { summary } = device;
+    const isBiological = device.entityName === "BiologicalData";
+
+    return (
+        <div className="p-4 bg-stone/10 rounded-lg space-y-3">
+            <div className="flex flex-wrap items-center gap-2">
+                <Badge variant="outline" className="bg-white/80 border-sage-soft/30">{device.label}</Badge>
+                <span className="font-medium text-forest-deep">{summary.fileName}</span>
+            </div>
+            <p className="text-forest-deep">
+                {isBiological
+                    ? `${summary.records} days of readings from ${summary.readings} records`
+                    : `${summary.records} stays detected from ${summary.points} track points`}
+                {summary.records > 0 && `, ${formatSummaryDay(summary.from)} – ${formatSummaryDay(summary.to)}`}
+            </p>
+            {isBiological && summary.records > 0 && (
+                <div className="flex flex-wrap gap-2">
+                    {DEVICE_METRICS.map(field => (
+                        <Badge key={field} variant="outline" className="bg-white/80 border-sage-soft/30">
+                            {METRIC_LABELS[field]}: {summary.fields[field]} days
+                        </Badge>
+                    ))}
+                </div>
+            )}
+            {[...summary.notes, ...(unplaced > 0 ? [`${unplaced} days fall outside every location stay and need a location first`] : [])].map(note => (
+                <p key={note} className="text-sm text-terracotta">{note}</p>
+            ))}
+        </div>
+    );
+}
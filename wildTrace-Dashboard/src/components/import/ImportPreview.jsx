@@ -0,0 +1,164 @@
+import React, { useState } from "react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { LOCATION_NAME_FIELD } from "@/lib/importer";
+
+const ROW_LIMIT = 50;
+
+const STATUS_FILTERS = [
+    { value: "all", label: "All rows" },
+    { value: "ready", label: "Ready" },
+    { value: "duplicate", label: "Duplicates" },
+    { value: "invalid", label: "Invalid" }
+];
+
+const STATUS_BADGES = {
+    ready: { label: "Ready", className: "bg-sage-soft/20 text-forest-deep border-sage-soft/30" },
+    duplicate: { label: "Duplicate", className: "bg-gold-accent/20 text-forest-deep border-gold-accent/30" },
+    invalid: { label: "Invalid", className: "bg-terracotta/10 text-terracotta border-terracotta/30" }
+};
+
+const formatCell = (value) => {
+    if (value === undefined || value === null) return "—";
+    if (Array.isArray(value)) return value.join(", ");
+    return String(value);
+};
+
+// preview comes from buildImportPreview; unresolved location names can be pointed at an existing location
+export default function ImportPreview({
+    entityName,
+    preview,
+    mapping,
+    locations,
+    locationOverrides,
+    onLocationOverride,
+    skipDuplicates,
+    onSkipDuplicatesChange
+}) {
+    const [statusFilter, setStatusFilter] = useState("all");
+
+    const mappedFields = [...new Set(Object.values(mapping).filter(Boolean))];
+    const showsLocation = entityName !== "Location";
+    const columns = mappedFields.filter(field => field !== LOCATION_NAME_FIELD && field !== "location_id");
+    const locationName = (id) => locations.find(location => location.id === id)?.name || "—";
+
+    const visibleRows = preview.rows.filter(row => statusFilter === "all" || row.status === statusFilter);
+    const { summary } = preview;
+
+    return (
+        <div className="space-y-6">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {[
+                    { label: "Rows in file", value: summary.total },
+                    { label: "Ready to import", value: summary.ready },
+                    { label: "Duplicates", value: summary.duplicates },
+                    { label: "Invalid", value: summary.invalid }
+                ].map(stat => (
+                    <div key={stat.label} className="p-4 bg-stone/10 rounded-lg">
+                        <div className="text-xl font-bold text-forest-deep">{stat.value}</div>
+                        <div className="text-xs text-sage-soft">{stat.label}</div>
+                    </div>
+                ))}
+            </div>
+
+            {preview.unresolvedLocations.length > 0 && (
+                <div className="space-y-3">
+                    <h4 className="font-semibold text-forest-deep">Unknown locations</h4>
+                    <p className="text-sm text-sage-soft">
+                        These names don't match any location yet. Pick one, or import the locations first.
+                    </p>
+                    {preview.unresolvedLocations.map(reference => (
+                        <div key={reference} className="flex flex-wrap items-center gap-3">
+                            <span className="w-48 font-medium text-forest-deep truncate">{reference}</span>
+                            <Select
+                                value={locationOverrides[reference] || ""}
+                                onValueChange={(locationId) => onLocationOverride(reference, locationId)}
+                            >
+                                <SelectTrigger className="w-64 bg-white/80 border-sage-soft/30">
+                                    <SelectValue placeholder="Choose a location" />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    {locations.map(location => (
+                                        <SelectItem key={location.id} value={location.id}>
+                                            {location.name}{location.arrival_date ? ` (${location.arrival_date})` : ""}
+                                        </SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="flex flex-wrap items-center gap-2">
+                {STATUS_FILTERS.map(filter => (
+                    <Button
+                        key={filter.value}
+                        size="sm"
+                        variant={statusFilter === filter.value ? "default" : "outline"}
+                        className={statusFilter === filter.value ? "bg-forest-deep hover:bg-forest-deep/90" : ""}
+                        onClick={() => setStatusFilter(filter.value)}
+                    >
+                        {filter.label}
+                    </Button>
+                ))}
+                {summary.duplicates > 0 && (
+                    <Button
+                        size="sm"
+                        variant={skipDuplicates ? "default" : "outline"}
+                        className={`md:ml-auto ${skipDuplicates ? "bg-forest-deep hover:bg-forest-deep/90" : ""}`}
+                        onClick={() => onSkipDuplicatesChange(!skipDuplicates)}
+                    >
+                        {skipDuplicates ? "Skipping duplicates" : "Importing duplicates"}
+                    </Button>
+                )}
+            </div>
+
+            <div className="overflow-x-auto">
+                <Table>
+                    <TableHeader>
+                        <TableRow>
+                            <TableHead>Row</TableHead>
+                            <TableHead>Status</TableHead>
+                            {showsLocation && <TableHead>Location</TableHead>}
+                            {columns.map(field => <TableHead key={field}>{field}</TableHead>)}
+                            <TableHead>Notes</TableHead>
+                        </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                        {visibleRows.slice(0, ROW_LIMIT).map(row => (
+                            <TableRow key={row.index}>
+                                <TableCell className="text-sage-soft">{row.index + 1}</TableCell>
+                                <TableCell>
+                                    <Badge variant="outline" className={STATUS_BADGES[row.status].className}>
+                                        {STATUS_BADGES[row.status].label}
+                                    </Badge>
+                                </TableCell>
+                                {showsLocation && <TableCell>{locationName(row.record.location_id)}</TableCell>}
+                                {columns.map(field => (
+                                    <TableCell key={field} className="max-w-xs truncate">{formatCell(row.record[field])}</TableCell>
+                                ))}
+                                <TableCell>
+                                    <ul className="text-sm space-y-1">
+                                        {row.issues.map((issue, idx) => (
+                                            <li key={idx} className="text-terracotta">{issue.message}</li>
+                                        ))}
+                                        {row.duplicateOf === "existing" && <li className="text-sage-soft">Already in your data</li>}
+                                        {row.duplicateOf === "file" && <li className="text-sage-soft">Repeats an earlier row</li>}
+                                    </ul>
+                                </TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+                {visibleRows.length > ROW_LIMIT && (
+                    <div className="text-center py-4 text-sage-soft text-sm">
+                        Showing first {ROW_LIMIT} of {visibleRows.length}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,163 @@
+import React, { useState, useMemo } from "react";
+import { Link } from "react-router-dom";
+import { createPageUrl } from "@/utils";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { AlertTriangle, ArrowUpRight, ArrowDownRight, ExternalLink } from "lucide-react";
+import { format } from "date-fns";
+import { detectAnomalies } from "@/lib/anomalies";
+import { dayKeyToDate } from "@/lib/stats";
+import { getMetric } from "@/lib/metrics";
+
+export default function AnomalyPanel({ biologicalData, environmentalData, getLocationName }) {
+    const [method, setMethod] = useState("zscore");
+    const [baselineWindow, setBaselineWindow] = useState("14");
+    const [threshold, setThreshold] = useState("2.5");
+    const [source, setSource] = useState("all");
+
+    const anomalies = useMemo(() => detectAnomalies(biologicalData, environmentalData, {
+        method,
+        window: parseInt(baselineWindow),
+        threshold: parseFloat(threshold)
+    }), [biologicalData, environmentalData, method, baselineWindow, threshold]);
+
+    const visibleAnomalies = source === "all"
+        ? anomalies
+        : anomalies.filter(anomaly => anomaly.source === source);
+
+    const getDayUrl = (anomaly) => {
+        const page = anomaly.source === "biological" ? "Biological" : "Environmental";
+        const params = new URLSearchParams({ date: anomaly.day });
+        if (anomaly.location_id) params.set("location", anomaly.location_id);
+        return `${createPageUrl(page)}?${params}`;
+    };
+
+    return (
+        <Card className="luxury-card">
+            <CardHeader className="space-y-4">
+                <div>
+                    <CardTitle className="text-forest-deep flex items-center gap-2">
+                        <AlertTriangle className="w-4 h-4 text-terracotta" />
+                        Unusual Days
+                    </CardTitle>
+                    <p className="text-sm text-sage-soft">
+                        Days that deviated from your rolling {baselineWindow}-day baseline
+                    </p>
+                </div>
+
+                <div className="flex flex-wrap gap-4">
+                    <Select value={method} onValueChange={setMethod}>
+                        <SelectTrigger className="w-48 bg-white/80 border-sage-soft/30">
+                            <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                            <SelectItem value="zscore">Z-score (mean/std)</SelectItem>
+                            <SelectItem value="mad">Robust (median/MAD)</SelectItem>
+                        </SelectContent>
+                    </Select>
+
+                    <Select value={baselineWindow} onValueChange={setBaselineWindow}>
+                        <SelectTrigger className="w-40 bg-white/80 border-sage-soft/30">
+                            <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                            <SelectItem value="7">7-day baseline</SelectItem>
+                            <SelectItem value="14">14-day baseline</SelectItem>
+                            <SelectItem value="30">30-day baseline</SelectItem>
+                        </SelectContent>
+                    </Select>
+
+                    <Select value={threshold} onValueChange={setThreshold}>
+                        <SelectTrigger className="w-40 bg-white/80 border-sage-soft/30">
+                            <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                            <SelectItem value="2">Sensitive (2σ)</SelectItem>
+                            <SelectItem value="2.5">Balanced (2.5σ)</SelectItem>
+                            <SelectItem value="3">Strict (3σ)</SelectItem>
+                        </SelectContent>
+                    </Select>
+
+                    <Select value={source} onValueChange={setSource}>
+                        <SelectTrigger className="w-40 bg-white/80 border-sage-soft/30">
+                            <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                            <SelectItem value="all">All Sources</SelectItem>
+                            <SelectItem value="biological">Biological</SelectItem>
+                            <SelectItem value="environmental">Environmental</SelectItem>
+                        </SelectContent>
+                    </Select>
+
+                    <Badge variant="outline" className="bg-white/80 border-sage-soft/30">
+                        {visibleAnomalies.length} anomalies
+                    </Badge>
+                </div>
+            </CardHeader>
+            <CardContent>
+                {visibleAnomalies.length > 0 ? (
+                    <div className="overflow-x-auto">
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>Date</TableHead>
+                                    <TableHead>Location</TableHead>
+                                    <TableHead>Metric</TableHead>
+                                    <TableHead>Value</TableHead>
+                                    <TableHead>Baseline</TableHead>
+                                    <TableHead>Deviation</TableHead>
+                                    <TableHead></TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {visibleAnomalies.map(anomaly => {
+                                    const metric = getMetric(anomaly.metric);
+                                    const DirectionIcon = anomaly.score > 0 ? ArrowUpRight : ArrowDownRight;
+
+                                    return (
+                                        <TableRow key={`${anomaly.source}-${anomaly.metric}-${anomaly.day}-${anomaly.location_id}`}>
+                                            <TableCell>{format(dayKeyToDate(anomaly.day), 'MMM d, yyyy')}</TableCell>
+                                            <TableCell>{getLocationName(anomaly.location_id)}</TableCell>
+                                            <TableCell>
+                                                <div className="flex items-center gap-2">
+                                                    {metric.label}
+                                                    <Badge variant="outline" className="text-xs bg-sage-soft/20">
+                                                        {anomaly.source}
+                                                    </Badge>
+                                                </div>
+                                            </TableCell>
+                                            <TableCell>{anomaly.value.toFixed(1)} {metric.unit}</TableCell>
+                                            <TableCell className="text-sage-soft">{anomaly.baseline.toFixed(1)} {metric.unit}</TableCell>
+                                            <TableCell>
+                                                <div className={`flex items-center gap-1 font-semibold ${anomaly.score > 0 ? 'text-terracotta' : 'text-navy-deep'}`}>
+                                                    <DirectionIcon className="w-4 h-4" />
+                                                    {anomaly.deviation > 0 ? '+' : ''}{anomaly.deviation.toFixed(1)} ({anomaly.score.toFixed(1)}σ)
+                                                </div>
+                                            </TableCell>
+                                            <TableCell>
+                                                <Link
+                                                    to={getDayUrl(anomaly)}
+                                                    className="flex items-center gap-1 text-sm text-forest-deep hover:underline"
+                                                >
+                                                    View day
+                                                    <ExternalLink className="w-3 h-3" />
+                                                </Link>
+                                            </TableCell>
+                                        </TableRow>
+                                    );
+                                })}
+                            </TableBody>
+                        </Table>
+                    </div>
+                ) : (
+                    <div className="p-8 text-center">
+                        <AlertTriangle className="w-12 h-12 mx-auto mb-4 text-sage-soft/50" />
+                        <p className="text-sage-soft">No unusual days found with the current settings</p>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
@@ -0,0 +1,147 @@
+import React, { useState, useMemo } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Layers, MapPin } from "lucide-react";
+import { format } from "date-fns";
+import { buildDailyFeatures } from "@/lib/dailyFeatures";
+import { clusterDays } from "@/lib/clustering";
+import { mean, standardDeviation, dayKeyToDate } from "@/lib/stats";
+import { getMetric } from "@/lib/metrics";
+
+export default function ClusterPanel({ biologicalData, environmentalData, journalEntries, getLocationName }) {
+    const [k, setK] = useState("3");
+
+    const dailyRows = useMemo(
+        () => buildDailyFeatures(biologicalData, environmentalData, journalEntries),
+        [biologicalData, environmentalData, journalEntries]
+    );
+
+    const { days, clusters, features } = useMemo(
+        () => clusterDays(dailyRows, parseInt(k)),
+        [dailyRows, k]
+    );
+
+    // Names a cluster after the two features that stand out most from the whole trip
+    const describeCluster = (cluster) => {
+        return features
+            .map(feature => {
+                const spread = standardDeviation(days.map(day => day[feature]));
+                const overall = mean(days.map(day => day[feature]));
+                if (!spread || cluster.centroid[feature] === null) return null;
+                return { feature, z: (cluster.centroid[feature] - overall) / spread };
+            })
+            .filter(Boolean)
+            .sort((a, b) => Math.abs(b.z) - Math.abs(a.z))
+            .slice(0, 2)
+            .map(({ feature, z }) => `${z > 0 ? 'High' : 'Low'} ${getMetric(feature).label.toLowerCase()}`)
+            .join(' · ');
+    };
+
+    return (
+        <div className="space-y-6">
+            <Card className="luxury-card">
+                <CardHeader className="space-y-4">
+                    <div>
+                        <CardTitle className="text-forest-deep flex items-center gap-2">
+                            <Layers className="w-4 h-4 text-navy-deep" />
+                            Experience States
+                        </CardTitle>
+                        <p className="text-sm text-sage-soft">
+                            Days grouped by similar body, environment and mood (k-means)
+                        </p>
+                    </div>
+
+                    <div className="flex flex-wrap gap-4">
+                        <Select value={k} onValueChange={setK}>
+                            <SelectTrigger className="w-40 bg-white/80 border-sage-soft/30">
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                {[2, 3, 4, 5, 6].map(value => (
+                                    <SelectItem key={value} value={String(value)}>{value} states</SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+
+                        <Badge variant="outline" className="bg-white/80 border-sage-soft/30">
+                            {days.length} days clustered
+                        </Badge>
+                    </div>
+                </CardHeader>
+                <CardContent>
+                    {days.length > 0 ? (
+                        <div className="flex flex-wrap gap-1">
+                            {days.map(day => (
+                                <div
+                                    key={`${day.day}-${day.location_id}`}
+                                    className="w-3 h-6 rounded-sm"
+                                    style={{ backgroundColor: clusters[day.cluster].color }}
+                                    title={`${format(dayKeyToDate(day.day), 'MMM d, yyyy')} • ${getLocationName(day.location_id)} • State ${day.cluster + 1}`}
+                                />
+                            ))}
+                        </div>
+                    ) : (
+                        <div className="p-8 text-center">
+                            <Layers className="w-12 h-12 mx-auto mb-4 text-sage-soft/50" />
+                            <p className="text-sage-soft">Not enough days to cluster</p>
+                        </div>
+                    )}
+                </CardContent>
+            </Card>
+
+            {clusters.length > 0 && (
+                <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
+                    {clusters.map(cluster => (
+                        <Card key={cluster.id} className="luxury-card">
+                            <CardHeader>
+                                <CardTitle className="text-forest-deep flex items-center gap-2">
+                                    <div className="w-3 h-3 rounded-full" style={{ backgroundColor: cluster.color }}></div>
+                                    State {cluster.id + 1}
+                                </CardTitle>
+                                <p className="text-sm text-sage-soft">
+                                    {describeCluster(cluster) || 'Typical days'} • {cluster.size} days
+                                </p>
+                            </CardHeader>
+                            <CardContent className="space-y-4">
+                                <div className="grid grid-cols-2 gap-2 text-sm">
+                                    {features.map(feature => {
+                                        const metric = getMetric(feature);
+                                        const value = cluster.centroid[feature];
+                                        return (
+                                            <div key={feature}>
+                                                <p className="text-sage-soft/80 text-xs">{metric.label}</p>
+                                                <p className="font-semibold text-forest-deep">
+                                                    {value === null ? '-' : `${value.toFixed(1)} ${metric.unit}`}
+                                                </p>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+
+                                {cluster.emotions.length > 0 && (
+                                    <div className="flex flex-wrap gap-1">
+                                        {cluster.emotions.map(([emotion, count]) => (
+                                            <Badge key={emotion} variant="outline" className="text-xs bg-sage-soft/20">
+                                                {emotion} ({count})
+                                            </Badge>
+                                        ))}
+                                    </div>
+                                )}
+
+                                <div className="space-y-1 text-xs text-sage-soft">
+                                    {cluster.locations.slice(0, 3).map(([locationId, count]) => (
+                                        <div key={locationId} className="flex items-center gap-1">
+                                            <MapPin className="w-3 h-3" />
+                                            {getLocationName(locationId)} ({count} days)
+                                        </div>
+                                    ))}
+                                </div>
+                            </CardContent>
+                        </Card>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
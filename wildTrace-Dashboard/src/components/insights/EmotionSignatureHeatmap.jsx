@@ -0,0 +1,138 @@
+import React, { useState, useMemo } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Heart } from "lucide-react";
+import { buildDailyFeatures } from "@/lib/dailyFeatures";
+import { buildEmotionSignatures } from "@/lib/emotionSignatures";
+import { BIOLOGICAL_METRICS, ENVIRONMENTAL_METRICS, JOURNAL_METRICS } from "@/lib/metrics";
+
+const METRICS = [...BIOLOGICAL_METRICS, ...ENVIRONMENTAL_METRICS, ...JOURNAL_METRICS];
+
+const getCellColor = (cell) => {
+    if (!cell) return "rgba(232, 226, 212, 0.4)";
+    const intensity = Math.min(1, Math.abs(cell.effectSize)) * 0.85;
+    return cell.effectSize > 0
+        ? `rgba(198, 93, 7, ${intensity})`
+        : `rgba(30, 58, 95, ${intensity})`;
+};
+
+export default function EmotionSignatureHeatmap({ biologicalData, environmentalData, journalEntries }) {
+    const [selected, setSelected] = useState(null);
+
+    const signatures = useMemo(() => {
+        const dailyRows = buildDailyFeatures(biologicalData, environmentalData, journalEntries);
+        return buildEmotionSignatures(dailyRows, METRICS.map(metric => metric.key))
+            .filter(signature => signature.taggedDays > 0);
+    }, [biologicalData, environmentalData, journalEntries]);
+
+    const activeMetrics = METRICS.filter(metric => signatures.some(signature => signature.cells[metric.key]));
+    const selectedCell = selected
+        ? signatures.find(s => s.emotion === selected.emotion)?.cells[selected.metric.key]
+        : null;
+
+    return (
+        <Card className="luxury-card">
+            <CardHeader>
+                <CardTitle className="text-forest-deep flex items-center gap-2">
+                    <Heart className="w-4 h-4 text-terracotta" />
+                    Emotion Signatures
+                </CardTitle>
+                <p className="text-sm text-sage-soft">
+                    How body and surroundings differed on days tagged with each emotion, compared with days without it
+                </p>
+            </CardHeader>
+            <CardContent className="space-y-6">
+                {signatures.length > 0 && activeMetrics.length > 0 ? (
+                    <div className="overflow-x-auto">
+                        <table className="text-xs border-separate" style={{ borderSpacing: 2 }}>
+                            <thead>
+                                <tr>
+                                    <th></th>
+                                    {activeMetrics.map(metric => (
+                                        <th key={metric.key} className="h-32 align-bottom font-medium text-sage-soft">
+                                            <div className="whitespace-nowrap" style={{ writingMode: 'vertical-rl', transform: 'rotate(180deg)' }}>
+                                                {metric.label}
+                                            </div>
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {signatures.map(signature => (
+                                    <tr key={signature.emotion}>
+                                        <th className="pr-2 text-right font-medium text-sage-soft whitespace-nowrap capitalize">
+                                            {signature.emotion} ({signature.taggedDays})
+                                        </th>
+                                        {activeMetrics.map(metric => {
+                                            const cell = signature.cells[metric.key];
+                                            const isSignificant = cell && (cell.lower > 0 || cell.upper < 0);
+                                            const isSelected = selected?.emotion === signature.emotion && selected?.metric.key === metric.key;
+                                            return (
+                                                <td
+                                                    key={metric.key}
+                                                    onClick={() => cell && setSelected({ emotion: signature.emotion, metric })}
+                                                    className={`w-12 h-10 text-center rounded ${cell ? 'cursor-pointer hover:ring-2 hover:ring-forest-deep' : ''} ${
+                                                        isSelected ? 'ring-2 ring-forest-deep' : ''
+                                                    } ${Math.abs(cell?.effectSize || 0) > 0.6 ? 'text-white' : 'text-forest-deep'} ${isSignificant ? 'font-bold' : 'opacity-80'}`}
+                                                    style={{ backgroundColor: getCellColor(cell) }}
+                                                >
+                                                    {cell ? `${cell.difference > 0 ? '+' : ''}${cell.difference.toFixed(1)}` : ''}
+                                                    {isSignificant && '*'}
+                                                </td>
+                                            );
+                                        })}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        <p className="text-xs text-sage-soft mt-4">
+                            Cells show the difference from untagged days in each metric's unit. * 95% interval excludes zero.
+                        </p>
+                    </div>
+                ) : (
+                    <div className="p-8 text-center">
+                        <Heart className="w-12 h-12 mx-auto mb-4 text-sage-soft/50" />
+                        <p className="text-sage-soft">Tag emotions in your journal to see their signatures</p>
+                    </div>
+                )}
+
+                {selected && selectedCell && (
+                    <div className="p-4 bg-stone/10 rounded-lg space-y-2">
+                        <h4 className="font-semibold text-forest-deep capitalize">
+                            {selected.emotion} • {selected.metric.label}
+                        </h4>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                            <div>
+                                <p className="text-sage-soft/80">Tagged days</p>
+                                <p className="font-semibold text-forest-deep">
+                                    {selectedCell.taggedMean.toFixed(1)} {selected.metric.unit}
+                                </p>
+                            </div>
+                            <div>
+                                <p className="text-sage-soft/80">Other days</p>
+                                <p className="font-semibold text-forest-deep">
+                                    {selectedCell.untaggedMean.toFixed(1)} {selected.metric.unit}
+                                </p>
+                            </div>
+                            <div>
+                                <p className="text-sage-soft/80">95% interval</p>
+                                <p className="font-semibold text-forest-deep">
+                                    {selectedCell.lower.toFixed(1)} to {selectedCell.upper.toFixed(1)}
+                                </p>
+                            </div>
+                            <div>
+                                <p className="text-sage-soft/80">Sample</p>
+                                <p className="font-semibold text-forest-deep">
+                                    {selectedCell.taggedDays} vs {selectedCell.untaggedDays} days
+                                </p>
+                            </div>
+                        </div>
+                        <Badge variant="outline" className="text-xs bg-sage-soft/20">
+                            Standardized difference {selectedCell.effectSize.toFixed(2)}
+                        </Badge>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
@@ -0,0 +1,141 @@
+import React, { useState, useMemo } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { TrendingUp } from "lucide-react";
+import { format } from "date-fns";
+import { buildDailyFeatures, collapseToDays } from "@/lib/dailyFeatures";
+import { forecastNextDay, FORECAST_TARGETS, FORECAST_MODELS } from "@/lib/forecasting";
+import { dayKeyToDate } from "@/lib/stats";
+import { BIOLOGICAL_METRICS, ENVIRONMENTAL_METRICS, getMetric } from "@/lib/metrics";
+
+const DAY_KEYS = [...BIOLOGICAL_METRICS, ...ENVIRONMENTAL_METRICS].map(metric => metric.key).concat("mood_score");
+
+export default function ForecastPanel({ biologicalData, environmentalData, journalEntries }) {
+    const [modelKey, setModelKey] = useState("regression");
+
+    const days = useMemo(
+        () => collapseToDays(buildDailyFeatures(biologicalData, environmentalData, journalEntries), DAY_KEYS),
+        [biologicalData, environmentalData, journalEntries]
+    );
+
+    const forecasts = useMemo(
+        () => FORECAST_TARGETS.map(target => forecastNextDay(days, target, modelKey)),
+        [days, modelKey]
+    );
+
+    const prepareChartData = (forecast) => {
+        const predictedByDay = {};
+        forecast.backtest.results.forEach(result => {
+            predictedByDay[result.day] = result.predicted;
+        });
+
+        const history = days.slice(-30).map(day => ({
+            date: format(dayKeyToDate(day.day), 'MMM d'),
+            actual: day[forecast.target],
+            predicted: predictedByDay[day.day]
+        }));
+
+        if (forecast.prediction === null) return history;
+        return [...history, {
+            date: format(dayKeyToDate(forecast.day), 'MMM d'),
+            predicted: forecast.prediction,
+            interval: [forecast.lower, forecast.upper]
+        }];
+    };
+
+    return (
+        <div className="space-y-6">
+            <Card className="luxury-card">
+                <CardHeader className="space-y-4">
+                    <div>
+                        <CardTitle className="text-forest-deep flex items-center gap-2">
+                            <TrendingUp className="w-4 h-4 text-sage-soft" />
+                            Tomorrow's Outlook
+                        </CardTitle>
+                        <p className="text-sm text-sage-soft">
+                            Next-day forecasts from your recent biometrics, conditions and moods
+                        </p>
+                    </div>
+
+                    <div className="flex flex-wrap gap-4">
+                        <Select value={modelKey} onValueChange={setModelKey}>
+                            <SelectTrigger className="w-56 bg-white/80 border-sage-soft/30">
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                {Object.entries(FORECAST_MODELS).map(([key, model]) => (
+                                    <SelectItem key={key} value={key}>{model.label}</SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+
+                        <Badge variant="outline" className="bg-white/80 border-sage-soft/30">
+                            {days.length} days of history
+                        </Badge>
+                    </div>
+                </CardHeader>
+            </Card>
+
+            <div className="grid lg:grid-cols-3 gap-6">
+                {forecasts.map(forecast => {
+                    const metric = getMetric(forecast.target);
+                    const { mae, skill } = forecast.backtest;
+
+                    return (
+                        <Card key={forecast.target} className="luxury-card">
+                            <CardHeader className="pb-3">
+                                <CardTitle className="text-forest-deep text-sm font-medium">{metric.label}</CardTitle>
+                            </CardHeader>
+                            <CardContent className="space-y-4">
+                                {forecast.prediction !== null ? (
+                                    <div className="space-y-1">
+                                        <p className="text-2xl font-bold text-forest-deep">
+                                            {forecast.prediction.toFixed(1)} {metric.unit}
+                                        </p>
+                                        <div className="text-xs text-sage-soft">
+                                            95% interval: {forecast.lower.toFixed(1)} – {forecast.upper.toFixed(1)} • {format(dayKeyToDate(forecast.day), 'MMM d')}
+                                        </div>
+                                    </div>
+                                ) : (
+                                    <p className="text-sage-soft text-sm">Not enough consecutive days to forecast</p>
+                                )}
+
+                                <div className="flex gap-2">
+                                    <Badge variant="outline" className="text-xs bg-white/80">
+                                        Backtest MAE: {mae !== null ? mae.toFixed(2) : '-'}
+                                    </Badge>
+                                    <Badge
+                                        variant="outline"
+                                        className={`text-xs ${skill > 0 ? 'bg-sage-soft/20' : 'bg-terracotta/10'}`}
+                                    >
+                                        Skill vs naive: {skill !== null ? `${(skill * 100).toFixed(0)}%` : '-'}
+                                    </Badge>
+                                </div>
+
+                                <ResponsiveContainer width="100%" height={200}>
+                                    <ComposedChart data={prepareChartData(forecast)}>
+                                        <CartesianGrid strokeDasharray="3 3" stroke="#9caf88" opacity={0.3} />
+                                        <XAxis dataKey="date" stroke="#9caf88" fontSize={10} />
+                                        <YAxis stroke="#9caf88" fontSize={10} />
+                                        <Tooltip
+                                            contentStyle={{
+                                                backgroundColor: 'rgba(255, 255, 255, 0.95)',
+                                                border: '1px solid #9caf88',
+                                                borderRadius: '8px'
+                                            }}
+                                        />
+                                        <Area dataKey="interval" stroke="none" fill={metric.color} fillOpacity={0.2} />
+                                        <Line type="monotone" dataKey="actual" stroke={metric.color} strokeWidth={2} dot={false} />
+                                        <Line type="monotone" dataKey="predicted" stroke="#1a2e1a" strokeDasharray="4 4" strokeWidth={2} dot={{ r: 2 }} />
+                                    </ComposedChart>
+                                </ResponsiveContainer>
+                            </CardContent>
+                        </Card>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
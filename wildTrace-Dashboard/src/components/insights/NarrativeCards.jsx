@@ -0,0 +1,95 @@
+import React, { useMemo } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Sparkles, MapPin, Heart, Thermometer } from "lucide-react";
+import { generateFindings } from "@/lib/narratives";
+import { formatDay } from "@/lib/stats";
+import { useLocationLookup } from "@/data/store";
+
+const KIND_ICONS = {
+    location: MapPin,
+    emotion: Heart,
+    environment: Thermometer
+};
+
+const MAX_CITED_DAYS = 12;
+
+// Days of the cited records, leaving out any whose date can't be read
+const citedDays = (records) => records.map(record => formatDay(record.date, 'MMM d')).filter(Boolean);
+
+const ENTITY_LABELS = {
+    BiologicalData: "biometric readings",
+    EnvironmentalData: "environmental readings",
+    JournalEntry: "journal entries"
+};
+
+const getEffectLabel = (effectSize) => {
+    const size = Math.abs(effectSize);
+    if (size >= 0.8) return "Strong";
+    if (size >= 0.5) return "Moderate";
+    return "Small";
+};
+
+export default function NarrativeCards({ biologicalData = [], environmentalData = [], journalEntries = [], limit, className = "grid md:grid-cols-3 gap-6" }) {
+    const { getLocationName } = useLocationLookup();
+    const findings = useMemo(
+        () => generateFindings({ biologicalData, environmentalData, journalEntries, getLocationName }),
+        [biologicalData, environmentalData, journalEntries, getLocationName]
+    );
+
+    const visibleFindings = limit ? findings.slice(0, limit) : findings;
+
+    if (visibleFindings.length === 0) {
+        return (
+            <Card className="luxury-card">
+                <CardContent className="p-8 text-center">
+                    <Sparkles className="w-12 h-12 mx-auto mb-4 text-sage-soft/50" />
+                    <p className="text-sage-soft">No notable patterns in the current data yet</p>
+                </CardContent>
+            </Card>
+        );
+    }
+
+    return (
+        <div className={className}>
+            {visibleFindings.map(finding => {
+                const Icon = KIND_ICONS[finding.kind] || Sparkles;
+                return (
+                    <Card key={finding.id} className="luxury-card">
+                        <CardHeader>
+                            <CardTitle className="text-forest-deep flex items-center gap-2">
+                                <Icon className="w-4 h-4 text-sage-soft" />
+                                {finding.title}
+                            </CardTitle>
+                        </CardHeader>
+                        <CardContent className="space-y-3">
+                            <p className="text-sm text-forest-deep leading-relaxed">{finding.text}</p>
+                            <Badge variant="outline" className="text-xs bg-sage-soft/20">
+                                {getEffectLabel(finding.effectSize)} effect • {Math.abs(finding.effectSize).toFixed(2)}
+                            </Badge>
+                            <details className="text-xs text-sage-soft">
+                                <summary className="cursor-pointer">
+                                    Based on {finding.citations.map(c => `${c.records.length} ${ENTITY_LABELS[c.entity]}`).join(' and ')}
+                                </summary>
+                                <div className="mt-2 space-y-2">
+                                    {finding.citations.map(citation => {
+                                        const days = citedDays(citation.records);
+                                        return (
+                                            <div key={citation.entity}>
+                                                <p className="font-medium text-forest-deep">{citation.entity}</p>
+                                                <p>
+                                                    {days.slice(0, MAX_CITED_DAYS).join(', ')}
+                                                    {days.length > MAX_CITED_DAYS && ` and ${days.length - MAX_CITED_DAYS} more`}
+                                                </p>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            </details>
+                        </CardContent>
+                    </Card>
+                );
+            })}
+        </div>
+    );
+}
@@ -0,0 +1,85 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { AlertTriangle } from "lucide-react";
+
+const ENTITY_LABELS = {
+    Location: "Locations",
+    BiologicalData: "Biological data",
+    EnvironmentalData: "Environmental data",
+    JournalEntry: "Journal entries"
+};
+
+// Confirms a restore with what it is going to write: diff is from the current data to the snapshot.
+// The summary is the one shown on opening; the store works out the writes again when restoring.
+export default function RestoreSnapshotDialog({ snapshot, diff, onRestore, onClose }) {
+    const [progress, setProgress] = useState(null);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+    const [plannedDiff] = useState(diff);
+    const rows = plannedDiff.filter(entity => entity.added.length + entity.removed.length + entity.changed.length > 0);
+    const isRestoring = progress !== null && !result && !error;
+
+    const handleRestore = async () => {
+        setError(null);
+        setProgress({ done: 0, total: 0 });
+        try {
+            setResult(await onRestore((done, total) => setProgress({ done, total })));
+        } catch (restoreError) {
+            console.error("Error restoring snapshot:", restoreError);
+            setError(restoreError.message || "The snapshot could not be restored");
+        }
+    };
+
+    return (
+        <Dialog open onOpenChange={(open) => !open && !isRestoring && onClose()}>
+            <DialogContent className="max-w-lg">
+                <DialogHeader>
+                    <DialogTitle>Restore “{snapshot.name}”?</DialogTitle>
+                </DialogHeader>
+                <div className="space-y-4">
+                    {rows.length === 0 ? (
+                        <p className="text-sm text-sage-soft">The current data already matches this snapshot.</p>
+                    ) : (
+                        <>
+                            <p className="text-sm text-forest-deep">The current data will be changed to match the snapshot:</p>
+                            <ul className="text-sm space-y-1">
+                                {rows.map(entity => (
+                                    <li key={entity.entityName} className="flex justify-between gap-4 p-2 bg-stone/10 rounded">
+                                        <span className="font-medium text-forest-deep">{ENTITY_LABELS[entity.entityName]}</span>
+                                        <span className="text-sage-soft">
+                                            {entity.added.length} recreated · {entity.changed.length} changed · {entity.removed.length} deleted
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                            <p className="text-xs text-sage-soft flex items-start gap-2">
+                                <AlertTriangle className="w-4 h-4 shrink-0 text-terracotta" />
+                                Recreated records get new ids. Every write goes to the audit log as one batch, so the restore can be reverted there.
+                            </p>
+                        </>
+                    )}
+
+                    {progress && !result && !error && (
+                        <p className="text-sm text-forest-deep">Restoring… {progress.done} of {progress.total}</p>
+                    )}
+                    {result && <p className="text-sm text-forest-deep">Restored, with {result.written} {result.written === 1 ? "change" : "changes"}.</p>}
+                    {error && (
+                        <p className="text-sm text-terracotta">
+                            {error}{progress?.done > 0 && " — changes written before the failure are in the audit log"}.
+                        </p>
+                    )}
+
+                    <div className="flex justify-end gap-2">
+                        <Button variant="outline" onClick={onClose} disabled={isRestoring}>{result ? "Close" : "Cancel"}</Button>
+                        {!result && rows.length > 0 && (
+                            <Button onClick={handleRestore} disabled={isRestoring} className="bg-forest-deep hover:bg-forest-deep/90">
+                                {isRestoring ? "Restoring..." : "Restore snapshot"}
+                            </Button>
+                        )}
+                    </div>
+                </div>
+            </DialogContent>
+        </Dialog>
+    );
+}
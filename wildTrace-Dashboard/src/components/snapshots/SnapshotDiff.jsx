@@ -0,0 +1,227 @@
+import React, { useMemo, useState } from "react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { ArrowRight } from "lucide-react";
+import { format } from "date-fns";
+import { HEADLINE_METRICS, hasDifferences } from "@/lib/snapshots";
+import { formatAuditValue } from "@/lib/audit";
+import { formatStat } from "@/lib/missingData";
+
+const ENTITY_LABELS = {
+    Location: "Location",
+    BiologicalData: "Biological",
+    EnvironmentalData: "Environmental",
+    JournalEntry: "Journal"
+};
+
+const PAGE_SIZE = 25;
+
+const formatDate = (value, pattern) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value ?? "—") : format(date, pattern);
+};
+
+const formatDelta = (delta, digits) => {
+    if (delta === null) return null;
+    const rounded = Number(delta.toFixed(digits));
+    return rounded === 0 ? "±0" : `${rounded > 0 ? "+" : ""}${rounded.toFixed(digits)}`;
+};
+
+function MetricCell({ metric, value }) {
+    if (value.before === null && value.after === null) return <TableCell className="text-sage-soft">—</TableCell>;
+    if (!value.changed) return <TableCell className="text-sage-soft">{formatStat(value.after, metric.digits)}</TableCell>;
+    const delta = formatDelta(value.delta, metric.digits);
+    return (
+        <TableCell>
+            <span className="text-sage-soft">{formatStat(value.before, metric.digits)}</span>
+            <ArrowRight className="w-3 h-3 inline mx-1 text-sage-soft" />
+            <span className="font-medium text-forest-deep">{formatStat(value.after, metric.digits)}</span>
+            {delta && <span className="ml-1 text-xs text-terracotta">{delta}</span>}
+        </TableCell>
+    );
+}
+
+function RecordList({ title, records, describe, renderDetail }) {
+    const [shown, setShown] = useState(PAGE_SIZE);
+    if (records.length === 0) return null;
+
+    return (
+        <div className="space-y-2">
+            <h4 className="font-semibold text-forest-deep flex items-center gap-2">
+                {title}
+                <Badge variant="outline" className="bg-white/80 border-sage-soft/30">{records.length}</Badge>
+            </h4>
+            <ul className="space-y-2">
+                {records.slice(0, shown).map(item => (
+                    <li key={item.id} className="p-3 bg-stone/10 rounded-lg text-sm">
+                        <p className="text-forest-deep">
+                            {describe(item.after || item)}
+                            <span className="ml-2 font-mono text-xs text-sage-soft">{item.id}</span>
+                        </p>
+                        {renderDetail?.(item)}
+                    </li>
+                ))}
+            </ul>
+            {records.length > shown && (
+                <Button variant="outline" size="sm" onClick={() => setShown(shown + PAGE_SIZE)}>
+                    Show more ({records.length - shown} more)
+                </Button>
+            )}
+        </div>
+    );
+}
+
+// The differences between two versions of the dataset: counts per entity, the effect on the headline
+// averages per location, and record-by-record field changes
+export default function SnapshotDiff({ diff, stats, baseRecords, targetRecords }) {
+    const [entityName, setEntityName] = useState("BiologicalData");
+    const [field, setField] = useState(null);
+    const [onlyChanged, setOnlyChanged] = useState(true);
+
+    const locationNames = useMemo(
+        () => new Map([...(baseRecords.Location || []), ...(targetRecords.Location || [])].map(location => [location.id, location.name])),
+        [baseRecords, targetRecords]
+    );
+    const describe = (record) => (entityName === "Location"
+        ? record.name || "Unnamed location"
+        : `${formatDate(record.date, entityName === "BiologicalData" ? 'MMM d, yyyy HH:mm' : 'MMM d, yyyy')} · ${locationNames.get(record.location_id) || "Unknown Location"}`);
+
+    const entity = diff.find(other => other.entityName === entityName);
+    const changed = field ? entity.changed.filter(item => item.changes.some(change => change.field === field)) : entity.changed;
+    const statRows = onlyChanged ? stats.filter(row => row.changed) : stats;
+
+    if (!hasDifferences(diff)) {
+        return <p className="text-sage-soft text-center py-4">Both versions hold exactly the same records</p>;
+    }
+
+    return (
+        <div className="space-y-8">
+            <div className="overflow-x-auto">
+                <Table>
+                    <TableHeader>
+                        <TableRow>
+                            <TableHead>Entity</TableHead>
+                            <TableHead>Records</TableHead>
+                            <TableHead>Added</TableHead>
+                            <TableHead>Removed</TableHead>
+                            <TableHead>Changed</TableHead>
+                            <TableHead>Unchanged</TableHead>
+                        </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                        {diff.map(row => (
+                            <TableRow key={row.entityName}>
+                                <TableCell className="font-medium text-forest-deep">{ENTITY_LABELS[row.entityName]}</TableCell>
+                                <TableCell>{row.before === row.after ? row.after : <>{row.before} <ArrowRight className="w-3 h-3 inline mx-1" /> {row.after}</>}</TableCell>
+                                <TableCell className={row.added.length > 0 ? "text-forest-deep font-medium" : "text-sage-soft"}>{row.added.length}</TableCell>
+                                <TableCell className={row.removed.length > 0 ? "text-terracotta font-medium" : "text-sage-soft"}>{row.removed.length}</TableCell>
+                                <TableCell className={row.changed.length > 0 ? "text-forest-deep font-medium" : "text-sage-soft"}>{row.changed.length}</TableCell>
+                                <TableCell className="text-sage-soft">{row.unchanged.length}</TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            </div>
+
+            <div className="space-y-3">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                    <h4 className="font-semibold text-forest-deep">Headline averages per location</h4>
+                    <Button size="sm" variant={onlyChanged ? "default" : "outline"} onClick={() => setOnlyChanged(!onlyChanged)}>
+                        Only changed locations
+                    </Button>
+                </div>
+                {statRows.length === 0 ? (
+                    <p className="text-sm text-sage-soft">None of the averages changed</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>Location</TableHead>
+                                    {HEADLINE_METRICS.map(metric => (
+                                        <TableHead key={metric.key}>{metric.label} ({metric.unit})</TableHead>
+                                    ))}
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {statRows.map(row => (
+                                    <TableRow key={row.locationId}>
+                                        <TableCell className="font-medium text-forest-deep">{row.name}</TableCell>
+                                        {HEADLINE_METRICS.map(metric => (
+                                            <MetricCell key={metric.key} metric={metric} value={row.metrics[metric.key]} />
+                                        ))}
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </div>
+                )}
+            </div>
+
+            <div className="space-y-4">
+                <h4 className="font-semibold text-forest-deep">Record changes</h4>
+                <div className="flex flex-wrap gap-2">
+                    {diff.map(row => (
+                        <Button
+                            key={row.entityName}
+                            size="sm"
+                            variant={entityName === row.entityName ? "default" : "outline"}
+                            className={entityName === row.entityName ? "bg-forest-deep hover:bg-forest-deep/90" : ""}
+                            onClick={() => {
+                                setEntityName(row.entityName);
+                                setField(null);
+                            }}
+                        >
+                            {ENTITY_LABELS[row.entityName]} ({row.added.length + row.removed.length + row.changed.length})
+                        </Button>
+                    ))}
+                </div>
+
+                {entity.fieldCounts.length > 0 && (
+                    <div className="flex flex-wrap items-center gap-2 text-sm">
+                        <span className="text-sage-soft">Changed fields:</span>
+                        {entity.fieldCounts.map(({ field: name, count }) => (
+                            <Button
+                                key={name}
+                                size="sm"
+                                variant={field === name ? "default" : "outline"}
+                                onClick={() => setField(field === name ? null : name)}
+                            >
+                                {name} ({count})
+                            </Button>
+                        ))}
+                    </div>
+                )}
+
+                <RecordList
+                    key={`${entityName}-${field}-changed`}
+                    title="Changed"
+                    records={changed}
+                    describe={describe}
+                    renderDetail={(item) => (
+                        <ul className="mt-1 space-y-1">
+                            {item.changes.filter(change => !field || change.field === field).map(change => (
+                                <li key={change.field} className="flex flex-wrap items-center gap-2 break-all">
+                                    <span className="font-medium text-forest-deep">{change.field}:</span>
+                                    <span className="text-sage-soft line-through">{formatAuditValue(change.from)}</span>
+                                    <ArrowRight className="w-3 h-3 shrink-0 text-sage-soft" />
+                                    <span className="text-forest-deep">{formatAuditValue(change.to)}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                />
+                {!field && (
+                    <>
+                        <RecordList key={`${entityName}-added`} title="Added" records={entity.added} describe={describe} />
+                        <RecordList key={`${entityName}-removed`} title="Removed" records={entity.removed} describe={describe} />
+                    </>
+                )}
+                {entity.added.length + entity.removed.length + entity.changed.length === 0 && (
+                    <p className="text-sm text-sage-soft">No {ENTITY_LABELS[entityName].toLowerCase()} records differ</p>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,26 @@
+import React from "react";
+import { AlertTriangle } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+
+// Shown instead of the whole dashboard when the data source settings are missing or wrong
+export default function ConfigurationError({ error }) {
+    return (
+        <div className="min-h-screen flex items-center justify-center p-6 bg-stone/20">
+            <Card className="max-w-lg w-full">
+                <CardHeader>
+                    <CardTitle className="text-forest-deep flex items-center gap-2">
+                        <AlertTriangle className="w-5 h-5 text-terracotta" />
+                        The data source is not configured
+                    </CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-3 text-sm">
+                    <p className="text-terracotta">{error.message}</p>
+                    <p className="text-sage-soft">
+                        Check <code>VITE_DATA_SOURCE</code> and the settings that source needs (see Data Sources in the README),
+                        then restart the dashboard.
+                    </p>
+                </CardContent>
+            </Card>
+        </div>
+    );
+}
@@ -0,0 +1,22 @@
+import React from "react";
+import { format } from "date-fns";
+import { WifiOff } from "lucide-react";
+import { useSyncStatus } from "@/data/store";
+
+// Shown above every page while it is rendering records from the offline cache because the source
+// can't be reached; not while the cached records are only being revalidated
+export default function StaleDataBanner() {
+    const { syncedAt, isStale, isUnreachable, isOnline } = useSyncStatus();
+
+    if (!isStale || (isOnline && !isUnreachable)) return null;
+
+    return (
+        <div className="flex items-center gap-3 border-b border-terracotta/20 bg-terracotta/10 px-6 py-2 text-sm text-terracotta">
+            <WifiOff className="w-4 h-4 flex-shrink-0" />
+            <span>
+                {isOnline ? "Couldn't reach the data source" : "You're offline"} — showing data cached
+                {syncedAt ? ` on ${format(syncedAt, 'MMM d, yyyy HH:mm')}` : " earlier"}.
+            </span>
+        </div>
+    );
+}
@@ -0,0 +1,49 @@
+import React from "react";
+import { formatDistanceToNow } from "date-fns";
+import { Server, WifiOff, RefreshCw, CloudUpload } from "lucide-react";
+import { dataSource } from "@/data/entities";
+import { useSyncStatus } from "@/data/store";
+
+export default function SyncStatus() {
+    const { syncedAt, isStale, isOnline, isSyncing, pendingCount, syncOutbox } = useSyncStatus();
+
+    const getSyncLabel = () => {
+        if (isSyncing) return "Syncing…";
+        if (!syncedAt) return dataSource.readOnly ? "Read-only data source" : "Not synced yet";
+        return `Synced ${formatDistanceToNow(syncedAt, { addSuffix: true })}`;
+    };
+
+    return (
+        <div className="space-y-3 text-xs">
+            <div className="flex items-center gap-3">
+                {isOnline ? (
+                    <Server className="w-4 h-4 text-sage-soft" />
+                ) : (
+                    <WifiOff className="w-4 h-4 text-terracotta" />
+                )}
+                <div className="flex-1 min-w-0">
+                    <div className="font-semibold text-forest-deep truncate">{dataSource.label}</div>
+                    <div className={isStale ? "text-terracotta" : "text-sage-soft"}>
+                        {isOnline ? getSyncLabel() : "Offline"}
+                        {isStale && " · cached copy"}
+                    </div>
+                </div>
+                {isSyncing && <RefreshCw className="w-4 h-4 text-sage-soft animate-spin" />}
+            </div>
+
+            {pendingCount > 0 && (
+                <button
+                    type="button"
+                    onClick={syncOutbox}
+                    disabled={!isOnline || isSyncing}
+                    className="w-full flex items-center gap-2 rounded-lg bg-gold-accent/10 px-3 py-2 text-left text-forest-deep hover:bg-gold-accent/20 disabled:opacity-60"
+                >
+                    <CloudUpload className="w-4 h-4 text-gold-accent" />
+                    <span className="flex-1">
+                        {pendingCount} {pendingCount === 1 ? "entry" : "entries"} waiting to sync
+                    </span>
+                </button>
+            )}
+        </div>
+    );
+}
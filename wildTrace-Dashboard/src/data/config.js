@@ -0,0 +1,22 @@
+import { createPlatformSource } from "@/data/sources/platformSource";
+import { createSupabaseSource } from "@/data/sources/supabaseSource";
+import { createJsonSource } from "@/data/sources/jsonSource";
+import { createMemorySource } from "@/data/sources/memorySource";
+
+const env = import.meta.env || {};
+
+export const DATA_SOURCE_TYPES = {
+    platform: () => createPlatformSource(),
+    supabase: () => createSupabaseSource({ url: env.VITE_SUPABASE_URL, anonKey: env.VITE_SUPABASE_ANON_KEY }),
+    json: () => createJsonSource({ archiveUrl: env.VITE_JSON_ARCHIVE_URL }),
+    memory: () => createMemorySource()
+};
+
+// VITE_DATA_SOURCE picks the backend; the platform SDK stays the default
+export const createConfiguredSource = (type = env.VITE_DATA_SOURCE || "platform") => {
+    const factory = DATA_SOURCE_TYPES[type];
+    if (!factory) {
+        throw new Error(`Unknown data source "${type}", expected one of ${Object.keys(DATA_SOURCE_TYPES).join(", ")}`);
+    }
+    return factory();
+};
@@ -0,0 +1,21 @@
+import React, { createContext, useContext, useMemo, useState } from "react";
+import { ALL_TIME } from "@/lib/dateRange";
+
+const DateRangeContext = createContext({ range: ALL_TIME, presetId: "all", setRange: () => {} });
+
+// The window every page filters its records to; presetId remembers which preset (if any) produced it
+export function DateRangeProvider({ children }) {
+    const [selection, setSelection] = useState({ range: ALL_TIME, presetId: "all" });
+
+    const value = useMemo(() => ({
+        range: selection.range,
+        presetId: selection.presetId,
+        setRange: (range, presetId = "custom") => setSelection({ range, presetId })
+    }), [selection]);
+
+    return <DateRangeContext.Provider value={value}>{children}</DateRangeContext.Provider>;
+}
+
+export function useDateRange() {
+    return useContext(DateRangeContext);
+}
@@ -0,0 +1,37 @@
+import { createConfiguredSource } from "@/data/config";
+
+// Stands in when the configuration is missing or wrong, so importing this module never throws;
+// the layout shows configurationError instead of any page
+const createUnconfiguredSource = (error) => {
+    const fail = async () => {
+        throw error;
+    };
+    return { type: "unconfigured", label: "Not configured", readOnly: true, list: fail, create: fail, update: fail, remove: fail };
+};
+
+const configure = () => {
+    try {
+        return { source: createConfiguredSource(), error: null };
+    } catch (error) {
+        console.error("Could not set up the data source:", error);
+        return { source: createUnconfiguredSource(error), error };
+    }
+};
+
+const configured = configure();
+
+export const dataSource = configured.source;
+export const configurationError = configured.error;
+
+// Same list/create/update/delete surface as the platform entities, routed to the configured source
+const createEntity = (entityName) => ({
+    list: async (sort) => dataSource.list(entityName, sort),
+    create: async (data) => dataSource.create(entityName, data),
+    update: async (id, data) => dataSource.update(entityName, id, data),
+    delete: async (id) => dataSource.remove(entityName, id)
+});
+
+export const Location = createEntity("Location");
+export const BiologicalData = createEntity("BiologicalData");
+export const EnvironmentalData = createEntity("EnvironmentalData");
+export const JournalEntry = createEntity("JournalEntry");
@@ -0,0 +1,75 @@
+import { addDays, addHours, format } from "date-fns";
+
+const LOCATIONS = [
+    { id: "fixture-loc-1", name: "Torres del Paine", country: "Chile", latitude: -50.94, longitude: -73.41, arrival_date: "2024-03-01", departure_date: "2024-03-14", description: "Wind, granite and glacier light." },
+    { id: "fixture-loc-2", name: "Kyoto", country: "Japan", latitude: 35.01, longitude: 135.77, arrival_date: "2024-03-15", departure_date: "2024-03-28", description: "Temples at dawn, crowded afternoons." }
+];
+
+const EMOTION_SETS = [["calm", "wonder"], ["excitement", "joy"], ["fatigue"], ["curiosity", "peace"], ["anxiety", "stress"]];
+
+// Deterministic wave so the fixtures look like real data without being random
+const wave = (day, period, amplitude) => Math.sin((day / period) * Math.PI * 2) * amplitude;
+
+export const createFixtures = () => {
+    const biological = [];
+    const environmental = [];
+    const journal = [];
+
+    LOCATIONS.forEach((location, locationIndex) => {
+        const arrival = new Date(`${location.arrival_date}T00:00:00`);
+        for (let day = 0; day < 14; day++) {
+            const date = addDays(arrival, day);
+            const dayKey = format(date, 'yyyy-MM-dd');
+            const id = `${locationIndex + 1}-${day + 1}`;
+
+            biological.push({
+                id: `fixture-bio-${id}`,
+                location_id: location.id,
+                date: addHours(date, 7).toISOString(),
+                heart_rate_resting: Math.round(58 + locationIndex * 4 + Math.max(0, 6 - day) + wave(day, 7, 2)),
+                heart_rate_active: Math.round(120 + wave(day, 5, 15)),
+                heart_rate_variability: Math.round(55 - locationIndex * 6 + wave(day, 6, 6)),
+                body_temperature: Number((36.6 + wave(day, 9, 0.3)).toFixed(1)),
+                sleep_quality_score: Math.round(7 + wave(day, 4, 2)),
+                sleep_duration: Number((7.2 + wave(day, 4, 1.3)).toFixed(1)),
+                respiratory_rate: Math.round(14 + wave(day, 8, 2)),
+                activity_level: Math.round(6 + wave(day, 3, 3)),
+                stress_level: Math.round(4 + locationIndex + wave(day, 5, 2))
+            });
+
+            environmental.push({
+                id: `fixture-env-${id}`,
+                location_id: location.id,
+                date: dayKey,
+                temperature_avg: Number(((locationIndex === 0 ? 9 : 14) + wave(day, 10, 3)).toFixed(1)),
+                temperature_min: Number(((locationIndex === 0 ? 3 : 8) + wave(day, 10, 3)).toFixed(1)),
+                temperature_max: Number(((locationIndex === 0 ? 15 : 20) + wave(day, 10, 3)).toFixed(1)),
+                humidity: Math.round(60 + wave(day, 6, 15)),
+                light_exposure: Math.round(6000 + wave(day, 5, 2500)),
+                air_quality_index: Math.round((locationIndex === 0 ? 15 : 55) + wave(day, 7, 10)),
+                noise_level: Math.round((locationIndex === 0 ? 30 : 60) + wave(day, 3, 8)),
+                weather_condition: day % 3 === 0 ? "cloudy" : "clear"
+            });
+
+            if (day % 2 === 0) {
+                journal.push({
+                    id: `fixture-journal-${id}`,
+                    location_id: location.id,
+                    date: dayKey,
+                    title: `Day ${day + 1} in ${location.name}`,
+                    content: `Notes from day ${day + 1} in ${location.name}.`,
+                    emotions: EMOTION_SETS[(day / 2 + locationIndex) % EMOTION_SETS.length],
+                    mood_score: Math.round(7 + wave(day, 6, 2)),
+                    highlight_moment: day === 6
+                });
+            }
+        }
+    });
+
+    return {
+        Location: LOCATIONS,
+        BiologicalData: biological,
+        EnvironmentalData: environmental,
+        JournalEntry: journal
+    };
+};
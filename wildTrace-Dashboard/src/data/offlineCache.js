@@ -0,0 +1,140 @@
+// IndexedDB persistence for entity lists, records created while offline, the audit log of edits and
+// dataset snapshots. Every call resolves to an empty result when IndexedDB is unavailable, so the store
+// works without it; only saving a snapshot fails, since there would be nothing to come back to.
+
+const DB_NAME = "wildtrace-cache";
+const DB_VERSION = 3;
+const LISTS = "lists";
+const OUTBOX = "outbox";
+const AUDIT = "audit";
+const SNAPSHOTS = "snapshots";
+
+let databasePromise = null;
+
+const openDatabase = () => {
+    if (typeof indexedDB === "undefined") return Promise.resolve(null);
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(LISTS)) db.createObjectStore(LISTS, { keyPath: "key" });
+                if (!db.objectStoreNames.contains(OUTBOX)) db.createObjectStore(OUTBOX, { keyPath: "queue_id" });
+                if (!db.objectStoreNames.contains(AUDIT)) db.createObjectStore(AUDIT, { keyPath: "audit_id" });
+                if (!db.objectStoreNames.contains(SNAPSHOTS)) db.createObjectStore(SNAPSHOTS, { keyPath: "id" });
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer version opened in another tab upgrade instead of blocking it
+                db.onversionchange = () => {
+                    db.close();
+                    databasePromise = null;
+                };
+                // Also picks the connection up when it opens after being blocked
+                databasePromise = Promise.resolve(db);
+                resolve(db);
+            };
+            request.onerror = () => {
+                console.error("Could not open the offline cache:", request.error);
+                resolve(null);
+            };
+            // Another tab still has an older version open; carry on without the cache until it closes
+            request.onblocked = () => {
+                console.error("The offline cache is blocked by another tab using an older version");
+                resolve(null);
+            };
+        });
+    }
+    return databasePromise;
+};
+
+const run = async (storeName, mode, operation) => {
+    const db = await openDatabase();
+    if (!db) return null;
+    return new Promise((resolve, reject) => {
+        const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+// Lists are keyed per data source so switching backends never mixes their records
+const listKey = (sourceType, entityName) => `${sourceType}:${entityName}`;
+
+export const readCachedList = async (sourceType, entityName) => {
+    const cached = await run(LISTS, "readonly", store => store.get(listKey(sourceType, entityName)));
+    return cached ? { records: cached.records, syncedAt: new Date(cached.syncedAt) } : null;
+};
+
+export const writeCachedList = (sourceType, entityName, records, syncedAt) =>
+    run(LISTS, "readwrite", store => store.put({
+        key: listKey(sourceType, entityName),
+        records,
+        syncedAt: syncedAt.toISOString()
+    }));
+
+export const readOutbox = async (sourceType) => {
+    const items = await run(OUTBOX, "readonly", store => store.getAll());
+    return (items || [])
+        .filter(item => item.source_type === sourceType)
+        .sort((a, b) => a.queued_at.localeCompare(b.queued_at));
+};
+
+export const enqueueCreate = async (sourceType, entityName, data) => {
+    const item = {
+        queue_id: `offline-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        source_type: sourceType,
+        entity_name: entityName,
+        data,
+        queued_at: new Date().toISOString()
+    };
+    await run(OUTBOX, "readwrite", store => store.put(item));
+    return item;
+};
+
+export const removeFromOutbox = (queueId) => run(OUTBOX, "readwrite", store => store.delete(queueId));
+
+// Newest first, for the current data source only
+export const readAuditLog = async (sourceType) => {
+    const entries = await run(AUDIT, "readonly", store => store.getAll());
+    return (entries || [])
+        .filter(entry => entry.source_type === sourceType)
+        .sort((a, b) => b.at.localeCompare(a.at));
+};
+
+// Adds new entries or replaces existing ones, e.g. when an entry is marked as reverted
+export const saveAuditEntries = async (entries) => {
+    for (const entry of entries) {
+        await run(AUDIT, "readwrite", store => store.put(entry));
+    }
+};
+
+// Snapshots hold every record, so listing them reads them all; fine for a handful of snapshots
+export const readSnapshots = async (sourceType) => {
+    const snapshots = await run(SNAPSHOTS, "readonly", store => store.getAll());
+    return (snapshots || []).filter(snapshot => snapshot.source_type === sourceType);
+};
+
+export const readSnapshot = (snapshotId) => run(SNAPSHOTS, "readonly", store => store.get(snapshotId));
+
+export const saveSnapshot = async (snapshot) => {
+    if (!(await openDatabase())) throw new Error("This browser cannot store snapshots");
+    await run(SNAPSHOTS, "readwrite", store => store.put(snapshot));
+    return snapshot;
+};
+
+export const deleteSnapshot = (snapshotId) => run(SNAPSHOTS, "readwrite", store => store.delete(snapshotId));
+
+// What fetch's TypeError says when the request never got a response, per browser (and Node)
+const FETCH_FAILURE = /failed to fetch|fetch failed|networkerror when attempting|load failed|network request failed/i;
+
+// Only failures to reach the source count; anything else, a TypeError from a bug included, is rethrown
+// by the caller. The platform SDK's HTTP client rejects with ERR_NETWORK, or a request that has no
+// response status, when the network is unreachable.
+export const isNetworkError = (error) => {
+    if (typeof navigator !== "undefined" && navigator.onLine === false) return true;
+    if (!error) return false;
+    if (error instanceof TypeError) return FETCH_FAILURE.test(error.message);
+    if (error.code === "ERR_NETWORK") return true;
+    return Boolean(error.request) && !error.response?.status;
+};
@@ -0,0 +1,21 @@
+import { dataSource } from "@/data/entities";
+import { readSnapshots, readSnapshot, saveSnapshot, deleteSnapshot } from "@/data/offlineCache";
+import { summarizeSnapshot } from "@/lib/snapshots";
+
+// Where snapshots can be kept: always this browser, and the data source too when it can store them.
+// Every store has the same surface; list() returns summaries (no records), get() the whole snapshot.
+const localStore = {
+    id: "local",
+    label: "This browser",
+    list: async () => (await readSnapshots(dataSource.type)).map(summarizeSnapshot),
+    get: (id) => readSnapshot(id),
+    save: (snapshot) => saveSnapshot(snapshot),
+    remove: (id) => deleteSnapshot(id)
+};
+
+export const SNAPSHOT_STORES = [
+    localStore,
+    ...(dataSource.snapshots ? [{ id: "source", label: dataSource.label, ...dataSource.snapshots }] : [])
+];
+
+export const getSnapshotStore = (storeId) => SNAPSHOT_STORES.find(store => store.id === storeId);
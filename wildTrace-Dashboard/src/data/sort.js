@@ -0,0 +1,22 @@
+// Base44-style sort strings: "date" sorts ascending, "-date" descending
+export const parseSort = (sort) => {
+    if (!sort) return null;
+    return sort.startsWith('-')
+        ? { field: sort.slice(1), direction: "desc" }
+        : { field: sort, direction: "asc" };
+};
+
+export const sortRecords = (records, sort) => {
+    const parsed = parseSort(sort);
+    if (!parsed) return [...records];
+    const { field, direction } = parsed;
+    return [...records].sort((a, b) => {
+        const left = a[field];
+        const right = b[field];
+        if (left === right) return 0;
+        if (left === undefined || left === null) return 1;
+        if (right === undefined || right === null) return -1;
+        const order = left < right ? -1 : 1;
+        return direction === "desc" ? -order : order;
+    });
+};
@@ -0,0 +1,39 @@
+import { sortRecords } from "@/data/sort";
+
+// Read-only archive: one JSON document keyed by entity name, e.g. { "Location": [...], "JournalEntry": [...] }
+export const createJsonSource = ({ archiveUrl }) => {
+    if (!archiveUrl) {
+        throw new Error("JSON data source needs VITE_JSON_ARCHIVE_URL");
+    }
+
+    let archive = null;
+    const loadArchive = async () => {
+        if (!archive) {
+            archive = fetch(archiveUrl).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Could not load JSON archive: ${response.status}`);
+                }
+                return response.json();
+            });
+            // Let a failed download be retried on the next call
+            archive.catch(() => {
+                archive = null;
+            });
+        }
+        return archive;
+    };
+
+    const readOnly = () => {
+        throw new Error("The JSON archive is read-only");
+    };
+
+    return {
+        type: "json",
+        label: "JSON archive",
+        readOnly: true,
+        list: async (entityName, sort) => sortRecords((await loadArchive())[entityName] || [], sort),
+        create: readOnly,
+        update: readOnly,
+        remove: readOnly
+    };
+};
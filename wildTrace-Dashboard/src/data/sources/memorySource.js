@@ -0,0 +1,59 @@
+import { sortRecords } from "@/data/sort";
+import { createFixtures } from "@/data/fixtures";
+
+// Keeps everything in memory; handy for demos and for working on the UI without a backend
+export const createMemorySource = ({ fixtures = createFixtures() } = {}) => {
+    const tables = {};
+    Object.entries(fixtures).forEach(([entityName, records]) => {
+        tables[entityName] = records.map(record => ({ ...record }));
+    });
+    let nextId = 1;
+    const snapshots = [];
+
+    const getTable = (entityName) => {
+        if (!tables[entityName]) tables[entityName] = [];
+        return tables[entityName];
+    };
+
+    const findIndex = (entityName, id) => {
+        const index = getTable(entityName).findIndex(record => record.id === id);
+        if (index === -1) {
+            throw new Error(`${entityName} ${id} not found`);
+        }
+        return index;
+    };
+
+    return {
+        type: "memory",
+        label: "In-memory fixtures",
+        readOnly: false,
+        list: async (entityName, sort) => sortRecords(getTable(entityName), sort),
+        create: async (entityName, data) => {
+            const now = new Date().toISOString();
+            const record = { ...data, id: data.id || `mem-${nextId++}`, created_date: now, updated_date: now };
+            getTable(entityName).push(record);
+            return record;
+        },
+        update: async (entityName, id, data) => {
+            const table = getTable(entityName);
+            const index = findIndex(entityName, id);
+            table[index] = { ...table[index], ...data, id, updated_date: new Date().toISOString() };
+            return table[index];
+        },
+        remove: async (entityName, id) => {
+            getTable(entityName).splice(findIndex(entityName, id), 1);
+        },
+        snapshots: {
+            list: async () => snapshots.map(({ records, ...summary }) => summary),
+            get: async (id) => snapshots.find(snapshot => snapshot.id === id) || null,
+            save: async (snapshot) => {
+                snapshots.push(snapshot);
+                return snapshot;
+            },
+            remove: async (id) => {
+                const index = snapshots.findIndex(snapshot => snapshot.id === id);
+                if (index !== -1) snapshots.splice(index, 1);
+            }
+        }
+    };
+};
@@ -0,0 +1,17 @@
+import * as platformEntities from "@/entities/all";
+
+// The hosted platform's own entity SDK, which the dashboard used before data sources existed
+export const createPlatformSource = () => ({
+    type: "platform",
+    label: "Platform",
+    readOnly: false,
+    list: (entityName, sort) => platformEntities[entityName].list(sort),
+    create: (entityName, data) => platformEntities[entityName].create(data),
+    update: (entityName, id, data) => platformEntities[entityName].update(id, data),
+    remove: (entityName, id) => platformEntities[entityName].delete(id),
+    // Named in the audit log next to every edit
+    currentUser: async () => {
+        const user = await platformEntities.User?.me?.();
+        return user?.full_name || user?.email || null;
+    }
+});
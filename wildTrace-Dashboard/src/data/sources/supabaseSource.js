@@ -0,0 +1,70 @@
+import { parseSort } from "@/data/sort";
+
+export const SUPABASE_TABLES = {
+    Location: "locations",
+    BiologicalData: "biological_data",
+    EnvironmentalData: "environmental_data",
+    JournalEntry: "journal_entries"
+};
+
+// Dataset snapshots: id, name, note, source_type, created_at, counts (jsonb) and records (jsonb)
+export const SUPABASE_SNAPSHOT_TABLE = "snapshots";
+const SNAPSHOT_SUMMARY_COLUMNS = "id,name,note,source_type,created_at,counts";
+
+// Talks to the PostgREST API that Supabase exposes under /rest/v1
+export const createSupabaseSource = ({ url, anonKey }) => {
+    if (!url) {
+        throw new Error("Supabase data source needs VITE_SUPABASE_URL");
+    }
+
+    const request = async (table, { method = "GET", query = "", body } = {}) => {
+        const response = await fetch(`${url.replace(/\/$/, '')}/rest/v1/${table}${query}`, {
+            method,
+            headers: {
+                apikey: anonKey || "",
+                Authorization: `Bearer ${anonKey || ""}`,
+                "Content-Type": "application/json",
+                Prefer: "return=representation"
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        if (!response.ok) {
+            throw new Error(`Supabase ${method} ${table} failed: ${response.status} ${await response.text()}`);
+        }
+        return response.status === 204 ? null : response.json();
+    };
+
+    return {
+        type: "supabase",
+        label: "Supabase (live)",
+        readOnly: false,
+        list: (entityName, sort) => {
+            const parsed = parseSort(sort);
+            const order = parsed ? `&order=${parsed.field}.${parsed.direction}` : '';
+            return request(SUPABASE_TABLES[entityName], { query: `?select=*${order}` });
+        },
+        create: async (entityName, data) => {
+            const [created] = await request(SUPABASE_TABLES[entityName], { method: "POST", body: data });
+            return created;
+        },
+        update: async (entityName, id, data) => {
+            const [updated] = await request(SUPABASE_TABLES[entityName], { method: "PATCH", query: `?id=eq.${encodeURIComponent(id)}`, body: data });
+            return updated;
+        },
+        remove: (entityName, id) => request(SUPABASE_TABLES[entityName], { method: "DELETE", query: `?id=eq.${encodeURIComponent(id)}` }),
+        // Listing leaves the records out; they are fetched when a snapshot is opened
+        snapshots: {
+            list: () => request(SUPABASE_SNAPSHOT_TABLE, { query: `?select=${SNAPSHOT_SUMMARY_COLUMNS}&order=created_at.desc` }),
+            get: async (id) => {
+                const [snapshot] = await request(SUPABASE_SNAPSHOT_TABLE, { query: `?select=*&id=eq.${encodeURIComponent(id)}` });
+                return snapshot || null;
+            },
+            save: async (snapshot) => {
+                const [saved] = await request(SUPABASE_SNAPSHOT_TABLE, { method: "POST", body: snapshot });
+                return saved;
+            },
+            remove: (id) => request(SUPABASE_SNAPSHOT_TABLE, { method: "DELETE", query: `?id=eq.${encodeURIComponent(id)}` })
+        }
+    };
+};
@@ -0,0 +1,517 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useReducer, useRef } from "react";
+import * as entities from "@/data/entities";
+import { sortRecords } from "@/data/sort";
+import {
+    readCachedList,
+    writeCachedList,
+    readOutbox,
+    enqueueCreate,
+    removeFromOutbox,
+    readAuditLog,
+    saveAuditEntries,
+    isNetworkError
+} from "@/data/offlineCache";
+import { useDateRange } from "@/data/dateRange";
+import { filterByDateRange } from "@/lib/dateRange";
+import { createAuditEntry, dependentRecords, newAuditId, planRevert, revertTargets } from "@/lib/audit";
+import { diffSnapshots, planSnapshotRestore } from "@/lib/snapshots";
+
+// Every entity is cached once, in this order; pages that want another order sort a copy
+export const ENTITY_SORT = {
+    Location: 'arrival_date',
+    BiologicalData: 'date',
+    EnvironmentalData: 'date',
+    JournalEntry: 'date'
+};
+
+// syncedAt is when the records were last fetched from the source; isStale marks records served from the offline cache
+const EMPTY_ENTRY = { data: [], status: "idle", error: null, syncedAt: null, isStale: false };
+
+const isBrowserOnline = () => typeof navigator === "undefined" || navigator.onLine !== false;
+
+const initialState = {
+    entities: Object.fromEntries(Object.keys(ENTITY_SORT).map(name => [name, EMPTY_ENTRY])),
+    outbox: [],
+    // Edits and deletes, newest first
+    audit: [],
+    isOnline: isBrowserOnline(),
+    isSyncing: false
+};
+
+const updateEntity = (state, entityName, changes) => ({
+    ...state,
+    entities: { ...state.entities, [entityName]: { ...state.entities[entityName], ...changes } }
+});
+
+const reducer = (state, action) => {
+    switch (action.type) {
+        case "loading":
+            return updateEntity(state, action.entityName, { status: "loading", error: null });
+        case "cached":
+            return updateEntity(state, action.entityName, { data: action.data, syncedAt: action.syncedAt, isStale: true });
+        case "loaded":
+            return updateEntity(state, action.entityName, { data: action.data, status: "ready", error: null, syncedAt: action.syncedAt, isStale: false });
+        case "failed":
+            return updateEntity(state, action.entityName, { status: "error", error: action.error });
+        case "outbox":
+            return { ...state, outbox: action.items };
+        case "queued":
+            return { ...state, outbox: [...state.outbox, action.item] };
+        case "dequeued":
+            return { ...state, outbox: state.outbox.filter(item => item.queue_id !== action.queueId) };
+        case "audit":
+            return { ...state, audit: action.entries };
+        case "audited": {
+            // Entries arrive oldest first; ones already in the log replace their old version (e.g. once reverted)
+            const saved = new Map(action.entries.map(entry => [entry.audit_id, entry]));
+            const known = new Set(state.audit.map(entry => entry.audit_id));
+            const added = action.entries.filter(entry => !known.has(entry.audit_id)).reverse();
+            return { ...state, audit: [...added, ...state.audit.map(entry => saved.get(entry.audit_id) || entry)] };
+        }
+        case "online":
+            return { ...state, isOnline: action.isOnline };
+        case "syncing":
+            return { ...state, isSyncing: action.isSyncing };
+        default:
+            return state;
+    }
+};
+
+const recordsByEntity = (state) =>
+    Object.fromEntries(Object.entries(state.entities).map(([entityName, entry]) => [entityName, entry.data]));
+
+// Queued records are shown alongside the synced ones until the outbox is flushed
+const toPendingRecord = (item) => ({ ...item.data, id: item.queue_id, pending_sync: true });
+
+// Records that exist at the source. A queued record's id is its queue id, which the source never
+// hands out, so nothing new may point at one.
+export const withoutPending = (records) => records.filter(record => !record.pending_sync);
+
+const DataStoreContext = createContext(null);
+
+export function DataStoreProvider({ children }) {
+    const [state, dispatch] = useReducer(reducer, initialState);
+    // In-flight and settled loads, so concurrent pages share a single request per entity
+    const requests = useRef({});
+    // Entities some page has asked for, revalidated when the connection comes back
+    const requested = useRef(new Set());
+    const isSyncing = useRef(false);
+    const sourceType = entities.dataSource.type;
+
+    const load = useCallback((entityName, { force = false } = {}) => {
+        if (!force && requests.current[entityName]) {
+            return requests.current[entityName];
+        }
+        requested.current.add(entityName);
+
+        const request = (async () => {
+            dispatch({ type: "loading", entityName });
+            let fetched = false;
+
+            // Show whatever we cached last time while the source is revalidated; the fetch doesn't wait
+            // on the cache, and a cache read that finishes after it is ignored
+            if (!force) {
+                readCachedList(sourceType, entityName)
+                    .then(cached => {
+                        if (cached && !fetched) {
+                            dispatch({ type: "cached", entityName, data: cached.records, syncedAt: cached.syncedAt });
+                        }
+                    })
+                    .catch(() => null);
+            }
+
+            try {
+                const data = await entities[entityName].list(ENTITY_SORT[entityName]);
+                fetched = true;
+                const syncedAt = new Date();
+                dispatch({ type: "loaded", entityName, data, syncedAt });
+                writeCachedList(sourceType, entityName, data, syncedAt).catch(error => {
+                    console.error(`Could not cache ${entityName}:`, error);
+                });
+                return data;
+            } catch (error) {
+                console.error(`Error loading ${entityName}:`, error);
+                dispatch({ type: "failed", entityName, error });
+                // Forget the failed request so the next page visit retries
+                if (requests.current[entityName] === request) {
+                    delete requests.current[entityName];
+                }
+                return [];
+            }
+        })();
+        requests.current[entityName] = request;
+        return request;
+    }, [sourceType]);
+
+    const refresh = useCallback((entityName) => load(entityName, { force: true }), [load]);
+
+    const syncOutbox = useCallback(async () => {
+        if (isSyncing.current) return;
+        isSyncing.current = true;
+        dispatch({ type: "syncing", isSyncing: true });
+
+        const synced = new Set();
+        const items = await readOutbox(sourceType).catch(() => []);
+        for (const item of items) {
+            try {
+                await entities[item.entity_name].create(item.data);
+                await removeFromOutbox(item.queue_id);
+                dispatch({ type: "dequeued", queueId: item.queue_id });
+                synced.add(item.entity_name);
+            } catch (error) {
+                // Keep the queue order intact and try again on the next sync
+                console.error("Could not sync queued record:", error);
+                break;
+            }
+        }
+
+        await Promise.all([...synced].map(entityName => refresh(entityName)));
+        isSyncing.current = false;
+        dispatch({ type: "syncing", isSyncing: false });
+    }, [sourceType, refresh]);
+
+    useEffect(() => {
+        readOutbox(sourceType)
+            .then(items => {
+                dispatch({ type: "outbox", items });
+                if (items.length > 0 && isBrowserOnline()) syncOutbox();
+            })
+            .catch(error => console.error("Could not read the offline outbox:", error));
+
+        const handleOnline = () => {
+            dispatch({ type: "online", isOnline: true });
+            syncOutbox();
+            requested.current.forEach(entityName => refresh(entityName));
+        };
+        const handleOffline = () => dispatch({ type: "online", isOnline: false });
+
+        window.addEventListener("online", handleOnline);
+        window.addEventListener("offline", handleOffline);
+        return () => {
+            window.removeEventListener("online", handleOnline);
+            window.removeEventListener("offline", handleOffline);
+        };
+    }, [sourceType, syncOutbox, refresh]);
+
+    // Creates made without a connection are queued and synced once it is back
+    const createOrQueue = useCallback(async (entityName, data) => {
+        if (isBrowserOnline() || entities.dataSource.readOnly) {
+            try {
+                return await entities[entityName].create(data);
+            } catch (error) {
+                if (entities.dataSource.readOnly || !isNetworkError(error)) throw error;
+            }
+        }
+
+        const item = await enqueueCreate(sourceType, entityName, data);
+        dispatch({ type: "queued", item });
+        return toPendingRecord(item);
+    }, [sourceType]);
+
+    // Writes go through the store so every page sees the change without reloading itself
+    const createRecord = useCallback(async (entityName, data) => {
+        const created = await createOrQueue(entityName, data);
+        if (!created.pending_sync) await refresh(entityName);
+        return created;
+    }, [createOrQueue, refresh]);
+
+    // Bulk creates refresh once at the end. A failed record does not stop the rest; it is
+    // returned in `failed` with its error. `results` lists { data, record } or { data, error }
+    // in input order. onProgress is called with the number handled so far.
+    const createRecords = useCallback(async (entityName, records, { onProgress } = {}) => {
+        const results = [];
+        for (const data of records) {
+            try {
+                results.push({ data, record: await createOrQueue(entityName, data) });
+            } catch (error) {
+                results.push({ data, error });
+            }
+            onProgress?.(results.length);
+        }
+
+        const created = results.filter(result => result.record).map(result => result.record);
+        const failed = results.filter(result => result.error);
+        if (created.some(record => !record.pending_sync)) await refresh(entityName);
+        return { created, failed, results };
+    }, [createOrQueue, refresh]);
+
+    // The audit log needs the record as it was before a write, so keep the latest state at hand
+    const stateRef = useRef(state);
+    stateRef.current = state;
+    const actor = useRef(null);
+
+    const findRecord = useCallback(
+        (entityName, id) => stateRef.current.entities[entityName].data.find(record => record.id === id) || null,
+        []
+    );
+
+    // Who made a change: the signed-in user when the data source knows one
+    const resolveActor = useCallback(async () => {
+        if (!actor.current) {
+            const user = await Promise.resolve(entities.dataSource.currentUser?.()).catch(() => null);
+            actor.current = user || "This browser";
+        }
+        return actor.current;
+    }, []);
+
+    useEffect(() => {
+        readAuditLog(sourceType)
+            .then(entries => dispatch({ type: "audit", entries }))
+            .catch(error => console.error("Could not read the audit log:", error));
+    }, [sourceType]);
+
+    const saveAudit = useCallback(async (entries) => {
+        dispatch({ type: "audited", entries });
+        await saveAuditEntries(entries).catch(error => console.error("Could not save the audit log:", error));
+    }, []);
+
+    // Writes one change and returns it with its audit entry. Callers refresh the entities they touched.
+    const writeChange = useCallback(async ({ action, entityName, id, data, batchId, revertOf }) => {
+        const before = action === "create" ? null : findRecord(entityName, id);
+        let after = null;
+        if (action === "create") after = await entities[entityName].create(data);
+        if (action === "update") after = (await entities[entityName].update(id, data)) || { ...before, ...data };
+        if (action === "delete") await entities[entityName].delete(id);
+
+        const entry = createAuditEntry({
+            sourceType,
+            entityName,
+            action,
+            recordId: action === "create" ? after.id : id,
+            before,
+            after,
+            actor: await resolveActor(),
+            batchId,
+            revertOf
+        });
+        return { record: after, entry };
+    }, [sourceType, findRecord, resolveActor]);
+
+    // Edits and deletes are written to the audit log, so they can be looked up and reverted later
+    const updateRecord = useCallback(async (entityName, id, data) => {
+        const { record, entry } = await writeChange({ action: "update", entityName, id, data });
+        await saveAudit([entry]);
+        await refresh(entityName);
+        return record;
+    }, [writeChange, saveAudit, refresh]);
+
+    // withDependents also deletes the readings and journal entries of a location, as one batch.
+    // Returns the audit entries, so the delete can be undone with revertAuditEntry.
+    const deleteRecord = useCallback(async (entityName, id, { withDependents = false } = {}) => {
+        const dependents = entityName === "Location" && withDependents
+            ? dependentRecords(id, recordsByEntity(stateRef.current))
+            : [];
+        const batchId = dependents.length > 0 ? newAuditId("batch") : null;
+        const entries = [];
+        const touched = new Set([entityName]);
+        try {
+            for (const group of dependents) {
+                for (const record of group.records) {
+                    entries.push((await writeChange({ action: "delete", entityName: group.entityName, id: record.id, batchId })).entry);
+                    touched.add(group.entityName);
+                }
+            }
+            entries.push((await writeChange({ action: "delete", entityName, id, batchId })).entry);
+        } finally {
+            // Whatever was deleted before a failure is still logged, so it can be restored
+            if (entries.length > 0) await saveAudit(entries);
+            await Promise.all([...touched].map(name => refresh(name)));
+        }
+        return entries;
+    }, [writeChange, saveAudit, refresh]);
+
+    // Undoes an audit entry, together with the rest of its batch. Restored records get new ids;
+    // records still pointing at a restored location are moved over to its new id.
+    const revertAuditEntry = useCallback(async (auditId) => {
+        const log = stateRef.current.audit;
+        const entry = log.find(other => other.audit_id === auditId);
+        if (!entry) throw new Error(`No audit entry ${auditId}`);
+        const targets = revertTargets(entry, log);
+        const batchId = newAuditId("batch");
+        const newLocationIds = new Map();
+        const entries = [];
+        const touched = new Set();
+
+        try {
+            for (const step of planRevert(targets)) {
+                const data = step.data && newLocationIds.has(step.data.location_id)
+                    ? { ...step.data, location_id: newLocationIds.get(step.data.location_id) }
+                    : step.data;
+                const { record, entry: written } = await writeChange({
+                    action: step.type,
+                    entityName: step.entityName,
+                    id: step.id,
+                    data,
+                    batchId,
+                    revertOf: step.entry.audit_id
+                });
+                if (step.type === "create" && step.entityName === "Location") newLocationIds.set(step.entry.record_id, record.id);
+                entries.push(written, { ...step.entry, reverted_at: written.at, reverted_by: batchId });
+                touched.add(step.entityName);
+            }
+
+            for (const [oldId, newId] of newLocationIds) {
+                for (const group of dependentRecords(oldId, recordsByEntity(stateRef.current))) {
+                    for (const record of group.records) {
+                        entries.push((await writeChange({ action: "update", entityName: group.entityName, id: record.id, data: { location_id: newId }, batchId })).entry);
+                        touched.add(group.entityName);
+                    }
+                }
+            }
+        } finally {
+            if (entries.length > 0) await saveAudit(entries);
+            await Promise.all([...touched].map(name => refresh(name)));
+        }
+    }, [writeChange, saveAudit, refresh]);
+
+    // Makes the source's records match a snapshot's, as one audited batch, so the restore itself can be
+    // reverted from the audit log. Recreated records get new ids and are linked to recreated locations.
+    // onProgress gets (done, total).
+    const restoreSnapshot = useCallback(async (snapshot, { onProgress } = {}) => {
+        // The changes are worked out against the loaded records, so a list that failed to load or only
+        // came from the cache would have every snapshot record it lacks re-created as a duplicate
+        const unsettled = Object.entries(stateRef.current.entities)
+            .filter(([, entry]) => entry.status !== "ready" || entry.isStale || entry.error)
+            .map(([entityName]) => entityName);
+        if (unsettled.length > 0) {
+            throw new Error(`Nothing was restored: ${unsettled.join(", ")} ${unsettled.length === 1 ? "is" : "are"} not loaded from the source. Reload the data and try again`);
+        }
+
+        const steps = planSnapshotRestore(diffSnapshots(recordsByEntity(stateRef.current), snapshot.records));
+        const batchId = newAuditId("batch");
+        const newLocationIds = new Map();
+        const entries = [];
+        const touched = new Set();
+
+        try {
+            for (const step of steps) {
+                const data = step.data && newLocationIds.has(step.data.location_id)
+                    ? { ...step.data, location_id: newLocationIds.get(step.data.location_id) }
+                    : step.data;
+                const { record, entry } = await writeChange({ action: step.type, entityName: step.entityName, id: step.id, data, batchId });
+                if (step.type === "create" && step.entityName === "Location") newLocationIds.set(step.sourceId, record.id);
+                entries.push(entry);
+                touched.add(step.entityName);
+                onProgress?.(entries.length, steps.length);
+            }
+        } finally {
+            if (entries.length > 0) await saveAudit(entries);
+            await Promise.all([...touched].map(name => refresh(name)));
+        }
+        return { written: entries.length };
+    }, [writeChange, saveAudit, refresh]);
+
+    const locationsById = useMemo(
+        () => new Map(state.entities.Location.data.map(location => [location.id, location])),
+        [state.entities.Location.data]
+    );
+
+    const getLocationName = useCallback(
+        (locationId) => locationsById.get(locationId)?.name || "Unknown Location",
+        [locationsById]
+    );
+
+    const value = useMemo(() => ({
+        state,
+        load,
+        refresh,
+        createRecord,
+        createRecords,
+        updateRecord,
+        deleteRecord,
+        revertAuditEntry,
+        restoreSnapshot,
+        syncOutbox,
+        locationsById,
+        getLocationName
+    }), [state, load, refresh, createRecord, createRecords, updateRecord, deleteRecord, revertAuditEntry, restoreSnapshot, syncOutbox, locationsById, getLocationName]);
+
+    return <DataStoreContext.Provider value={value}>{children}</DataStoreContext.Provider>;
+}
+
+export function useDataStore() {
+    const store = useContext(DataStoreContext);
+    if (!store) {
+        throw new Error("useDataStore must be used inside a DataStoreProvider");
+    }
+    return store;
+}
+
+// Loads the given entities on first use and returns their cached records plus loading/error state.
+// With withinDateRange the records are limited to the window picked in the header.
+export function useEntities(entityNames, { withinDateRange = false } = {}) {
+    const { state, load, refresh } = useDataStore();
+    const { range } = useDateRange();
+    const activeRange = withinDateRange ? range : null;
+    // Callers pass a new array on every render, so the list is rebuilt only when its contents change
+    const key = entityNames.join(",");
+    const names = useMemo(() => (key ? key.split(",") : []), [key]);
+
+    useEffect(() => {
+        names.forEach(entityName => load(entityName));
+    }, [names, load]);
+
+    return useMemo(() => {
+        const records = {};
+        const errors = {};
+        let isLoading = false;
+        let isStale = false;
+        let syncedAt = null;
+        names.forEach(entityName => {
+            const entry = state.entities[entityName];
+            const pending = state.outbox
+                .filter(item => item.entity_name === entityName)
+                .map(toPendingRecord);
+            const all = pending.length > 0
+                ? sortRecords([...entry.data, ...pending], ENTITY_SORT[entityName])
+                : entry.data;
+            records[entityName] = filterByDateRange(entityName, all, activeRange);
+            if (entry.error) errors[entityName] = entry.error;
+            // Refreshes keep showing the cached records, only a first load without any cache counts as loading
+            if (entry.status === "idle" || (entry.status === "loading" && !entry.syncedAt)) isLoading = true;
+            if (entry.isStale) isStale = true;
+            if (entry.syncedAt && (!syncedAt || entry.syncedAt < syncedAt)) syncedAt = entry.syncedAt;
+        });
+        return {
+            records,
+            errors,
+            isLoading,
+            isStale,
+            syncedAt,
+            reload: () => Promise.all(names.map(entityName => refresh(entityName)))
+        };
+    }, [names, state, refresh, activeRange]);
+}
+
+export function useLocationLookup() {
+    const { locationsById, getLocationName } = useDataStore();
+    return { locationsById, getLocationName };
+}
+
+export function useAuditLog() {
+    const { state, revertAuditEntry } = useDataStore();
+    return { entries: state.audit, revertAuditEntry };
+}
+
+// Overall sync state across the entities loaded so far, for the status indicators
+export function useSyncStatus() {
+    const { state, syncOutbox } = useDataStore();
+
+    return useMemo(() => {
+        const loaded = Object.values(state.entities).filter(entry => entry.syncedAt);
+        const syncedAt = loaded.reduce(
+            (oldest, entry) => (!oldest || entry.syncedAt < oldest ? entry.syncedAt : oldest),
+            null
+        );
+        return {
+            syncedAt,
+            isStale: loaded.some(entry => entry.isStale),
+            // Cached records stay stale while they are revalidated; this is only set once a fetch failed
+            isUnreachable: loaded.some(entry => entry.isStale && entry.error),
+            isOnline: state.isOnline,
+            isSyncing: state.isSyncing,
+            pendingCount: state.outbox.length,
+            syncOutbox
+        };
+    }, [state, syncOutbox]);
+}
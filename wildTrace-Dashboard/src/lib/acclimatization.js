@@ -0,0 +1,78 @@
+import { differenceInCalendarDays } from "date-fns";
+import { mean, median, standardDeviation, isNumber, toDayKey, dayKeyToDate } from "@/lib/stats";
+
+export const ACCLIMATIZATION_METRICS = ["heart_rate_resting", "heart_rate_variability", "sleep_duration", "stress_level"];
+
+// Days from this point of the stay onwards count as "settled" and define the location's baseline
+const SETTLED_FROM_DAY = 7;
+const MIN_SETTLED_DAYS = 4;
+const SMOOTHING_DAYS = 3;
+const STABLE_DAYS = 3;
+
+// Readings without a usable date are left out; an unreadable departure leaves the stay open-ended
+const getStayRecords = (location, biologicalData) => {
+    const arrival = dayKeyToDate(toDayKey(location.arrival_date));
+    const departure = dayKeyToDate(toDayKey(location.departure_date));
+
+    return biologicalData
+        .filter(record => record.location_id === location.id)
+        .map(record => ({ record, date: dayKeyToDate(toDayKey(record.date)) }))
+        .filter(({ date }) => date)
+        .map(({ record, date }) => ({ ...record, offset: differenceInCalendarDays(date, arrival) }))
+        .filter(record => record.offset >= 0 && (!departure || record.offset <= differenceInCalendarDays(departure, arrival)));
+};
+
+// Mean value per day since arrival
+const buildCurve = (records, metric) => {
+    const byOffset = {};
+    records.forEach(record => {
+        if (!isNumber(record[metric])) return;
+        byOffset[record.offset] = [...(byOffset[record.offset] || []), record[metric]];
+    });
+    return Object.entries(byOffset)
+        .map(([offset, values]) => ({ offset: Number(offset), value: mean(values) }))
+        .sort((a, b) => a.offset - b.offset);
+};
+
+// First day whose trailing average sits within tolerance of the baseline for STABLE_DAYS days in a row
+const findRecoveryDay = (curve, baseline, tolerance) => {
+    const smoothed = curve.map((point, i) => ({
+        offset: point.offset,
+        value: mean(curve.slice(Math.max(0, i - SMOOTHING_DAYS + 1), i + 1).map(p => p.value))
+    }));
+
+    for (let i = 0; i + STABLE_DAYS <= smoothed.length; i++) {
+        const run = smoothed.slice(i, i + STABLE_DAYS);
+        if (run.every(point => Math.abs(point.value - baseline) <= tolerance)) return smoothed[i].offset;
+    }
+    return null;
+};
+
+export const analyzeAcclimatization = (locations, biologicalData) => {
+    return locations
+        .filter(location => toDayKey(location.arrival_date))
+        .map(location => {
+            const records = getStayRecords(location, biologicalData);
+            const metrics = {};
+
+            ACCLIMATIZATION_METRICS.forEach(metric => {
+                const curve = buildCurve(records, metric);
+                const settled = curve.filter(point => point.offset >= SETTLED_FROM_DAY).map(point => point.value);
+                if (settled.length < MIN_SETTLED_DAYS) {
+                    metrics[metric] = { curve, baseline: null, recoveryDay: null };
+                    return;
+                }
+
+                const baseline = median(settled);
+                const tolerance = Math.max(0.5 * (standardDeviation(settled) || 0), Math.abs(baseline) * 0.02);
+                metrics[metric] = {
+                    curve,
+                    baseline,
+                    recoveryDay: findRecoveryDay(curve, baseline, tolerance)
+                };
+            });
+
+            return { location, recordCount: records.length, metrics };
+        })
+        .filter(result => result.recordCount > 0);
+};
@@ -0,0 +1,32 @@
+import { describe, it, expect } from "vitest";
+import { analyzeAcclimatization } from "@/lib/acclimatization";
+
+const location = { id: "loc-1", name: "Svalbard", arrival_date: "2024-03-01", departure_date: "2024-03-20" };
+
+const reading = (day, heartRate) => ({ location_id: "loc-1", date: `2024-03-${String(day).padStart(2, "0")}`, heart_rate_resting: heartRate });
+
+describe("analyzeAcclimatization", () => {
+    it("leaves out readings without a usable date", () => {
+        const records = [reading(1, 70), reading(2, 66), { location_id: "loc-1", heart_rate_resting: 90 }, { location_id: "loc-1", date: "someday", heart_rate_resting: 90 }];
+
+        const [result] = analyzeAcclimatization([location], records);
+
+        expect(result.recordCount).toBe(2);
+        expect(result.metrics.heart_rate_resting.curve).toEqual([{ offset: 0, value: 70 }, { offset: 1, value: 66 }]);
+    });
+
+    it("skips locations whose arrival date can't be read", () => {
+        const results = analyzeAcclimatization([{ ...location, arrival_date: "someday" }], [reading(1, 70)]);
+
+        expect(results).toEqual([]);
+    });
+
+    it("measures recovery against the settled baseline", () => {
+        const records = [72, 70, 68, 66, 64, 62, 60, 60, 60, 60, 60, 60, 60].map((heartRate, i) => reading(i + 1, heartRate));
+
+        const [result] = analyzeAcclimatization([location], records);
+
+        expect(result.metrics.heart_rate_resting.baseline).toBe(60);
+        expect(result.metrics.heart_rate_resting.recoveryDay).toBe(7);
+    });
+});
@@ -0,0 +1,75 @@
+import { mean, standardDeviation, median, medianAbsoluteDeviation, aggregateByDay, isNumber } from "@/lib/stats";
+
+export const ANOMALY_BIOLOGICAL_METRICS = [
+    "heart_rate_resting",
+    "heart_rate_variability",
+    "body_temperature",
+    "respiratory_rate"
+];
+
+export const ANOMALY_ENVIRONMENTAL_METRICS = [
+    "temperature_avg",
+    "humidity",
+    "light_exposure",
+    "air_quality_index",
+    "noise_level"
+];
+
+const MIN_HISTORY = 5;
+
+const getBaseline = (history, method) => {
+    if (method === "mad") {
+        return { center: median(history), spread: medianAbsoluteDeviation(history) };
+    }
+    return { center: mean(history), spread: standardDeviation(history) };
+};
+
+// Scores every day against the `window` days before it and keeps the ones beyond `threshold`
+const detectSeriesAnomalies = (rows, metric, { method, window, threshold }) => {
+    const anomalies = [];
+    const history = [];
+
+    rows.forEach(row => {
+        const value = row[metric];
+        if (!isNumber(value)) return;
+
+        if (history.length >= MIN_HISTORY) {
+            const { center, spread } = getBaseline(history.slice(-window), method);
+            if (spread) {
+                const score = (value - center) / spread;
+                if (Math.abs(score) >= threshold) {
+                    anomalies.push({
+                        day: row.day,
+                        location_id: row.location_id,
+                        record_ids: row.record_ids,
+                        metric,
+                        value,
+                        baseline: center,
+                        deviation: value - center,
+                        score
+                    });
+                }
+            }
+        }
+        history.push(value);
+    });
+
+    return anomalies;
+};
+
+export const detectAnomalies = (biologicalData, environmentalData, options = {}) => {
+    const settings = { method: "zscore", window: 14, threshold: 2.5, ...options };
+
+    const bioRows = aggregateByDay(biologicalData, ANOMALY_BIOLOGICAL_METRICS);
+    const envRows = aggregateByDay(environmentalData, ANOMALY_ENVIRONMENTAL_METRICS);
+
+    const bioAnomalies = ANOMALY_BIOLOGICAL_METRICS.flatMap(metric =>
+        detectSeriesAnomalies(bioRows, metric, settings).map(a => ({ ...a, source: "biological" }))
+    );
+    const envAnomalies = ANOMALY_ENVIRONMENTAL_METRICS.flatMap(metric =>
+        detectSeriesAnomalies(envRows, metric, settings).map(a => ({ ...a, source: "environmental" }))
+    );
+
+    return [...bioAnomalies, ...envAnomalies]
+        .sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+};
@@ -0,0 +1,188 @@
+import { addDays, format } from "date-fns";
+import { ENTITY_SCHEMAS, ENTITY_NAMES } from "@/lib/schemas";
+import { dayKeyToDate, isNumber, toDayKey } from "@/lib/stats";
+import { createRandom } from "@/lib/random";
+
+export const COORDINATE_MODES = [
+    { value: "grid", label: "Snap to a grid" },
+    { value: "fuzz", label: "Move randomly" },
+    { value: "exact", label: "Keep exact" }
+];
+
+export const RADIUS_OPTIONS_KM = [1, 5, 10, 25, 50, 100];
+
+export const TEXT_MODES = [
+    { value: "redact", label: "Replace with [redacted]" },
+    { value: "strip", label: "Leave out" },
+    { value: "keep", label: "Keep" }
+];
+
+export const REDACTED = "[redacted]";
+
+export const ANONYMIZE_DEFAULTS = {
+    coordinates: "grid",
+    radiusKm: 10,
+    regionLabels: true,
+    keepCountry: true,
+    shiftDates: true,
+    text: "redact",
+    stripMedia: true,
+    // Drives the fuzzing and the date offset, so the preview and the download match exactly
+    seed: 1
+};
+
+const KM_PER_DEGREE = 111.32;
+const MIN_OFFSET_DAYS = 30;
+const MAX_OFFSET_DAYS = 365;
+
+const ID_PREFIXES = {
+    Location: "location",
+    BiologicalData: "biological",
+    EnvironmentalData: "environmental",
+    JournalEntry: "journal"
+};
+
+const MEDIA_FIELDS = ["image_url", "audio_url"];
+
+// Free text that tends to name people and places
+const TEXT_FIELDS = {
+    Location: ["description"],
+    JournalEntry: ["title", "content"]
+};
+
+export const newAnonymizeSeed = () => crypto.getRandomValues(new Uint32Array(1))[0];
+
+// Between one month and a year, earlier or later. Never written to the export.
+const drawOffsetDays = (random) => {
+    const days = MIN_OFFSET_DAYS + Math.floor(random() * (MAX_OFFSET_DAYS - MIN_OFFSET_DAYS + 1));
+    return random() < 0.5 ? -days : days;
+};
+
+const roundCoordinate = (value) => Math.round(value * 1e5) / 1e5;
+
+const kmPerDegreeLongitude = (latitude) => KM_PER_DEGREE * Math.max(0.01, Math.cos((latitude * Math.PI) / 180));
+
+// The nearest point of a grid with radiusKm spacing. Every stay in the same cell lands on the same point.
+export const snapToGrid = ({ latitude, longitude }, radiusKm) => {
+    const latitudeStep = radiusKm / KM_PER_DEGREE;
+    const snappedLatitude = Math.round(latitude / latitudeStep) * latitudeStep;
+    const longitudeStep = radiusKm / kmPerDegreeLongitude(snappedLatitude);
+    return {
+        latitude: roundCoordinate(snappedLatitude),
+        longitude: roundCoordinate(Math.round(longitude / longitudeStep) * longitudeStep)
+    };
+};
+
+// A random point within radiusKm, spread evenly over the disc
+export const fuzzCoordinates = ({ latitude, longitude }, radiusKm, random) => {
+    const distance = radiusKm * Math.sqrt(random());
+    const angle = random() * 2 * Math.PI;
+    return {
+        latitude: roundCoordinate(latitude + (distance * Math.cos(angle)) / KM_PER_DEGREE),
+        longitude: roundCoordinate(longitude + (distance * Math.sin(angle)) / kmPerDegreeLongitude(latitude))
+    };
+};
+
+const shiftDate = (value, property, days) => {
+    if (!value || (property?.format !== "date" && property?.format !== "date-time")) return value;
+    if (property.format === "date") {
+        const day = dayKeyToDate(toDayKey(value));
+        return day ? format(addDays(day, days), "yyyy-MM-dd") : value;
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? value : addDays(date, days).toISOString();
+};
+
+const transformText = (value, mode) => {
+    if (mode === "keep" || value === null || value === undefined || value === "") return value;
+    return mode === "redact" ? REDACTED : undefined;
+};
+
+const byDate = (entityName) => {
+    const key = entityName === "Location" ? "arrival_date" : "date";
+    return (a, b) => String(a[key] || "").localeCompare(String(b[key] || ""));
+};
+
+// What was done to the data, in the words written into the bundle's README
+export const describeAnonymization = (options) => [
+    {
+        grid: `Coordinates are snapped to a ${options.radiusKm} km grid.`,
+        fuzz: `Coordinates are moved in a random direction by up to ${options.radiusKm} km.`,
+        exact: "Coordinates are exact."
+    }[options.coordinates],
+    options.regionLabels && `Location names are replaced with region labels${options.keepCountry ? "" : " and countries are left out"}.`,
+    options.shiftDates && "All dates are shifted by the same secret number of days. Intervals between records are unchanged.",
+    {
+        redact: "Journal titles, journal text and location notes are replaced with [redacted].",
+        strip: "Journal titles, journal text and location notes are left out.",
+        keep: null
+    }[options.text],
+    options.stripMedia && "Image and audio links are left out.",
+    "Records have new ids. Fields added by the platform, such as who created a record, are left out."
+].filter(Boolean);
+
+// A copy of the archive that is safe to share. Only schema fields are kept, ids are renumbered in date
+// order, and locations are coarsened, renamed and shifted in time as the options say. Records waiting
+// in the offline outbox are left out, as in the full export.
+export const anonymizeArchive = (recordsByEntity, options = ANONYMIZE_DEFAULTS) => {
+    const random = createRandom(options.seed);
+    // Drawn even when dates stay put, so the coordinate moves do not change with that option
+    const offsetDays = drawOffsetDays(random);
+    const offset = options.shiftDates ? offsetDays : 0;
+    // Stays at the same spot are moved together, so averaging them gives nothing away
+    const fuzzed = new Map();
+    const regions = new Map();
+    const locationIds = new Map();
+
+    const coarsen = (point) => {
+        if (options.coordinates === "grid") return snapToGrid(point, options.radiusKm);
+        if (options.coordinates === "fuzz") {
+            const key = `${point.latitude},${point.longitude}`;
+            if (!fuzzed.has(key)) fuzzed.set(key, fuzzCoordinates(point, options.radiusKm, random));
+            return fuzzed.get(key);
+        }
+        return { latitude: point.latitude, longitude: point.longitude };
+    };
+
+    const regionLabel = (location) => {
+        const key = `${location.name}|${location.country}`;
+        if (!regions.has(key)) regions.set(key, `Region ${regions.size + 1}`);
+        return regions.get(key);
+    };
+
+    const anonymizeRecord = (entityName, record, index) => {
+        const { properties } = ENTITY_SCHEMAS[entityName];
+        const result = { id: `${ID_PREFIXES[entityName]}-${index + 1}` };
+        if (entityName === "Location") locationIds.set(record.id, result.id);
+
+        Object.keys(properties).forEach(field => {
+            let value = record[field];
+            if (value === undefined) return;
+            if (field === "location_id") value = locationIds.get(value) ?? null;
+            else if (MEDIA_FIELDS.includes(field) && options.stripMedia) value = undefined;
+            else if (TEXT_FIELDS[entityName]?.includes(field)) value = transformText(value, options.text);
+            else value = shiftDate(value, properties[field], offset);
+            if (value !== undefined) result[field] = value;
+        });
+
+        if (entityName === "Location") {
+            if (isNumber(record.latitude) && isNumber(record.longitude)) Object.assign(result, coarsen(record));
+            if (options.regionLabels) {
+                result.name = regionLabel(record);
+                if (!options.keepCountry) delete result.country;
+            }
+        }
+        return result;
+    };
+
+    // Locations first, so the other records can point to their new ids
+    const records = {};
+    ["Location", ...ENTITY_NAMES.filter(entityName => entityName !== "Location")].forEach(entityName => {
+        records[entityName] = (recordsByEntity[entityName] || [])
+            .filter(record => !record.pending_sync)
+            .sort(byDate(entityName))
+            .map((record, index) => anonymizeRecord(entityName, record, index));
+    });
+
+    return Object.fromEntries(ENTITY_NAMES.map(entityName => [entityName, records[entityName]]));
+};
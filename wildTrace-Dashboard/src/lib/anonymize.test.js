@@ -0,0 +1,59 @@
+import { describe, it, expect } from "vitest";
+import { differenceInCalendarDays } from "date-fns";
+import { anonymizeArchive, ANONYMIZE_DEFAULTS } from "@/lib/anonymize";
+import { dayKeyToDate, toDayKey } from "@/lib/stats";
+
+const archive = {
+    Location: [
+        { id: "loc-1", name: "Svalbard", country: "Norway", latitude: 78.22, longitude: 15.65, arrival_date: "2024-03-01", departure_date: "2024-03-10" },
+        { id: "loc-2", name: "Tromsø", country: "Norway", latitude: 69.65, longitude: 18.96, arrival_date: "2024-03-10" }
+    ],
+    BiologicalData: [
+        { id: "bio-1", location_id: "loc-1", date: new Date(2024, 2, 2, 7, 30).toISOString(), heart_rate_resting: 52 },
+        { id: "bio-2", location_id: "loc-2", date: "not a time", heart_rate_resting: 58 }
+    ],
+    EnvironmentalData: [
+        { id: "env-1", location_id: "loc-1", date: "2024-03-02", temperature_avg: -12 },
+        { id: "env-2", location_id: "loc-1", date: "someday", temperature_avg: -10 }
+    ],
+    JournalEntry: []
+};
+
+const daysBetween = (from, to) => differenceInCalendarDays(dayKeyToDate(to), dayKeyToDate(from));
+
+describe("anonymizeArchive date shifting", () => {
+    it("moves every date by the same number of days, so intervals stay the same", () => {
+        const result = anonymizeArchive(archive, ANONYMIZE_DEFAULTS);
+        const [svalbard, tromso] = result.Location;
+        const offset = daysBetween("2024-03-01", svalbard.arrival_date);
+
+        expect(Math.abs(offset)).toBeGreaterThanOrEqual(30);
+        expect(daysBetween(svalbard.arrival_date, svalbard.departure_date)).toBe(9);
+        expect(daysBetween("2024-03-10", tromso.arrival_date)).toBe(offset);
+        expect(daysBetween("2024-03-02", result.EnvironmentalData.find(record => record.temperature_avg === -12).date)).toBe(offset);
+    });
+
+    it("keeps date-time readings at the same local time of day", () => {
+        const result = anonymizeArchive(archive, ANONYMIZE_DEFAULTS);
+        const offset = daysBetween("2024-03-01", result.Location[0].arrival_date);
+        const reading = new Date(result.BiologicalData.find(record => record.heart_rate_resting === 52).date);
+
+        expect(daysBetween("2024-03-02", toDayKey(reading))).toBe(offset);
+        expect([reading.getHours(), reading.getMinutes()]).toEqual([7, 30]);
+    });
+
+    it("passes unreadable dates through unchanged so the quality report can still flag them", () => {
+        const result = anonymizeArchive(archive, ANONYMIZE_DEFAULTS);
+
+        expect(result.BiologicalData.find(record => record.heart_rate_resting === 58).date).toBe("not a time");
+        expect(result.EnvironmentalData.find(record => record.temperature_avg === -10).date).toBe("someday");
+    });
+
+    it("uses the same offset for the same seed and leaves dates alone when shifting is off", () => {
+        expect(anonymizeArchive(archive, ANONYMIZE_DEFAULTS)).toEqual(anonymizeArchive(archive, ANONYMIZE_DEFAULTS));
+
+        const unshifted = anonymizeArchive(archive, { ...ANONYMIZE_DEFAULTS, shiftDates: false });
+        expect(unshifted.Location.map(location => location.arrival_date)).toEqual(["2024-03-01", "2024-03-10"]);
+        expect(unshifted.BiologicalData.find(record => record.heart_rate_resting === 52).date).toBe(archive.BiologicalData[0].date);
+    });
+});
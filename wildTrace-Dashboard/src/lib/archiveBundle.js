@@ -0,0 +1,176 @@
+import { format } from "date-fns";
+import { ENTITY_SCHEMAS, ENTITY_NAMES, getScoreRange } from "@/lib/schemas";
+import { formatCSV } from "@/lib/csv";
+import { documentationToMarkdown } from "@/lib/archiveDocs";
+
+// Same names the CSV export always used, so older scripts keep finding their files
+export const ARCHIVE_FILES = {
+    Location: "locations",
+    BiologicalData: "biological_data",
+    EnvironmentalData: "environmental_data",
+    JournalEntry: "journal_entries"
+};
+
+// The whole dataset in one document keyed by entity name, which the JSON source and the Import page both read
+export const ARCHIVE_JSON = "archive.json";
+
+const FRICTIONLESS_TYPES = {
+    string: "string",
+    number: "number",
+    boolean: "boolean",
+    array: "array"
+};
+
+const FRICTIONLESS_FORMATS = {
+    date: "date",
+    "date-time": "datetime"
+};
+
+// Flags the store adds to records that are not part of the data
+const LOCAL_FIELDS = new Set(["pending_sync"]);
+
+// id first, then the schema fields in schema order, then anything else the records carry
+// (e.g. created_date from the platform), so nothing is dropped on the way out
+export const archiveColumns = (entityName, records) => {
+    const schemaFields = Object.keys(ENTITY_SCHEMAS[entityName].properties);
+    const known = new Set(["id", ...schemaFields]);
+    const extra = [...new Set(records.flatMap(record => Object.keys(record)))]
+        .filter(field => !known.has(field) && !LOCAL_FIELDS.has(field))
+        .sort();
+    return ["id", ...schemaFields, ...extra];
+};
+
+const describeField = (entityName, field, property, required) => {
+    const descriptor = { name: field, type: "any" };
+    if (property) {
+        descriptor.type = FRICTIONLESS_FORMATS[property.format] || FRICTIONLESS_TYPES[property.type] || "any";
+        if (property.description) descriptor.description = property.description;
+    }
+
+    const constraints = {};
+    if (required) constraints.required = true;
+    const range = property?.type === "number" && getScoreRange(property);
+    if (range) {
+        constraints.minimum = range.min;
+        constraints.maximum = range.max;
+    }
+    if (property?.items?.enum) {
+        descriptor.description = `${descriptor.description || field}. One or more of: ${property.items.enum.join(", ")}`;
+    }
+    if (field === "id") {
+        descriptor.type = "string";
+        descriptor.description = `Identifier of the ${entityName} record`;
+        constraints.required = true;
+        constraints.unique = true;
+    }
+    if (Object.keys(constraints).length > 0) descriptor.constraints = constraints;
+    return descriptor;
+};
+
+// Frictionless Table Schema for one entity, with the location_id foreign key spelled out
+export const tableSchema = (entityName, columns) => {
+    const schema = ENTITY_SCHEMAS[entityName];
+    const required = new Set(schema.required || []);
+    const tableSchemaDescriptor = {
+        fields: columns.map(field => describeField(entityName, field, schema.properties[field], required.has(field))),
+        primaryKey: "id"
+    };
+    if (schema.properties.location_id) {
+        tableSchemaDescriptor.foreignKeys = [{
+            fields: "location_id",
+            reference: { resource: ARCHIVE_FILES.Location, fields: "id" }
+        }];
+    }
+    return tableSchemaDescriptor;
+};
+
+// datapackage.json describing the CSV file of every entity
+export const buildDataPackage = (recordsByEntity, exportedAt) => ({
+    profile: "tabular-data-package",
+    name: "wildtrace-archive",
+    title: "WildTrace travel archive",
+    created: exportedAt.toISOString(),
+    resources: ENTITY_NAMES.map(entityName => ({
+        name: ARCHIVE_FILES[entityName],
+        title: ENTITY_SCHEMAS[entityName].name,
+        path: `data/${ARCHIVE_FILES[entityName]}.csv`,
+        profile: "tabular-data-resource",
+        format: "csv",
+        mediatype: "text/csv",
+        encoding: "utf-8",
+        schema: tableSchema(entityName, archiveColumns(entityName, recordsByEntity[entityName]))
+    }))
+});
+
+const buildReadme = (recordsByEntity, exportedAt, notes) => [
+    "# WildTrace archive",
+    `Exported ${format(exportedAt, "MMMM d, yyyy 'at' HH:mm")}.`,
+    notes.length > 0 && ["## Anonymization", notes.map(note => `- ${note}`).join("\n")].join("\n\n"),
+    "## Contents",
+    [
+        "| Entity | Records | Files |",
+        "| --- | --- | --- |",
+        ...ENTITY_NAMES.map(entityName => {
+            const file = ARCHIVE_FILES[entityName];
+            return `| ${entityName} | ${recordsByEntity[entityName].length} | \`data/${file}.csv\`, \`data/${file}.json\`, \`data/${file}.ndjson\` |`;
+        })
+    ].join("\n"),
+    [
+        `- \`${ARCHIVE_JSON}\` holds every entity in one JSON document keyed by entity name.`,
+        "- `datapackage.json` describes the CSV files as a Frictionless data package, with field types taken from the entity schemas.",
+        "- Records keep their `id`. Biological data, environmental data and journal entries point to their location through `location_id`.",
+        "- In the CSV files, list fields such as `emotions` are written as JSON arrays. Dates are ISO 8601.",
+        "- To restore the archive, open the dashboard's Import page and choose this ZIP file."
+    ].join("\n"),
+    documentationToMarkdown(2)
+].filter(Boolean).join("\n\n") + "\n";
+
+// Every record as exported: all fields, minus flags that only mean something inside the dashboard
+const exportableRecords = (records) => records
+    .filter(record => !record.pending_sync)
+    .map(record => Object.fromEntries(Object.entries(record).filter(([field]) => !LOCAL_FIELDS.has(field))));
+
+// The files of the export bundle as [{ name, content }], ready for createZip.
+// Records waiting in the offline outbox are left out; they have no permanent id yet.
+// notes are listed at the top of the README, e.g. how an anonymized bundle was changed.
+export const buildArchiveBundle = (recordsByEntity, exportedAt = new Date(), notes = []) => {
+    const records = Object.fromEntries(ENTITY_NAMES.map(entityName => [entityName, exportableRecords(recordsByEntity[entityName] || [])]));
+
+    const dataFiles = ENTITY_NAMES.flatMap(entityName => {
+        const file = ARCHIVE_FILES[entityName];
+        const entityRecords = records[entityName];
+        return [
+            { name: `data/${file}.csv`, content: formatCSV(entityRecords, archiveColumns(entityName, entityRecords)) },
+            { name: `data/${file}.json`, content: JSON.stringify(entityRecords, null, 2) },
+            { name: `data/${file}.ndjson`, content: entityRecords.map(record => JSON.stringify(record)).join("\n") + (entityRecords.length ? "\n" : "") }
+        ];
+    });
+
+    return [
+        { name: "README.md", content: buildReadme(records, exportedAt, notes) },
+        { name: "datapackage.json", content: JSON.stringify(buildDataPackage(records, exportedAt), null, 2) },
+        { name: ARCHIVE_JSON, content: JSON.stringify(records, null, 2) },
+        ...dataFiles
+    ];
+};
+
+// Pulls the archive document back out of bundle entries ([{ name, bytes }] from readZip).
+// Falls back to the per-entity JSON files when archive.json was removed. A bundle that was
+// unpacked and zipped again may have everything inside a folder, which is fine.
+export const archiveFromBundle = (entries) => {
+    const decoder = new TextDecoder();
+    const find = (path) => entries.find(entry => entry.name === path || entry.name.endsWith(`/${path}`));
+
+    const archive = find(ARCHIVE_JSON);
+    if (archive) return JSON.parse(decoder.decode(archive.bytes));
+
+    const fromFiles = {};
+    ENTITY_NAMES.forEach(entityName => {
+        const entry = find(`data/${ARCHIVE_FILES[entityName]}.json`);
+        if (entry) fromFiles[entityName] = JSON.parse(decoder.decode(entry.bytes));
+    });
+    if (Object.keys(fromFiles).length === 0) {
+        throw new Error(`No ${ARCHIVE_JSON} or data/*.json files in this ZIP`);
+    }
+    return fromFiles;
+};
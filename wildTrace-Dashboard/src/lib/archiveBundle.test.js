@@ -0,0 +1,57 @@
+import { describe, it, expect } from "vitest";
+import { buildArchiveBundle, archiveFromBundle, ARCHIVE_JSON } from "@/lib/archiveBundle";
+import { createZip, readZip } from "@/lib/zip";
+
+const recordsByEntity = {
+    Location: [
+        { id: "loc-1", name: "Svalbard", country: "Norway", latitude: 78.22, longitude: 15.65, arrival_date: "2024-03-01", image_url: "https://example.com/svalbard.jpg" },
+        { queue_id: "queue-1", name: "Queued", latitude: 0, longitude: 0, arrival_date: "2024-03-05", pending_sync: true }
+    ],
+    BiologicalData: [
+        { id: "bio-1", location_id: "loc-1", date: "2024-03-02T07:30:00.000Z", heart_rate_resting: 52, created_date: "2024-03-02T08:00:00.000Z" }
+    ],
+    EnvironmentalData: [],
+    JournalEntry: [
+        { id: "journal-1", location_id: "loc-1", date: "2024-03-02", content: "Said \"hi\",\nthen slept.", emotions: ["calm"], audio_url: "https://example.com/1.m4a" }
+    ]
+};
+
+const unzip = async (files) => readZip(createZip(files, new Date(2024, 2, 1, 12, 0)));
+
+describe("archive bundle", () => {
+    it("survives a round trip through the ZIP with ids, media links and extra fields intact", async () => {
+        const entries = await unzip(buildArchiveBundle(recordsByEntity, new Date(2024, 2, 1, 12, 0)));
+        const archive = archiveFromBundle(entries);
+
+        expect(archive).toEqual({
+            Location: [recordsByEntity.Location[0]],
+            BiologicalData: recordsByEntity.BiologicalData,
+            EnvironmentalData: [],
+            JournalEntry: recordsByEntity.JournalEntry
+        });
+    });
+
+    it("writes every file the README lists, byte for byte", async () => {
+        const files = buildArchiveBundle(recordsByEntity);
+        const entries = await unzip(files);
+        const decoder = new TextDecoder();
+
+        expect(entries.map(entry => entry.name)).toEqual(files.map(file => file.name));
+        entries.forEach((entry, index) => expect(decoder.decode(entry.bytes)).toBe(files[index].content));
+    });
+
+    it("falls back to the per-entity JSON files, also inside a folder", async () => {
+        const files = buildArchiveBundle(recordsByEntity)
+            .filter(file => file.name !== ARCHIVE_JSON)
+            .map(file => ({ ...file, name: `wildtrace-archive/${file.name}` }));
+        const archive = archiveFromBundle(await unzip(files));
+
+        expect(archive.JournalEntry).toEqual(recordsByEntity.JournalEntry);
+        expect(archive.Location.map(location => location.id)).toEqual(["loc-1"]);
+    });
+
+    it("rejects a ZIP without archive data", async () => {
+        expect(() => archiveFromBundle([])).toThrow(ARCHIVE_JSON);
+        await expect(readZip(new TextEncoder().encode("not a zip, just text"))).rejects.toThrow("Not a ZIP file");
+    });
+});
@@ -0,0 +1,47 @@
+// The archive documentation, shown on the Data Archive page and written into every export bundle
+export const ARCHIVE_DOCUMENTATION = {
+    title: "Dataset Overview",
+    intro: "This dashboard contains a comprehensive dataset of your travel journey, combining location data, " +
+        "environmental conditions, biological responses, and personal reflections.",
+    sections: [
+        {
+            title: "Data Sources & Methodology",
+            items: [
+                { label: "Location Data", text: "GPS coordinates, arrival/departure dates, and personal notes" },
+                { label: "Environmental Data", text: "Temperature, humidity, air quality, noise levels from local sensors and APIs" },
+                { label: "Biological Data", text: "Heart rate, HRV, sleep quality, and stress measurements from wearable devices" },
+                { label: "Journal Entries", text: "Personal reflections, emotions, and highlight moments" }
+            ]
+        },
+        {
+            title: "Data Quality & Considerations",
+            items: [
+                { text: "All biological data is self-reported or from personal wearable devices" },
+                { text: "Environmental data may vary based on local measurement conditions" },
+                { text: "Journal entries represent subjective experiences and emotional states" },
+                { text: "Data gaps may exist due to device availability or connectivity issues" }
+            ]
+        },
+        {
+            title: "Usage & Privacy",
+            text: "This data is personal and should be handled according to your privacy preferences. " +
+                "When sharing or publishing insights, consider anonymizing location details and personal information. " +
+                "The Anonymized Export on the Data Archive page coarsens coordinates, replaces place names with region labels, " +
+                "shifts dates by a secret offset and redacts journal text and media links."
+        }
+    ]
+};
+
+// The same documentation as Markdown, headings starting at the given level
+export const documentationToMarkdown = (level = 2) => {
+    const heading = (depth, text) => `${"#".repeat(depth)} ${text}`;
+    const { title, intro, sections } = ARCHIVE_DOCUMENTATION;
+    return [
+        heading(level, title),
+        intro,
+        ...sections.map(section => [
+            heading(level + 1, section.title),
+            section.text || section.items.map(item => (item.label ? `- **${item.label}:** ${item.text}` : `- ${item.text}`)).join("\n")
+        ].join("\n\n"))
+    ].join("\n\n");
+};
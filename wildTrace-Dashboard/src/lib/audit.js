@@ -0,0 +1,104 @@
+import { ENTITY_SCHEMAS, ENTITY_NAMES } from "@/lib/schemas";
+
+export const AUDIT_ACTION_LABELS = {
+    create: "Restored",
+    update: "Edited",
+    delete: "Deleted"
+};
+
+const schemaKeys = (entityName) => Object.keys(ENTITY_SCHEMAS[entityName].properties);
+
+// Just the schema fields of a record; the id and the platform's bookkeeping fields are not data
+export const schemaFields = (entityName, record) => Object.fromEntries(
+    schemaKeys(entityName)
+        .filter(field => record?.[field] !== undefined)
+        .map(field => [field, record[field]])
+);
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// [{ field, from, to }] for every schema field that differs; a missing record counts as all-empty
+export const changedFields = (entityName, before, after) => schemaKeys(entityName)
+    .filter(field => !sameValue(before?.[field], after?.[field]))
+    .map(field => ({ field, from: before?.[field] ?? null, to: after?.[field] ?? null }));
+
+export const newAuditId = (prefix = "audit") => `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// One change to one record. before/after are the whole record (null for a create/delete side).
+// Changes made together, such as a location deleted with its readings, share a batch_id
+// and are reverted together.
+export const createAuditEntry = ({
+    sourceType,
+    entityName,
+    action,
+    recordId,
+    before = null,
+    after = null,
+    actor,
+    batchId = null,
+    revertOf = null,
+    at = new Date()
+}) => ({
+    audit_id: newAuditId(),
+    source_type: sourceType,
+    entity_name: entityName,
+    action,
+    record_id: recordId,
+    before,
+    after,
+    changes: changedFields(entityName, before, after),
+    actor,
+    at: at.toISOString(),
+    batch_id: batchId,
+    revert_of: revertOf,
+    reverted_at: null
+});
+
+// What reverting an entry undoes: the whole batch it belongs to, minus anything already reverted
+export const revertTargets = (entry, log) => {
+    if (!entry.batch_id) return entry.reverted_at ? [] : [entry];
+    return log.filter(other => other.batch_id === entry.batch_id && !other.reverted_at);
+};
+
+// The writes that undo a set of entries, in order. Deleted records come back first, locations
+// before anything else, so restored readings can be pointed at the location's new id.
+export const planRevert = (entries) => {
+    const locationsFirst = (a, b) => (a.entity_name === "Location" ? 0 : 1) - (b.entity_name === "Location" ? 0 : 1);
+    return [
+        ...entries.filter(entry => entry.action === "delete").sort(locationsFirst).map(entry => ({
+            type: "create",
+            entry,
+            entityName: entry.entity_name,
+            data: schemaFields(entry.entity_name, entry.before)
+        })),
+        ...entries.filter(entry => entry.action === "update").map(entry => ({
+            type: "update",
+            entry,
+            entityName: entry.entity_name,
+            id: entry.record_id,
+            data: Object.fromEntries(entry.changes.map(change => [change.field, change.from]))
+        })),
+        ...entries.filter(entry => entry.action === "create").map(entry => ({
+            type: "delete",
+            entry,
+            entityName: entry.entity_name,
+            id: entry.record_id
+        }))
+    ];
+};
+
+// Records of the other entities that point to a location: [{ entityName, records }], empty groups left out
+export const dependentRecords = (locationId, recordsByEntity) => ENTITY_NAMES
+    .filter(entityName => entityName !== "Location" && ENTITY_SCHEMAS[entityName].properties.location_id)
+    .map(entityName => ({
+        entityName,
+        records: (recordsByEntity[entityName] || []).filter(record => record.location_id === locationId)
+    }))
+    .filter(group => group.records.length > 0);
+
+// A value as the audit log shows it
+export const formatAuditValue = (value) => {
+    if (value === null || value === undefined || value === "") return "empty";
+    if (Array.isArray(value)) return value.length > 0 ? value.join(", ") : "empty";
+    return String(value);
+};
@@ -0,0 +1,117 @@
+import { mean, standardDeviation, isNumber } from "@/lib/stats";
+import { createRandom } from "@/lib/random";
+
+export const CLUSTER_FEATURES = [
+    "heart_rate_resting",
+    "heart_rate_variability",
+    "sleep_quality_score",
+    "sleep_duration",
+    "stress_level",
+    "activity_level",
+    "temperature_avg",
+    "humidity",
+    "light_exposure",
+    "air_quality_index",
+    "noise_level",
+    "mood_score"
+];
+
+export const CLUSTER_COLORS = ["#9caf88", "#c65d07", "#1e3a5f", "#d4af37", "#1a2e1a", "#8b5cf6"];
+
+const squaredDistance = (a, b) => a.reduce((sum, v, i) => sum + (v - b[i]) ** 2, 0);
+
+// Z-scores each feature; missing values become 0 (the feature mean)
+const standardize = (rows, features) => {
+    const scales = features.map(feature => {
+        const values = rows.map(row => row[feature]);
+        return { center: mean(values), spread: standardDeviation(values) || 1 };
+    });
+
+    return rows.map(row => features.map((feature, i) =>
+        isNumber(row[feature]) ? (row[feature] - scales[i].center) / scales[i].spread : 0
+    ));
+};
+
+const seedCentroids = (vectors, k, random) => {
+    const centroids = [vectors[Math.floor(random() * vectors.length)]];
+    while (centroids.length < k) {
+        const distances = vectors.map(v => Math.min(...centroids.map(c => squaredDistance(v, c))));
+        const total = distances.reduce((sum, d) => sum + d, 0);
+        let target = random() * total;
+        let index = 0;
+        while (index < distances.length - 1 && target > distances[index]) {
+            target -= distances[index];
+            index++;
+        }
+        centroids.push(vectors[index]);
+    }
+    return centroids;
+};
+
+// Seeded, so the same data and k always produce the same clusters
+export const kMeans = (vectors, k, { maxIterations = 100, seed = 42 } = {}) => {
+    const random = createRandom(seed);
+    let centroids = seedCentroids(vectors, k, random);
+    let assignments = new Array(vectors.length).fill(-1);
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        let changed = false;
+        assignments = vectors.map((vector, i) => {
+            let best = 0;
+            centroids.forEach((centroid, c) => {
+                if (squaredDistance(vector, centroid) < squaredDistance(vector, centroids[best])) best = c;
+            });
+            if (best !== assignments[i]) changed = true;
+            return best;
+        });
+
+        centroids = centroids.map((centroid, c) => {
+            const members = vectors.filter((_, i) => assignments[i] === c);
+            if (members.length === 0) return centroid;
+            return centroid.map((_, d) => members.reduce((sum, m) => sum + m[d], 0) / members.length);
+        });
+
+        if (!changed) break;
+    }
+
+    return { assignments, centroids };
+};
+
+const countBy = (items) => {
+    const counts = {};
+    items.forEach(item => {
+        counts[item] = (counts[item] || 0) + 1;
+    });
+    return Object.entries(counts).sort(([, a], [, b]) => b - a);
+};
+
+export const clusterDays = (dailyRows, k) => {
+    const features = CLUSTER_FEATURES.filter(feature => dailyRows.some(row => isNumber(row[feature])));
+    if (features.length === 0 || dailyRows.length < k) {
+        return { days: [], clusters: [], features };
+    }
+
+    const vectors = standardize(dailyRows, features);
+    const { assignments } = kMeans(vectors, k);
+
+    const days = dailyRows.map((row, i) => ({ ...row, cluster: assignments[i] }));
+
+    const clusters = Array.from({ length: k }, (_, c) => {
+        const members = days.filter(day => day.cluster === c);
+        const centroid = {};
+        features.forEach(feature => {
+            centroid[feature] = mean(members.map(day => day[feature]));
+        });
+
+        return {
+            id: c,
+            color: CLUSTER_COLORS[c % CLUSTER_COLORS.length],
+            size: members.length,
+            centroid,
+            emotions: countBy(members.flatMap(day => day.emotions)).slice(0, 4),
+            locations: countBy(members.map(day => day.location_id))
+        };
+    });
+
+    return { days, clusters, features };
+};
@@ -0,0 +1,133 @@
+import { addDays, format } from "date-fns";
+import { isNumber, dayKeyToDate } from "@/lib/stats";
+
+export const pearson = (xs, ys) => {
+    const n = xs.length;
+    if (n < 3) return null;
+    const meanX = xs.reduce((sum, v) => sum + v, 0) / n;
+    const meanY = ys.reduce((sum, v) => sum + v, 0) / n;
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (xs[i] - meanX) * (ys[i] - meanY);
+        varianceX += (xs[i] - meanX) ** 2;
+        varianceY += (ys[i] - meanY) ** 2;
+    }
+    if (varianceX === 0 || varianceY === 0) return null;
+    return covariance / Math.sqrt(varianceX * varianceY);
+};
+
+// Average ranks, so tied values share the same rank
+const rank = (values) => {
+    const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+    const ranks = new Array(values.length);
+    let i = 0;
+    while (i < order.length) {
+        let j = i;
+        while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+        const averageRank = (i + j) / 2 + 1;
+        for (let k = i; k <= j; k++) ranks[order[k].index] = averageRank;
+        i = j + 1;
+    }
+    return ranks;
+};
+
+export const spearman = (xs, ys) => pearson(rank(xs), rank(ys));
+
+// Continued fraction for the regularized incomplete beta function (Numerical Recipes, betacf)
+const betaContinuedFraction = (a, b, x) => {
+    const EPSILON = 1e-10;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < 1e-30) d = 1e-30;
+    d = 1 / d;
+    let h = d;
+
+    for (let m = 1; m <= 200; m++) {
+        const m2 = 2 * m;
+        let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < 1e-30) d = 1e-30;
+        c = 1 + aa / c;
+        if (Math.abs(c) < 1e-30) c = 1e-30;
+        d = 1 / d;
+        h *= d * c;
+
+        aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 + aa * d;
+        if (Math.abs(d) < 1e-30) d = 1e-30;
+        c = 1 + aa / c;
+        if (Math.abs(c) < 1e-30) c = 1e-30;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < EPSILON) break;
+    }
+    return h;
+};
+
+const logGamma = (z) => {
+    const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let x = z;
+    let y = z;
+    let tmp = x + 5.5;
+    tmp -= (x + 0.5) * Math.log(tmp);
+    let series = 1.000000000190015;
+    coefficients.forEach(c => {
+        y += 1;
+        series += c / y;
+    });
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+};
+
+const incompleteBeta = (a, b, x) => {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    if (x < (a + 1) / (a + b + 2)) return front * betaContinuedFraction(a, b, x) / a;
+    return 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+};
+
+// Two-sided p-value of r under H0: ρ = 0, via the t distribution with n - 2 degrees of freedom
+export const correlationPValue = (r, n) => {
+    if (r === null || n < 3) return null;
+    if (Math.abs(r) >= 1) return 0;
+    const df = n - 2;
+    const t = r * Math.sqrt(df / (1 - r * r));
+    return incompleteBeta(df / 2, 0.5, df / (df + t * t));
+};
+
+// Matches every day d with day d + lag, dropping days that have no counterpart
+export const alignDays = (days, lag) => {
+    const byDay = {};
+    days.forEach(day => {
+        byDay[day.day] = day;
+    });
+
+    return days
+        .map(day => [day, byDay[format(addDays(dayKeyToDate(day.day), lag), 'yyyy-MM-dd')]])
+        .filter(([, later]) => later);
+};
+
+// x from the earlier day, y from the later day, skipping pairs where either is missing
+export const lagPairs = (aligned, xKey, yKey) => aligned
+    .filter(([day, later]) => isNumber(day[xKey]) && isNumber(later[yKey]))
+    .map(([day, later]) => ({ x: day[xKey], y: later[yKey], day: day.day, laterDay: later.day }));
+
+const correlatePairs = (pairs, method) => {
+    const xs = pairs.map(p => p.x);
+    const ys = pairs.map(p => p.y);
+    const r = method === "spearman" ? spearman(xs, ys) : pearson(xs, ys);
+    return { r, p: correlationPValue(r, pairs.length), n: pairs.length };
+};
+
+export const correlationMatrix = (days, keys, { method = "pearson", lag = 0 } = {}) => {
+    const aligned = alignDays(days, lag);
+    return keys.map(xKey => keys.map(yKey => ({
+        xKey,
+        yKey,
+        ...correlatePairs(lagPairs(aligned, xKey, yKey), method)
+    })));
+};
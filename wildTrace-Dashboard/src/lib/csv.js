@@ -0,0 +1,92 @@
+const DELIMITERS = [",", ";", "\t"];
+
+// The delimiter that splits the header line into the most columns, ignoring quoted text
+export const detectDelimiter = (text) => {
+    const headerLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, "");
+    return DELIMITERS.reduce((best, delimiter) =>
+        headerLine.split(delimiter).length > headerLine.split(best).length ? delimiter : best
+    );
+};
+
+// Splits CSV text into rows of raw string cells. Quoted fields may hold delimiters, line breaks and
+// "" escapes. A quote that does not close the field (e.g. the unescaped quotes older exports wrote
+// inside quoted text) is kept as a literal character rather than failing the whole file.
+export const parseCSVRows = (text, delimiter = detectDelimiter(text)) => {
+    const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+    let i = 0;
+
+    const endField = () => {
+        row.push(field);
+        field = "";
+    };
+    const endRow = () => {
+        endField();
+        // Skip blank lines instead of turning them into rows of one empty cell
+        if (row.length > 1 || row[0] !== "") rows.push(row);
+        row = [];
+    };
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                const next = source[i + 1];
+                if (next === '"') {
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                if (next === undefined || next === delimiter || next === "\n" || next === "\r") {
+                    inQuotes = false;
+                    i += 1;
+                    continue;
+                }
+            }
+            field += char;
+            i += 1;
+            continue;
+        }
+
+        if (char === '"' && field === "") {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            endField();
+        } else if (char === "\n" || char === "\r") {
+            endRow();
+            if (char === "\r" && source[i + 1] === "\n") i += 1;
+        } else {
+            field += char;
+        }
+        i += 1;
+    }
+
+    if (field !== "" || row.length > 0) endRow();
+    return rows;
+};
+
+// Rows keyed by the header line; cells missing at the end of a short row come back as ""
+export const parseCSV = (text, delimiter) => {
+    const [headerRow = [], ...bodyRows] = parseCSVRows(text, delimiter);
+    const headers = headerRow.map(header => header.trim());
+    const rows = bodyRows.map(cells => Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? ""])));
+    return { headers, rows };
+};
+
+// Cells are quoted only when they need it (RFC 4180). Arrays and objects are written as JSON,
+// which is also how Frictionless data packages expect array fields in CSV.
+export const formatCSVCell = (value, delimiter = ",") => {
+    if (value === null || value === undefined) return "";
+    const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// records to CSV text with the given columns as the header; rows end in CRLF as RFC 4180 asks
+export const formatCSV = (records, columns, delimiter = ",") => [
+    columns.map(column => formatCSVCell(column, delimiter)).join(delimiter),
+    ...records.map(record => columns.map(column => formatCSVCell(record[column], delimiter)).join(delimiter))
+].join("\r\n") + "\r\n";
@@ -0,0 +1,52 @@
+import { describe, it, expect } from "vitest";
+import { formatCSVCell, formatCSV, parseCSV, parseCSVRows, detectDelimiter } from "@/lib/csv";
+
+describe("formatCSVCell", () => {
+    it("quotes only cells that hold the delimiter, a quote or a line break", () => {
+        expect(formatCSVCell("plain text")).toBe("plain text");
+        expect(formatCSVCell("a,b")).toBe('"a,b"');
+        expect(formatCSVCell("a;b")).toBe("a;b");
+        expect(formatCSVCell("a;b", ";")).toBe('"a;b"');
+        expect(formatCSVCell("tab\there", "\t")).toBe('"tab\there"');
+        expect(formatCSVCell('say "hi"')).toBe('"say ""hi"""');
+        expect(formatCSVCell("line\nbreak")).toBe('"line\nbreak"');
+        expect(formatCSVCell("carriage\rreturn")).toBe('"carriage\rreturn"');
+    });
+
+    it("writes empty cells for missing values and JSON for lists", () => {
+        expect(formatCSVCell(null)).toBe("");
+        expect(formatCSVCell(undefined)).toBe("");
+        expect(formatCSVCell(0)).toBe("0");
+        expect(formatCSVCell(false)).toBe("false");
+        expect(formatCSVCell(["calm", "joy"])).toBe('"[""calm"",""joy""]"');
+    });
+});
+
+describe("formatCSV", () => {
+    it("ends every row in CRLF", () => {
+        expect(formatCSV([{ a: 1, b: "x" }], ["a", "b"])).toBe("a,b\r\n1,x\r\n");
+    });
+
+    it("reads back exactly what it wrote, with every delimiter", () => {
+        const records = [
+            { id: "1", content: 'He said "wait",\r\nthen; left\tquietly', emotions: '["calm"]' },
+            { id: "2", content: "", emotions: "" },
+            { id: "3", content: '"', emotions: "," }
+        ];
+        [",", ";", "\t"].forEach(delimiter => {
+            const text = formatCSV(records, ["id", "content", "emotions"], delimiter);
+            expect(detectDelimiter(text)).toBe(delimiter);
+            expect(parseCSV(text, delimiter)).toEqual({ headers: ["id", "content", "emotions"], rows: records });
+        });
+    });
+});
+
+describe("parseCSVRows", () => {
+    it("skips a BOM and blank lines", () => {
+        expect(parseCSVRows("\uFEFFa,b\n\n1,2\n")).toEqual([["a", "b"], ["1", "2"]]);
+    });
+
+    it("keeps a stray quote inside a quoted field instead of failing the file", () => {
+        expect(parseCSVRows('a,b\n"say "hi" now",2\n')).toEqual([["a", "b"], ['say "hi" now', "2"]]);
+    });
+});
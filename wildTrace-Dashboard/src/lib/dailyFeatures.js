@@ -0,0 +1,62 @@
+import { aggregateByDay, toDayKey, mean } from "@/lib/stats";
+import { BIOLOGICAL_METRICS, ENVIRONMENTAL_METRICS } from "@/lib/metrics";
+
+const BIOLOGICAL_KEYS = BIOLOGICAL_METRICS.map(metric => metric.key);
+const ENVIRONMENTAL_KEYS = ENVIRONMENTAL_METRICS.map(metric => metric.key);
+
+// Joins biometrics, environment and journal entries into one row per (day, location_id)
+export const buildDailyFeatures = (biologicalData, environmentalData, journalEntries) => {
+    const rows = {};
+    const getRow = (day, locationId) => {
+        const key = `${day}|${locationId}`;
+        if (!rows[key]) {
+            rows[key] = { day, location_id: locationId, emotions: [], journal_ids: [], biological_ids: [], environmental_ids: [] };
+        }
+        return rows[key];
+    };
+
+    aggregateByDay(biologicalData, BIOLOGICAL_KEYS).forEach(({ day, location_id, record_ids, ...metrics }) => {
+        const row = getRow(day, location_id);
+        Object.assign(row, metrics);
+        row.biological_ids = record_ids;
+    });
+
+    aggregateByDay(environmentalData, ENVIRONMENTAL_KEYS).forEach(({ day, location_id, record_ids, ...metrics }) => {
+        const row = getRow(day, location_id);
+        Object.assign(row, metrics);
+        row.environmental_ids = record_ids;
+    });
+
+    journalEntries.forEach(entry => {
+        const day = toDayKey(entry.date);
+        if (!day) return;
+        const row = getRow(day, entry.location_id);
+        row.journal_ids.push(entry.id);
+        row.emotions.push(...(entry.emotions || []));
+        if (typeof entry.mood_score === "number") {
+            row.mood_scores = [...(row.mood_scores || []), entry.mood_score];
+            row.mood_score = row.mood_scores.reduce((sum, v) => sum + v, 0) / row.mood_scores.length;
+        }
+    });
+
+    return Object.values(rows).sort((a, b) => a.day.localeCompare(b.day));
+};
+
+// One row per calendar day, averaging across locations visited that day
+export const collapseToDays = (dailyRows, keys) => {
+    const groups = {};
+    dailyRows.forEach(row => {
+        if (!groups[row.day]) groups[row.day] = [];
+        groups[row.day].push(row);
+    });
+
+    return Object.entries(groups)
+        .map(([day, rows]) => {
+            const collapsed = { day };
+            keys.forEach(key => {
+                collapsed[key] = mean(rows.map(row => row[key]));
+            });
+            return collapsed;
+        })
+        .sort((a, b) => a.day.localeCompare(b.day));
+};
@@ -0,0 +1,141 @@
+import { format } from "date-fns";
+import { ENTITY_SCHEMAS } from "@/lib/schemas";
+import { isNumber } from "@/lib/stats";
+import { toTimestamp } from "@/lib/resample";
+import { LOCATION_NAME_COLUMN, exportColumns, headerLabel } from "@/lib/exportBuilder";
+
+export const PAGE_SIZES = [100, 500, 1000, 5000];
+
+const columnType = (property) => {
+    if (property?.format === "date") return "date";
+    if (property?.format === "date-time") return "datetime";
+    if (property?.type === "number") return "number";
+    if (property?.type === "boolean") return "boolean";
+    if (property?.type === "array") return "array";
+    return "text";
+};
+
+// Every schema field plus the location name, labelled as in the English CSV export
+export const gridColumns = (entityName) => {
+    const { properties } = ENTITY_SCHEMAS[entityName];
+    return exportColumns(entityName).map(key => ({
+        key,
+        label: headerLabel(key, "en"),
+        type: columnType(properties[key])
+    }));
+};
+
+// Shown until the column chooser says otherwise; the name stands in for location_id
+export const defaultVisibleColumns = (entityName) =>
+    exportColumns(entityName).filter(key => key !== "id" && key !== "location_id");
+
+const DATE_PATTERNS = { date: ["MMM d, yyyy", "yyyy-MM-dd"], datetime: ["MMM d, yyyy HH:mm", "yyyy-MM-dd HH:mm"] };
+
+// display is what the grid shows, sort orders the column and match is what filters test against
+const buildCell = (value, type) => {
+    if (value === null || value === undefined || value === "") return { display: "", sort: null, match: null };
+    if (type === "number") {
+        return isNumber(value) ? { display: String(value), sort: value, match: value } : { display: String(value), sort: null, match: null };
+    }
+    if (type === "date" || type === "datetime") {
+        const timestamp = toTimestamp(value);
+        if (Number.isNaN(timestamp)) return { display: String(value), sort: null, match: null };
+        const [displayPattern, matchPattern] = DATE_PATTERNS[type];
+        return { display: format(new Date(timestamp), displayPattern), sort: timestamp, match: format(new Date(timestamp), matchPattern) };
+    }
+    // Values of the wrong type are shown as they are, like invalid dates above
+    const display = type === "array" && Array.isArray(value) ? value.join(", ")
+        : type === "boolean" ? (value ? "Yes" : "No")
+        : String(value);
+    return { display, sort: display.toLowerCase(), match: display.toLowerCase() };
+};
+
+// Works out every cell once, so sorting and filtering a year of hourly readings stays quick
+export const prepareGridRows = (entityName, records, getLocationName) => {
+    const columns = gridColumns(entityName);
+    return records.map(record => ({
+        record,
+        cells: Object.fromEntries(columns.map(column => [
+            column.key,
+            column.key === LOCATION_NAME_COLUMN
+                ? buildCell(record.location_id ? getLocationName(record.location_id) : null, "text")
+                : buildCell(record[column.key], column.type)
+        ]))
+    }));
+};
+
+const COMPARISON = /^(>=|<=|>|<|=)\s*(.+)$/;
+const RANGE = /^(.+?)\s*\.\.\s*(.+)$/;
+
+// Dates compare on as much of the date as was typed, so ">2024-03" means after March
+const compareDates = (match, value) => {
+    const part = match.slice(0, value.length);
+    return part < value ? -1 : part > value ? 1 : 0;
+};
+
+const compareNumbers = (match, value) => match - value;
+
+const OPERATORS = {
+    ">": (order) => order > 0,
+    ">=": (order) => order >= 0,
+    "<": (order) => order < 0,
+    "<=": (order) => order <= 0,
+    "=": (order) => order === 0
+};
+
+// A filter typed into a column header, as { test } or { error }; null when the box is empty.
+// Numbers and dates take >, >=, <, <=, = and a..b ranges; a bare date matches by prefix
+// (2024-03 is all of March). Other columns match text anywhere in the cell.
+export const compileFilter = (text, type) => {
+    const query = text.trim();
+    if (!query) return null;
+
+    if (type === "number" || type === "date" || type === "datetime") {
+        const isDate = type !== "number";
+        const parse = isDate
+            ? (value) => (/^\d{4}(-\d{2}(-\d{2}( \d{2}(:\d{2})?)?)?)?$/.test(value) ? value : null)
+            : (value) => (value.trim() !== "" && Number.isFinite(Number(value)) ? Number(value) : null);
+        const compare = isDate ? compareDates : compareNumbers;
+        const example = isDate ? "2024-03, >2024-03-01 or 2024-03-01..2024-03-15" : ">60, <=50 or 50..70";
+
+        const range = query.match(RANGE);
+        if (range) {
+            const [from, to] = [parse(range[1]), parse(range[2])];
+            if (from === null || to === null) return { error: `Try ${example}` };
+            return { test: (match) => match !== null && compare(match, from) >= 0 && compare(match, to) <= 0 };
+        }
+        const comparison = query.match(COMPARISON);
+        const operator = comparison ? comparison[1] : "=";
+        const value = parse(comparison ? comparison[2] : query);
+        if (value === null) return { error: `Try ${example}` };
+        return { test: (match) => match !== null && OPERATORS[operator](compare(match, value)) };
+    }
+
+    const needle = query.toLowerCase();
+    return { test: (match) => match !== null && match.includes(needle) };
+};
+
+// Rows that pass every valid column filter; filters with errors are ignored until they are fixed
+export const filterGridRows = (rows, compiledFilters) => {
+    const active = Object.entries(compiledFilters).filter(([, filter]) => filter?.test);
+    if (active.length === 0) return rows;
+    return rows.filter(row => active.every(([key, filter]) => filter.test(row.cells[key].match)));
+};
+
+// Sorted copy; empty cells always go last, whichever the direction
+export const sortGridRows = (rows, sort) => {
+    if (!sort) return rows;
+    const direction = sort.direction === "desc" ? -1 : 1;
+    return [...rows].sort((a, b) => {
+        const left = a.cells[sort.key].sort;
+        const right = b.cells[sort.key].sort;
+        if (left === null || right === null) return left === right ? 0 : left === null ? 1 : -1;
+        return (left < right ? -1 : left > right ? 1 : 0) * direction;
+    });
+};
+
+// Header clicks go ascending, descending, then back to unsorted
+export const nextSort = (sort, key) => {
+    if (!sort || sort.key !== key) return { key, direction: "asc" };
+    return sort.direction === "asc" ? { key, direction: "desc" } : null;
+};
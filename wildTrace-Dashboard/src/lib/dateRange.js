@@ -0,0 +1,84 @@
+import { addDays, eachMonthOfInterval, format } from "date-fns";
+import { toDayKey, dayKeyToDate } from "@/lib/stats";
+
+// A range is { from, to } as inclusive yyyy-MM-dd day keys; either end may be null (open)
+export const ALL_TIME = { from: null, to: null };
+
+const RECENT_DAYS = 30;
+
+export const isRangeActive = (range) => Boolean(range && (range.from || range.to));
+
+export const isDayInRange = (dayKey, range) => {
+    if (!isRangeActive(range)) return true;
+    if (!dayKey) return false;
+    if (range.from && dayKey < range.from) return false;
+    if (range.to && dayKey > range.to) return false;
+    return true;
+};
+
+// A stay without a departure date is still ongoing
+const stayOverlapsRange = (location, range) => {
+    const arrival = toDayKey(location.arrival_date);
+    const departure = toDayKey(location.departure_date);
+    if (!arrival) return false;
+    if (range.to && arrival > range.to) return false;
+    if (range.from && departure && departure < range.from) return false;
+    return true;
+};
+
+// Locations are kept when any part of their stay falls in the range, everything else by its own date
+export const filterByDateRange = (entityName, records, range) => {
+    if (!isRangeActive(range)) return records;
+    if (entityName === "Location") {
+        return records.filter(location => stayOverlapsRange(location, range));
+    }
+    return records.filter(record => isDayInRange(toDayKey(record.date), range));
+};
+
+const formatDay = (dayKey) => format(dayKeyToDate(dayKey), 'MMM d, yyyy');
+
+export const describeRange = (range) => {
+    if (!isRangeActive(range)) return "All time";
+    if (range.from && range.to) return `${formatDay(range.from)} – ${formatDay(range.to)}`;
+    return range.from ? `From ${formatDay(range.from)}` : `Until ${formatDay(range.to)}`;
+};
+
+// Presets: the most recent 30 days of the journey, one per location stay and one per month travelled
+export const buildDateRangePresets = (locations) => {
+    const stays = locations
+        .map(location => ({ location, arrival: toDayKey(location.arrival_date), departure: toDayKey(location.departure_date) }))
+        .filter(stay => stay.arrival)
+        .sort((a, b) => a.arrival.localeCompare(b.arrival));
+
+    if (stays.length === 0) return { recent: null, stays: [], months: [] };
+
+    const start = stays[0].arrival;
+    const end = stays.reduce((latest, stay) => {
+        const last = stay.departure || stay.arrival;
+        return last > latest ? last : latest;
+    }, start);
+
+    const recent = {
+        id: "recent",
+        label: `Last ${RECENT_DAYS} days of the journey`,
+        range: { from: toDayKey(addDays(dayKeyToDate(end), -(RECENT_DAYS - 1))), to: end }
+    };
+
+    const stayPresets = stays.map(({ location, arrival, departure }) => ({
+        id: `stay:${location.id}`,
+        label: location.name,
+        range: { from: arrival, to: departure }
+    }));
+
+    const months = eachMonthOfInterval({ start: dayKeyToDate(start), end: dayKeyToDate(end) }).map(month => {
+        const from = format(month, 'yyyy-MM-01');
+        const nextMonth = new Date(month.getFullYear(), month.getMonth() + 1, 1);
+        return {
+            id: `month:${format(month, 'yyyy-MM')}`,
+            label: format(month, 'MMMM yyyy'),
+            range: { from, to: toDayKey(addDays(nextMonth, -1)) }
+        };
+    });
+
+    return { recent, stays: stayPresets, months };
+};
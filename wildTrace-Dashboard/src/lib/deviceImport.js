@@ -0,0 +1,50 @@
+import { parseGPX } from "@/lib/devices/gpx";
+import { parseAppleHealth } from "@/lib/devices/appleHealth";
+import { parseFitbit, isFitbitExport } from "@/lib/devices/fitbit";
+import { parseGarmin, isGarminExport } from "@/lib/devices/garmin";
+
+export const DEVICE_FORMATS = {
+    gpx: { label: "GPX track", entityName: "Location" },
+    appleHealth: { label: "Apple Health export", entityName: "BiologicalData" },
+    fitbit: { label: "Fitbit export", entityName: "BiologicalData" },
+    garmin: { label: "Garmin export", entityName: "BiologicalData" }
+};
+
+const parseJSON = (text) => {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return undefined;
+    }
+};
+
+// Which device export a file is, from its extension and a look at its content; null for anything else
+export const detectDeviceFormat = (fileName, text) => {
+    const head = text.slice(0, 2000);
+    if (/\.gpx$/i.test(fileName || "") || /<gpx\b/.test(head)) return "gpx";
+    if (/<HealthData\b/.test(head) || (/\.xml$/i.test(fileName || "") && /<HealthData\b/.test(text))) return "appleHealth";
+
+    const trimmed = text.trim();
+    if (!trimmed.startsWith("[") && !trimmed.startsWith("{")) return null;
+    const data = parseJSON(trimmed);
+    if (data === undefined) return null;
+    if (isFitbitExport(data)) return "fitbit";
+    if (isGarminExport(data)) return "garmin";
+    return null;
+};
+
+// Parses a device export into records for its entity plus a summary of what was found:
+// { format, label, entityName, records, summary: { records, from, to, notes, ... } }.
+// Returns null when the file is not a device export, so it can go through the regular import.
+export const parseDeviceFile = (fileName, text, options = {}) => {
+    const format = detectDeviceFormat(fileName, text);
+    if (!format) return null;
+
+    let parsed;
+    if (format === "gpx") parsed = parseGPX(text, options.stays);
+    if (format === "appleHealth") parsed = parseAppleHealth(text);
+    if (format === "fitbit") parsed = parseFitbit(JSON.parse(text));
+    if (format === "garmin") parsed = parseGarmin(JSON.parse(text));
+
+    return { format, ...DEVICE_FORMATS[format], records: parsed.records, summary: { fileName, ...parsed.summary } };
+};
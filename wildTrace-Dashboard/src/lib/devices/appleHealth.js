@@ -0,0 +1,66 @@
+import { readAttributes } from "@/lib/devices/xml";
+import { createDailyCollector, summarizeDailyRecords } from "@/lib/devices/daily";
+
+// Quantity records averaged per day
+const QUANTITY_FIELDS = {
+    HKQuantityTypeIdentifierRestingHeartRate: "heart_rate_resting",
+    HKQuantityTypeIdentifierHeartRateVariabilitySDNN: "heart_rate_variability",
+    HKQuantityTypeIdentifierRespiratoryRate: "respiratory_rate"
+};
+
+const SLEEP_TYPE = "HKCategoryTypeIdentifierSleepAnalysis";
+
+// "Asleep" on older exports, split into core/deep/REM/unspecified since iOS 16; "InBed" and "Awake" are not sleep
+const isAsleep = (value) => /^HKCategoryValueSleepAnalysisAsleep/.test(value || "");
+
+// Only the opening tag is needed; records with metadata children are not self-closing
+const RECORD = /<Record\b([^>]*?)\/?>/g;
+
+// "2024-03-01 07:12:45 -0300" as the export writes it
+const parseAppleDate = (value) =>
+    new Date((value || "").replace(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/, "$1T$2$3:$4")).getTime();
+
+// The date as written, i.e. the day on the wearer's clock wherever they were
+const localDay = (value) => value?.slice(0, 10);
+
+// Apple Health export.xml text to one BiologicalData record per day.
+// Sleep belongs to the day the wearer woke up. The watch and the phone both log sleep, so each
+// night uses the source with the most time asleep instead of adding them up.
+export const parseAppleHealth = (text) => {
+    const collector = createDailyCollector();
+    const sleepBySource = new Map();
+    let matched = 0;
+
+    for (const match of text.matchAll(RECORD)) {
+        const attributes = readAttributes(match[1]);
+        const field = QUANTITY_FIELDS[attributes.type];
+
+        if (field) {
+            collector.add(localDay(attributes.startDate), field, Number(attributes.value));
+            matched += 1;
+        } else if (attributes.type === SLEEP_TYPE && isAsleep(attributes.value)) {
+            const hours = (parseAppleDate(attributes.endDate) - parseAppleDate(attributes.startDate)) / 3600000;
+            if (!Number.isFinite(hours) || hours <= 0) continue;
+            const key = `${localDay(attributes.endDate)}|${attributes.sourceName || ""}`;
+            sleepBySource.set(key, (sleepBySource.get(key) || 0) + hours);
+            matched += 1;
+        }
+    }
+
+    const sleepByDay = new Map();
+    sleepBySource.forEach((hours, key) => {
+        const day = key.split("|")[0];
+        sleepByDay.set(day, Math.max(sleepByDay.get(day) || 0, hours));
+    });
+    sleepByDay.forEach((hours, day) => collector.add(day, "sleep_duration", hours));
+
+    const records = collector.toRecords();
+    return {
+        records,
+        summary: {
+            ...summarizeDailyRecords(records),
+            readings: matched,
+            notes: matched === 0 ? ["No resting heart rate, HRV, respiratory rate or sleep records were found"] : []
+        }
+    };
+};
@@ -0,0 +1,55 @@
+import { describe, it, expect } from "vitest";
+import { readFileSync } from "node:fs";
+import { parseAppleHealth } from "@/lib/devices/appleHealth";
+import { parseDeviceFile } from "@/lib/deviceImport";
+
+const sample = readFileSync(new URL("./samples/export.xml", import.meta.url), "utf8");
+
+describe("parseAppleHealth", () => {
+    it("averages readings per day and keeps the longest night across sources", () => {
+        const { records } = parseAppleHealth(sample);
+
+        expect(records).toEqual([
+            { date: "2024-03-01T00:00:00", heart_rate_resting: 53, heart_rate_variability: 48 },
+            { date: "2024-03-02T00:00:00", heart_rate_resting: 55, respiratory_rate: 14.5, sleep_duration: 7 }
+        ]);
+    });
+
+    it("summarizes the days and readings found", () => {
+        const { summary } = parseAppleHealth(sample);
+
+        expect(summary).toEqual({
+            records: 2,
+            from: "2024-03-01T00:00:00",
+            to: "2024-03-02T00:00:00",
+            fields: { heart_rate_resting: 2, heart_rate_variability: 1, sleep_duration: 1, respiratory_rate: 1 },
+            readings: 8,
+            notes: []
+        });
+    });
+
+    it("drops records whose date can't be read", () => {
+        const { records, summary } = parseAppleHealth([
+            '<HealthData locale="en_NO">',
+            ' <Record type="HKQuantityTypeIdentifierRestingHeartRate" startDate="yesterday" endDate="yesterday" value="50"/>',
+            ' <Record type="HKQuantityTypeIdentifierRestingHeartRate" startDate="2024-03-01 08:00:00 +0100" endDate="2024-03-01 09:00:00 +0100" value="52"/>',
+            '</HealthData>'
+        ].join("\n"));
+
+        expect(records).toEqual([{ date: "2024-03-01T00:00:00", heart_rate_resting: 52 }]);
+        expect(summary.records).toBe(1);
+    });
+
+    it("notes when an export has none of the metrics", () => {
+        const { records, summary } = parseAppleHealth('<HealthData locale="en_NO"></HealthData>');
+
+        expect(records).toEqual([]);
+        expect(summary.notes).toEqual(["No resting heart rate, HRV, respiratory rate or sleep records were found"]);
+    });
+
+    it("is picked up as an Apple Health export by the device import", () => {
+        const parsed = parseDeviceFile("export.xml", sample);
+
+        expect(parsed).toMatchObject({ format: "appleHealth", entityName: "BiologicalData", summary: { fileName: "export.xml", records: 2 } });
+    });
+});
@@ -0,0 +1,54 @@
+import { isDayKey, mean } from "@/lib/stats";
+
+// BiologicalData fields the device parsers can fill
+export const DEVICE_METRICS = ["heart_rate_resting", "heart_rate_variability", "sleep_duration", "respiratory_rate"];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Collects readings per calendar day and turns them into one BiologicalData record per day.
+// Several readings of a metric on one day are averaged; sleep is passed in already totalled.
+// Readings whose day is not a yyyy-MM-dd day key are dropped.
+export const createDailyCollector = () => {
+    const days = new Map();
+
+    return {
+        add(day, field, value) {
+            if (!isDayKey(day) || !Number.isFinite(value)) return;
+            if (!days.has(day)) days.set(day, {});
+            const fields = days.get(day);
+            (fields[field] = fields[field] || []).push(value);
+        },
+
+        // Daily summaries are stamped at the start of their day without an offset, so the stored value
+        // is the same whichever timezone the file was imported from and reads as that day everywhere
+        toRecords() {
+            return [...days.keys()].sort().map(day => {
+                const record = { date: `${day}T00:00:00` };
+                Object.entries(days.get(day)).forEach(([field, values]) => {
+                    record[field] = round(mean(values));
+                });
+                return record;
+            });
+        }
+    };
+};
+
+// Per-file summary: how many days came out, the span they cover and how often each metric appears
+export const summarizeDailyRecords = (records) => ({
+    records: records.length,
+    from: records[0]?.date ?? null,
+    to: records[records.length - 1]?.date ?? null,
+    fields: Object.fromEntries(DEVICE_METRICS.map(field => [field, records.filter(record => record[field] !== undefined).length]))
+});
+
+// The records in a JSON export: the array itself, or every array inside a response object
+export const jsonItems = (data) => {
+    if (Array.isArray(data)) return data.filter(item => item && typeof item === "object");
+    if (!data || typeof data !== "object") return [];
+    return Object.values(data).filter(Array.isArray).flat().filter(item => item && typeof item === "object");
+};
+
+export const positiveNumber = (value) => {
+    const number = Number(value);
+    return value !== null && value !== "" && Number.isFinite(number) && number > 0 ? number : null;
+};
@@ -0,0 +1,58 @@
+import { createDailyCollector, summarizeDailyRecords, jsonItems, positiveNumber } from "@/lib/devices/daily";
+
+// Web API responses write ISO days; Google Takeout files write "03/01/24 00:00:00"
+const fitbitDay = (value) => {
+    if (typeof value !== "string") return null;
+    const us = value.match(/^(\d{2})\/(\d{2})\/(\d{2})\b/);
+    return us ? `20${us[3]}-${us[1]}-${us[2]}` : value.slice(0, 10);
+};
+
+// Each reader recognises one kind of item and returns [day, field, value] or null
+const READERS = [
+    // Web API activities-heart
+    (item) => item.value?.restingHeartRate !== undefined && [fitbitDay(item.dateTime), "heart_rate_resting", item.value.restingHeartRate],
+    // Takeout resting_heart_rate-*.json, which writes 0 for days without a reading
+    (item) => item.value?.date !== undefined && item.value?.value !== undefined && [fitbitDay(item.value.date), "heart_rate_resting", item.value.value],
+    // Web API hrv
+    (item) => item.value?.dailyRmssd !== undefined && [fitbitDay(item.dateTime), "heart_rate_variability", item.value.dailyRmssd],
+    // Web API br
+    (item) => item.value?.breathingRate !== undefined && [fitbitDay(item.dateTime), "respiratory_rate", item.value.breathingRate]
+];
+
+const isSleepLog = (item) => item.dateOfSleep !== undefined && item.minutesAsleep !== undefined;
+
+export const isFitbitExport = (data) => jsonItems(data).some(item => isSleepLog(item) || READERS.some(read => read(item)));
+
+// Fitbit JSON (Web API responses or Takeout files) to one BiologicalData record per day.
+// Sleep logs on the same day, naps included, are added up.
+export const parseFitbit = (data) => {
+    const collector = createDailyCollector();
+    const sleepByDay = new Map();
+    let readings = 0;
+    let hasHRV = false;
+
+    jsonItems(data).forEach(item => {
+        if (isSleepLog(item)) {
+            const minutes = positiveNumber(item.minutesAsleep);
+            if (minutes === null) return;
+            const day = fitbitDay(item.dateOfSleep);
+            sleepByDay.set(day, (sleepByDay.get(day) || 0) + minutes / 60);
+            readings += 1;
+            return;
+        }
+
+        const reading = READERS.map(read => read(item)).find(Boolean);
+        if (!reading) return;
+        const value = positiveNumber(reading[2]);
+        if (value === null) return;
+        collector.add(reading[0], reading[1], value);
+        if (reading[1] === "heart_rate_variability") hasHRV = true;
+        readings += 1;
+    });
+    sleepByDay.forEach((hours, day) => collector.add(day, "sleep_duration", hours));
+
+    const records = collector.toRecords();
+    const notes = [];
+    if (hasHRV) notes.push("Fitbit measures HRV as RMSSD, which runs higher than the SDNN Apple Health reports");
+    return { records, summary: { ...summarizeDailyRecords(records), readings, notes } };
+};
@@ -0,0 +1,45 @@
+import { describe, it, expect } from "vitest";
+import { readFileSync } from "node:fs";
+import { parseFitbit, isFitbitExport } from "@/lib/devices/fitbit";
+import { parseDeviceFile } from "@/lib/deviceImport";
+
+const text = readFileSync(new URL("./samples/fitbit.json", import.meta.url), "utf8");
+const sample = JSON.parse(text);
+
+describe("parseFitbit", () => {
+    it("reads Web API responses into one record per day, adding up naps", () => {
+        const { records } = parseFitbit(sample);
+
+        expect(records).toEqual([
+            { date: "2024-03-01T00:00:00", heart_rate_resting: 58, heart_rate_variability: 42.3 },
+            { date: "2024-03-02T00:00:00", heart_rate_resting: 60, respiratory_rate: 15.2, sleep_duration: 7 }
+        ]);
+    });
+
+    it("summarizes the days found and notes that HRV is RMSSD", () => {
+        const { summary } = parseFitbit(sample);
+
+        expect(summary).toEqual({
+            records: 2,
+            from: "2024-03-01T00:00:00",
+            to: "2024-03-02T00:00:00",
+            fields: { heart_rate_resting: 2, heart_rate_variability: 1, sleep_duration: 1, respiratory_rate: 1 },
+            readings: 6,
+            notes: ["Fitbit measures HRV as RMSSD, which runs higher than the SDNN Apple Health reports"]
+        });
+    });
+
+    it("reads Takeout resting heart rate files and skips their empty days", () => {
+        const { records } = parseFitbit([
+            { dateTime: "03/01/24 00:00:00", value: { date: "03/01/24", value: 57.4, error: 6.8 } },
+            { dateTime: "03/02/24 00:00:00", value: { date: "03/02/24", value: 0, error: 0 } }
+        ]);
+
+        expect(records).toEqual([{ date: "2024-03-01T00:00:00", heart_rate_resting: 57.4 }]);
+    });
+
+    it("is picked up as a Fitbit export by the device import", () => {
+        expect(isFitbitExport(sample)).toBe(true);
+        expect(parseDeviceFile("fitbit.json", text)).toMatchObject({ format: "fitbit", entityName: "BiologicalData" });
+    });
+});
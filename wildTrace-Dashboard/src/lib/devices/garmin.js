@@ -0,0 +1,55 @@
+import { createDailyCollector, summarizeDailyRecords, jsonItems, positiveNumber } from "@/lib/devices/daily";
+
+const first = (item, keys) => keys.map(key => positiveNumber(item[key])).find(value => value !== null) ?? null;
+
+// Connect API responses wrap the summary; export files and the Health API don't
+const unwrap = (item) => item.dailySleepDTO || item.hrvSummary || item;
+
+const garminDay = (item) => {
+    const value = item.calendarDate?.date ?? item.calendarDate;
+    return typeof value === "string" ? value.slice(0, 10) : null;
+};
+
+// Sleep stages when the file has them, so time awake in bed is left out; otherwise the total
+const sleepSeconds = (item) => {
+    const stages = ["deepSleepSeconds", "lightSleepSeconds", "remSleepSeconds",
+        "deepSleepDurationInSeconds", "lightSleepDurationInSeconds", "remSleepInSeconds"]
+        .map(key => positiveNumber(item[key]))
+        .filter(value => value !== null);
+    if (stages.length > 0) return stages.reduce((sum, value) => sum + value, 0);
+    return first(item, ["sleepTimeSeconds", "durationInSeconds"]);
+};
+
+const FIELDS = {
+    heart_rate_resting: (item) => first(item, ["restingHeartRate", "restingHeartRateInBeatsPerMinute"]),
+    heart_rate_variability: (item) => first(item, ["lastNightAvg"]),
+    respiratory_rate: (item) => first(item, ["averageRespirationValue", "averageRespiration", "avgSleepRespirationValue"]),
+    sleep_duration: (item) => {
+        const seconds = sleepSeconds(item);
+        return seconds === null ? null : seconds / 3600;
+    }
+};
+
+export const isGarminExport = (data) => jsonItems(data).some(item => garminDay(unwrap(item)) !== null);
+
+// Garmin Connect JSON (data export files, Connect or Health API responses) to one BiologicalData
+// record per day. Any item with a calendarDate is read for whichever metrics it carries.
+export const parseGarmin = (data) => {
+    const collector = createDailyCollector();
+    let readings = 0;
+
+    jsonItems(data).forEach(wrapped => {
+        const item = unwrap(wrapped);
+        const day = garminDay(item);
+        if (!day) return;
+        Object.entries(FIELDS).forEach(([field, read]) => {
+            const value = read(item);
+            if (value === null) return;
+            collector.add(day, field, value);
+            readings += 1;
+        });
+    });
+
+    const records = collector.toRecords();
+    return { records, summary: { ...summarizeDailyRecords(records), readings, notes: [] } };
+};
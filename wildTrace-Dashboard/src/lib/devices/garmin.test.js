@@ -0,0 +1,37 @@
+import { describe, it, expect } from "vitest";
+import { readFileSync } from "node:fs";
+import { parseGarmin, isGarminExport } from "@/lib/devices/garmin";
+import { parseDeviceFile } from "@/lib/deviceImport";
+
+const text = readFileSync(new URL("./samples/garmin.json", import.meta.url), "utf8");
+const sample = JSON.parse(text);
+
+describe("parseGarmin", () => {
+    it("reads export items and Connect API wrappers into one record per day", () => {
+        const { records } = parseGarmin(sample);
+
+        // Sleep on the first day is the sum of its stages, leaving out time awake
+        expect(records).toEqual([
+            { date: "2024-03-01T00:00:00", heart_rate_resting: 49, respiratory_rate: 13.8, sleep_duration: 7 },
+            { date: "2024-03-02T00:00:00", heart_rate_variability: 61, sleep_duration: 7 }
+        ]);
+    });
+
+    it("summarizes the days and readings found", () => {
+        const { summary } = parseGarmin(sample);
+
+        expect(summary).toEqual({
+            records: 2,
+            from: "2024-03-01T00:00:00",
+            to: "2024-03-02T00:00:00",
+            fields: { heart_rate_resting: 1, heart_rate_variability: 1, sleep_duration: 2, respiratory_rate: 1 },
+            readings: 5,
+            notes: []
+        });
+    });
+
+    it("is picked up as a Garmin export by the device import", () => {
+        expect(isGarminExport(sample)).toBe(true);
+        expect(parseDeviceFile("garmin.json", text)).toMatchObject({ format: "garmin", entityName: "BiologicalData" });
+    });
+});
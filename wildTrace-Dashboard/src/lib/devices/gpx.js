@@ -0,0 +1,131 @@
+import { differenceInCalendarDays } from "date-fns";
+import { toDayKey } from "@/lib/stats";
+import { distanceKm, centroid } from "@/lib/geo";
+import { readAttributes, childText } from "@/lib/devices/xml";
+
+export const STAY_DEFAULTS = {
+    // How far from where it started a stay may wander, e.g. across a city
+    radiusKm: 5,
+    // How long the tracker has to stay inside that radius before it counts as a stay
+    minDwellHours: 12
+};
+
+const POINT = /<(trkpt|rtept)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+const WAYPOINT = /<wpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/wpt>)/g;
+
+const readPoint = (attributes, body) => {
+    const latitude = Number(attributes.lat);
+    const longitude = Number(attributes.lon);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+    const time = childText(body, "time");
+    return {
+        latitude,
+        longitude,
+        time: time ? new Date(time).getTime() : null,
+        name: childText(body, "name")
+    };
+};
+
+// Track and route points with a timestamp, in time order, plus any named waypoints.
+// Points without a time cannot show how long anyone stayed, so they are only counted.
+export const parseGPXPoints = (text) => {
+    const points = [];
+    let untimed = 0;
+    for (const match of text.matchAll(POINT)) {
+        const point = readPoint(readAttributes(match[2]), match[3]);
+        if (!point) continue;
+        if (point.time === null || Number.isNaN(point.time)) {
+            untimed += 1;
+        } else {
+            points.push(point);
+        }
+    }
+
+    const waypoints = [];
+    for (const match of text.matchAll(WAYPOINT)) {
+        const point = readPoint(readAttributes(match[1]), match[2]);
+        if (point?.name) waypoints.push(point);
+    }
+
+    return { points: points.sort((a, b) => a.time - b.time), waypoints, untimed };
+};
+
+const toStay = (points) => ({ ...centroid(points), from: points[0].time, to: points[points.length - 1].time, points });
+
+// Runs of points that stay within radiusKm of the run's first point for at least minDwellHours.
+// Neighbouring stays whose centres are within the radius are merged, so a day trip out of town
+// does not split one stay in two.
+export const detectStays = (points, { radiusKm = STAY_DEFAULTS.radiusKm, minDwellHours = STAY_DEFAULTS.minDwellHours } = {}) => {
+    const minDwell = minDwellHours * 60 * 60 * 1000;
+    const stays = [];
+    let start = 0;
+
+    while (start < points.length) {
+        let end = start;
+        while (end + 1 < points.length && distanceKm(points[start], points[end + 1]) <= radiusKm) end += 1;
+
+        if (points[end].time - points[start].time >= minDwell) {
+            const stay = toStay(points.slice(start, end + 1));
+            const previous = stays[stays.length - 1];
+            if (previous && distanceKm(previous, stay) <= radiusKm) {
+                stays[stays.length - 1] = toStay([...previous.points, ...stay.points]);
+            } else {
+                stays.push(stay);
+            }
+            start = end + 1;
+        } else {
+            start += 1;
+        }
+    }
+
+    return stays;
+};
+
+const round = (value) => Math.round(value * 100000) / 100000;
+
+// Names a stay after the closest named waypoint inside it, if the file has one
+const stayName = (stay, waypoints, radiusKm, index) => {
+    const nearest = waypoints
+        .map(waypoint => ({ waypoint, distance: distanceKm(stay, waypoint) }))
+        .filter(candidate => candidate.distance <= radiusKm)
+        .sort((a, b) => a.distance - b.distance)[0];
+    return nearest
+        ? nearest.waypoint.name
+        : `Stay ${index + 1} (${stay.latitude.toFixed(2)}, ${stay.longitude.toFixed(2)})`;
+};
+
+// GPX text to Location records, one per detected stay
+export const parseGPX = (text, options = {}) => {
+    const settings = { ...STAY_DEFAULTS, ...options };
+    const { points, waypoints, untimed } = parseGPXPoints(text);
+    const stays = detectStays(points, settings);
+
+    const records = stays.map((stay, index) => {
+        const nights = differenceInCalendarDays(new Date(stay.to), new Date(stay.from));
+        return {
+            name: stayName(stay, waypoints, settings.radiusKm, index),
+            latitude: round(stay.latitude),
+            longitude: round(stay.longitude),
+            arrival_date: toDayKey(new Date(stay.from)),
+            departure_date: toDayKey(new Date(stay.to)),
+            description: `Detected from a GPS track: ${nights} ${nights === 1 ? "night" : "nights"}, ${stay.points.length} track points`
+        };
+    });
+
+    const notes = [];
+    if (untimed > 0) notes.push(`Ignored ${untimed} track ${untimed === 1 ? "point" : "points"} without a time`);
+    if (points.length > 0 && stays.length === 0) {
+        notes.push(`No stay of ${settings.minDwellHours} hours within ${settings.radiusKm} km was found`);
+    }
+
+    return {
+        records,
+        summary: {
+            records: records.length,
+            from: records[0]?.arrival_date ?? null,
+            to: records[records.length - 1]?.departure_date ?? null,
+            points: points.length,
+            notes
+        }
+    };
+};
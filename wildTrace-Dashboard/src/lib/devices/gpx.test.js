@@ -0,0 +1,56 @@
+import { describe, it, expect } from "vitest";
+import { readFileSync } from "node:fs";
+import { parseGPX } from "@/lib/devices/gpx";
+import { parseDeviceFile } from "@/lib/deviceImport";
+
+const sample = readFileSync(new URL("./samples/track.gpx", import.meta.url), "utf8");
+
+describe("parseGPX", () => {
+    it("turns each long stop on the track into a Location", () => {
+        const { records } = parseGPX(sample);
+
+        expect(records).toEqual([
+            {
+                name: "Stay 1 (69.65, 18.96)",
+                latitude: 69.65,
+                longitude: 18.96,
+                arrival_date: "2024-03-01",
+                departure_date: "2024-03-03",
+                description: "Detected from a GPS track: 2 nights, 5 track points"
+            },
+            {
+                name: "Longyearbyen",
+                latitude: 78.223,
+                longitude: 15.627,
+                arrival_date: "2024-03-05",
+                departure_date: "2024-03-07",
+                description: "Detected from a GPS track: 2 nights, 5 track points"
+            }
+        ]);
+    });
+
+    it("summarizes the stays and notes the points without a time", () => {
+        const { summary } = parseGPX(sample);
+
+        expect(summary).toEqual({
+            records: 2,
+            from: "2024-03-01",
+            to: "2024-03-07",
+            points: 11,
+            notes: ["Ignored 1 track point without a time"]
+        });
+    });
+
+    it("finds no stay when the dwell time is longer than any stop", () => {
+        const { records, summary } = parseGPX(sample, { minDwellHours: 72 });
+
+        expect(records).toEqual([]);
+        expect(summary.notes).toContain("No stay of 72 hours within 5 km was found");
+    });
+
+    it("is picked up as a GPX track by the device import", () => {
+        const parsed = parseDeviceFile("track.gpx", sample);
+
+        expect(parsed).toMatchObject({ format: "gpx", entityName: "Location", summary: { fileName: "track.gpx", records: 2 } });
+    });
+});
@@ -0,0 +1,38 @@
+// Just enough XML for reading device exports and writing the journey export. Apple Health exports
+// run to hundreds of megabytes, so the parsers scan tags with regular expressions instead of building a DOM.
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+// Escapes text for use in element content and double-quoted attributes
+export const encodeEntities = (value) => String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+export const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+        const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] ?? match;
+});
+
+// { name: value } for the attributes in the inside of a start tag
+export const readAttributes = (source) => {
+    const attributes = {};
+    const pattern = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        attributes[match[1]] = decodeEntities(match[3] ?? match[4]);
+    }
+    return attributes;
+};
+
+// Text of the first <name> child in an element body, or null
+export const childText = (body, name) => {
+    const match = body?.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`));
+    if (!match) return null;
+    const text = match[1].replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, "$1");
+    return decodeEntities(text.trim());
+};
@@ -0,0 +1,13 @@
+// Hands a file to the browser as a download. content is anything a Blob accepts.
+export const downloadFile = (content, fileName, type) => {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', fileName);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // Give the browser a moment to start the download before the URL goes away
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,51 @@
+import { mean, standardDeviation, isNumber } from "@/lib/stats";
+import JournalEntrySchema from "@/Entities/JournalEntry.json";
+
+export const EMOTIONS = JournalEntrySchema.properties.emotions.items.enum;
+
+const Z_95 = 1.96;
+const MIN_DAYS = 3;
+
+// Welch-style difference of means with a normal-approximation 95% interval
+const compareGroups = (tagged, untagged) => {
+    if (tagged.length < MIN_DAYS || untagged.length < MIN_DAYS) return null;
+
+    const taggedMean = mean(tagged);
+    const untaggedMean = mean(untagged);
+    const taggedSd = standardDeviation(tagged) || 0;
+    const untaggedSd = standardDeviation(untagged) || 0;
+    const difference = taggedMean - untaggedMean;
+    const standardError = Math.sqrt(taggedSd ** 2 / tagged.length + untaggedSd ** 2 / untagged.length);
+    const pooledSd = Math.sqrt(((tagged.length - 1) * taggedSd ** 2 + (untagged.length - 1) * untaggedSd ** 2) / (tagged.length + untagged.length - 2));
+
+    return {
+        taggedMean,
+        untaggedMean,
+        difference,
+        lower: difference - Z_95 * standardError,
+        upper: difference + Z_95 * standardError,
+        effectSize: pooledSd ? difference / pooledSd : 0,
+        taggedDays: tagged.length,
+        untaggedDays: untagged.length
+    };
+};
+
+// Profiles every emotion against the days it was not tagged, one cell per metric
+export const buildEmotionSignatures = (dailyRows, metricKeys) => {
+    const journalDays = dailyRows.filter(row => row.journal_ids.length > 0);
+
+    return EMOTIONS.map(emotion => {
+        const taggedDays = journalDays.filter(row => row.emotions.includes(emotion));
+        const untaggedDays = journalDays.filter(row => !row.emotions.includes(emotion));
+
+        const cells = {};
+        metricKeys.forEach(metric => {
+            cells[metric] = compareGroups(
+                taggedDays.map(row => row[metric]).filter(isNumber),
+                untaggedDays.map(row => row[metric]).filter(isNumber)
+            );
+        });
+
+        return { emotion, taggedDays: taggedDays.length, cells };
+    });
+};
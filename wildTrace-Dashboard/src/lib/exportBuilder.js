@@ -0,0 +1,139 @@
+import { format } from "date-fns";
+import { ENTITY_SCHEMAS } from "@/lib/schemas";
+import { formatCSV } from "@/lib/csv";
+import { filterByDateRange } from "@/lib/dateRange";
+import { toTimestamp } from "@/lib/resample";
+
+// Not stored on the records: the name of the record's location, filled in at export time
+export const LOCATION_NAME_COLUMN = "location_name";
+
+export const EXPORT_DELIMITERS = [
+    { value: ",", label: "Comma" },
+    { value: ";", label: "Semicolon (Excel with a decimal comma)" },
+    { value: "\t", label: "Tab" }
+];
+
+// date-fns patterns; date-time fields get the time appended
+export const EXPORT_DATE_FORMATS = [
+    { value: "iso", label: "ISO 8601 (2024-03-01)", date: "yyyy-MM-dd", time: "yyyy-MM-dd'T'HH:mm:ss" },
+    { value: "us", label: "US (03/01/2024)", date: "MM/dd/yyyy", time: "MM/dd/yyyy HH:mm" },
+    { value: "eu", label: "European (01/03/2024)", date: "dd/MM/yyyy", time: "dd/MM/yyyy HH:mm" },
+    { value: "long", label: "Written out (Mar 1, 2024)", date: "MMM d, yyyy", time: "MMM d, yyyy HH:mm" }
+];
+
+export const HEADER_LANGUAGES = [
+    { value: "fields", label: "Field names" },
+    { value: "en", label: "English" },
+    { value: "es", label: "Español" },
+    { value: "fr", label: "Français" }
+];
+
+// Column headers per language; a field missing here falls back to its name
+const HEADER_LABELS = {
+    id: { en: "ID", es: "ID", fr: "ID" },
+    location_id: { en: "Location ID", es: "ID de ubicación", fr: "ID du lieu" },
+    [LOCATION_NAME_COLUMN]: { en: "Location", es: "Ubicación", fr: "Lieu" },
+    date: { en: "Date", es: "Fecha", fr: "Date" },
+    name: { en: "Name", es: "Nombre", fr: "Nom" },
+    country: { en: "Country", es: "País", fr: "Pays" },
+    latitude: { en: "Latitude", es: "Latitud", fr: "Latitude" },
+    longitude: { en: "Longitude", es: "Longitud", fr: "Longitude" },
+    arrival_date: { en: "Arrival", es: "Llegada", fr: "Arrivée" },
+    departure_date: { en: "Departure", es: "Salida", fr: "Départ" },
+    image_url: { en: "Image URL", es: "URL de imagen", fr: "URL de l'image" },
+    description: { en: "Description", es: "Descripción", fr: "Description" },
+    heart_rate_resting: { en: "Resting heart rate (bpm)", es: "Frecuencia cardíaca en reposo (lpm)", fr: "Fréquence cardiaque au repos (bpm)" },
+    heart_rate_active: { en: "Active heart rate (bpm)", es: "Frecuencia cardíaca activa (lpm)", fr: "Fréquence cardiaque active (bpm)" },
+    heart_rate_variability: { en: "Heart rate variability", es: "Variabilidad de la frecuencia cardíaca", fr: "Variabilité de la fréquence cardiaque" },
+    body_temperature: { en: "Body temperature (°C)", es: "Temperatura corporal (°C)", fr: "Température corporelle (°C)" },
+    sleep_quality_score: { en: "Sleep quality (1-10)", es: "Calidad del sueño (1-10)", fr: "Qualité du sommeil (1-10)" },
+    sleep_duration: { en: "Sleep duration (h)", es: "Duración del sueño (h)", fr: "Durée du sommeil (h)" },
+    respiratory_rate: { en: "Respiratory rate (/min)", es: "Frecuencia respiratoria (/min)", fr: "Fréquence respiratoire (/min)" },
+    activity_level: { en: "Activity level (1-10)", es: "Nivel de actividad (1-10)", fr: "Niveau d'activité (1-10)" },
+    stress_level: { en: "Stress level (1-10)", es: "Nivel de estrés (1-10)", fr: "Niveau de stress (1-10)" },
+    temperature_avg: { en: "Average temperature (°C)", es: "Temperatura media (°C)", fr: "Température moyenne (°C)" },
+    temperature_min: { en: "Minimum temperature (°C)", es: "Temperatura mínima (°C)", fr: "Température minimale (°C)" },
+    temperature_max: { en: "Maximum temperature (°C)", es: "Temperatura máxima (°C)", fr: "Température maximale (°C)" },
+    humidity: { en: "Humidity (%)", es: "Humedad (%)", fr: "Humidité (%)" },
+    light_exposure: { en: "Light exposure (lux)", es: "Exposición a la luz (lux)", fr: "Exposition à la lumière (lux)" },
+    air_quality_index: { en: "Air quality index", es: "Índice de calidad del aire", fr: "Indice de qualité de l'air" },
+    noise_level: { en: "Noise level (dB)", es: "Nivel de ruido (dB)", fr: "Niveau sonore (dB)" },
+    weather_condition: { en: "Weather", es: "Tiempo", fr: "Météo" },
+    title: { en: "Title", es: "Título", fr: "Titre" },
+    content: { en: "Entry", es: "Entrada", fr: "Texte" },
+    emotions: { en: "Emotions", es: "Emociones", fr: "Émotions" },
+    mood_score: { en: "Mood (1-10)", es: "Estado de ánimo (1-10)", fr: "Humeur (1-10)" },
+    audio_url: { en: "Audio URL", es: "URL de audio", fr: "URL de l'audio" },
+    highlight_moment: { en: "Highlight", es: "Momento destacado", fr: "Moment fort" }
+};
+
+const BOOLEAN_LABELS = {
+    fields: ["true", "false"],
+    en: ["yes", "no"],
+    es: ["sí", "no"],
+    fr: ["oui", "non"]
+};
+
+export const headerLabel = (field, language) =>
+    language === "fields" ? field : HEADER_LABELS[field]?.[language] || field;
+
+// Every column an entity can export, in schema order, with the location name next to location_id
+export const exportColumns = (entityName) => {
+    const fields = Object.keys(ENTITY_SCHEMAS[entityName].properties);
+    const columns = ["id", ...fields];
+    if (fields.includes("location_id")) {
+        columns.splice(columns.indexOf("location_id") + 1, 0, LOCATION_NAME_COLUMN);
+    }
+    return columns;
+};
+
+// Columns ticked by default: everything but the internal ids
+export const defaultExportColumns = (entityName) =>
+    exportColumns(entityName).filter(column => column !== "id" && column !== "location_id");
+
+export const DEFAULT_EXPORT_OPTIONS = {
+    range: { from: null, to: null },
+    locationId: "all",
+    delimiter: ",",
+    dateFormat: "iso",
+    headerLanguage: "fields",
+    bom: false
+};
+
+// The records an export covers: within the date range (stays overlapping it, for locations)
+// and at the chosen location
+export const selectExportRecords = (entityName, records, { range, locationId }) => {
+    const inRange = filterByDateRange(entityName, records, range);
+    if (!locationId || locationId === "all") return inRange;
+    const key = entityName === "Location" ? "id" : "location_id";
+    return inRange.filter(record => record[key] === locationId);
+};
+
+const formatValue = (value, property, options) => {
+    if (value === null || value === undefined || value === "") return value;
+    if (property?.format === "date" || property?.format === "date-time") {
+        const timestamp = toTimestamp(value);
+        if (Number.isNaN(timestamp)) return value;
+        const pattern = EXPORT_DATE_FORMATS.find(option => option.value === options.dateFormat) || EXPORT_DATE_FORMATS[0];
+        return format(new Date(timestamp), property.format === "date" ? pattern.date : pattern.time);
+    }
+    if (Array.isArray(value)) return value.join("; ");
+    if (typeof value === "boolean") {
+        const [yes, no] = BOOLEAN_LABELS[options.headerLanguage] || BOOLEAN_LABELS.fields;
+        return value ? yes : no;
+    }
+    return value;
+};
+
+// CSV text for the chosen columns and options. Lists are joined with "; " so they read well in a
+// spreadsheet. The BOM makes Excel open the file as UTF-8 instead of guessing the encoding.
+export const buildExportCSV = (entityName, records, columns, options, getLocationName) => {
+    const { properties } = ENTITY_SCHEMAS[entityName];
+    const headers = columns.map(column => headerLabel(column, options.headerLanguage));
+    const rows = records.map(record => Object.fromEntries(columns.map((column, index) => [
+        headers[index],
+        column === LOCATION_NAME_COLUMN ? getLocationName(record.location_id) : formatValue(record[column], properties[column], options)
+    ])));
+    const csv = formatCSV(rows, headers, options.delimiter);
+    return options.bom ? `\uFEFF${csv}` : csv;
+};
@@ -0,0 +1,41 @@
+import { describe, it, expect } from "vitest";
+import { buildExportCSV, DEFAULT_EXPORT_OPTIONS } from "@/lib/exportBuilder";
+import { parseCSV } from "@/lib/csv";
+
+const entry = {
+    id: "journal-1",
+    location_id: "loc-1",
+    date: "2024-03-02",
+    content: 'The guide said "stay close",\nso we did; twice.',
+    emotions: ["wonder", "calm"],
+    highlight_moment: true
+};
+
+const getLocationName = (id) => (id === "loc-1" ? "Longyearbyen, Svalbard" : "Unknown Location");
+
+describe("buildExportCSV", () => {
+    it("quotes journal text with quotes, line breaks and the delimiter so it reads back unchanged", () => {
+        const columns = ["location_name", "date", "content", "emotions"];
+        [",", ";", "\t"].forEach(delimiter => {
+            const csv = buildExportCSV("JournalEntry", [entry], columns, { ...DEFAULT_EXPORT_OPTIONS, delimiter }, getLocationName);
+            expect(parseCSV(csv, delimiter).rows).toEqual([{
+                location_name: "Longyearbyen, Svalbard",
+                date: "2024-03-02",
+                content: entry.content,
+                emotions: "wonder; calm"
+            }]);
+        });
+    });
+
+    it("translates headers and booleans, formats dates and adds the BOM when asked", () => {
+        const csv = buildExportCSV("JournalEntry", [entry], ["date", "highlight_moment"], {
+            ...DEFAULT_EXPORT_OPTIONS,
+            delimiter: ";",
+            dateFormat: "eu",
+            headerLanguage: "es",
+            bom: true
+        }, getLocationName);
+
+        expect(csv).toBe("\uFEFFFecha;Momento destacado\r\n02/03/2024;sí\r\n");
+    });
+});
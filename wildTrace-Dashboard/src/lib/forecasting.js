@@ -0,0 +1,163 @@
+import { differenceInCalendarDays, addDays, format } from "date-fns";
+import { mean, isNumber, dayKeyToDate } from "@/lib/stats";
+
+export const FORECAST_TARGETS = ["stress_level", "heart_rate_variability", "mood_score"];
+
+// Today's conditions used to predict tomorrow's value, alongside the target's own history
+const PREDICTORS = ["sleep_duration", "activity_level", "temperature_avg", "humidity", "light_exposure"];
+
+const Z_95 = 1.96;
+const RIDGE = 0.1;
+const MIN_TRAINING_ROWS = 10;
+
+// Solves (XᵀX + λI)β = Xᵀy with Gaussian elimination; the intercept is not penalised
+const fitRidge = (X, y) => {
+    const p = X[0].length;
+    const A = Array.from({ length: p }, (_, i) =>
+        Array.from({ length: p }, (_, j) =>
+            X.reduce((sum, row) => sum + row[i] * row[j], 0) + (i === j && i > 0 ? RIDGE : 0)
+        )
+    );
+    const b = Array.from({ length: p }, (_, i) => X.reduce((sum, row, r) => sum + row[i] * y[r], 0));
+
+    for (let col = 0; col < p; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < p; row++) {
+            if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+        }
+        [A[col], A[pivot]] = [A[pivot], A[col]];
+        [b[col], b[pivot]] = [b[pivot], b[col]];
+        if (Math.abs(A[col][col]) < 1e-12) continue;
+
+        for (let row = col + 1; row < p; row++) {
+            const factor = A[row][col] / A[col][col];
+            for (let k = col; k < p; k++) A[row][k] -= factor * A[col][k];
+            b[row] -= factor * b[col];
+        }
+    }
+
+    const beta = new Array(p).fill(0);
+    for (let row = p - 1; row >= 0; row--) {
+        if (Math.abs(A[row][row]) < 1e-12) continue;
+        const rest = A[row].slice(row + 1).reduce((sum, v, k) => sum + v * beta[row + 1 + k], 0);
+        beta[row] = (b[row] - rest) / A[row][row];
+    }
+    return beta;
+};
+
+const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+// Pairs each day with the next calendar day; gaps in the record are skipped
+const buildTrainingPairs = (days, target, predictors) => {
+    const pairs = [];
+    for (let i = 1; i < days.length - 1; i++) {
+        const today = days[i];
+        const yesterday = days[i - 1];
+        const tomorrow = days[i + 1];
+        if (differenceInCalendarDays(dayKeyToDate(tomorrow.day), dayKeyToDate(today.day)) !== 1) continue;
+        if (differenceInCalendarDays(dayKeyToDate(today.day), dayKeyToDate(yesterday.day)) !== 1) continue;
+
+        const features = [today[target], yesterday[target], ...predictors.map(key => today[key])];
+        if (!features.every(isNumber) || !isNumber(tomorrow[target])) continue;
+
+        pairs.push({ day: tomorrow.day, x: [1, ...features], y: tomorrow[target] });
+    }
+    return pairs;
+};
+
+const buildLatestFeatures = (days, target, predictors) => {
+    if (days.length < 2) return null;
+    const today = days[days.length - 1];
+    const yesterday = days[days.length - 2];
+    const features = [today[target], yesterday[target], ...predictors.map(key => today[key])];
+    return features.every(isNumber) ? [1, ...features] : null;
+};
+
+const rootMeanSquare = (errors) => Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length);
+
+const regressionModel = {
+    fit: (days, target) => {
+        const predictors = PREDICTORS.filter(key => days.some(day => isNumber(day[key])));
+        const pairs = buildTrainingPairs(days, target, predictors);
+        if (pairs.length < MIN_TRAINING_ROWS) return null;
+
+        const beta = fitRidge(pairs.map(p => p.x), pairs.map(p => p.y));
+        const residuals = pairs.map(p => p.y - dot(beta, p.x));
+        return {
+            predict: (history) => {
+                const x = buildLatestFeatures(history, target, predictors);
+                return x ? dot(beta, x) : null;
+            },
+            errorSpread: rootMeanSquare(residuals)
+        };
+    }
+};
+
+const smoothingModel = {
+    fit: (days, target, alpha = 0.4) => {
+        const values = days.map(day => day[target]).filter(isNumber);
+        if (values.length < MIN_TRAINING_ROWS) return null;
+
+        let level = values[0];
+        const errors = [];
+        values.slice(1).forEach(value => {
+            errors.push(value - level);
+            level = alpha * value + (1 - alpha) * level;
+        });
+        return {
+            predict: () => level,
+            errorSpread: rootMeanSquare(errors)
+        };
+    }
+};
+
+export const FORECAST_MODELS = {
+    regression: { label: "Lagged regression", ...regressionModel },
+    smoothing: { label: "Exponential smoothing", ...smoothingModel }
+};
+
+// Rolling-origin one-step-ahead backtest over the most recent days
+const backtest = (days, target, model, holdout) => {
+    const results = [];
+    for (let i = Math.max(MIN_TRAINING_ROWS + 2, days.length - holdout); i < days.length; i++) {
+        const history = days.slice(0, i);
+        const actual = days[i][target];
+        const previous = history[history.length - 1][target];
+        if (!isNumber(actual) || !isNumber(previous)) continue;
+        if (differenceInCalendarDays(dayKeyToDate(days[i].day), dayKeyToDate(history[history.length - 1].day)) !== 1) continue;
+
+        const fitted = model.fit(history, target);
+        const predicted = fitted?.predict(history);
+        if (!isNumber(predicted)) continue;
+
+        results.push({ day: days[i].day, actual, predicted, naive: previous });
+    }
+
+    if (results.length === 0) return { results, mae: null, naiveMae: null, skill: null };
+
+    const mae = mean(results.map(r => Math.abs(r.actual - r.predicted)));
+    const naiveMae = mean(results.map(r => Math.abs(r.actual - r.naive)));
+    return {
+        results,
+        mae,
+        naiveMae,
+        // Share of the naive "same as today" error the model removes; negative means worse than naive
+        skill: naiveMae ? 1 - mae / naiveMae : null
+    };
+};
+
+export const forecastNextDay = (days, target, modelKey = "regression", holdout = 30) => {
+    const model = FORECAST_MODELS[modelKey];
+    const fitted = model.fit(days, target);
+    const prediction = fitted?.predict(days);
+    const lastDay = days[days.length - 1]?.day;
+
+    return {
+        target,
+        day: lastDay ? format(addDays(dayKeyToDate(lastDay), 1), 'yyyy-MM-dd') : null,
+        prediction: isNumber(prediction) ? prediction : null,
+        lower: isNumber(prediction) ? prediction - Z_95 * fitted.errorSpread : null,
+        upper: isNumber(prediction) ? prediction + Z_95 * fitted.errorSpread : null,
+        backtest: backtest(days, target, model, holdout)
+    };
+};
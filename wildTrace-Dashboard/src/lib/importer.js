@@ -0,0 +1,349 @@
+import { ENTITY_SCHEMAS, ENTITY_NAMES } from "@/lib/schemas";
+import { validateRecord } from "@/lib/validation";
+import { toDayKey, dayKeyToDate, isDayKey } from "@/lib/stats";
+import { toTimestamp } from "@/lib/resample";
+import { parseCSV } from "@/lib/csv";
+
+// Not a schema field: imported rows name their location and we resolve it to a location_id
+export const LOCATION_NAME_FIELD = "location_name";
+
+// Filenames used in the export bundle (see ARCHIVE_FILES), so an export is recognised on the way back in
+const FILE_PATTERNS = {
+    Location: /location/i,
+    BiologicalData: /bio/i,
+    EnvironmentalData: /env/i,
+    JournalEntry: /journal/i
+};
+
+// Common alternative column names, compared after normalizing
+const FIELD_ALIASES = {
+    [LOCATION_NAME_FIELD]: ["location", "place", "locationname"],
+    latitude: ["lat"],
+    longitude: ["lon", "lng", "long"],
+    date: ["timestamp", "datetime", "time"]
+};
+
+// The day a date-time starts with, e.g. "2024-03-01" for "2024-03-01 08:00" or "2024-03-01T08:00Z"
+const leadingDay = (text) => {
+    const day = text.slice(0, 10);
+    return isDayKey(day) && (text[10] === "T" || text[10] === " ") ? day : null;
+};
+
+const normalizeName = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+
+// The fields a column can be mapped to, required ones first
+export const importFields = (entityName) => {
+    const schema = ENTITY_SCHEMAS[entityName];
+    const required = new Set(schema.required || []);
+    const fields = Object.entries(schema.properties).map(([field, property]) => ({
+        field,
+        description: property.description,
+        required: required.has(field)
+    }));
+    if (entityName !== "Location") {
+        fields.unshift({ field: LOCATION_NAME_FIELD, description: "Location name, resolved to location_id", required: false });
+    }
+    return fields.sort((a, b) => Number(b.required) - Number(a.required));
+};
+
+// Required fields that no column is mapped to; a location name stands in for location_id
+export const unmappedRequiredFields = (entityName, mapping) => {
+    const mapped = new Set(Object.values(mapping).filter(Boolean));
+    if (mapped.has(LOCATION_NAME_FIELD)) mapped.add("location_id");
+    return (ENTITY_SCHEMAS[entityName].required || []).filter(field => !mapped.has(field));
+};
+
+// Guess from the filename first, then from whichever schema shares the most columns
+export const guessEntity = (fileName, headers) => {
+    const byName = ENTITY_NAMES.find(entityName => FILE_PATTERNS[entityName].test(fileName || ""));
+    if (byName) return byName;
+
+    const normalized = new Set(headers.map(normalizeName));
+    const overlap = (entityName) => Object.keys(ENTITY_SCHEMAS[entityName].properties)
+        .filter(field => normalized.has(normalizeName(field))).length;
+    return ENTITY_NAMES.reduce((best, entityName) => (overlap(entityName) > overlap(best) ? entityName : best));
+};
+
+// { header: field } for every header, with "" for columns that are ignored
+export const suggestMapping = (entityName, headers) => {
+    const candidates = importFields(entityName).map(({ field }) => ({
+        field,
+        names: [field, ...(FIELD_ALIASES[field] || [])].map(normalizeName)
+    }));
+    const taken = new Set();
+
+    return Object.fromEntries(headers.map(header => {
+        const match = candidates.find(candidate => !taken.has(candidate.field) && candidate.names.includes(normalizeName(header)));
+        if (match) taken.add(match.field);
+        return [header, match ? match.field : ""];
+    }));
+};
+
+// CSV text, a JSON array of records, or a JSON object keyed by entity name (a full archive).
+// Returns { format, headers, rows, entityNames }, where entityNames lists the keys of an archive.
+export const parseImportFile = (fileName, text, entityName) => {
+    const trimmed = text.replace(/^\uFEFF/, "").trim();
+    const isJSON = /\.json$/i.test(fileName || "") || trimmed.startsWith("[") || trimmed.startsWith("{");
+
+    if (!isJSON) {
+        return { format: "csv", ...parseCSV(trimmed), entityNames: null };
+    }
+
+    const parsed = JSON.parse(trimmed);
+    let rows = parsed;
+    let entityNames = null;
+    if (!Array.isArray(parsed)) {
+        entityNames = ENTITY_NAMES.filter(name => Array.isArray(parsed?.[name]));
+        if (entityNames.length === 0) {
+            throw new Error("Expected an array of records or an object keyed by entity name");
+        }
+        rows = parsed[entityNames.includes(entityName) ? entityName : entityNames[0]];
+    }
+
+    const headers = [...new Set(rows.flatMap(row => Object.keys(row || {})))];
+    return { format: "json", headers, rows: rows.filter(row => row && typeof row === "object"), entityNames };
+};
+
+const coerceDate = (value, format) => {
+    const text = String(value).trim();
+    if (format === "date") {
+        if (isDayKey(text)) return text;
+        const day = leadingDay(text);
+        if (day) return day;
+        const date = new Date(text);
+        return Number.isNaN(date.getTime()) ? text : toDayKey(date);
+    }
+
+    // "2024-03-01 08:00:00" as written by the CSV export is local time; a bare date is local midnight
+    const date = isDayKey(text) ? dayKeyToDate(text) : new Date(leadingDay(text) ? `${text.slice(0, 10)}T${text.slice(11)}` : text);
+    return Number.isNaN(date.getTime()) ? text : date.toISOString();
+};
+
+// Lists arrive as JSON arrays (the export bundle, Frictionless) or as text split on ; , or |
+const parseListCell = (text) => {
+    if (text.trim().startsWith("[")) {
+        try {
+            const parsed = JSON.parse(text);
+            if (Array.isArray(parsed)) return parsed;
+        } catch {
+            // Not JSON after all, so split it like any other list
+        }
+    }
+    return text.split(/[;,|]/);
+};
+
+// Turns a cell into the type the schema asks for. Values that do not convert are returned
+// unchanged so validation can report them instead of silently dropping them.
+export const coerceValue = (value, property) => {
+    if (isBlank(value)) return undefined;
+
+    switch (property.type) {
+        case "number": {
+            if (typeof value === "number") return value;
+            const number = Number(String(value).trim());
+            return Number.isFinite(number) ? number : value;
+        }
+        case "boolean": {
+            if (typeof value === "boolean") return value;
+            const text = String(value).trim().toLowerCase();
+            if (["true", "yes", "y", "1"].includes(text)) return true;
+            if (["false", "no", "n", "0"].includes(text)) return false;
+            return value;
+        }
+        case "array": {
+            const items = Array.isArray(value) ? value : parseListCell(String(value));
+            const cleaned = items.map(item => String(item).trim()).filter(Boolean);
+            return property.items?.enum ? cleaned.map(item => item.toLowerCase()) : cleaned;
+        }
+        case "string":
+            return property.format ? coerceDate(value, property.format) : String(value);
+        default:
+            return value;
+    }
+};
+
+// Matches an id first, then a name (case-insensitive). When several stays share a name, the one
+// covering the record's date wins.
+export const resolveLocation = (value, date, locations) => {
+    if (isBlank(value)) return null;
+    const text = String(value).trim();
+    const byId = locations.find(location => location.id === text);
+    if (byId) return byId;
+
+    const named = locations.filter(location => location.name?.trim().toLowerCase() === text.toLowerCase());
+    if (named.length <= 1 || !date) return named[0] || null;
+
+    const day = toDayKey(date);
+    if (!day) return named[0];
+    return named.find(location =>
+        location.arrival_date <= day && (!location.departure_date || day <= location.departure_date)
+    ) || named[0];
+};
+
+// Device exports know when a reading was taken but not where: use the location whose stay covers
+// the reading's day, the most recent arrival winning on changeover days
+export const assignLocationsByDate = (records, locations) => records.map(record => {
+    if (record.location_id || !record.date) return record;
+    const day = toDayKey(record.date);
+    const location = locations
+        .filter(candidate => candidate.arrival_date && candidate.arrival_date <= day &&
+            (!candidate.departure_date || day <= candidate.departure_date))
+        .sort((a, b) => a.arrival_date.localeCompare(b.arrival_date))
+        .pop();
+    return location ? { ...record, location_id: location.id } : record;
+});
+
+// Records count as the same when they share a location and a date; biometric readings compare
+// the exact instant since there are several a day
+const DUPLICATE_KEYS = {
+    Location: (record) => `${record.name.trim().toLowerCase()}|${record.arrival_date}`,
+    BiologicalData: (record) => `${record.location_id}|${toTimestamp(record.date)}`,
+    EnvironmentalData: (record) => `${record.location_id}|${toDayKey(record.date)}`,
+    JournalEntry: (record) => `${record.location_id}|${toDayKey(record.date)}`
+};
+
+const toRecord = (entityName, row, mapping, locations, locationOverrides) => {
+    const { properties } = ENTITY_SCHEMAS[entityName];
+    const record = {};
+    let locationName = null;
+
+    Object.entries(mapping).forEach(([header, field]) => {
+        if (!field) return;
+        if (field === LOCATION_NAME_FIELD) {
+            if (!isBlank(row[header])) locationName = String(row[header]).trim();
+            return;
+        }
+        const value = coerceValue(row[header], properties[field]);
+        if (value !== undefined) record[field] = value;
+    });
+
+    const issues = [];
+    if (entityName !== "Location") {
+        const reference = record.location_id ?? locationName;
+        const override = locationOverrides[reference];
+        const location = override
+            ? locations.find(candidate => candidate.id === override)
+            : resolveLocation(reference, record.date, locations);
+        if (location) {
+            record.location_id = location.id;
+        } else if (!isBlank(reference)) {
+            delete record.location_id;
+            issues.push({ field: "location_id", kind: "location", message: `No location matches "${reference}"`, reference });
+        }
+    }
+
+    return { record, issues };
+};
+
+// Maps, coerces, resolves and validates every row, then marks duplicates of existing records and
+// of earlier rows in the same file. Each row comes back with a status of ready | invalid | duplicate;
+// duplicates carry the existing record (duplicateRecord) or earlier row index (duplicateRow) they repeat.
+export const buildImportPreview = ({ entityName, rows, mapping, locations, existingRecords, locationOverrides = {} }) => {
+    const schema = ENTITY_SCHEMAS[entityName];
+    const getKey = DUPLICATE_KEYS[entityName];
+    const existingKeys = new Map();
+    existingRecords.forEach(record => {
+        if (validateRecord(record, schema).length === 0) existingKeys.set(getKey(record), record);
+    });
+    const seenKeys = new Map();
+
+    const previewRows = rows.map((row, index) => {
+        const { record, issues } = toRecord(entityName, row, mapping, locations, locationOverrides);
+        const allIssues = [
+            ...issues,
+            ...validateRecord(record, schema).filter(issue => !(issue.field === "location_id" && issues.length > 0))
+        ];
+        if (allIssues.length > 0) {
+            return { index, record, issues: allIssues, status: "invalid", duplicateOf: null };
+        }
+
+        const key = getKey(record);
+        if (existingKeys.has(key)) {
+            return { index, record, issues: [], status: "duplicate", duplicateOf: "existing", duplicateRecord: existingKeys.get(key) };
+        }
+        if (seenKeys.has(key)) {
+            return { index, record, issues: [], status: "duplicate", duplicateOf: "file", duplicateRow: seenKeys.get(key) };
+        }
+        seenKeys.set(key, index);
+        return { index, record, issues: [], status: "ready", duplicateOf: null };
+    });
+
+    const unresolvedLocations = [...new Set(previewRows
+        .flatMap(row => row.issues)
+        .filter(issue => issue.kind === "location")
+        .map(issue => issue.reference))];
+
+    const count = (status) => previewRows.filter(row => row.status === status).length;
+    return {
+        rows: previewRows,
+        unresolvedLocations,
+        summary: {
+            total: previewRows.length,
+            ready: count("ready"),
+            invalid: count("invalid"),
+            duplicates: count("duplicate")
+        }
+    };
+};
+
+// Restores a whole archive ({ Location: [...], JournalEntry: [...] }) in dependency order.
+// Locations go first and every archived location id is mapped to the id it ends up with: the new
+// record, or the existing location it duplicates. The other entities are rewritten through that map,
+// so their location_id keeps pointing at the same place even though the backend hands out new ids.
+// Locations queued offline have no id yet, so nothing is mapped to them.
+// createRecords is the store's bulk create. Returns one result per entity in the archive.
+export const importArchive = async (archive, { locations, existingRecords, createRecords, skipDuplicates = true, onProgress }) => {
+    const idMap = new Map();
+    let knownLocations = [...locations];
+    const results = [];
+
+    for (const entityName of ENTITY_NAMES) {
+        const rows = archive[entityName];
+        if (!Array.isArray(rows)) continue;
+
+        const remapped = entityName === "Location"
+            ? rows
+            : rows.map(row => (idMap.has(row.location_id) ? { ...row, location_id: idMap.get(row.location_id) } : row));
+        const headers = [...new Set(remapped.flatMap(row => Object.keys(row)))];
+        const preview = buildImportPreview({
+            entityName,
+            rows: remapped,
+            mapping: suggestMapping(entityName, headers),
+            locations: knownLocations,
+            existingRecords: existingRecords[entityName] || []
+        });
+
+        const selected = preview.rows.filter(row => row.status === "ready" || (row.status === "duplicate" && !skipDuplicates));
+        onProgress?.({ entityName, done: 0, total: selected.length });
+        const outcome = await createRecords(entityName, selected.map(row => row.record), {
+            onProgress: (done) => onProgress?.({ entityName, done, total: selected.length })
+        });
+
+        if (entityName === "Location") {
+            selected.forEach((row, position) => {
+                const created = outcome.results[position].record;
+                if (created && !created.pending_sync) idMap.set(rows[row.index].id, created.id);
+            });
+            preview.rows
+                .filter(row => row.status === "duplicate" && skipDuplicates)
+                .forEach(row => {
+                    const target = row.duplicateRecord ? row.duplicateRecord.id : idMap.get(rows[row.duplicateRow].id);
+                    if (target) idMap.set(rows[row.index].id, target);
+                });
+            knownLocations = [...knownLocations, ...outcome.created.filter(record => !record.pending_sync)];
+        }
+
+        results.push({
+            entityName,
+            created: outcome.created.filter(record => !record.pending_sync).length,
+            queued: outcome.created.filter(record => record.pending_sync).length,
+            failed: outcome.failed,
+            duplicates: skipDuplicates ? preview.summary.duplicates : 0,
+            invalid: preview.summary.invalid
+        });
+    }
+
+    return results;
+};
@@ -0,0 +1,149 @@
+import { describe, it, expect } from "vitest";
+import { parseImportFile, suggestMapping, buildImportPreview, importArchive } from "@/lib/importer";
+import { archiveColumns } from "@/lib/archiveBundle";
+import { formatCSV } from "@/lib/csv";
+
+const locations = [
+    { id: "loc-1", name: "Svalbard", latitude: 78.22, longitude: 15.65, arrival_date: "2024-03-01", departure_date: "2024-03-10" },
+    { id: "loc-2", name: "Tromsø", latitude: 69.65, longitude: 18.96, arrival_date: "2024-03-10" }
+];
+
+const journal = [
+    {
+        id: "journal-1",
+        location_id: "loc-1",
+        date: "2024-03-02",
+        title: "First night",
+        content: "The guide said \"stay close\",\nso we did.",
+        emotions: ["wonder", "calm"],
+        mood_score: 8,
+        highlight_moment: true
+    },
+    { id: "journal-2", location_id: "loc-2", date: "2024-03-11", content: "Harbour walk; grey skies", mood_score: 6 }
+];
+
+// The importer creates new records, so ids are not carried over
+const withoutIds = (records) => records.map(({ id, ...record }) => record);
+
+const preview = (fileName, text, entityName, options = {}) => {
+    const file = parseImportFile(fileName, text, entityName);
+    return buildImportPreview({
+        entityName,
+        rows: file.rows,
+        mapping: suggestMapping(entityName, file.headers),
+        locations,
+        existingRecords: [],
+        ...options
+    });
+};
+
+describe("import round trip", () => {
+    it("reads back the CSV the export bundle writes", () => {
+        const csv = formatCSV(journal, archiveColumns("JournalEntry", journal));
+        const result = preview("journal_entries.csv", csv, "JournalEntry");
+
+        expect(result.summary).toEqual({ total: 2, ready: 2, invalid: 0, duplicates: 0 });
+        expect(result.rows.map(row => row.record)).toEqual(withoutIds(journal));
+    });
+
+    it("reads back a JSON array and an archive keyed by entity name", () => {
+        const fromArray = preview("journal_entries.json", JSON.stringify(journal), "JournalEntry");
+        expect(fromArray.rows.map(row => row.record)).toEqual(withoutIds(journal));
+
+        const archive = JSON.stringify({ Location: locations, JournalEntry: journal });
+        const file = parseImportFile("archive.json", archive, "JournalEntry");
+        expect(file.entityNames).toEqual(["Location", "JournalEntry"]);
+        expect(file.rows).toEqual(journal);
+    });
+
+    it("resolves location names and keeps day and local date-time cells as written", () => {
+        const csv = [
+            "location,date,heart_rate_resting",
+            "svalbard,2024-03-02 07:30:00,52",
+            "Tromsø,2024-03-11,58"
+        ].join("\n");
+        const result = preview("biological.csv", csv, "BiologicalData");
+
+        expect(result.rows.map(row => row.record)).toEqual([
+            { location_id: "loc-1", date: new Date(2024, 2, 2, 7, 30).toISOString(), heart_rate_resting: 52 },
+            { location_id: "loc-2", date: new Date(2024, 2, 11).toISOString(), heart_rate_resting: 58 }
+        ]);
+    });
+
+    it("marks duplicates of existing records and of earlier rows", () => {
+        const csv = [
+            "location,date,temperature_avg",
+            "Svalbard,2024-03-02,-12",
+            "Svalbard,2024-03-03,-10",
+            "Svalbard,2024-03-03,-9",
+            "Reykjavik,2024-03-04,2"
+        ].join("\n");
+        const result = preview("environmental.csv", csv, "EnvironmentalData", {
+            existingRecords: [{ id: "env-1", location_id: "loc-1", date: "2024-03-02", temperature_avg: -12 }]
+        });
+
+        expect(result.rows.map(row => row.status)).toEqual(["duplicate", "ready", "duplicate", "invalid"]);
+        expect(result.rows[0]).toMatchObject({ duplicateOf: "existing", duplicateRecord: { id: "env-1" } });
+        expect(result.rows[2]).toMatchObject({ duplicateOf: "file", duplicateRow: 1 });
+        expect(result.unresolvedLocations).toEqual(["Reykjavik"]);
+    });
+});
+
+describe("importArchive", () => {
+    // Stands in for the store's bulk create: the backend hands out new ids, and records created
+    // while offline come back queued without one
+    const fakeCreateRecords = (queuedNames = []) => {
+        const calls = [];
+        let nextId = 1;
+        const createRecords = async (entityName, records) => {
+            calls.push({ entityName, records });
+            const created = records.map(record => (queuedNames.includes(record.name)
+                ? { ...record, queue_id: `queue-${nextId++}`, pending_sync: true }
+                : { ...record, id: `new-${nextId++}` }));
+            return { created, failed: 0, results: records.map((data, index) => ({ data, record: created[index] })) };
+        };
+        return { calls, createRecords };
+    };
+
+    const archive = {
+        Location: [
+            { id: "old-1", name: "Svalbard", latitude: 78.22, longitude: 15.65, arrival_date: "2024-03-01" },
+            { id: "old-2", name: "Tromsø", latitude: 69.65, longitude: 18.96, arrival_date: "2024-03-10" },
+            { id: "old-3", name: "Lofoten", latitude: 68.2, longitude: 13.6, arrival_date: "2024-03-15" }
+        ],
+        JournalEntry: [
+            { id: "journal-1", location_id: "old-1", date: "2024-03-02", content: "Ice" },
+            { id: "journal-2", location_id: "old-2", date: "2024-03-11", content: "Harbour" },
+            { id: "journal-3", location_id: "old-3", date: "2024-03-16", content: "Fjords" }
+        ]
+    };
+
+    it("points imported records at the new ids of their locations, or the existing location they duplicate", async () => {
+        const { calls, createRecords } = fakeCreateRecords();
+        const existing = { id: "loc-9", name: "Tromsø", latitude: 69.65, longitude: 18.96, arrival_date: "2024-03-10" };
+
+        const results = await importArchive(archive, {
+            locations: [existing],
+            existingRecords: { Location: [existing] },
+            createRecords
+        });
+
+        expect(calls.map(call => call.entityName)).toEqual(["Location", "JournalEntry"]);
+        expect(calls[0].records.map(record => record.name)).toEqual(["Svalbard", "Lofoten"]);
+        expect(calls[1].records.map(record => record.location_id)).toEqual(["new-1", "loc-9", "new-2"]);
+        expect(results).toEqual([
+            { entityName: "Location", created: 2, queued: 0, failed: 0, duplicates: 1, invalid: 0 },
+            { entityName: "JournalEntry", created: 3, queued: 0, failed: 0, duplicates: 0, invalid: 0 }
+        ]);
+    });
+
+    it("maps nothing to a location queued offline, so its records are reported instead of misfiled", async () => {
+        const { calls, createRecords } = fakeCreateRecords(["Lofoten"]);
+
+        const results = await importArchive(archive, { locations: [], existingRecords: {}, createRecords });
+
+        expect(calls[1].records.map(record => record.location_id)).toEqual(["new-1", "new-2"]);
+        expect(results[0]).toMatchObject({ created: 2, queued: 1 });
+        expect(results[1]).toMatchObject({ created: 2, invalid: 1 });
+    });
+});
@@ -0,0 +1,241 @@
+import { differenceInCalendarDays } from "date-fns";
+import { isNumber, toDayKey, dayKeyToDate } from "@/lib/stats";
+import { summarize } from "@/lib/missingData";
+import { toTimestamp } from "@/lib/resample";
+import { encodeEntities } from "@/lib/devices/xml";
+
+export const JOURNEY_FORMATS = [
+    { value: "geojson", label: "GeoJSON", extension: "geojson", type: "application/geo+json" },
+    { value: "kml", label: "KML (Google Earth)", extension: "kml", type: "application/vnd.google-earth.kml+xml" },
+    { value: "gpx", label: "GPX", extension: "gpx", type: "application/gpx+xml" }
+];
+
+const TOP_EMOTIONS = 3;
+
+const hasCoordinates = (location) => isNumber(location.latitude) && isNumber(location.longitude);
+
+// Locations in the order they were visited; the map and every export draw the route through these
+export const journeyStops = (locations) => locations
+    .filter(hasCoordinates)
+    .sort((a, b) => new Date(a.arrival_date) - new Date(b.arrival_date));
+
+const round = (value) => (isNumber(value) ? Math.round(value * 10) / 10 : null);
+
+// null while the stay is ongoing or when either date can't be read
+const stayDays = (location) => {
+    const arrival = dayKeyToDate(toDayKey(location.arrival_date));
+    const departure = dayKeyToDate(toDayKey(location.departure_date));
+    if (!arrival || !departure) return null;
+    return differenceInCalendarDays(departure, arrival);
+};
+
+const topEmotions = (entries) => {
+    const counts = {};
+    entries.flatMap(entry => entry.emotions || []).forEach(emotion => {
+        counts[emotion] = (counts[emotion] || 0) + 1;
+    });
+    return Object.entries(counts)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, TOP_EMOTIONS)
+        .map(([emotion]) => emotion);
+};
+
+// Flat properties for one location: the stay itself plus what its environmental readings and journal
+// entries add up to. Flat, because GIS tools show nested objects as unreadable JSON strings.
+// Stats without readings are null rather than 0.
+export const locationProperties = (location, environmental, journal) => {
+    const readings = environmental.filter(record => record.location_id === location.id);
+    const entries = journal.filter(entry => entry.location_id === location.id);
+    return {
+        id: location.id,
+        name: location.name,
+        country: location.country || null,
+        arrival_date: location.arrival_date || null,
+        departure_date: location.departure_date || null,
+        stay_days: stayDays(location),
+        description: location.description || null,
+        image_url: location.image_url || null,
+        environmental_readings: readings.length,
+        temperature_avg: round(summarize(readings, "temperature_avg").mean),
+        temperature_min: round(summarize(readings, "temperature_min").min),
+        temperature_max: round(summarize(readings, "temperature_max").max),
+        humidity_avg: round(summarize(readings, "humidity").mean),
+        air_quality_index_avg: round(summarize(readings, "air_quality_index").mean),
+        journal_entries: entries.length,
+        mood_score_avg: round(summarize(entries, "mood_score").mean),
+        highlight_moments: entries.filter(entry => entry.highlight_moment).length,
+        top_emotions: topEmotions(entries).join(", ") || null
+    };
+};
+
+const PROPERTY_LABELS = {
+    country: "Country",
+    arrival_date: "Arrived",
+    departure_date: "Departed",
+    stay_days: "Days",
+    environmental_readings: "Environmental readings",
+    temperature_avg: "Average temperature (°C)",
+    temperature_min: "Lowest temperature (°C)",
+    temperature_max: "Highest temperature (°C)",
+    humidity_avg: "Average humidity (%)",
+    air_quality_index_avg: "Average air quality index",
+    journal_entries: "Journal entries",
+    mood_score_avg: "Average mood (1-10)",
+    highlight_moments: "Highlight moments",
+    top_emotions: "Top emotions"
+};
+
+// The summary as readable lines, for the description balloons of KML and GPX viewers
+const describeStop = (properties) => [
+    properties.description,
+    ...Object.entries(PROPERTY_LABELS)
+        .filter(([key]) => properties[key] !== null && properties[key] !== undefined)
+        .map(([key, label]) => `${label}: ${properties[key]}`)
+].filter(Boolean).join("\n");
+
+const stopsWithProperties = ({ locations, environmental = [], journal = [] }) =>
+    journeyStops(locations).map(location => ({ location, properties: locationProperties(location, environmental, journal) }));
+
+// A FeatureCollection with a Point per location and the route as one LineString.
+// GeoJSON puts longitude first.
+export const buildGeoJSON = (data) => {
+    const stops = stopsWithProperties(data);
+    const features = stops.map(({ location, properties }) => ({
+        type: "Feature",
+        id: location.id,
+        geometry: { type: "Point", coordinates: [location.longitude, location.latitude] },
+        properties: { kind: "location", ...properties }
+    }));
+    if (stops.length > 1) {
+        features.push({
+            type: "Feature",
+            id: "route",
+            geometry: { type: "LineString", coordinates: stops.map(({ location }) => [location.longitude, location.latitude]) },
+            properties: {
+                kind: "route",
+                name: "Journey route",
+                from: stops[0].properties.arrival_date,
+                to: stops[stops.length - 1].properties.departure_date || stops[stops.length - 1].properties.arrival_date,
+                stops: stops.length
+            }
+        });
+    }
+    return JSON.stringify({ type: "FeatureCollection", features }, null, 2);
+};
+
+const element = (name, value) =>
+    value === null || value === undefined || value === "" ? null : `<${name}>${encodeEntities(value)}</${name}>`;
+
+const indent = (lines, depth) => lines.filter(Boolean).map(line => `${"  ".repeat(depth)}${line}`);
+
+// KML 2.2 for Google Earth: a placemark per location with its stay as a TimeSpan and the
+// properties as ExtendedData, and a placemark for the route
+export const buildKML = (data, title = "WildTrace journey") => {
+    const stops = stopsWithProperties(data);
+    const placemarks = stops.flatMap(({ location, properties }) => [
+        `<Placemark id="${encodeEntities(location.id)}">`,
+        ...indent([
+            element("name", properties.name),
+            element("description", describeStop(properties)),
+            properties.arrival_date && "<TimeSpan>",
+            ...indent([
+                element("begin", properties.arrival_date),
+                element("end", properties.departure_date)
+            ], 1),
+            properties.arrival_date && "</TimeSpan>",
+            "<ExtendedData>",
+            ...indent(Object.entries(properties)
+                .filter(([, value]) => value !== null)
+                .map(([key, value]) => `<Data name="${key}"><value>${encodeEntities(value)}</value></Data>`), 1),
+            "</ExtendedData>",
+            `<Point><coordinates>${location.longitude},${location.latitude}</coordinates></Point>`
+        ], 1),
+        "</Placemark>"
+    ]);
+    const route = stops.length > 1 ? [
+        "<Placemark>",
+        ...indent([
+            "<name>Journey route</name>",
+            "<styleUrl>#route</styleUrl>",
+            "<LineString>",
+            "  <tessellate>1</tessellate>",
+            `  <coordinates>${stops.map(({ location }) => `${location.longitude},${location.latitude}`).join(" ")}</coordinates>`,
+            "</LineString>"
+        ], 1),
+        "</Placemark>"
+    ] : [];
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        ...indent([
+            "<Document>",
+            ...indent([
+                element("name", title),
+                // Same sage green as the route on the map; KML colours are aabbggrr
+                '<Style id="route"><LineStyle><color>cc88af9c</color><width>3</width></LineStyle></Style>',
+                ...placemarks,
+                ...route
+            ], 1),
+            "</Document>"
+        ], 1),
+        "</kml>"
+    ].join("\n") + "\n";
+};
+
+// GPX 1.1 with a waypoint per location, timed at arrival, and the route through them as a <rte>
+export const buildGPX = (data, title = "WildTrace journey", exportedAt = new Date()) => {
+    const stops = stopsWithProperties(data);
+    // Date-only arrivals count from local midnight, as everywhere else in the dashboard
+    const arrivalTime = (properties) => {
+        const timestamp = properties.arrival_date ? toTimestamp(properties.arrival_date) : NaN;
+        return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+    };
+
+    const waypoints = stops.flatMap(({ location, properties }) => [
+        `<wpt lat="${location.latitude}" lon="${location.longitude}">`,
+        ...indent([
+            element("time", arrivalTime(properties)),
+            element("name", properties.name),
+            element("desc", describeStop(properties)),
+            element("type", "Stay")
+        ], 1),
+        "</wpt>"
+    ]);
+    const route = stops.length > 1 ? [
+        "<rte>",
+        ...indent([
+            "<name>Journey route</name>",
+            ...stops.map(({ location, properties }) =>
+                `<rtept lat="${location.latitude}" lon="${location.longitude}">${element("name", properties.name) || ""}</rtept>`
+            )
+        ], 1),
+        "</rte>"
+    ] : [];
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="WildTrace" xmlns="http://www.topografix.com/GPX/1/1">',
+        ...indent([
+            "<metadata>",
+            ...indent([element("name", title), element("time", exportedAt.toISOString())], 1),
+            "</metadata>",
+            ...waypoints,
+            ...route
+        ], 1),
+        "</gpx>"
+    ].join("\n") + "\n";
+};
+
+const BUILDERS = { geojson: buildGeoJSON, kml: buildKML, gpx: buildGPX };
+
+// data is { locations, environmental, journal }; returns { content, fileName, type }
+export const buildJourneyExport = (formatId, data, baseName = "wildtrace-journey") => {
+    const journeyFormat = JOURNEY_FORMATS.find(option => option.value === formatId);
+    if (!journeyFormat) throw new Error(`Unknown journey export format: ${formatId}`);
+    return {
+        content: BUILDERS[formatId](data),
+        fileName: `${baseName}.${journeyFormat.extension}`,
+        type: journeyFormat.type
+    };
+};
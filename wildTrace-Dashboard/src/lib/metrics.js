@@ -0,0 +1,31 @@
+export const BIOLOGICAL_METRICS = [
+    { key: "heart_rate_resting", label: "Resting Heart Rate", unit: "BPM", color: "#c65d07" },
+    { key: "heart_rate_active", label: "Active Heart Rate", unit: "BPM", color: "#c65d07" },
+    { key: "heart_rate_variability", label: "Heart Rate Variability", unit: "ms", color: "#9caf88" },
+    { key: "body_temperature", label: "Body Temperature", unit: "°C", color: "#c65d07" },
+    { key: "sleep_quality_score", label: "Sleep Quality", unit: "/10", color: "#d4af37" },
+    { key: "sleep_duration", label: "Sleep Duration", unit: "h", color: "#d4af37" },
+    { key: "respiratory_rate", label: "Respiratory Rate", unit: "/min", color: "#1e3a5f" },
+    { key: "activity_level", label: "Activity Level", unit: "/10", color: "#9caf88" },
+    { key: "stress_level", label: "Stress Level", unit: "/10", color: "#1e3a5f" }
+];
+
+export const ENVIRONMENTAL_METRICS = [
+    { key: "temperature_avg", label: "Temperature", unit: "°C", color: "#c65d07" },
+    { key: "temperature_min", label: "Min Temperature", unit: "°C", color: "#1e3a5f" },
+    { key: "temperature_max", label: "Max Temperature", unit: "°C", color: "#c65d07" },
+    { key: "humidity", label: "Humidity", unit: "%", color: "#1e3a5f" },
+    { key: "light_exposure", label: "Light Exposure", unit: "lux", color: "#d4af37" },
+    { key: "air_quality_index", label: "Air Quality", unit: "AQI", color: "#9caf88" },
+    { key: "noise_level", label: "Noise Level", unit: "dB", color: "#1a2e1a" }
+];
+
+export const JOURNAL_METRICS = [
+    { key: "mood_score", label: "Mood Score", unit: "/10", color: "#d4af37" }
+];
+
+// One color per location when several stays share a chart
+export const LOCATION_COLORS = ["#c65d07", "#1e3a5f", "#9caf88", "#d4af37", "#1a2e1a", "#8b5cf6", "#0f766e", "#be185d"];
+
+export const getMetric = (key) =>
+    [...BIOLOGICAL_METRICS, ...ENVIRONMENTAL_METRICS, ...JOURNAL_METRICS].find(metric => metric.key === key);
@@ -0,0 +1,121 @@
+import { addDays, addMonths, addWeeks, differenceInCalendarDays } from "date-fns";
+import { isNumber, mean, numericValues, toDayKey, dayKeyToDate } from "@/lib/stats";
+import { bucketKey, resample } from "@/lib/resample";
+
+// Mean/min/max over the readings that actually have a value; count says how many that was
+export const summarize = (records, key) => {
+    const values = numericValues(records.map(record => record[key]));
+    if (values.length === 0) return { mean: null, min: null, max: null, count: 0 };
+    return { mean: mean(values), min: Math.min(...values), max: Math.max(...values), count: values.length };
+};
+
+export const formatStat = (value, digits = 0) => (isNumber(value) ? value.toFixed(digits) : "—");
+
+// First and last day with any reading, used as the coverage window when no date range is picked
+export const daySpan = (records) => {
+    const days = records.map(record => toDayKey(record.date)).filter(Boolean).sort();
+    return days.length ? { from: days[0], to: days[days.length - 1] } : null;
+};
+
+// How many calendar days in the window have at least one value for `key`
+export const dayCoverage = (records, key, window) => {
+    if (!window?.from || !window?.to) return { covered: 0, total: 0 };
+    const covered = new Set(
+        records
+            .filter(record => record.date && isNumber(record[key]))
+            .map(record => toDayKey(record.date))
+            .filter(day => day >= window.from && day <= window.to)
+    );
+    return {
+        covered: covered.size,
+        total: differenceInCalendarDays(dayKeyToDate(window.to), dayKeyToDate(window.from)) + 1
+    };
+};
+
+const STEPS = { day: addDays, week: addWeeks, month: addMonths };
+
+// Adds an empty row for every bucket without readings, so lines break there instead of
+// bridging the gap. Raw readings are checked day by day.
+export const withGaps = (rows, granularity, metricKeys) => {
+    if (rows.length === 0) return rows;
+    const step = granularity === "raw" ? "day" : granularity;
+    const present = new Set(rows.map(row => bucketKey(row.timestamp, step)));
+
+    const empties = [];
+    const last = dayKeyToDate(bucketKey(rows[rows.length - 1].timestamp, step));
+    for (let bucket = dayKeyToDate(bucketKey(rows[0].timestamp, step)); bucket <= last; bucket = STEPS[step](bucket, 1)) {
+        if (present.has(toDayKey(bucket))) continue;
+        const empty = { timestamp: bucket.getTime(), count: 0, gap: true };
+        metricKeys.forEach(key => {
+            empty[key] = null;
+        });
+        empties.push(empty);
+    }
+
+    return empties.length ? [...rows, ...empties].sort((a, b) => a.timestamp - b.timestamp) : rows;
+};
+
+// Runs of missing values as { x1, x2 } spans, from the last reading before to the first reading after
+export const gapBands = (rows, key) => {
+    const bands = [];
+    let previous = null;
+    let gapStart = null;
+    rows.forEach(row => {
+        if (!isNumber(row[key])) {
+            if (gapStart === null) gapStart = previous ? previous.timestamp : row.timestamp;
+            return;
+        }
+        if (gapStart !== null) {
+            bands.push({ x1: gapStart, x2: row.timestamp });
+            gapStart = null;
+        }
+        previous = row;
+    });
+    if (gapStart !== null) bands.push({ x1: gapStart, x2: rows[rows.length - 1].timestamp });
+    return bands;
+};
+
+export const interpolatedKey = (key) => `${key}_interpolated`;
+
+// Linear interpolation across interior gaps, written to a separate key so charts can draw the
+// estimates differently. The readings on either side of a gap carry the value too, which joins the
+// dashed segment to the real line. Leading and trailing gaps are never extrapolated.
+export const interpolateGaps = (rows, key) => {
+    const target = interpolatedKey(key);
+    const result = rows.map(row => ({ ...row }));
+    let previousIndex = null;
+
+    result.forEach((row, index) => {
+        if (!isNumber(row[key])) return;
+        if (previousIndex !== null && index - previousIndex > 1) {
+            const start = result[previousIndex];
+            const span = row.timestamp - start.timestamp;
+            start[target] = start[key];
+            row[target] = row[key];
+            for (let i = previousIndex + 1; i < index; i++) {
+                const fraction = span === 0 ? 0 : (result[i].timestamp - start.timestamp) / span;
+                result[i][target] = start[key] + (row[key] - start[key]) * fraction;
+                result[i].interpolated = true;
+            }
+        }
+        previousIndex = index;
+    });
+
+    return result;
+};
+
+// The window coverage is measured against: the picked date range, with open ends closed by the data itself
+export const coverageWindow = (records, range) => {
+    const span = daySpan(records);
+    if (!span) return null;
+    return { from: range?.from || span.from, to: range?.to || span.to };
+};
+
+// Resampled rows with gap rows added, optionally interpolated, plus the bands to shade
+export const buildChartSeries = (records, { granularity, aggregate, interpolate }, key) => {
+    const rows = withGaps(resample(records, { granularity, aggregate, metricKeys: [key] }), granularity, [key]);
+    return {
+        rows: interpolate ? interpolateGaps(rows, key) : rows,
+        bands: gapBands(rows, key)
+    };
+};
@@ -0,0 +1,179 @@
+import { mean, standardDeviation, median, isNumber, toDayKey } from "@/lib/stats";
+import { getMetric } from "@/lib/metrics";
+
+const LOCATION_METRICS = ["heart_rate_resting", "heart_rate_variability", "sleep_duration", "stress_level"];
+const ENVIRONMENT_EFFECTS = [
+    { condition: "temperature_avg", label: "hottest", outcome: "sleep_quality_score" },
+    { condition: "noise_level", label: "noisiest", outcome: "stress_level" },
+    { condition: "air_quality_index", label: "most polluted", outcome: "heart_rate_resting" }
+];
+const SHORT_SLEEP_HOURS = 6;
+const MIN_SAMPLE = 5;
+const MIN_EFFECT = 0.3;
+
+const cite = (entity, records) => ({
+    entity,
+    records: records.map(record => ({ id: record.id, date: record.date }))
+});
+
+const formatAmount = (value, unit) => `${Math.abs(value).toFixed(unit === "BPM" || unit === "ms" ? 0 : 1)}${unit.startsWith('/') ? '' : ` ${unit}`}`;
+
+// "Your resting HR was 8 BPM higher on average in X than your trip baseline"
+const locationFindings = (biologicalData, getLocationName) => {
+    const findings = [];
+    const locationIds = [...new Set(biologicalData.map(record => record.location_id))];
+
+    LOCATION_METRICS.forEach(metricKey => {
+        const metric = getMetric(metricKey);
+        const all = biologicalData.filter(record => isNumber(record[metricKey]));
+        const baseline = mean(all.map(record => record[metricKey]));
+        const spread = standardDeviation(all.map(record => record[metricKey]));
+        if (!spread) return;
+
+        locationIds.forEach(locationId => {
+            const records = all.filter(record => record.location_id === locationId);
+            if (records.length < MIN_SAMPLE) return;
+
+            const difference = mean(records.map(record => record[metricKey])) - baseline;
+            const effectSize = difference / spread;
+            if (Math.abs(effectSize) < MIN_EFFECT) return;
+
+            findings.push({
+                id: `location-${metricKey}-${locationId}`,
+                kind: "location",
+                title: `${metric.label} in ${getLocationName(locationId)}`,
+                text: `Your ${metric.label.toLowerCase()} was ${formatAmount(difference, metric.unit)} ${difference > 0 ? 'higher' : 'lower'} on average in ${getLocationName(locationId)} than your trip baseline.`,
+                effectSize,
+                citations: [cite("BiologicalData", records)]
+            });
+        });
+    });
+
+    return findings;
+};
+
+// "Entries tagged 'anxiety' follow nights under 6h of sleep 70% of the time"
+// Sleep logged on an entry's date is the night that ended that morning
+const emotionSleepFindings = (biologicalData, journalEntries) => {
+    const sleepByDay = {};
+    biologicalData.forEach(record => {
+        const day = toDayKey(record.date);
+        if (!day || !isNumber(record.sleep_duration)) return;
+        sleepByDay[day] = [...(sleepByDay[day] || []), record];
+    });
+
+    const entriesWithSleep = journalEntries
+        .map(entry => ({ entry, sleepRecords: sleepByDay[toDayKey(entry.date)] || [] }))
+        .filter(({ sleepRecords }) => sleepRecords.length > 0)
+        .map(item => ({ ...item, shortSleep: mean(item.sleepRecords.map(r => r.sleep_duration)) < SHORT_SLEEP_HOURS }));
+    if (entriesWithSleep.length < MIN_SAMPLE) return [];
+
+    const baseRate = entriesWithSleep.filter(item => item.shortSleep).length / entriesWithSleep.length;
+    const emotions = [...new Set(entriesWithSleep.flatMap(({ entry }) => entry.emotions || []))];
+
+    return emotions
+        .map(emotion => {
+            const tagged = entriesWithSleep.filter(({ entry }) => entry.emotions?.includes(emotion));
+            if (tagged.length < MIN_SAMPLE) return null;
+
+            const rate = tagged.filter(item => item.shortSleep).length / tagged.length;
+            // Cohen's h for the difference between two proportions
+            const effectSize = 2 * Math.asin(Math.sqrt(rate)) - 2 * Math.asin(Math.sqrt(baseRate));
+            if (Math.abs(effectSize) < MIN_EFFECT) return null;
+
+            return {
+                id: `emotion-sleep-${emotion}`,
+                kind: "emotion",
+                title: `'${emotion}' and short nights`,
+                text: `Entries tagged '${emotion}' follow nights under ${SHORT_SLEEP_HOURS}h of sleep ${(rate * 100).toFixed(0)}% of the time, compared with ${(baseRate * 100).toFixed(0)}% across all entries.`,
+                effectSize,
+                citations: [
+                    cite("JournalEntry", tagged.map(({ entry }) => entry)),
+                    cite("BiologicalData", tagged.flatMap(({ sleepRecords }) => sleepRecords))
+                ]
+            };
+        })
+        .filter(Boolean);
+};
+
+// Compares body outcomes on the top quarter of days for an environmental condition with all other days
+const environmentFindings = (biologicalData, environmentalData) => {
+    const bioByDay = {};
+    biologicalData.forEach(record => {
+        const day = toDayKey(record.date);
+        if (!day) return;
+        bioByDay[day] = [...(bioByDay[day] || []), record];
+    });
+
+    return ENVIRONMENT_EFFECTS
+        .map(({ condition, label, outcome }) => {
+            const readings = environmentalData.filter(record => isNumber(record[condition]) && bioByDay[toDayKey(record.date)]);
+            if (readings.length < MIN_SAMPLE * 2) return null;
+
+            const sorted = readings.map(record => record[condition]).sort((a, b) => a - b);
+            const cutoff = sorted[Math.floor(sorted.length * 0.75)];
+            const outcomeRecords = (envRecords) => envRecords
+                .flatMap(record => bioByDay[toDayKey(record.date)])
+                .filter(record => isNumber(record[outcome]));
+
+            const extremeEnv = readings.filter(record => record[condition] >= cutoff);
+            const otherEnv = readings.filter(record => record[condition] < cutoff);
+            const extreme = outcomeRecords(extremeEnv);
+            const other = outcomeRecords(otherEnv);
+            if (extreme.length < MIN_SAMPLE || other.length < MIN_SAMPLE) return null;
+
+            const extremeMean = mean(extreme.map(record => record[outcome]));
+            const otherMean = mean(other.map(record => record[outcome]));
+            const spread = standardDeviation([...extreme, ...other].map(record => record[outcome]));
+            if (!spread) return null;
+
+            const effectSize = (extremeMean - otherMean) / spread;
+            if (Math.abs(effectSize) < MIN_EFFECT) return null;
+
+            const outcomeMetric = getMetric(outcome);
+            const conditionMetric = getMetric(condition);
+            return {
+                id: `environment-${condition}-${outcome}`,
+                kind: "environment",
+                title: `${outcomeMetric.label} on the ${label} days`,
+                text: `On your ${label} days (${conditionMetric.label.toLowerCase()} ≥ ${cutoff.toFixed(0)} ${conditionMetric.unit}), ${outcomeMetric.label.toLowerCase()} averaged ${extremeMean.toFixed(1)} versus ${otherMean.toFixed(1)} on other days.`,
+                effectSize,
+                citations: [
+                    cite("EnvironmentalData", extremeEnv),
+                    cite("BiologicalData", extreme)
+                ]
+            };
+        })
+        .filter(Boolean);
+};
+
+// Mood on highlight days against the typical entry
+const highlightFindings = (journalEntries) => {
+    const scored = journalEntries.filter(entry => isNumber(entry.mood_score));
+    const highlights = scored.filter(entry => entry.highlight_moment);
+    if (highlights.length < MIN_SAMPLE) return [];
+
+    const spread = standardDeviation(scored.map(entry => entry.mood_score));
+    if (!spread) return [];
+
+    const highlightMedian = median(highlights.map(entry => entry.mood_score));
+    const overallMedian = median(scored.map(entry => entry.mood_score));
+    const effectSize = (mean(highlights.map(entry => entry.mood_score)) - mean(scored.map(entry => entry.mood_score))) / spread;
+    if (Math.abs(effectSize) < MIN_EFFECT) return [];
+
+    return [{
+        id: "highlight-mood",
+        kind: "emotion",
+        title: "Highlight moments",
+        text: `Your highlight moments had a median mood of ${highlightMedian.toFixed(1)}/10, against ${overallMedian.toFixed(1)}/10 for all entries.`,
+        effectSize,
+        citations: [cite("JournalEntry", highlights)]
+    }];
+};
+
+export const generateFindings = ({ biologicalData = [], environmentalData = [], journalEntries = [], getLocationName }) => [
+    ...locationFindings(biologicalData, getLocationName),
+    ...emotionSleepFindings(biologicalData, journalEntries),
+    ...environmentFindings(biologicalData, environmentalData),
+    ...highlightFindings(journalEntries)
+].sort((a, b) => Math.abs(b.effectSize) - Math.abs(a.effectSize));
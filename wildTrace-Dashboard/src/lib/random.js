@@ -0,0 +1,8 @@
+// Small seeded generator, for results that must come out the same for the same seed
+export const createRandom = (seed) => {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+};
@@ -0,0 +1,67 @@
+import { format } from "date-fns";
+import { ENTITY_SCHEMAS, getScoreRange } from "@/lib/schemas";
+import { toDayKey } from "@/lib/stats";
+import { coerceValue } from "@/lib/importer";
+import { validateRecord } from "@/lib/validation";
+
+const LONG_TEXT = new Set(["content", "description"]);
+
+// The kind of input each schema field gets in the edit form
+const inputFor = (field, property) => {
+    if (field === "location_id") return "location";
+    if (property.format === "date") return "date";
+    if (property.format === "date-time") return "datetime";
+    if (property.type === "number") return "number";
+    if (property.type === "boolean") return "boolean";
+    if (property.type === "array") return property.items?.enum ? "choices" : "list";
+    return LONG_TEXT.has(field) ? "longtext" : "text";
+};
+
+export const formFields = (entityName) => {
+    const schema = ENTITY_SCHEMAS[entityName];
+    const required = new Set(schema.required || []);
+    return Object.entries(schema.properties).map(([field, property]) => ({
+        field,
+        property,
+        input: inputFor(field, property),
+        required: required.has(field),
+        range: (property.type === "number" && getScoreRange(property)) || null
+    }));
+};
+
+// Form values are what the inputs hold: strings, booleans for toggles and arrays for choice lists
+const toFormValue = (value, input) => {
+    if (input === "boolean") return Boolean(value);
+    if (input === "choices") return Array.isArray(value) ? value : [];
+    if (value === null || value === undefined) return "";
+    // Invalid dates are shown as they are, so they can be fixed here
+    if (input === "date" || input === "datetime") {
+        if (Number.isNaN(new Date(value).getTime())) return String(value);
+        return input === "date" ? toDayKey(value) : format(new Date(value), "yyyy-MM-dd'T'HH:mm");
+    }
+    if (input === "list") return Array.isArray(value) ? value.join(", ") : String(value);
+    return String(value);
+};
+
+export const recordToForm = (entityName, record) => Object.fromEntries(
+    formFields(entityName).map(({ field, input }) => [field, toFormValue(record[field], input)])
+);
+
+// Cleared inputs become null so the field is emptied on the record, not left as it was
+const fromFormValue = (value, property, input) => {
+    if (input === "boolean" || input === "choices") return value;
+    if (value === "") return null;
+    return coerceValue(value, property) ?? null;
+};
+
+// Only the fields whose inputs were changed, converted back to the schema's types. Untouched fields
+// are left out, so the seconds of a timestamp (which the input cannot show) survive an edit.
+export const formChanges = (entityName, initial, values) => Object.fromEntries(
+    formFields(entityName)
+        .filter(({ field }) => JSON.stringify(initial[field]) !== JSON.stringify(values[field]))
+        .map(({ field, property, input }) => [field, fromFormValue(values[field], property, input)])
+);
+
+// Issues with the record as it would be saved
+export const validateChanges = (entityName, record, changes) =>
+    validateRecord({ ...record, ...changes }, ENTITY_SCHEMAS[entityName]);
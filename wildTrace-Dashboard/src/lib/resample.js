@@ -0,0 +1,87 @@
+import { format, startOfWeek } from "date-fns";
+import { mean, median, numericValues, toDayKey, dayKeyToDate, isDayKey } from "@/lib/stats";
+
+export const GRANULARITIES = [
+    { value: "raw", label: "Raw readings" },
+    { value: "day", label: "Daily" },
+    { value: "week", label: "Weekly" },
+    { value: "month", label: "Monthly" }
+];
+
+export const AGGREGATES = {
+    mean: { label: "Mean", aggregate: mean },
+    median: { label: "Median", aggregate: median },
+    min: { label: "Min", aggregate: (values) => (numericValues(values).length ? Math.min(...numericValues(values)) : null) },
+    max: { label: "Max", aggregate: (values) => (numericValues(values).length ? Math.max(...numericValues(values)) : null) }
+};
+
+// Date-only values (EnvironmentalData, JournalEntry) are calendar days, so read them as local midnight
+// instead of UTC; date-time values (BiologicalData) keep their exact instant
+export const toTimestamp = (value) =>
+    (isDayKey(value) ? dayKeyToDate(value) : new Date(value)).getTime();
+
+// Day key of the first day of the bucket containing the given date; weeks start on Monday
+export const bucketKey = (value, granularity) => {
+    const day = toDayKey(value);
+    if (granularity === "week") return toDayKey(startOfWeek(dayKeyToDate(day), { weekStartsOn: 1 }));
+    if (granularity === "month") return `${day.slice(0, 7)}-01`;
+    return day;
+};
+
+// Timestamp the charts use for the bucket containing `value`, e.g. to place a reference line
+export const bucketTimestamp = (value, granularity) =>
+    granularity === "raw" ? toTimestamp(value) : dayKeyToDate(bucketKey(value, granularity)).getTime();
+
+// Rows of { timestamp, count, ...metrics } sorted by time; `count` is the number of readings in the bucket
+export const resample = (records, { granularity = "day", aggregate = "mean", metricKeys }) => {
+    const dated = records.filter(record => record.date && !Number.isNaN(toTimestamp(record.date)));
+
+    if (granularity === "raw") {
+        return dated
+            .map(record => {
+                const row = { timestamp: toTimestamp(record.date), count: 1, location_id: record.location_id };
+                metricKeys.forEach(key => {
+                    row[key] = record[key] ?? null;
+                });
+                return row;
+            })
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    const groups = new Map();
+    dated.forEach(record => {
+        const key = bucketKey(record.date, granularity);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(record);
+    });
+
+    const aggregateValues = AGGREGATES[aggregate].aggregate;
+    return [...groups.entries()]
+        .map(([key, group]) => {
+            const row = { timestamp: dayKeyToDate(key).getTime(), count: group.length };
+            metricKeys.forEach(metricKey => {
+                row[metricKey] = aggregateValues(group.map(record => record[metricKey]));
+            });
+            return row;
+        })
+        .sort((a, b) => a.timestamp - b.timestamp);
+};
+
+const spansSeveralYears = (rows) =>
+    rows.length > 0 && new Date(rows[0].timestamp).getFullYear() !== new Date(rows[rows.length - 1].timestamp).getFullYear();
+
+// Axis ticks stay short but carry the year whenever the series crosses a year boundary
+export const axisTickFormatter = (rows, granularity) => {
+    const withYear = spansSeveralYears(rows);
+    const pattern = granularity === "month" ? "MMM yyyy" : (withYear ? "MMM d, yyyy" : "MMM d");
+    return (timestamp) => format(new Date(timestamp), pattern);
+};
+
+// Tooltip labels always spell out the full period
+export const formatBucketLabel = (timestamp, granularity, hasTime = false) => {
+    const date = new Date(timestamp);
+    if (granularity === "week") return `Week of ${format(date, 'MMM d, yyyy')}`;
+    if (granularity === "month") return format(date, 'MMMM yyyy');
+    if (granularity === "raw" && hasTime) return format(date, 'MMM d, yyyy HH:mm');
+    return format(date, 'EEE, MMM d, yyyy');
+};
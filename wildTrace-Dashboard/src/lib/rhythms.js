@@ -0,0 +1,54 @@
+import { mean, isNumber, dayKeyToDate, isDayKey } from "@/lib/stats";
+
+export const RHYTHM_METRICS = ["heart_rate_resting", "heart_rate_variability", "respiratory_rate", "stress_level"];
+
+export const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// Date-only values are calendar days, so they're read as local midnight rather than UTC;
+// missing or unparseable dates give null
+const parseDate = (value) => {
+    if (!value) return null;
+    const date = isDayKey(value) ? dayKeyToDate(value) : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Hours and weekdays are read in the viewer's local timezone; records without a usable date have no slot
+const getSlot = (record) => {
+    const date = parseDate(record.date);
+    return date && { hour: date.getHours(), weekday: (date.getDay() + 6) % 7 };
+};
+
+// Date-only values parse to midnight, so a dataset with every reading at 00:00 carries no time of day
+export const hasTimeOfDay = (records) => records.some(record => {
+    const date = parseDate(record.date);
+    return Boolean(date) && (date.getHours() !== 0 || date.getMinutes() !== 0);
+});
+
+const slotted = (records) => records
+    .map(record => ({ record, slot: getSlot(record) }))
+    .filter(({ slot }) => slot);
+
+const averageInto = (buckets, metric) => buckets.map(values => ({
+    value: mean(values.map(record => record[metric])),
+    count: values.filter(record => isNumber(record[metric])).length
+}));
+
+export const hourlyProfile = (records, metric) => {
+    const buckets = Array.from({ length: 24 }, () => []);
+    slotted(records).forEach(({ record, slot }) => buckets[slot.hour].push(record));
+    return averageInto(buckets, metric).map((bucket, hour) => ({ hour, ...bucket }));
+};
+
+export const weekdayProfile = (records, metric) => {
+    const buckets = Array.from({ length: 7 }, () => []);
+    slotted(records).forEach(({ record, slot }) => buckets[slot.weekday].push(record));
+    return averageInto(buckets, metric).map((bucket, weekday) => ({ weekday: WEEKDAYS[weekday], ...bucket }));
+};
+
+// 7 × 24 grid of means, rows are weekdays
+export const weekdayHourGrid = (records, metric) => {
+    const buckets = Array.from({ length: 7 * 24 }, () => []);
+    slotted(records).forEach(({ record, slot }) => buckets[slot.weekday * 24 + slot.hour].push(record));
+    const cells = averageInto(buckets, metric);
+    return WEEKDAYS.map((weekday, w) => ({ weekday, hours: cells.slice(w * 24, w * 24 + 24) }));
+};
@@ -0,0 +1,19 @@
+import LocationSchema from "@/Entities/Location.json";
+import BiologicalDataSchema from "@/Entities/BiologicalData.json";
+import EnvironmentalDataSchema from "@/Entities/EnvironmentalData.json";
+import JournalEntrySchema from "@/Entities/JournalEntry.json";
+
+export const ENTITY_SCHEMAS = {
+    Location: LocationSchema,
+    BiologicalData: BiologicalDataSchema,
+    EnvironmentalData: EnvironmentalDataSchema,
+    JournalEntry: JournalEntrySchema
+};
+
+export const ENTITY_NAMES = Object.keys(ENTITY_SCHEMAS);
+
+// Score fields only declare their bounds in the description, e.g. "Sleep quality score (1-10)"
+export const getScoreRange = (property) => {
+    const match = property.description?.match(/\((\d+)\s*-\s*(\d+)\)/);
+    return match ? { min: Number(match[1]), max: Number(match[2]) } : null;
+};
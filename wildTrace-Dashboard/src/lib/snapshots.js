@@ -0,0 +1,177 @@
+import { ENTITY_NAMES } from "@/lib/schemas";
+import { mean } from "@/lib/stats";
+import { changedFields, schemaFields } from "@/lib/audit";
+
+// Per-location averages compared between snapshots, to show what a re-enrichment did to the numbers
+export const HEADLINE_METRICS = [
+    { key: "heart_rate_resting", entityName: "BiologicalData", label: "Resting HR", unit: "bpm", digits: 1 },
+    { key: "heart_rate_variability", entityName: "BiologicalData", label: "HRV", unit: "ms", digits: 1 },
+    { key: "sleep_duration", entityName: "BiologicalData", label: "Sleep", unit: "h", digits: 1 },
+    { key: "temperature_avg", entityName: "EnvironmentalData", label: "Temperature", unit: "°C", digits: 1 },
+    { key: "mood_score", entityName: "JournalEntry", label: "Mood", unit: "/10", digits: 1 }
+];
+
+export const ALL_LOCATIONS = "all";
+
+const newSnapshotId = () => `snapshot-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Every entity list, without the records still waiting in the offline outbox: they do not exist
+// in the source yet, so a snapshot or a restore has nothing to match them with
+export const snapshotRecords = (recordsByEntity) => Object.fromEntries(ENTITY_NAMES.map(entityName => [
+    entityName,
+    (recordsByEntity[entityName] || []).filter(record => !record.pending_sync)
+]));
+
+export const createSnapshot = (name, recordsByEntity, { note = "", sourceType, at = new Date() } = {}) => {
+    const records = snapshotRecords(recordsByEntity);
+    return {
+        id: newSnapshotId(),
+        name: name.trim() || `Snapshot ${at.toISOString().slice(0, 16).replace("T", " ")}`,
+        note,
+        source_type: sourceType,
+        created_at: at.toISOString(),
+        counts: Object.fromEntries(ENTITY_NAMES.map(entityName => [entityName, records[entityName].length])),
+        records
+    };
+};
+
+// The snapshot without its records, as snapshot lists show it
+export const summarizeSnapshot = ({ records, ...summary }) => summary;
+
+// What changed from base to target, per entity. Records are matched by id; a changed record lists
+// its schema fields with old and new values, and fieldCounts says how often each field changed.
+export const diffSnapshots = (baseRecords, targetRecords) => ENTITY_NAMES.map(entityName => {
+    const base = baseRecords[entityName] || [];
+    const target = targetRecords[entityName] || [];
+    const baseById = new Map(base.map(record => [record.id, record]));
+    const targetIds = new Set(target.map(record => record.id));
+
+    const added = target.filter(record => !baseById.has(record.id));
+    const removed = base.filter(record => !targetIds.has(record.id));
+    const changed = [];
+    const unchanged = [];
+    target.forEach(record => {
+        const before = baseById.get(record.id);
+        if (!before) return;
+        const changes = changedFields(entityName, before, record);
+        if (changes.length > 0) changed.push({ id: record.id, before, after: record, changes });
+        else unchanged.push(record);
+    });
+
+    const fieldCounts = {};
+    changed.forEach(({ changes }) => changes.forEach(({ field }) => {
+        fieldCounts[field] = (fieldCounts[field] || 0) + 1;
+    }));
+
+    return {
+        entityName,
+        before: base.length,
+        after: target.length,
+        added,
+        removed,
+        changed,
+        unchanged,
+        fieldCounts: Object.entries(fieldCounts)
+            .map(([field, count]) => ({ field, count }))
+            .sort((a, b) => b.count - a.count)
+    };
+});
+
+export const hasDifferences = (diff) =>
+    diff.some(entity => entity.added.length + entity.removed.length + entity.changed.length > 0);
+
+// { [locationId | ALL_LOCATIONS]: { [metricKey]: mean } }
+const headlineStats = (recordsByEntity) => {
+    const stats = { [ALL_LOCATIONS]: {} };
+    HEADLINE_METRICS.forEach(metric => {
+        const records = recordsByEntity[metric.entityName] || [];
+        stats[ALL_LOCATIONS][metric.key] = mean(records.map(record => record[metric.key]));
+
+        const byLocation = {};
+        records.forEach(record => {
+            if (!record.location_id) return;
+            if (!byLocation[record.location_id]) byLocation[record.location_id] = [];
+            byLocation[record.location_id].push(record[metric.key]);
+        });
+        Object.entries(byLocation).forEach(([locationId, values]) => {
+            if (!stats[locationId]) stats[locationId] = {};
+            stats[locationId][metric.key] = mean(values);
+        });
+    });
+    return stats;
+};
+
+const valueChanged = (before, after) =>
+    (before === null) !== (after === null) || (before !== null && Math.abs(after - before) > 1e-9);
+
+// One row per location (plus ALL_LOCATIONS first) with each metric's mean before and after.
+// Locations are named from either side, so a removed location still has its name.
+export const compareHeadlineStats = (baseRecords, targetRecords) => {
+    const before = headlineStats(baseRecords);
+    const after = headlineStats(targetRecords);
+    const names = new Map([...(baseRecords.Location || []), ...(targetRecords.Location || [])]
+        .map(location => [location.id, location.name]));
+
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .map(locationId => {
+            const metrics = Object.fromEntries(HEADLINE_METRICS.map(metric => {
+                const from = before[locationId]?.[metric.key] ?? null;
+                const to = after[locationId]?.[metric.key] ?? null;
+                return [metric.key, { before: from, after: to, delta: from !== null && to !== null ? to - from : null, changed: valueChanged(from, to) }];
+            }));
+            return {
+                locationId,
+                name: locationId === ALL_LOCATIONS ? "All locations" : names.get(locationId) || "Unknown Location",
+                metrics,
+                changed: Object.values(metrics).some(metric => metric.changed)
+            };
+        })
+        .sort((a, b) => (a.locationId === ALL_LOCATIONS ? -1 : b.locationId === ALL_LOCATIONS ? 1 : a.name.localeCompare(b.name)));
+};
+
+// The writes that turn the current records into the snapshot's, in order: locations are created first,
+// so records can be pointed at their new ids (steps carry the snapshot's location_id, which the caller
+// maps), and deleted last. Records the snapshot links to a recreated location are relinked even when
+// nothing else about them changed.
+export const planSnapshotRestore = (diff) => {
+    const byEntity = Object.fromEntries(diff.map(entity => [entity.entityName, entity]));
+    const recreated = new Set((byEntity.Location?.added || []).map(location => location.id));
+    const linkedToRecreated = (record) => record.location_id !== undefined && recreated.has(record.location_id);
+    const dependents = diff.filter(entity => entity.entityName !== "Location");
+
+    const creates = (entity) => entity.added.map(record => ({
+        type: "create",
+        entityName: entity.entityName,
+        sourceId: record.id,
+        data: schemaFields(entity.entityName, record)
+    }));
+    const updates = (entity) => entity.changed.map(({ id, after, changes }) => ({
+        type: "update",
+        entityName: entity.entityName,
+        id,
+        data: {
+            ...Object.fromEntries(changes.map(change => [change.field, change.to])),
+            ...(linkedToRecreated(after) ? { location_id: after.location_id } : {})
+        }
+    }));
+    const deletes = (entity) => entity.removed.map(record => ({ type: "delete", entityName: entity.entityName, id: record.id }));
+
+    return [
+        ...(byEntity.Location ? [...creates(byEntity.Location), ...updates(byEntity.Location)] : []),
+        ...dependents.flatMap(entity => [
+            ...creates(entity),
+            ...updates(entity),
+            // Unchanged records never show up in the diff, so find the ones pointing at a recreated location
+            ...(recreated.size > 0
+                ? entity.unchanged.filter(linkedToRecreated).map(record => ({
+                    type: "update",
+                    entityName: entity.entityName,
+                    id: record.id,
+                    data: { location_id: record.location_id }
+                }))
+                : [])
+        ]),
+        ...dependents.flatMap(deletes),
+        ...(byEntity.Location ? deletes(byEntity.Location) : [])
+    ];
+};
@@ -0,0 +1,60 @@
+import { describe, it, expect } from "vitest";
+import { diffSnapshots, planSnapshotRestore } from "@/lib/snapshots";
+
+const current = {
+    Location: [
+        { id: "loc-1", name: "Svalbard", latitude: 78.22, longitude: 15.65, arrival_date: "2024-03-01" },
+        { id: "loc-3", name: "Lofoten", latitude: 68.2, longitude: 13.6, arrival_date: "2024-03-15" }
+    ],
+    EnvironmentalData: [
+        { id: "env-2", location_id: "loc-2", date: "2024-03-11", temperature_avg: 1 }
+    ],
+    JournalEntry: [
+        { id: "journal-1", location_id: "loc-1", date: "2024-03-02", content: "Ice" },
+        { id: "journal-3", location_id: "loc-3", date: "2024-03-16", content: "Fjords" }
+    ]
+};
+
+const snapshot = {
+    Location: [
+        { id: "loc-1", name: "Longyearbyen", latitude: 78.22, longitude: 15.65, arrival_date: "2024-03-01" },
+        { id: "loc-2", name: "Tromsø", latitude: 69.65, longitude: 18.96, arrival_date: "2024-03-10" }
+    ],
+    EnvironmentalData: [
+        { id: "env-2", location_id: "loc-2", date: "2024-03-11", temperature_avg: 1 }
+    ],
+    JournalEntry: [
+        { id: "journal-1", location_id: "loc-1", date: "2024-03-02", content: "Sea ice" },
+        { id: "journal-2", location_id: "loc-2", date: "2024-03-11", content: "Harbour" }
+    ]
+};
+
+describe("planSnapshotRestore", () => {
+    it("creates locations first, relinks records to recreated ones, and deletes locations last", () => {
+        const steps = planSnapshotRestore(diffSnapshots(current, snapshot));
+
+        expect(steps).toEqual([
+            {
+                type: "create",
+                entityName: "Location",
+                sourceId: "loc-2",
+                data: { name: "Tromsø", latitude: 69.65, longitude: 18.96, arrival_date: "2024-03-10" }
+            },
+            { type: "update", entityName: "Location", id: "loc-1", data: { name: "Longyearbyen" } },
+            { type: "update", entityName: "EnvironmentalData", id: "env-2", data: { location_id: "loc-2" } },
+            {
+                type: "create",
+                entityName: "JournalEntry",
+                sourceId: "journal-2",
+                data: { location_id: "loc-2", date: "2024-03-11", content: "Harbour" }
+            },
+            { type: "update", entityName: "JournalEntry", id: "journal-1", data: { content: "Sea ice" } },
+            { type: "delete", entityName: "JournalEntry", id: "journal-3" },
+            { type: "delete", entityName: "Location", id: "loc-3" }
+        ]);
+    });
+
+    it("plans nothing when the snapshot matches the current records", () => {
+        expect(planSnapshotRestore(diffSnapshots(snapshot, snapshot))).toEqual([]);
+    });
+});
@@ -0,0 +1,91 @@
+import { format } from "date-fns";
+
+export const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+export const numericValues = (values) => values.filter(isNumber);
+
+export const mean = (values) => {
+    const nums = numericValues(values);
+    if (nums.length === 0) return null;
+    return nums.reduce((sum, v) => sum + v, 0) / nums.length;
+};
+
+export const median = (values) => {
+    const nums = numericValues(values).sort((a, b) => a - b);
+    if (nums.length === 0) return null;
+    const mid = Math.floor(nums.length / 2);
+    return nums.length % 2 === 0 ? (nums[mid - 1] + nums[mid]) / 2 : nums[mid];
+};
+
+export const standardDeviation = (values) => {
+    const nums = numericValues(values);
+    if (nums.length < 2) return null;
+    const avg = mean(nums);
+    const variance = nums.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (nums.length - 1);
+    return Math.sqrt(variance);
+};
+
+// Median absolute deviation, scaled so it estimates the standard deviation of normal data
+export const medianAbsoluteDeviation = (values) => {
+    const med = median(values);
+    if (med === null) return null;
+    return 1.4826 * median(numericValues(values).map(v => Math.abs(v - med)));
+};
+
+// How date-only fields and day keys are written
+export const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// A yyyy-MM-dd string naming a day that exists, so "2024-02-30" is not one
+export const isDayKey = (value) => {
+    if (typeof value !== "string" || !DATE_ONLY.test(value)) return false;
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+};
+
+// Date-only strings ("2024-03-01") are kept as-is so they don't shift across timezones;
+// missing or unparseable dates give null
+export const toDayKey = (value) => {
+    if (typeof value === "string" && DATE_ONLY.test(value)) return isDayKey(value) ? value : null;
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : format(date, 'yyyy-MM-dd');
+};
+
+// Local midnight of the day; null for a missing key, so it can take toDayKey's result directly
+export const dayKeyToDate = (dayKey) => {
+    if (!dayKey) return null;
+    const [year, month, day] = dayKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+// Formats a date field as the calendar day it names, e.g. formatDay("2024-03-01", 'MMM d');
+// null when the date can't be read
+export const formatDay = (value, pattern) => {
+    const date = dayKeyToDate(toDayKey(value));
+    return date ? format(date, pattern) : null;
+};
+
+// Collapses records to one row per day (and location), averaging every listed metric
+export const aggregateByDay = (records, metricKeys) => {
+    const groups = {};
+    records.forEach(record => {
+        const day = toDayKey(record.date);
+        if (!day) return;
+        const key = `${day}|${record.location_id}`;
+        if (!groups[key]) {
+            groups[key] = { day, location_id: record.location_id, records: [] };
+        }
+        groups[key].records.push(record);
+    });
+
+    return Object.values(groups)
+        .map(group => {
+            const row = { day: group.day, location_id: group.location_id, record_ids: group.records.map(r => r.id) };
+            metricKeys.forEach(metric => {
+                row[metric] = mean(group.records.map(r => r[metric]));
+            });
+            return row;
+        })
+        .sort((a, b) => a.day.localeCompare(b.day));
+};
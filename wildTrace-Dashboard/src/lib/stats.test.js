@@ -0,0 +1,49 @@
+import { describe, it, expect } from "vitest";
+import { toDayKey, dayKeyToDate, formatDay, isDayKey } from "@/lib/stats";
+
+describe("toDayKey", () => {
+    it("keeps date-only values as they are", () => {
+        expect(toDayKey("2024-03-01")).toBe("2024-03-01");
+    });
+
+    it("gives null for missing or unparseable dates", () => {
+        expect(toDayKey(undefined)).toBeNull();
+        expect(toDayKey("")).toBeNull();
+        expect(toDayKey("someday")).toBeNull();
+    });
+});
+
+describe("dayKeyToDate", () => {
+    it("reads a day key as local midnight", () => {
+        const date = dayKeyToDate("2024-03-01");
+        expect([date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()]).toEqual([2024, 2, 1, 0]);
+    });
+
+    it("passes a missing key through as null", () => {
+        expect(dayKeyToDate(toDayKey("someday"))).toBeNull();
+    });
+});
+
+describe("formatDay", () => {
+    it("formats date-only values as the day they name", () => {
+        expect(formatDay("2024-03-01", "MMM d, yyyy")).toBe("Mar 1, 2024");
+    });
+
+    it("gives null for dates it can't read", () => {
+        expect(formatDay("someday", "MMM d")).toBeNull();
+        expect(formatDay(null, "MMM d")).toBeNull();
+    });
+});
+
+describe("isDayKey", () => {
+    it("accepts days that exist and nothing else", () => {
+        expect(isDayKey("2024-02-29")).toBe(true);
+        expect(isDayKey("2023-02-29")).toBe(false);
+        expect(isDayKey("2024-13-45")).toBe(false);
+        expect(isDayKey("2024-03-01T08:00:00Z")).toBe(false);
+    });
+
+    it("makes toDayKey turn impossible days into null", () => {
+        expect(toDayKey("2024-13-45")).toBeNull();
+    });
+});
@@ -0,0 +1,132 @@
+import { ENTITY_SCHEMAS, getScoreRange } from "@/lib/schemas";
+import { isNumber, isDayKey, toDayKey } from "@/lib/stats";
+
+const isMissing = (value) => value === undefined || value === null || value === "";
+
+const checkType = (value, property) => {
+    switch (property.type) {
+        case "number":
+            return isNumber(value);
+        case "string":
+            return typeof value === "string";
+        case "boolean":
+            return typeof value === "boolean";
+        case "array":
+            return Array.isArray(value);
+        default:
+            return true;
+    }
+};
+
+const checkFormat = (value, format) => {
+    if (format === "date") return isDayKey(value);
+    if (format === "date-time") return !Number.isNaN(new Date(value).getTime());
+    return true;
+};
+
+// Returns one issue per problem field: { field, kind, message }, where kind is
+// missing | type | format | enum | range
+export const validateRecord = (record, schema) => {
+    const issues = [];
+
+    (schema.required || []).forEach(field => {
+        if (isMissing(record[field])) {
+            issues.push({ field, kind: "missing", message: `${field} is required` });
+        }
+    });
+
+    Object.entries(schema.properties).forEach(([field, property]) => {
+        const value = record[field];
+        if (isMissing(value)) return;
+
+        if (!checkType(value, property)) {
+            issues.push({ field, kind: "type", message: `${field} should be a ${property.type}, got ${JSON.stringify(value)}` });
+            return;
+        }
+        if (property.format && !checkFormat(value, property.format)) {
+            issues.push({ field, kind: "format", message: `${field} is not a valid ${property.format}: ${value}` });
+        }
+        if (property.items?.enum) {
+            const unknown = value.filter(item => !property.items.enum.includes(item));
+            if (unknown.length > 0) {
+                issues.push({ field, kind: "enum", message: `${field} has unknown values: ${unknown.join(", ")}` });
+            }
+        }
+        const range = property.type === "number" && getScoreRange(property);
+        if (range && (value < range.min || value > range.max)) {
+            issues.push({ field, kind: "range", message: `${field} is ${value}, outside ${range.min}-${range.max}` });
+        }
+    });
+
+    return issues;
+};
+
+// Biometric readings are timestamped, so only identical timestamps count as duplicates;
+// environmental readings are daily, so a second reading on the same day is one.
+// Records without a usable date are left to the validation issues above.
+const DUPLICATE_KEYS = {
+    BiologicalData: (record) => record.date,
+    EnvironmentalData: (record) => toDayKey(record.date)
+};
+
+const findDuplicates = (entityName, records) => {
+    const getKey = DUPLICATE_KEYS[entityName];
+    if (!getKey) return [];
+
+    const groups = new Map();
+    records.forEach(record => {
+        if (!toDayKey(record.date)) return;
+        const key = `${record.location_id}|${getKey(record)}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(record);
+    });
+
+    return [...groups.values()]
+        .filter(group => group.length > 1)
+        .map(group => ({
+            entityName,
+            location_id: group[0].location_id,
+            date: getKey(group[0]),
+            records: group
+        }));
+};
+
+// recordsByEntity is keyed by entity name, e.g. { Location: [...], JournalEntry: [...] }.
+// Pass knownLocationIds when recordsByEntity only holds part of the locations.
+export const buildQualityReport = (recordsByEntity, knownLocationIds) => {
+    const locationIds = knownLocationIds || new Set((recordsByEntity.Location || []).map(location => location.id));
+
+    const entities = Object.entries(ENTITY_SCHEMAS).map(([entityName, schema]) => {
+        const records = recordsByEntity[entityName] || [];
+        const invalid = records
+            .map(record => ({ record, issues: validateRecord(record, schema) }))
+            .filter(result => result.issues.length > 0);
+        return { entityName, total: records.length, invalid };
+    });
+
+    const orphans = Object.entries(recordsByEntity)
+        .filter(([entityName]) => entityName !== "Location" && ENTITY_SCHEMAS[entityName])
+        .flatMap(([entityName, records]) => records
+            .filter(record => !isMissing(record.location_id) && !locationIds.has(record.location_id))
+            .map(record => ({ entityName, record })));
+
+    const duplicates = Object.entries(recordsByEntity)
+        .flatMap(([entityName, records]) => findDuplicates(entityName, records));
+
+    const allIssues = entities.flatMap(entity => entity.invalid.flatMap(result => result.issues));
+    const countKind = (kind) => allIssues.filter(issue => issue.kind === kind).length;
+
+    return {
+        entities,
+        orphans,
+        duplicates,
+        summary: {
+            records: entities.reduce((sum, entity) => sum + entity.total, 0),
+            invalidRecords: entities.reduce((sum, entity) => sum + entity.invalid.length, 0),
+            missing: countKind("missing"),
+            outOfRange: countKind("range"),
+            orphans: orphans.length,
+            duplicates: duplicates.length
+        }
+    };
+};
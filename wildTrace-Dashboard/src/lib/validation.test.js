@@ -0,0 +1,42 @@
+import { describe, it, expect } from "vitest";
+import { buildQualityReport } from "@/lib/validation";
+
+const location = { id: "loc-1", name: "Svalbard", arrival_date: "2024-03-01" };
+
+describe("buildQualityReport", () => {
+    it("reports a record with an unparseable date instead of throwing", () => {
+        const report = buildQualityReport({
+            Location: [location],
+            EnvironmentalData: [
+                { id: "env-1", location_id: "loc-1", date: "someday", temperature_avg: 4 },
+                { id: "env-2", location_id: "loc-1", date: "2024-03-02", temperature_avg: 5 }
+            ]
+        });
+
+        const environmental = report.entities.find(entity => entity.entityName === "EnvironmentalData");
+        expect(environmental.invalid).toHaveLength(1);
+        expect(environmental.invalid[0].record.id).toBe("env-1");
+        expect(environmental.invalid[0].issues).toEqual([expect.objectContaining({ field: "date", kind: "format" })]);
+        expect(report.duplicates).toEqual([]);
+    });
+
+    it("leaves records with invalid dates out of duplicate detection", () => {
+        const report = buildQualityReport({
+            Location: [location],
+            EnvironmentalData: [
+                { id: "env-1", location_id: "loc-1", date: "someday" },
+                { id: "env-2", location_id: "loc-1", date: "someday" },
+                { id: "env-3", location_id: "loc-1", date: "2024-03-02" },
+                { id: "env-4", location_id: "loc-1", date: "2024-03-02" }
+            ],
+            BiologicalData: [
+                { id: "bio-1", location_id: "loc-1", date: "not a time" },
+                { id: "bio-2", location_id: "loc-1", date: "not a time" }
+            ]
+        });
+
+        expect(report.duplicates).toHaveLength(1);
+        expect(report.duplicates[0]).toMatchObject({ entityName: "EnvironmentalData", date: "2024-03-02" });
+        expect(report.duplicates[0].records.map(record => record.id)).toEqual(["env-3", "env-4"]);
+    });
+});
@@ -0,0 +1,142 @@
+// Minimal ZIP support for the archive bundle. Entries are written uncompressed (the "stored"
+// method), which every unzip tool reads. Reading also handles deflated entries through the
+// browser's DecompressionStream, so a bundle that was unpacked and zipped again still imports.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time, the only timestamp format the basic ZIP headers carry
+const dosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const UTF8_NAMES = 0x0800;
+
+const toBytes = (content) => (typeof content === "string" ? new TextEncoder().encode(content) : content);
+
+// files is [{ name, content }] with string or Uint8Array content; returns the ZIP as a Uint8Array
+export const createZip = (files, modifiedAt = new Date()) => {
+    const { time, date } = dosDateTime(modifiedAt);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = new TextEncoder().encode(file.name);
+        const data = toBytes(file.content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, UTF8_NAMES, true);
+        local.setUint16(8, 0, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, UTF8_NAMES, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+
+        localParts.push(new Uint8Array(local.buffer), name, data);
+        centralParts.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+};
+
+const inflateRaw = async (bytes) => {
+    if (typeof DecompressionStream === "undefined") {
+        throw new Error("This browser cannot read compressed ZIP entries");
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Reads the entries of a ZIP file: [{ name, bytes }]. Directories are left out.
+export const readZip = async (buffer) => {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end-of-central-directory record sits at the end, possibly followed by a comment
+    let endOffset = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset === -1) throw new Error("Not a ZIP file");
+
+    const count = view.getUint16(endOffset + 10, true);
+    let position = view.getUint32(endOffset + 16, true);
+    const decoder = new TextDecoder();
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(position, true) !== 0x02014b50) throw new Error("Damaged ZIP directory");
+        const method = view.getUint16(position + 10, true);
+        const compressedSize = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const localOffset = view.getUint32(position + 42, true);
+        const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+        position += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith("/")) continue;
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) {
+            entries.push({ name, bytes: data });
+        } else if (method === 8) {
+            entries.push({ name, bytes: await inflateRaw(data) });
+        } else {
+            throw new Error(`${name} uses an unsupported ZIP compression method`);
+        }
+    }
+
+    return entries;
+};
@@ -0,0 +1,14 @@
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { defineConfig } from "vitest/config";
+
+// Unit tests for the plain modules in src/lib and src/data, next to the file they cover
+export default defineConfig({
+    resolve: {
+        alias: { "@": path.resolve(path.dirname(fileURLToPath(import.meta.url)), "src") }
+    },
+    test: {
+        include: ["src/**/*.test.js"],
+        environment: "node"
+    }
+});